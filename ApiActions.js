@@ -0,0 +1,917 @@
+/**
+ * API Actions
+ * Registry of the web app's actions: POST actions (dispatched by doPost) and GET endpoints (doGet)
+ *
+ * Each POST entry declares what the action reads and who may run it, and a handler:
+ *   run(request) - request is { action, taskId, data, body, client, caller }; returns the action's response
+ *
+ *   needsTask  - false when the action takes no top-level taskId (default: taskId is required)
+ *   data       - fields of the request's data object, body - other top-level fields; name -> type
+ *                (string, number, integer, boolean, object, date, email, any, string[] or object[]),
+ *                or { type, description } for fields that need explaining
+ *   required   - data/body fields that must be present
+ *   flatData   - the data fields may instead be sent at the top level of a request without a data object
+ *                (older clients; the handler reads postData.data || postData)
+ *   scope      - API client scope needed (default: write for POST, read for GET; see ApiAuth.js)
+ *   roles      - roles besides the boss and delegates that may run it (see Permissions.js)
+ *   aliasOf    - another action this name runs, kept for older clients
+ *
+ * dispatchAction_() checks a request against its entry (400 with the problems) before running it, and
+ * getOpenApiDocument() turns the registry into the OpenAPI 3.1 document served at GET ?action=openapi,
+ * with a JSON Schema for every POST action's body. Uploads (upload_recording) are handled by doPost before
+ * dispatch and are not listed.
+ */
+
+const API_DOCUMENT_VERSION = '1.0.0';
+
+// Strings accepted for integer fields
+const API_INTEGER_PATTERN = /^-?\d+$/;
+
+// How validation errors describe each field type
+const API_TYPE_LABELS = {
+  string: 'a string', date: 'a date string', email: 'an email address', number: 'a number',
+  integer: 'an integer (or a string of digits)', boolean: 'true or false', object: 'an object',
+  'string[]': 'a list of strings', 'object[]': 'a list of objects'
+};
+
+// Section of the OpenAPI document each category is listed under
+const API_ACTION_CATEGORIES = {
+  tasks: 'Create, edit, delete and restore tasks',
+  review: 'Review_AI_Assist: approve or correct the AI interpretation of a new task',
+  dates: 'Review_Date: due date changes requested by the assignee',
+  scope: 'Review_Scope: scope questions raised by the assignee',
+  role: 'Review_Role: the assignee says the task belongs to someone else',
+  completion: 'Completion review: the assignee says the task is done',
+  stagnation: 'Stagnation: tasks with no progress',
+  updates: 'Significant updates from the assignee',
+  status: 'On hold, someday and reactivation',
+  conversation: 'Conversation with the assignee and pending change requests',
+  email: 'Emails and reprocessing',
+  bulk: 'Several tasks at once',
+  history: 'Task history (see TaskAudit.js)',
+  staff: 'Staff_DB',
+  admin: 'Prompts, workflows, webhooks and config',
+  batch: 'Several actions in one request (see BatchActions.js)',
+  read: 'GET endpoints',
+};
+
+const API_ACTIONS = {
+  // Tasks
+  create_task: {
+    category: 'tasks',
+    description: 'Create a task; the assignee and project are looked up by name when no email or ID is given',
+    needsTask: false,
+    data: {
+      taskName: 'string', assigneeEmail: 'email', assigneeName: 'string', dueDate: 'date',
+      description: 'string', projectId: 'string', projectName: 'string'
+    },
+    required: ['taskName'],
+    flatData: true,
+    run: request => handleCreateTask(request.body)
+  },
+  update_task: {
+    category: 'tasks',
+    description: 'Edit task fields; a stale expectedVersion gets a version conflict',
+    needsTask: false,
+    body: {
+      taskId: { type: 'string', description: 'Task to update (or data.taskId)' },
+      expectedVersion: { type: 'integer', description: 'version from get_tasks (or data.expectedVersion)' }
+    },
+    data: {
+      taskId: 'string', expectedVersion: 'integer', taskName: 'string', assigneeEmail: 'email', assigneeName: 'string',
+      status: 'string', dueDate: 'date', description: 'string', projectId: 'string', projectName: 'string'
+    },
+    flatData: true,
+    run: request => handleUpdateTask(request.body)
+  },
+  delete_task: {
+    category: 'tasks',
+    description: 'Move a task to the trash (Tasks_Archive); restore_task brings it back',
+    scope: 'admin',
+    run: request => handleDeleteTask(request.taskId)
+  },
+  restore_task: {
+    category: 'tasks',
+    description: 'Bring a task back from the trash or the archive',
+    scope: 'admin',
+    run: request => handleRestoreTask(request.taskId)
+  },
+
+  // Review_AI_Assist
+  approve_interpretation: {
+    category: 'review',
+    description: 'Accept the AI interpretation; assigned tasks become not_active and the assignee is emailed',
+    run: request => handleApproveInterpretation(request.taskId, request.data)
+  },
+  modify_task: {
+    category: 'review',
+    description: 'Correct the task before approving it',
+    data: {
+      taskName: 'string', dueDate: 'date', context: 'string', description: 'string',
+      assigneeEmail: 'email', assigneeName: 'string'
+    },
+    run: request => handleModifyTask(request.taskId, request.data)
+  },
+  assign_task: {
+    category: 'review',
+    description: 'Assign the task and email the assignee',
+    data: { assigneeEmail: 'email' },
+    required: ['assigneeEmail'],
+    run: request => handleAssignTask(request.taskId, request.data)
+  },
+  rewrite_task: {
+    category: 'review',
+    description: 'Rename the task',
+    data: { newTaskName: 'string' },
+    required: ['newTaskName'],
+    run: request => handleRewriteTask(request.taskId, request.data)
+  },
+  reject_task: {
+    category: 'review',
+    description: 'Reject the task (closed)',
+    run: request => handleRejectTask(request.taskId)
+  },
+
+  // Review_Date
+  boss_approve_date_change: {
+    category: 'dates',
+    description: 'Accept the proposed due date and tell the assignee',
+    run: request => handleBossApproveDateChange(request.taskId, request.data)
+  },
+  approve_new_date: { aliasOf: 'boss_approve_date_change' },
+  employee_confirm_date: {
+    category: 'dates',
+    description: 'The assignee confirms a date the boss proposed',
+    roles: ['employee'],
+    run: request => handleEmployeeConfirmDate(request.taskId)
+  },
+  reject_date_change: {
+    category: 'dates',
+    description: 'Keep the current due date and tell the assignee',
+    data: { message: 'string' },
+    run: request => handleRejectDateChange(request.taskId, request.data)
+  },
+  boss_propose_date: {
+    category: 'dates',
+    description: 'Propose another due date to the assignee',
+    data: { newDate: 'date', message: 'string' },
+    required: ['newDate'],
+    run: request => handleBossProposeDate(request.taskId, request.data)
+  },
+  negotiate_date: { aliasOf: 'boss_propose_date' },
+  force_meeting_date: {
+    category: 'dates',
+    description: 'Settle the date in a one-on-one',
+    run: request => handleForceMeeting(request.taskId)
+  },
+
+  // Review_Scope
+  provide_clarification: {
+    category: 'scope',
+    description: 'Answer the assignee\'s scope question',
+    data: { clarification: 'string' },
+    required: ['clarification'],
+    run: request => handleProvideClarification(request.taskId, request.data)
+  },
+  reduce_scope: {
+    category: 'scope',
+    description: 'Narrow the task and tell the assignee',
+    data: { newScope: 'string' },
+    required: ['newScope'],
+    run: request => handleReduceScope(request.taskId, request.data)
+  },
+  change_owner: {
+    category: 'scope',
+    description: 'Give the task to someone else',
+    data: { newAssigneeEmail: 'email' },
+    required: ['newAssigneeEmail'],
+    run: request => handleChangeOwner(request.taskId, request.data)
+  },
+  cancel_task_scope: {
+    category: 'scope',
+    description: 'Cancel the task',
+    run: request => handleCancelTask(request.taskId)
+  },
+
+  // Review_Role
+  accept_reassign: {
+    category: 'role',
+    description: 'Agree and reassign the task',
+    data: { newAssigneeEmail: 'email' },
+    required: ['newAssigneeEmail'],
+    run: request => handleAcceptReassign(request.taskId, request.data)
+  },
+  override_role: {
+    category: 'role',
+    description: 'Keep the assignee and ask them to go ahead',
+    run: request => handleOverrideRole(request.taskId, request.data)
+  },
+  redirect_task: {
+    category: 'role',
+    description: 'Send the task to another team',
+    data: { newTeamEmail: 'email' },
+    required: ['newTeamEmail'],
+    run: request => handleRedirectTask(request.taskId, request.data)
+  },
+  assign_to_self: {
+    category: 'role',
+    description: 'Take the task over',
+    run: request => handleAssignToSelf(request.taskId)
+  },
+  cancel_task_role: {
+    category: 'role',
+    description: 'Cancel the task',
+    run: request => handleCancelTask(request.taskId)
+  },
+
+  // Completion review
+  approve_done: {
+    category: 'completion',
+    description: 'Confirm the task is done (closed)',
+    run: request => handleApproveDone(request.taskId)
+  },
+  reopen_task: {
+    category: 'completion',
+    description: 'Send the task back to the assignee',
+    data: { reason: 'string' },
+    run: request => handleReopenTask(request.taskId, request.data)
+  },
+  request_proof: {
+    category: 'completion',
+    description: 'Ask the assignee for proof of completion',
+    run: request => handleRequestProof(request.taskId, request.data)
+  },
+
+  // Stagnation
+  force_meeting_stagnation: {
+    category: 'stagnation',
+    description: 'Discuss the task in a one-on-one',
+    run: request => handleForceMeeting(request.taskId)
+  },
+  send_hard_nudge: {
+    category: 'stagnation',
+    description: 'Send the assignee a firm reminder',
+    run: request => handleSendHardNudge(request.taskId)
+  },
+  reassign_stagnation: {
+    category: 'stagnation',
+    description: 'Give the task to someone else',
+    data: { newAssigneeEmail: 'email' },
+    required: ['newAssigneeEmail'],
+    run: request => handleReassign(request.taskId, request.data)
+  },
+  kill_task: {
+    category: 'stagnation',
+    description: 'Cancel the task',
+    run: request => handleCancelTask(request.taskId)
+  },
+
+  // Significant updates
+  acknowledge_update: {
+    category: 'updates',
+    description: 'Acknowledge the assignee\'s update',
+    run: request => handleAcknowledgeUpdate(request.taskId)
+  },
+  clarify_update: {
+    category: 'updates',
+    description: 'Reply to the assignee\'s update',
+    data: { clarification: 'string' },
+    required: ['clarification'],
+    run: request => handleClarifyUpdate(request.taskId, request.data)
+  },
+  convert_to_meeting: {
+    category: 'updates',
+    description: 'Schedule a one-on-one about the task',
+    data: { date: 'date', time: { type: 'string', description: 'HH:mm' }, duration: { type: 'number', description: 'Minutes' } },
+    run: request => handleConvertToMeeting(request.taskId, request.data)
+  },
+  add_to_weekly: {
+    category: 'updates',
+    description: 'Add the task to the agenda of the weekly meeting nearest to date',
+    data: { date: 'date' },
+    run: request => handleAddToWeekly(request.taskId, request.data)
+  },
+  schedule_focus_time: {
+    category: 'updates',
+    description: 'Block focus time in the boss\'s calendar for the task',
+    data: { date: 'date', time: { type: 'string', description: 'HH:mm' }, duration: { type: 'number', description: 'Minutes' } },
+    run: request => handleScheduleFocusTime(request.taskId, request.data)
+  },
+  carve_personal_time: { aliasOf: 'schedule_focus_time' },
+  mark_handled: {
+    category: 'updates',
+    description: 'Mark the update as handled (on_time)',
+    run: request => handleMarkHandled(request.taskId)
+  },
+
+  // Hold / someday
+  put_on_hold: {
+    category: 'status',
+    description: 'Put the task on hold',
+    data: { reason: 'string' },
+    run: request => handlePutOnHold(request.taskId, request.data)
+  },
+  defer_task: {
+    category: 'status',
+    description: 'Move the task to someday',
+    data: { reason: 'string' },
+    run: request => handleDeferTask(request.taskId, request.data)
+  },
+  reactivate_task: {
+    category: 'status',
+    description: 'Bring an on-hold or someday task back',
+    run: request => handleReactivateTask(request.taskId)
+  },
+
+  // Conversation
+  approve_change: {
+    category: 'conversation',
+    description: 'Accept one change the assignee asked for and reply',
+    data: { parameter: 'string', proposedValue: 'any', draftMessage: 'string' },
+    required: ['parameter', 'proposedValue'],
+    run: request => handleApproveChange(request.taskId, request.data)
+  },
+  reject_change: {
+    category: 'conversation',
+    description: 'Turn down one change the assignee asked for and reply',
+    data: { parameter: 'string', rejectionMessage: 'string' },
+    required: ['parameter'],
+    run: request => handleRejectChange(request.taskId, request.data)
+  },
+  send_mixed_response: {
+    category: 'conversation',
+    description: 'Accept some changes, turn down others, in one reply',
+    data: {
+      approvedChanges: { type: 'object[]', description: '[{ parameter, proposedValue }]' },
+      rejectedChanges: { type: 'object[]', description: '[{ parameter }]' },
+      message: 'string'
+    },
+    run: request => handleMixedResponse(request.taskId, request.data)
+  },
+  system_override: {
+    category: 'conversation',
+    description: 'Set a derived field by hand (recorded as a system event)',
+    scope: 'admin',
+    data: { field: 'string', value: 'any', reason: 'string', conversationState: 'string' },
+    required: ['field', 'reason'],
+    run: request => handleSystemOverride(request.taskId, request.data)
+  },
+  reanalyze_conversation: {
+    category: 'conversation',
+    description: 'Run the AI over the conversation again',
+    run: request => handleReanalyzeConversation(request.taskId)
+  },
+  send_message: {
+    category: 'conversation',
+    description: 'Email the assignee in the task thread',
+    data: { message: 'string', subject: 'string', conversationState: 'string' },
+    required: ['message'],
+    run: request => handleSendMessage(request.taskId, request.data)
+  },
+
+  // Emails and reprocessing
+  force_reprocess: {
+    category: 'email',
+    description: 'Process the task\'s latest email again',
+    scope: 'admin',
+    run: request => handleForceReprocess(request.taskId)
+  },
+  send_followup: {
+    category: 'email',
+    description: 'Send the assignee a follow-up now',
+    run: request => handleSendFollowUp(request.taskId)
+  },
+  send_assignment_email: {
+    category: 'email',
+    description: 'Send (or resend) the assignment email',
+    run: request => handleSendAssignmentEmail(request.taskId)
+  },
+
+  // Bulk
+  bulk_delete_tasks: {
+    category: 'bulk',
+    description: 'Move several tasks to the trash',
+    scope: 'admin',
+    needsTask: false,
+    body: { taskIds: 'string[]' },
+    required: ['taskIds'],
+    run: request => handleBulkDeleteTasks(request.body)
+  },
+  bulk_assign_tasks: {
+    category: 'bulk',
+    description: 'Assign several tasks to one person',
+    scope: 'admin',
+    needsTask: false,
+    body: { taskIds: 'string[]', assigneeEmail: 'email', assigneeName: 'string' },
+    required: ['taskIds', 'assigneeEmail'],
+    run: request => handleBulkAssignTasks(request.body)
+  },
+  bulk_update_tasks: {
+    category: 'bulk',
+    description: 'Change the status of several tasks or shift their due dates',
+    scope: 'admin',
+    needsTask: false,
+    body: {
+      taskIds: 'string[]',
+      updates: { type: 'object', description: '{ status, dueDateShiftDays }' },
+      expectedVersions: { type: 'object', description: '{ taskId: version } from get_tasks' }
+    },
+    required: ['taskIds', 'updates'],
+    run: request => handleBulkUpdateTasks(request.body)
+  },
+
+  // History
+  undo_change: {
+    category: 'history',
+    description: 'Undo one change (changeId) or everything one request changed (requestId)',
+    scope: 'admin',
+    needsTask: false,
+    data: { changeId: 'string', requestId: 'string', force: 'boolean' },
+    run: request => handleUndoChange(request.data)
+  },
+  revert_task_to: {
+    category: 'history',
+    description: 'Put the task back as it was at a version or a time',
+    scope: 'admin',
+    data: { version: 'integer', timestamp: { type: 'string', description: 'ISO date-time' } },
+    run: request => handleRevertTaskTo(request.taskId, request.data)
+  },
+
+  // Staff
+  add_staff: {
+    category: 'staff',
+    description: 'Add a staff member',
+    needsTask: false,
+    data: { name: 'string', email: 'email', role: 'string' },
+    required: ['name', 'email'],
+    run: request => handleAddStaff(request.body)
+  },
+  update_staff: {
+    category: 'staff',
+    description: 'Edit a staff member',
+    scope: 'admin',
+    needsTask: false,
+    body: { email: 'email', updates: 'object' },
+    required: ['email'],
+    run: request => handleUpdateStaffMember(request.body)
+  },
+  delete_staff: {
+    category: 'staff',
+    description: 'Remove a staff member',
+    scope: 'admin',
+    needsTask: false,
+    body: { email: 'email' },
+    required: ['email'],
+    run: request => handleDeleteStaffMember(request.body)
+  },
+  recalculate_reliability: {
+    category: 'staff',
+    description: 'Recalculate a staff member\'s reliability score from their task history',
+    scope: 'admin',
+    needsTask: false,
+    body: { email: 'email' },
+    required: ['email'],
+    run: request => handleRecalculateReliability(request.body)
+  },
+
+  // Admin
+  save_prompt: {
+    category: 'admin',
+    description: 'Create or update an AI prompt',
+    scope: 'admin',
+    needsTask: false,
+    body: { promptName: 'string', category: 'string', content: 'string', description: 'string' },
+    required: ['promptName', 'category', 'content'],
+    run: request => handleSavePrompt(request.body)
+  },
+  save_workflow: {
+    category: 'admin',
+    description: 'Create or update a workflow (see Workflows.js)',
+    scope: 'admin',
+    needsTask: false,
+    body: {
+      workflowId: 'string', name: 'string', triggerEvent: 'string', conditions: 'any', actions: 'any',
+      timing: 'any', active: 'boolean', description: 'string'
+    },
+    required: ['name', 'triggerEvent'],
+    run: request => handleSaveWorkflow(request.body)
+  },
+  delete_workflow: {
+    category: 'admin',
+    description: 'Delete a workflow',
+    scope: 'admin',
+    needsTask: false,
+    body: { workflowId: 'string' },
+    required: ['workflowId'],
+    run: request => handleDeleteWorkflow(request.body)
+  },
+  test_workflow: {
+    category: 'admin',
+    description: 'Dry-run a workflow against a task or sample context, or replay it over recent events',
+    needsTask: false,
+    body: {
+      workflow: 'object', workflowId: 'string', taskId: 'string', sampleContext: 'object',
+      replayDays: { type: 'integer', description: 'Replay the last N days of task events instead' }
+    },
+    run: request => handleTestWorkflow(request.body)
+  },
+  test_webhook: {
+    category: 'admin',
+    description: 'Send a signed test event to a webhook (see Webhooks.js)',
+    scope: 'admin',
+    needsTask: false,
+    body: { webhookId: 'string' },
+    data: { webhookId: 'string' },
+    run: request => handleTestWebhook(request.body)
+  },
+  update_config: {
+    category: 'admin',
+    description: 'Set one config value',
+    scope: 'admin',
+    needsTask: false,
+    body: { key: 'string', value: 'any', description: 'string', category: 'string' },
+    required: ['key'],
+    run: request => handleUpdateConfigValue(request.body)
+  },
+  update_config_batch: {
+    category: 'admin',
+    description: 'Set several config values',
+    scope: 'admin',
+    needsTask: false,
+    body: { configs: { type: 'object[]', description: '[{ key, value }]' } },
+    required: ['configs'],
+    run: request => handleUpdateConfigBatch(request.body)
+  },
+
+  // Batch
+  batch: {
+    category: 'batch',
+    description: 'Run several actions in order under one lock, optionally rolled back on failure',
+    needsTask: false,
+    body: {
+      operations: { type: 'object[]', description: '[{ action, taskId, data }]' },
+      rollback: 'boolean',
+      continueOnError: 'boolean'
+    },
+    required: ['operations'],
+    run: request => runBatch(request.body, request.client, request.caller)
+  },
+};
+
+// GET endpoints (served by doGet); params are query parameters
+const API_GET_ACTIONS = {
+  health: { description: 'Service status; needs no credentials', public: true },
+  info: { description: 'Actions, statuses and the caller\'s role', roles: ['employee', 'viewer'] },
+  openapi: { description: 'This API as an OpenAPI 3.1 document', roles: ['employee', 'viewer'] },
+  get_tasks: {
+    description: 'Every task with its conversation, plus changeCursor',
+    roles: ['employee', 'viewer'],
+    params: { status: 'string', includeArchive: 'boolean', includeDeleted: 'boolean' }
+  },
+  query_tasks: {
+    description: 'One page of tasks, filtered and sorted (see TaskQuery.js)',
+    roles: ['employee', 'viewer'],
+    params: {
+      status: 'string', conversationState: 'string', assignee: 'string', project: 'string',
+      dueFrom: 'date', dueTo: 'date', needsAttention: 'boolean', overdue: 'boolean', q: 'string',
+      includeArchive: 'boolean', sort: 'string', fields: 'string', limit: 'integer', cursor: 'string'
+    }
+  },
+  changes_since: {
+    description: 'Tasks, staff and projects changed after a cursor or time (see ChangeFeed.js)',
+    params: { cursor: 'integer', since: { type: 'string', description: 'ISO date-time' }, types: 'string', limit: 'integer' }
+  },
+  detect_changes: { description: 'Check a task\'s thread for new replies', params: { taskId: 'string', force: 'boolean' } },
+  get_conversation_state: {
+    description: 'A task\'s conversation state and a page of its messages',
+    roles: ['employee'],
+    ownTask: true,
+    params: { taskId: 'string', limit: 'integer', offset: 'integer' },
+    required: ['taskId']
+  },
+  tasks: { description: 'Tasks_DB rows', roles: ['employee'], params: { status: 'string' } },
+  task: { description: 'One Tasks_DB row', roles: ['employee'], ownTask: true, params: { taskId: 'string' }, required: ['taskId'] },
+  staff: { description: 'Staff_DB' },
+  staff_by_name: { description: 'Find a staff member by name', params: { name: 'string' }, required: ['name'] },
+  projects: { description: 'Projects_DB' },
+  task_history: {
+    description: 'A task\'s change history (see TaskAudit.js)',
+    params: { taskId: 'string', field: 'string', limit: 'integer' },
+    required: ['taskId']
+  },
+  task_analytics: { description: 'Task counts by status and assignee', roles: ['viewer'] },
+  admin_tasks: { description: 'Every task with its raw fields', scope: 'admin' },
+  get_prompts: { description: 'AI prompts', scope: 'admin', params: { category: 'string' } },
+  get_workflows: { description: 'Workflows', scope: 'admin' },
+  get_workflow_runs: {
+    description: 'Workflow run log',
+    scope: 'admin',
+    params: { workflowId: 'string', taskId: 'string', triggerEvent: 'string', status: 'string', limit: 'integer' }
+  },
+  get_config_all: { description: 'Every config value', scope: 'admin' },
+};
+
+/**
+ * Look up an action's registry entry
+ * @param {string} method - 'GET' or 'POST'
+ * @param {string} action - Action name
+ * @returns {object|null} The entry (aliases resolved, with name set), or null for an unknown action
+ */
+function getApiActionDefinition(method, action) {
+  const registry = method === 'GET' ? API_GET_ACTIONS : API_ACTIONS;
+  if (typeof action !== 'string' || !Object.prototype.hasOwnProperty.call(registry, action)) {
+    return null;
+  }
+  const entry = registry[action];
+  if (entry.aliasOf) {
+    return { ...registry[entry.aliasOf], name: action, aliasOf: entry.aliasOf, description: `Same as ${entry.aliasOf}` };
+  }
+  return { ...entry, name: action };
+}
+
+/**
+ * Names of the registered actions
+ * @param {string} method - 'GET' or 'POST'
+ * @returns {Array<string>} Action names, in registry order
+ */
+function listApiActions(method) {
+  return Object.keys(method === 'GET' ? API_GET_ACTIONS : API_ACTIONS);
+}
+
+/**
+ * Check a POST request against its action's entry
+ * @param {object} definition - From getApiActionDefinition()
+ * @param {string} taskId - The request's taskId
+ * @param {object} data - The request's data object
+ * @param {object} postData - The whole request body
+ * @returns {Array<string>} Problems found (empty when the request is valid)
+ */
+function validateApiRequest_(definition, taskId, data, postData) {
+  const problems = [];
+  if (definition.needsTask !== false && !hasApiValue_(taskId)) {
+    problems.push('taskId is required');
+  }
+  if (taskId !== undefined && taskId !== null && typeof taskId !== 'string') {
+    problems.push('taskId must be a string');
+  }
+  if (!isApiObject_(data)) {
+    problems.push('data must be an object');
+    return problems;
+  }
+
+  const flat = definition.flatData && !isApiObject_(postData.data);
+  const locations = flat
+    ? [['body', { ...(definition.data || {}), ...(definition.body || {}) }, postData]]
+    : [['data', definition.data || {}, data], ['body', definition.body || {}, postData]];
+  (definition.required || []).forEach(name => {
+    const location = locations.find(([, fields]) => fields[name]);
+    if (location && !hasApiValue_(location[2][name])) {
+      problems.push(`${location[0] === 'data' ? 'data.' : ''}${name} is required`);
+    }
+  });
+  locations.forEach(([where, fields, values]) => {
+    Object.keys(fields).forEach(name => {
+      const type = getApiFieldSpec_(fields[name]).type;
+      if (hasApiValue_(values[name]) && !matchesApiType_(values[name], type)) {
+        problems.push(`${where === 'data' ? 'data.' : ''}${name} must be ${API_TYPE_LABELS[type] || type}`);
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * The OpenAPI 3.1 document for GET ?action=openapi
+ * POST actions share the web app URL, so the POST operation's body is a oneOf of every action's
+ * schema with action as the discriminator; GET endpoints are the values of the action query parameter.
+ * @returns {object} The document
+ */
+function getOpenApiDocument() {
+  let url = null;
+  try {
+    url = ScriptApp.getService().getUrl();
+  } catch (error) {
+    Logger.log(`Could not read the web app URL: ${error.toString()}`);
+  }
+
+  const schemas = {
+    ActionResult: {
+      type: 'object',
+      description: 'Web apps cannot set the HTTP status, so errors carry it in status',
+      properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        error: { type: 'string' },
+        status: { type: 'integer' },
+        requestId: { type: 'string', description: 'Pass to undo_change to undo everything the request changed' },
+        replayed: { type: 'boolean', description: 'A stored response returned for a repeated idempotencyKey' },
+        data: {}
+      }
+    }
+  };
+  const mapping = {};
+  listApiActions('POST').forEach(action => {
+    const name = getApiSchemaName_(action);
+    schemas[name] = buildApiRequestSchema_(getApiActionDefinition('POST', action));
+    mapping[action] = `#/components/schemas/${name}`;
+  });
+
+  const getParameters = {};
+  listApiActions('GET').forEach(action => {
+    const definition = getApiActionDefinition('GET', action);
+    Object.keys(definition.params || {}).forEach(param => {
+      if (!getParameters[param]) {
+        getParameters[param] = { name: param, in: 'query', required: false, schema: toJsonSchema_(definition.params[param]), 'x-actions': [] };
+      }
+      getParameters[param]['x-actions'].push(action);
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Chief of Staff AI API',
+      version: API_DOCUMENT_VERSION,
+      description: 'Every request goes to the web app URL. GET endpoints are chosen with ?action=; POST actions ' +
+        'are JSON bodies { action, taskId, data }. Pass clientId plus apiKey, or clientId/timestamp/nonce/signature ' +
+        '(HMAC-SHA256), as query parameters (see ApiAuth.js). x-scope is the API client scope an action needs and ' +
+        'x-roles the roles besides the boss and delegates that may run it. Recordings are uploaded with ' +
+        'action=upload_recording and are not described here.'
+    },
+    servers: url ? [{ url: url }] : [],
+    tags: Object.keys(API_ACTION_CATEGORIES).map(name => ({ name: name, description: API_ACTION_CATEGORIES[name] })),
+    security: [{ clientId: [], apiKey: [] }, { clientId: [], signature: [] }],
+    paths: {
+      '/': {
+        get: {
+          operationId: 'read',
+          tags: ['read'],
+          summary: 'Read data (one endpoint per action value)',
+          parameters: [{
+            name: 'action',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', enum: listApiActions('GET'), default: 'health' }
+          }, ...Object.keys(getParameters).map(param => getParameters[param])],
+          responses: { 200: { description: 'The endpoint\'s response', content: { 'application/json': { schema: { type: 'object' } } } } },
+          'x-actions': buildApiGetActionDocs_()
+        },
+        post: {
+          operationId: 'runAction',
+          summary: 'Run an action',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: Object.keys(mapping).map(action => ({ $ref: mapping[action] })),
+                  discriminator: { propertyName: 'action', mapping: mapping }
+                }
+              }
+            }
+          },
+          responses: { 200: { description: 'The action\'s result', content: { 'application/json': { schema: { $ref: '#/components/schemas/ActionResult' } } } } }
+        }
+      }
+    },
+    components: {
+      schemas: schemas,
+      securitySchemes: {
+        clientId: { type: 'apiKey', in: 'query', name: 'clientId' },
+        apiKey: { type: 'apiKey', in: 'query', name: 'apiKey' },
+        signature: { type: 'apiKey', in: 'query', name: 'signature', description: 'With timestamp and nonce; see ApiAuth.js' }
+      }
+    }
+  };
+}
+
+/**
+ * JSON Schema for one POST action's body
+ */
+function buildApiRequestSchema_(definition) {
+  const required = ['action'];
+  const properties = { action: { const: definition.name } };
+  if (definition.needsTask !== false) {
+    properties.taskId = { type: 'string' };
+    required.push('taskId');
+  }
+
+  const dataFields = definition.data || {};
+  const bodyFields = definition.body || {};
+  const requiredData = (definition.required || []).filter(name => dataFields[name]);
+  if (Object.keys(dataFields).length > 0) {
+    properties.data = {
+      type: 'object',
+      properties: mapApiFields_(dataFields, toJsonSchema_)
+    };
+    if (requiredData.length > 0) {
+      properties.data.required = requiredData;
+    }
+  }
+  const anyOf = [];
+  if (definition.flatData) {
+    // Without a data object, its fields are read from the top level
+    Object.assign(properties, mapApiFields_(dataFields, toJsonSchema_));
+    if (requiredData.length > 0) {
+      anyOf.push({ required: ['data'] }, { required: requiredData });
+    }
+  } else if (requiredData.length > 0) {
+    required.push('data');
+  }
+  Object.assign(properties, mapApiFields_(bodyFields, toJsonSchema_));
+  (definition.required || []).filter(name => bodyFields[name]).forEach(name => required.push(name));
+
+  properties.idempotencyKey = { type: 'string', maxLength: IDEMPOTENCY_MAX_KEY_LENGTH, description: 'Retries with the same key get the first response (see Idempotency.js)' };
+  properties.actorEmail = { type: 'string', format: 'email', description: 'User a signed request acts for' };
+
+  return {
+    type: 'object',
+    title: definition.name,
+    description: definition.description,
+    'x-category': definition.category,
+    required: required,
+    ...(anyOf.length > 0 ? { anyOf: anyOf } : {}),
+    properties: properties,
+    'x-scope': definition.scope || API_SCOPE.WRITE,
+    'x-roles': definition.roles || [],
+    ...(definition.aliasOf ? { 'x-alias-of': definition.aliasOf } : {})
+  };
+}
+
+function buildApiGetActionDocs_() {
+  const docs = {};
+  listApiActions('GET').forEach(action => {
+    const definition = getApiActionDefinition('GET', action);
+    docs[action] = {
+      description: definition.description,
+      parameters: Object.keys(definition.params || {}),
+      required: definition.required || [],
+      'x-scope': definition.public ? 'none' : (definition.scope || API_SCOPE.READ),
+      'x-roles': definition.roles || []
+    };
+  });
+  return docs;
+}
+
+function mapApiFields_(fields, mapper) {
+  const mapped = {};
+  Object.keys(fields).forEach(name => { mapped[name] = mapper(fields[name]); });
+  return mapped;
+}
+
+function getApiFieldSpec_(field) {
+  return typeof field === 'string' ? { type: field } : field;
+}
+
+function toJsonSchema_(field) {
+  const spec = getApiFieldSpec_(field);
+  const schemas = {
+    date: { type: 'string', description: 'Date or date-time, e.g. 2030-03-14' },
+    email: { type: 'string', format: 'email' },
+    integer: { type: ['integer', 'string'], pattern: API_INTEGER_PATTERN.source },
+    any: {},
+    'string[]': { type: 'array', items: { type: 'string' } },
+    'object[]': { type: 'array', items: { type: 'object' } }
+  };
+  const schema = { ...(schemas[spec.type] || { type: spec.type }) };
+  if (spec.description) {
+    schema.description = spec.description;
+  }
+  return schema;
+}
+
+function matchesApiType_(value, type) {
+  switch (type) {
+    case 'string':
+    case 'date':
+    case 'email':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'integer':
+      // Handlers parseInt these, so "3" is accepted like 3
+      return Number.isInteger(value) || (typeof value === 'string' && API_INTEGER_PATTERN.test(value));
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isApiObject_(value);
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object[]':
+      return Array.isArray(value) && value.every(isApiObject_);
+    default:
+      return true;
+  }
+}
+
+function hasApiValue_(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function isApiObject_(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getApiSchemaName_(action) {
+  return action.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('') + 'Request';
+}
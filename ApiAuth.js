@@ -0,0 +1,333 @@
+/**
+ * API Authentication
+ * Per-client API keys and HMAC request signing for the web app (doGet/doPost)
+ *
+ * Apps Script web apps cannot read request headers, so credentials are passed as
+ * query parameters (or, for API-key POSTs, top-level fields of the JSON body).
+ *
+ * Two ways to authenticate:
+ * 1. API key:  ?clientId=dashboard&apiKey=<key>
+ * 2. HMAC:     ?clientId=dashboard&timestamp=<unix seconds or ms>&nonce=<random>&signature=<hex>
+ *    signature = hex(HMAC-SHA256(secret, METHOD + '\n' + timestamp + '\n' + nonce + '\n' + payload))
+ *    payload   = raw POST body, or for GET the query string sorted by key
+ *                (excluding signature), e.g. "action=get_tasks&clientId=dashboard&nonce=...&timestamp=..."
+ *
+ * Clients live in Script Properties under API_CLIENT_<clientId> (see createApiClient()).
+ */
+
+// Scopes granted to API clients (admin implies write implies read)
+const API_SCOPE = {
+  READ: 'read',
+  WRITE: 'write',
+  ADMIN: 'admin',
+};
+
+const API_SCOPE_RANK = {
+  read: 1,
+  write: 2,
+  admin: 3,
+};
+
+const API_CLIENT_PROPERTY_PREFIX = 'API_CLIENT_';
+const API_SIGNATURE_MAX_SKEW_SECONDS = 300;
+const API_NONCE_TTL_SECONDS = 900;
+
+/**
+ * Authenticate a web app request
+ * @param {object} e - The doGet/doPost event
+ * @param {string} method - 'GET' or 'POST'
+ * @param {string} action - The requested action (used for scope checks and logging)
+ * @param {object} postData - Parsed JSON body for POST requests (optional)
+ * @returns {object} { ok: true, client } or { ok: false, status, error }
+ */
+function authenticateRequest(e, method, action, postData = null) {
+  const params = (e && e.parameter) || {};
+
+  if (isPublicApiAction_(method, action)) {
+    return { ok: true, client: null };
+  }
+
+  const body = postData || {};
+  const clientId = params.clientId || body.clientId;
+  if (!clientId) {
+    return rejectRequest_(method, action, null, 401, 'Missing clientId');
+  }
+
+  const client = getApiClient(clientId);
+  if (!client || client.active === false) {
+    return rejectRequest_(method, action, clientId, 401, 'Unknown or revoked client');
+  }
+
+  let verified;
+  if (params.signature) {
+    verified = verifyRequestSignature_(e, method, client, params);
+  } else if (params.apiKey || body.apiKey) {
+    verified = verifyApiKey_(client, params.apiKey || body.apiKey);
+  } else {
+    verified = { ok: false, error: 'Missing apiKey or signature' };
+  }
+
+  if (!verified.ok) {
+    return rejectRequest_(method, action, clientId, 401, verified.error);
+  }
+
+  const requiredScope = getRequiredScope_(method, action);
+  if (!clientHasScope_(client, requiredScope)) {
+    return rejectRequest_(method, action, clientId, 403, `Client lacks the "${requiredScope}" scope required for ${action}`);
+  }
+
+  return {
+    ok: true,
+    client: {
+      clientId: client.clientId,
+      name: client.name || client.clientId,
+      scopes: client.scopes || [],
+      email: client.email || null,
+      role: client.role || null,
+      signed: !!params.signature
+    }
+  };
+}
+
+/**
+ * Build the JSON response returned for a rejected request
+ */
+function createAuthErrorResponse_(authResult) {
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    status: authResult.status,
+    error: authResult.error
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Scope needed to run an action (the scope of its API_ACTIONS / API_GET_ACTIONS entry, see ApiActions.js)
+ */
+function getRequiredScope_(method, action) {
+  const definition = getApiActionDefinition(method, action);
+  if (definition && definition.scope) {
+    return definition.scope;
+  }
+  return method === 'GET' ? API_SCOPE.READ : API_SCOPE.WRITE;
+}
+
+/**
+ * True for GET endpoints that never require credentials (health)
+ */
+function isPublicApiAction_(method, action) {
+  const definition = method === 'GET' ? getApiActionDefinition(method, action) : null;
+  return !!(definition && definition.public);
+}
+
+function clientHasScope_(client, requiredScope) {
+  const required = API_SCOPE_RANK[requiredScope] || API_SCOPE_RANK.admin;
+  return (client.scopes || []).some(scope => (API_SCOPE_RANK[scope] || 0) >= required);
+}
+
+function verifyApiKey_(client, apiKey) {
+  if (!client.apiKeyHash) {
+    return { ok: false, error: 'API key authentication not enabled for this client' };
+  }
+  if (!constantTimeEquals_(sha256Hex_(String(apiKey)), client.apiKeyHash)) {
+    return { ok: false, error: 'Invalid API key' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Verify an HMAC-signed request, including timestamp skew and nonce replay checks
+ */
+function verifyRequestSignature_(e, method, client, params) {
+  if (!client.secret) {
+    return { ok: false, error: 'Request signing not enabled for this client' };
+  }
+
+  const timestamp = Number(params.timestamp);
+  const nonce = params.nonce;
+  if (!timestamp || !nonce) {
+    return { ok: false, error: 'Signed requests require timestamp and nonce' };
+  }
+
+  // Accept both unix seconds and milliseconds
+  const timestampMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  if (Math.abs(Date.now() - timestampMs) > API_SIGNATURE_MAX_SKEW_SECONDS * 1000) {
+    return { ok: false, error: 'Request timestamp outside allowed window' };
+  }
+
+  const payload = method === 'POST'
+    ? ((e.postData && e.postData.contents) || '')
+    : buildCanonicalQuery_(params);
+  const expected = hmacSha256Hex_(`${method}\n${params.timestamp}\n${nonce}\n${payload}`, client.secret);
+
+  if (!constantTimeEquals_(expected, String(params.signature).toLowerCase())) {
+    return { ok: false, error: 'Invalid signature' };
+  }
+
+  // Replay protection: each nonce may be used once per client within the TTL
+  const cache = CacheService.getScriptCache();
+  const nonceKey = `api_nonce_${client.clientId}_${nonce}`.substring(0, 250);
+  if (cache.get(nonceKey)) {
+    return { ok: false, error: 'Nonce already used' };
+  }
+  cache.put(nonceKey, '1', API_NONCE_TTL_SECONDS);
+
+  return { ok: true };
+}
+
+/**
+ * Query string used as the GET signing payload: keys sorted, signature excluded
+ */
+function buildCanonicalQuery_(params) {
+  return Object.keys(params)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+}
+
+function rejectRequest_(method, action, clientId, status, reason) {
+  const message = `Rejected ${method} ${action || '(no action)'} from client ${clientId || '(none)'}: ${reason}`;
+  Logger.log(message);
+  logError(ERROR_TYPE.PERMISSION_ERROR, 'authenticateRequest', message);
+  return { ok: false, status: status, error: status === 403 ? reason : 'Unauthorized: ' + reason };
+}
+
+function sha256Hex_(value) {
+  return bytesToHex_(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, value, Utilities.Charset.UTF_8));
+}
+
+function hmacSha256Hex_(value, secret) {
+  return bytesToHex_(Utilities.computeHmacSha256Signature(value, secret, Utilities.Charset.UTF_8));
+}
+
+function bytesToHex_(bytes) {
+  return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+}
+
+function constantTimeEquals_(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// ============================================
+// CLIENT MANAGEMENT (run from the Apps Script editor)
+// ============================================
+
+/**
+ * Get an API client record from Script Properties
+ * @param {string} clientId - Client identifier
+ * @returns {object|null} Client record or null if not found
+ */
+function getApiClient(clientId) {
+  const raw = PropertiesService.getScriptProperties().getProperty(API_CLIENT_PROPERTY_PREFIX + clientId);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    Logger.log(`Error parsing API client ${clientId}: ${e.toString()}`);
+    return null;
+  }
+}
+
+/**
+ * Create (or replace) an API client and print its credentials once
+ * The API key is stored hashed; the signing secret is stored as-is because HMAC needs it.
+ *
+ * Example: createApiClient('dashboard', ['admin'], { role: 'boss' })
+ *          createApiClient('bi-readonly', ['read'], { role: 'viewer' })
+ *
+ * Without a role, the caller's role is looked up from the client email (see Permissions.js).
+ *
+ * @param {string} clientId - Client identifier (letters, digits, - and _)
+ * @param {Array<string>} scopes - Any of 'read', 'write', 'admin'
+ * @param {object} options - Optional { name, email, role }
+ * @returns {object} { clientId, apiKey, secret, scopes }
+ */
+function createApiClient(clientId, scopes = [API_SCOPE.READ], options = {}) {
+  if (!clientId || !/^[A-Za-z0-9_-]+$/.test(clientId)) {
+    throw new Error('clientId is required and may only contain letters, digits, "-" and "_"');
+  }
+  const invalidScopes = scopes.filter(scope => !API_SCOPE_RANK[scope]);
+  if (invalidScopes.length > 0) {
+    throw new Error(`Unknown scope(s): ${invalidScopes.join(', ')}. Use read, write or admin.`);
+  }
+  if (options.role && !Object.values(USER_ROLE).includes(options.role)) {
+    throw new Error(`Unknown role: ${options.role}. Use ${Object.values(USER_ROLE).join(', ')}.`);
+  }
+
+  const apiKey = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+
+  const client = {
+    clientId: clientId,
+    name: options.name || clientId,
+    email: options.email || null,
+    role: options.role || null,
+    apiKeyHash: sha256Hex_(apiKey),
+    secret: secret,
+    scopes: scopes,
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+  PropertiesService.getScriptProperties().setProperty(API_CLIENT_PROPERTY_PREFIX + clientId, JSON.stringify(client));
+
+  Logger.log(`Created API client "${clientId}" with scopes: ${scopes.join(', ')}`);
+  Logger.log(`  API key: ${apiKey}`);
+  Logger.log(`  Signing secret: ${secret}`);
+  Logger.log('Store these now - the API key cannot be recovered later.');
+
+  return { clientId: clientId, apiKey: apiKey, secret: secret, scopes: scopes };
+}
+
+/**
+ * Revoke an API client (keeps the record for auditing, marks it inactive)
+ */
+function revokeApiClient(clientId) {
+  const client = getApiClient(clientId);
+  if (!client) {
+    Logger.log(`API client ${clientId} not found`);
+    return false;
+  }
+  client.active = false;
+  client.revokedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(API_CLIENT_PROPERTY_PREFIX + clientId, JSON.stringify(client));
+  Logger.log(`Revoked API client ${clientId}`);
+  return true;
+}
+
+/**
+ * List configured API clients (without secrets)
+ */
+function listApiClients() {
+  const properties = PropertiesService.getScriptProperties().getProperties();
+  const clients = Object.keys(properties)
+    .filter(key => key.indexOf(API_CLIENT_PROPERTY_PREFIX) === 0)
+    .map(key => {
+      try {
+        const client = JSON.parse(properties[key]);
+        return {
+          clientId: client.clientId,
+          name: client.name,
+          email: client.email,
+          role: client.role || null,
+          scopes: client.scopes,
+          active: client.active !== false,
+          createdAt: client.createdAt
+        };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(client => client);
+
+  clients.forEach(client => {
+    Logger.log(`${client.active ? '✅' : '❌'} ${client.clientId} [${(client.scopes || []).join(', ')}]${client.email ? ` (${client.email})` : ''}${client.role ? ` as ${client.role}` : ''}`);
+  });
+  return clients;
+}
@@ -0,0 +1,166 @@
+/**
+ * Batch Actions
+ * Several dashboard actions in one doPost round trip (POST { action: 'batch' })
+ *
+ *   { action: 'batch', rollback: true, operations: [
+ *       { action: 'modify_task', taskId: 'TASK-1', data: { dueDate: '2030-03-14' } },
+ *       { action: 'assign_task', taskId: 'TASK-1', data: { assigneeEmail: 'asha@example.com' } },
+ *       { action: 'send_assignment_email', taskId: 'TASK-1' } ] }
+ *
+ * Operations run in order under one script lock, so no trigger writes in between, and share the request's
+ * Request_ID (undo_change with it undoes the whole batch). Every operation is checked against the caller's
+ * role, the API client's scope and its parameters (see ApiActions.js) before any of them runs.
+ *
+ * An operation fails when it throws or returns success: false; the operations after it are skipped
+ * (or still run with continueOnError: true). With rollback: true, a failure puts Tasks_DB back as it was
+ * before the batch: changed tasks get their old values, created tasks go to the trash and deleted tasks are
+ * restored. Only Tasks_DB is rolled back; emails, calendar events, messages and staff changes stand, and the
+ * lifecycle events of rolled-back writes are not emitted.
+ */
+
+const BATCH_MAX_OPERATIONS = 25;
+
+// Actions that cannot run inside a batch
+const BATCH_EXCLUDED_ACTIONS = ['batch', 'upload_recording'];
+
+/**
+ * Run a batch request
+ * @param {object} postData - { operations: [{ action, taskId, data }], rollback, continueOnError }
+ * @param {object} client - The authenticated API client (authenticateRequest)
+ * @param {object} caller - From resolveCaller()
+ * @returns {object} { success, results: [{ index, action, taskId, success, result, error, skipped }],
+ *   failedIndex, rolledBack, rollback? } or { success: false, status, error } for an invalid batch
+ */
+function runBatch(postData, client, caller) {
+  const operations = postData.operations;
+  const rollback = postData.rollback === true;
+  const continueOnError = postData.continueOnError === true;
+
+  const invalid = validateBatch_(operations, client, caller, rollback && continueOnError);
+  if (invalid) {
+    return { success: false, status: invalid.status, error: invalid.error, failedIndex: invalid.index };
+  }
+
+  return withScriptLock_(() => {
+    const snapshot = rollback ? getSheetData(SHEETS.TASKS_DB).map(task => ({ ...task })) : null;
+    const eventMark = getAfterScriptLockMark_();
+    const results = [];
+    let failedIndex = null;
+
+    operations.forEach((operation, index) => {
+      const entry = { index: index, action: operation.action, taskId: operation.taskId || null };
+      if (failedIndex !== null && !continueOnError) {
+        results.push({ ...entry, success: false, skipped: true });
+        return;
+      }
+
+      let result;
+      try {
+        result = withAuditContext_({ detail: `batch ${index + 1}/${operations.length}: ${operation.action}` }, () =>
+          dispatchAction_(operation.action, operation.taskId, operation.data || {}, { ...operation, data: operation.data || {} }));
+      } catch (error) {
+        result = { success: false, error: error.toString() };
+      }
+      const succeeded = !!result && result.success !== false;
+      results.push({ ...entry, success: succeeded, result: result });
+      if (!succeeded && failedIndex === null) {
+        failedIndex = index;
+      }
+    });
+
+    const response = { success: failedIndex === null, results: results, failedIndex: failedIndex, rolledBack: false };
+    if (failedIndex !== null && rollback) {
+      discardAfterScriptLock_(eventMark);
+      response.rollback = rollbackTasks_(snapshot);
+      response.rolledBack = true;
+    }
+    return response;
+  });
+}
+
+/**
+ * Check the whole batch before running any of it
+ * @returns {object} null when valid, else { status, error, index }
+ */
+function validateBatch_(operations, client, caller, conflictingOptions) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { status: 400, error: 'operations must be a non-empty list of { action, taskId, data }' };
+  }
+  if (operations.length > BATCH_MAX_OPERATIONS) {
+    return { status: 400, error: `A batch can have at most ${BATCH_MAX_OPERATIONS} operations` };
+  }
+  if (conflictingOptions) {
+    return { status: 400, error: 'rollback and continueOnError cannot be used together' };
+  }
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    if (!operation || typeof operation.action !== 'string' || !operation.action) {
+      return { status: 400, error: `Operation ${index} has no action`, index: index };
+    }
+    if (BATCH_EXCLUDED_ACTIONS.includes(operation.action)) {
+      return { status: 400, error: `${operation.action} cannot run inside a batch`, index: index };
+    }
+    const definition = getApiActionDefinition('POST', operation.action);
+    if (!definition) {
+      return { status: 400, error: `Operation ${index}: unknown action ${operation.action}`, index: index };
+    }
+    const problems = validateApiRequest_(definition, operation.taskId, operation.data || {}, { ...operation, data: operation.data || {} });
+    if (problems.length > 0) {
+      return { status: 400, error: `Operation ${index}: ${problems.join('; ')}`, index: index };
+    }
+    const requiredScope = getRequiredScope_('POST', operation.action);
+    if (client && !clientHasScope_(client, requiredScope)) {
+      return { status: 403, error: `Operation ${index}: client lacks the "${requiredScope}" scope required for ${operation.action}`, index: index };
+    }
+    const permission = authorizeAction(caller, 'POST', operation.action, operation.taskId);
+    if (!permission.ok) {
+      return { status: permission.status, error: `Operation ${index}: ${permission.error}`, index: index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Put Tasks_DB back to a snapshot taken at the start of the batch (under the batch's lock)
+ * @returns {object} { restored, removed, reverted } - task IDs brought back, sent to the trash, and given old values
+ */
+function rollbackTasks_(snapshot) {
+  const outcome = { restored: [], removed: [], reverted: [] };
+  const before = {};
+  snapshot.forEach(task => { before[task.Task_ID] = task; });
+  const current = {};
+  getSheetData(SHEETS.TASKS_DB).forEach(task => { current[task.Task_ID] = task; });
+
+  withAuditContext_({ detail: 'batch rollback' }, () => {
+    Object.keys(current).filter(taskId => !before[taskId]).forEach(taskId => {
+      deleteTask(taskId);
+      outcome.removed.push(taskId);
+    });
+
+    Object.keys(before).forEach(taskId => {
+      if (!current[taskId]) {
+        const restored = restoreTask(taskId);
+        if (!restored.success) {
+          logError(ERROR_TYPE.DATA_ERROR, 'rollbackTasks_', `Could not restore ${taskId}: ${restored.error}`, taskId);
+          return;
+        }
+        outcome.restored.push(taskId);
+      }
+
+      const task = current[taskId] || getTask(taskId);
+      const values = {};
+      SHEET_COLUMNS[SHEETS.TASKS_DB].forEach(column => {
+        if (AUDIT_IGNORED_FIELDS.includes(column)) return;
+        if (!isSameTaskValue_(task[column], before[taskId][column])) {
+          values[column] = before[taskId][column];
+        }
+      });
+      if (Object.keys(values).length > 0) {
+        updateTask(taskId, values, { changeType: TASK_CHANGE_TYPE.UNDO, emitEvents: false, validate: false });
+        outcome.reverted.push(taskId);
+      }
+    });
+  });
+  return outcome;
+}
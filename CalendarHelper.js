@@ -648,6 +648,11 @@ function testCalendarAccess() {
  * Run this periodically (every 15-30 minutes) via time-driven trigger
  */
 function syncCalendarChangesToTasks() {
+  if (!requireCurrentSchema_('syncCalendarChangesToTasks')) return;
+  return withAuditContext_({ source: AUDIT_SOURCE.CALENDAR_SYNC }, () => syncCalendarChangesToTasks_());
+}
+
+function syncCalendarChangesToTasks_() {
   try {
     Logger.log('=== Syncing Calendar Changes to Tasks ===');
     
@@ -759,7 +764,7 @@ function syncCalendarChangesToTasks() {
 function handleCalendarEventDeleted(task) {
   try {
     const taskId = task.Task_ID;
-    const previousStatus = task.Previous_Status || TASK_STATUS.AI_ASSIST;
+    const previousStatus = normalizeStatus(task.Previous_Status);
     
     Logger.log(`Reverting task ${taskId} from SCHEDULED to ${previousStatus}`);
     
@@ -0,0 +1,195 @@
+/**
+ * Change Feed
+ * Journal of task, staff and project writes, for incremental dashboard sync (GET ?action=changes_since)
+ *
+ * addRow(), addRows(), updateRowByValue() and deleteRowByValue() note each Tasks_DB, Staff_DB and
+ * Projects_DB record they touch; when the script lock is released the records are appended to the
+ * Change_Feed sheet, one row per record, numbered by a sequence kept in Script Properties. Whatever wrote
+ * the record (dashboard, checkForReplies, calendar sync, workflows) shows up in the feed.
+ *
+ *   GET ?action=changes_since&cursor=41     - changes after sequence 41
+ *   GET ?action=changes_since&since=<ISO>   - changes after a time (to start from a full load)
+ *
+ * The response has the current state of every changed record (tasks in the query_tasks default format),
+ * tombstones for records that no longer exist, and the cursor for the next call. get_tasks returns the
+ * current cursor as changeCursor. The feed keeps CHANGE_FEED_RETENTION_DAYS of changes; an older cursor
+ * gets a 410 and the client reloads everything.
+ */
+
+const CHANGE_FEED_SEQUENCE_PROPERTY = 'CHANGE_FEED_SEQUENCE';
+const CHANGE_FEED_PRUNED_PROPERTY = 'CHANGE_FEED_PRUNED_BEFORE';  // Timestamp (ms) of the newest pruned change
+const CHANGE_FEED_RETENTION_DAYS = 14;
+const CHANGE_FEED_DEFAULT_LIMIT = 500;
+const CHANGE_FEED_MAX_LIMIT = 2000;
+
+const CHANGE_OPERATION = {
+  UPSERT: 'upsert',
+  DELETE: 'delete',
+};
+
+// Records noted during the current script lock: { 'Tasks_DB|TASK-1': { table, id, operation } }
+let pendingFeedChanges_ = {};
+
+/**
+ * Key column of a table in the feed
+ * @returns {string} Column, or null for tables the feed does not track
+ */
+function getChangeFeedKeyColumn_(sheetName) {
+  switch (sheetName) {
+    case SHEETS.TASKS_DB: return 'Task_ID';
+    case SHEETS.STAFF_DB: return 'Email';
+    case SHEETS.PROJECTS_DB: return 'Project_Tag';
+    default: return null;
+  }
+}
+
+// Type names used in changes_since responses
+function getChangeFeedType_(sheetName) {
+  switch (sheetName) {
+    case SHEETS.TASKS_DB: return 'tasks';
+    case SHEETS.STAFF_DB: return 'staff';
+    case SHEETS.PROJECTS_DB: return 'projects';
+    default: return null;
+  }
+}
+
+/**
+ * Note a written row (SheetsHelper calls this under the script lock)
+ * @param {string} sheetName - Sheet written
+ * @param {Array} headers - The sheet's header row
+ * @param {Array} row - Row values
+ * @param {string} operation - One of CHANGE_OPERATION
+ */
+function noteRowChange_(sheetName, headers, row, operation) {
+  const keyColumn = getChangeFeedKeyColumn_(sheetName);
+  if (!keyColumn) return;
+  const id = row[headers.indexOf(keyColumn)];
+  if (id === undefined || id === null || id === '') return;
+  pendingFeedChanges_[`${sheetName}|${id}`] = { table: sheetName, id: String(id), operation: operation };
+}
+
+/**
+ * Append the noted records to Change_Feed. Called by withScriptLock_() just before the lock is released.
+ * Never throws: a failed journal write is logged and the data write stands.
+ */
+function recordPendingFeedChanges_() {
+  const changes = Object.keys(pendingFeedChanges_).map(key => pendingFeedChanges_[key]);
+  pendingFeedChanges_ = {};
+  if (changes.length === 0) return;
+
+  try {
+    // Created by the change_feed migration; until then there is nothing to sync from
+    if (!storageHasTable_(SHEETS.CHANGE_FEED)) return;
+
+    const properties = PropertiesService.getScriptProperties();
+    let sequence = parseInt(properties.getProperty(CHANGE_FEED_SEQUENCE_PROPERTY), 10) || 0;
+    const timestamp = new Date();
+    addRows(SHEETS.CHANGE_FEED, changes.map(change => ({
+      Sequence: ++sequence,
+      Timestamp: timestamp,
+      Table: change.table,
+      Record_ID: change.id,
+      Operation: change.operation
+    })));
+    properties.setProperty(CHANGE_FEED_SEQUENCE_PROPERTY, String(sequence));
+  } catch (error) {
+    logError(ERROR_TYPE.DATA_ERROR, 'recordPendingFeedChanges_', `Could not record ${changes.length} change(s): ${error.toString()}`, null, error.stack);
+  }
+}
+
+/**
+ * Sequence of the latest recorded change: a cursor for changes_since
+ * @returns {string} Cursor
+ */
+function getChangeFeedCursor() {
+  return String(parseInt(PropertiesService.getScriptProperties().getProperty(CHANGE_FEED_SEQUENCE_PROPERTY), 10) || 0);
+}
+
+/**
+ * Records created, updated or deleted after a cursor or time
+ * @param {object} params - { cursor } or { since } (ISO time), optional types ("tasks,staff,projects") and limit
+ * @returns {object} { success, cursor, hasMore, tasks, staff, projects, deleted: [{ type, id, deletedAt }] }
+ *   or { success: false, status, error } (400 for bad parameters, 410 when the cursor is older than the feed)
+ */
+function getChangesSince(params = {}) {
+  const hasCursor = params.cursor !== undefined && params.cursor !== '';
+  if (!hasCursor && !params.since) {
+    return { success: false, status: 400, error: 'cursor or since is required' };
+  }
+  const after = hasCursor ? parseInt(params.cursor, 10) : null;
+  const since = params.since ? new Date(params.since) : null;
+  if ((hasCursor && (isNaN(after) || after < 0)) || (since && isNaN(since.getTime()))) {
+    return { success: false, status: 400, error: 'cursor must be a number from changes_since or get_tasks; since an ISO date' };
+  }
+  const types = params.types ? String(params.types).split(',').map(type => type.trim()) : ['tasks', 'staff', 'projects'];
+  const limit = Math.min(parseInt(params.limit, 10) || CHANGE_FEED_DEFAULT_LIMIT, CHANGE_FEED_MAX_LIMIT);
+
+  const entries = storageHasTable_(SHEETS.CHANGE_FEED) ? getSheetData(SHEETS.CHANGE_FEED).filter(entry => entry.Sequence !== '') : [];
+  const prunedBefore = parseInt(PropertiesService.getScriptProperties().getProperty(CHANGE_FEED_PRUNED_PROPERTY), 10) || 0;
+  const oldestSequence = entries.length > 0 ? Number(entries[0].Sequence) : Number(getChangeFeedCursor()) + 1;
+  const expired = hasCursor ? (prunedBefore > 0 && after < oldestSequence - 1) : since.getTime() < prunedBefore;
+  if (expired) {
+    return { success: false, status: 410, resync: true, error: 'The change feed no longer goes back that far; reload everything' };
+  }
+
+  const newer = entries.filter(entry => hasCursor ? Number(entry.Sequence) > after : new Date(entry.Timestamp) > since);
+  const page = newer.slice(0, limit);
+  const result = {
+    success: true,
+    cursor: page.length > 0 ? String(page[page.length - 1].Sequence) : (hasCursor ? String(after) : getChangeFeedCursor()),
+    hasMore: newer.length > page.length,
+    tasks: [],
+    staff: [],
+    projects: [],
+    deleted: []
+  };
+
+  // Latest entry per record; the record's current state is returned, so older entries add nothing
+  const latest = {};
+  page.forEach(entry => {
+    if (types.indexOf(getChangeFeedType_(entry.Table)) !== -1) {
+      latest[`${entry.Table}|${entry.Record_ID}`] = entry;
+    }
+  });
+  Object.keys(latest).forEach(key => {
+    const entry = latest[key];
+    const type = getChangeFeedType_(entry.Table);
+    const record = findFeedRecord_(entry.Table, entry.Record_ID);
+    if (!record) {
+      result.deleted.push({ type: type, id: String(entry.Record_ID), deletedAt: entry.Timestamp });
+    } else if (type === 'tasks') {
+      const formatted = formatTaskForDashboard_({ ...record, Status: normalizeStatus(record.Status) }, []);
+      TASK_QUERY_CONVERSATION_FIELDS.forEach(field => { delete formatted[field]; });
+      result.tasks.push(formatted);
+    } else {
+      result[type].push(record);
+    }
+  });
+  return result;
+}
+
+/**
+ * Remove changes older than CHANGE_FEED_RETENTION_DAYS (daily, from archiveClosedTasks)
+ * @returns {number} Number of changes removed
+ */
+function pruneChangeFeed_() {
+  if (!storageHasTable_(SHEETS.CHANGE_FEED)) return 0;
+  const cutoff = Date.now() - CHANGE_FEED_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  return withScriptLock_(() => {
+    // Only the leading block goes, so the feed never has a gap in the middle
+    const expired = pruneLogRows_(SHEETS.CHANGE_FEED, 'Timestamp', cutoff);
+    if (expired.length === 0) return 0;
+    const newest = Math.max(...expired.map(entry => new Date(entry.Timestamp).getTime()));
+    PropertiesService.getScriptProperties().setProperty(CHANGE_FEED_PRUNED_PROPERTY, String(newest));
+    return expired.length;
+  });
+}
+
+function findFeedRecord_(table, id) {
+  switch (table) {
+    case SHEETS.TASKS_DB: return getTask(id);
+    case SHEETS.STAFF_DB: return getStaff(id);
+    default: return getSheetData(table).find(row => String(row[getChangeFeedKeyColumn_(table)]) === String(id)) || null;
+  }
+}
@@ -254,6 +254,13 @@ function setupTriggers() {
       .atHour(2) // 2 AM
       .create();
     
+    Logger.log('Creating trigger: archiveClosedTasks (daily at 3 AM)');
+    ScriptApp.newTrigger('archiveClosedTasks')
+      .timeBased()
+      .everyDays(1)
+      .atHour(3)
+      .create();
+    
     Logger.log('Creating trigger: checkForReplies (every 15 minutes)');
     ScriptApp.newTrigger('checkForReplies')
       .timeBased()
@@ -278,6 +285,18 @@ function setupTriggers() {
       .everyMinutes(30)
       .create();
     
+    Logger.log('Creating trigger: runScheduledWorkflows (every 15 minutes)');
+    ScriptApp.newTrigger('runScheduledWorkflows')
+      .timeBased()
+      .everyMinutes(15)
+      .create();
+    
+    Logger.log('Creating trigger: runDueJobs (every 5 minutes)');
+    ScriptApp.newTrigger('runDueJobs')
+      .timeBased()
+      .everyMinutes(5)
+      .create();
+    
     // Verify triggers were created
     const newTriggers = ScriptApp.getProjectTriggers();
     Logger.log(`\n=== Triggers created successfully ===`);
@@ -286,6 +305,11 @@ function setupTriggers() {
       Logger.log(`  - ${trigger.getHandlerFunction()} (${trigger.getEventType()})`);
     });
     
+    const schema = getSchemaStatus();
+    if (!schema.upToDate) {
+      Logger.log(`\nWarning: schema version ${schema.version} is not ${schema.latestVersion}; triggers do nothing until migrateUp() has been run`);
+    }
+    
     Logger.log('\nNote: Drive triggers must be set up manually in the editor');
     Logger.log('Go to Triggers > Add Trigger > onVoiceFileAdded (From Drive, On file change)');
     Logger.log('Go to Triggers > Add Trigger > onMeetingFileAdded (From Drive, On file change)');
@@ -345,6 +369,9 @@ function verifyTriggers() {
       'checkMeetingLake': { found: false, description: 'Meeting notes processing (every 15 min)' },
       'updateReliabilityScores': { found: false, description: 'Staff reliability scores (daily)' },
       'syncCalendarChangesToTasks': { found: false, description: 'Calendar bi-directional sync (every 30 min)' },
+      'runDueJobs': { found: false, description: 'Delayed workflow actions from the Jobs sheet (every 5 min)' },
+      'runScheduledWorkflows': { found: false, description: 'Time-based workflow triggers (every 15 min)' },
+      'archiveClosedTasks': { found: false, description: 'Archive closed tasks and empty the trash (daily)' },
     };
     
     let allTriggersFound = true;
@@ -511,6 +538,7 @@ function quickSetupEmailReplySystem() {
  * Update reliability scores for all staff
  */
 function updateReliabilityScores() {
+  if (!requireCurrentSchema_('updateReliabilityScores')) return;
   try {
     const staff = getSheetData(SHEETS.STAFF_DB);
     
@@ -599,6 +627,7 @@ function updateAllTaskCounts() {
  * Check Voice_Inbox folder for new files (called by time-driven trigger)
  */
 function checkVoiceInbox() {
+  if (!requireCurrentSchema_('checkVoiceInbox')) return;
   try {
     Logger.log('=== Checking Voice_Inbox ===');
     const voiceInboxFolderId = CONFIG.VOICE_INBOX_FOLDER_ID();
@@ -686,6 +715,7 @@ function checkVoiceInbox() {
  * Check Meeting_Lake folder for new files (called by time-driven trigger)
  */
 function checkMeetingLake() {
+  if (!requireCurrentSchema_('checkMeetingLake')) return;
   try {
     Logger.log('=== Checking Meeting_Lake folder ===');
     
@@ -739,266 +769,111 @@ function checkMeetingLake() {
 /**
  * Create all sheets with proper schema
  * Run this function once to set up the database structure
+ *
+ * Columns come from SHEET_SCHEMA (Config.js). A new spreadsheet is brought to the latest schema version right away;
+ * an existing one gets any missing sheets and columns, and its data migrations are left to migrateUp().
  */
 function createAllSheets() {
   const spreadsheet = getSpreadsheet();
+  const freshInstall = !spreadsheet.getSheetByName(SHEETS.TASKS_DB);
   
-  // Create or get Tasks_DB sheet
-  let tasksSheet = spreadsheet.getSheetByName('Tasks_DB');
-  const expectedColumns = [
-    'Task_ID', 'Task_Name', 'Status', 'Assignee_Name', 'Assignee_Email', 'Due_Date', 
-    'Proposed_Date', 'Project_Tag', 'Meeting_Action', 'AI_Confidence', 
-    'Tone_Detected', 'Context_Hidden', 'Interaction_Log', 'Boss_Reply_Draft',
-    'Employee_Reply', 'Created_Date', 'Last_Updated', 'Priority',
-    'Calendar_Event_ID', 'Scheduled_Time', 'Previous_Status',
-    'Conversation_History', 'Conversation_State', 'Pending_Changes', 'AI_Summary',
-    'Approval_State', 'Pending_Decision',
-    'Progress_Update', 'Progress_Percentage', 'Last_Progress_Update',
-    'Last_Boss_Message', 'Last_Employee_Message', 'Message_Count', 'Negotiation_History',
-    'Initial_Parameters',
-    'Primary_Thread_ID', 'Processed_Message_IDs', 'Last_Reply_Check',
-    // AI-derived truth snapshot (conversation-as-truth)
-    'Derived_Task_Name', 'Derived_Due_Date_Effective', 'Derived_Due_Date_Proposed',
-    'Derived_Scope_Summary', 'Derived_Field_Provenance', 'Derived_Last_Analyzed_At',
-    // Cheap last-message summary fields (for Task Card snippet)
-    'Last_Message_Timestamp', 'Last_Message_Sender', 'Last_Message_Snippet'
-  ];
-  
-  if (!tasksSheet) {
-    tasksSheet = spreadsheet.insertSheet('Tasks_DB');
-    tasksSheet.getRange(1, 1, 1, expectedColumns.length).setValues([expectedColumns]);
-    tasksSheet.getRange(1, 1, 1, expectedColumns.length).setFontWeight('bold');
-    tasksSheet.setFrozenRows(1);
-    Logger.log('Created Tasks_DB sheet');
-  } else {
+  Object.keys(SHEET_COLUMNS).forEach(sheetName => {
+    const expectedColumns = SHEET_COLUMNS[sheetName];
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, expectedColumns.length).setValues([expectedColumns]);
+      sheet.getRange(1, 1, 1, expectedColumns.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      
+      if (sheetName === SHEETS.CONFIG) {
+        const defaultConfig = getDefaultConfigRows_();
+        sheet.getRange(2, 1, defaultConfig.length, 4).setValues(defaultConfig);
+        Logger.log('Created Config sheet with default values');
+      } else {
+        Logger.log(`Created ${sheetName} sheet`);
+      }
+      return;
+    }
+    
     // Check for missing columns and add them if needed
-    const existingHeaders = tasksSheet.getRange(1, 1, 1, tasksSheet.getLastColumn()).getValues()[0];
+    const existingHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
     let needsUpdate = false;
     
     expectedColumns.forEach((columnName, index) => {
       const columnIndex = existingHeaders.indexOf(columnName);
       if (columnIndex === -1) {
         // Column is missing - insert it at the correct position
-        const insertPosition = index + 1;
-        tasksSheet.insertColumnBefore(insertPosition);
-        tasksSheet.getRange(1, insertPosition).setValue(columnName);
-        tasksSheet.getRange(1, insertPosition).setFontWeight('bold');
+        // (past the last column it is simply appended)
+        const insertPosition = Math.min(index + 1, existingHeaders.length + 1);
+        if (insertPosition <= existingHeaders.length) {
+          sheet.insertColumnBefore(insertPosition);
+        }
+        sheet.getRange(1, insertPosition).setValue(columnName);
+        sheet.getRange(1, insertPosition).setFontWeight('bold');
         
         // Fill empty values for existing rows
-        const lastRow = tasksSheet.getLastRow();
+        const lastRow = sheet.getLastRow();
         if (lastRow > 1) {
-          tasksSheet.getRange(2, insertPosition, lastRow - 1, 1).setValue('');
+          sheet.getRange(2, insertPosition, lastRow - 1, 1).setValue('');
         }
         
-        Logger.log(`Added missing column "${columnName}" to Tasks_DB at position ${insertPosition}`);
+        existingHeaders.splice(insertPosition - 1, 0, columnName);
+        Logger.log(`Added missing column "${columnName}" to ${sheetName} at position ${insertPosition}`);
         needsUpdate = true;
       } else if (columnIndex !== index) {
         // Column exists but in wrong position - log warning but don't move (risky)
-        Logger.log(`Warning: Column "${columnName}" exists at position ${columnIndex + 1} but expected at ${index + 1}`);
+        Logger.log(`Warning: Column "${columnName}" in ${sheetName} exists at position ${columnIndex + 1} but expected at ${index + 1}`);
       }
     });
     
-    if (needsUpdate) {
-      Logger.log('Updated Tasks_DB sheet with missing columns');
-    } else {
-      Logger.log('Tasks_DB sheet structure is up to date');
-    }
-  }
+    Logger.log(needsUpdate ? `Updated ${sheetName} sheet with missing columns` : `${sheetName} sheet structure is up to date`);
+  });
   
-  // Create or get Staff_DB sheet
-  let staffSheet = spreadsheet.getSheetByName('Staff_DB');
-  const expectedStaffColumns = [
-    'Name', 'Email', 'Role', 'Reliability_Score', 'Active_Task_Count',
-    'Department', 'Manager_Email', 'Project_Tags', 'Last_Updated'
-  ];
+  // Columns may have moved: cached copies in running triggers must re-read
+  invalidateSheetCache_();
+  configCache_ = null;
   
-  if (!staffSheet) {
-    staffSheet = spreadsheet.insertSheet('Staff_DB');
-    staffSheet.getRange(1, 1, 1, expectedStaffColumns.length).setValues([expectedStaffColumns]);
-    staffSheet.getRange(1, 1, 1, expectedStaffColumns.length).setFontWeight('bold');
-    staffSheet.setFrozenRows(1);
-    Logger.log('Created Staff_DB sheet');
-  } else {
-    // Check for missing columns and add them if needed
-    const existingHeaders = staffSheet.getRange(1, 1, 1, staffSheet.getLastColumn()).getValues()[0];
-    let needsUpdate = false;
-    
-    expectedStaffColumns.forEach((columnName, index) => {
-      const columnIndex = existingHeaders.indexOf(columnName);
-      if (columnIndex === -1) {
-        // Column is missing - insert it at the correct position
-        const insertPosition = index + 1;
-        staffSheet.insertColumnBefore(insertPosition);
-        staffSheet.getRange(1, insertPosition).setValue(columnName);
-        staffSheet.getRange(1, insertPosition).setFontWeight('bold');
-        
-        // Fill empty values for existing rows
-        const lastRow = staffSheet.getLastRow();
-        if (lastRow > 1) {
-          staffSheet.getRange(2, insertPosition, lastRow - 1, 1).setValue('');
-        }
-        
-        Logger.log(`Added missing column "${columnName}" to Staff_DB at position ${insertPosition}`);
-        needsUpdate = true;
-      }
-    });
-    
-    if (needsUpdate) {
-      Logger.log('Updated Staff_DB sheet with missing columns');
-    } else {
-      Logger.log('Staff_DB sheet structure is up to date');
-    }
-  }
-  
-  // Create or get Projects_DB sheet
-  let projectsSheet = spreadsheet.getSheetByName('Projects_DB');
-  const expectedProjectColumns = [
-    'Project_Tag', 'Project_Name', 'Team_Lead_Email', 'Team_Members', 'Status', 'Priority',
-    'Start_Date', 'End_Date', 'Description'
-  ];
+  Logger.log('All sheets created/verified successfully!');
   
-  if (!projectsSheet) {
-    projectsSheet = spreadsheet.insertSheet('Projects_DB');
-    projectsSheet.getRange(1, 1, 1, expectedProjectColumns.length).setValues([expectedProjectColumns]);
-    projectsSheet.getRange(1, 1, 1, expectedProjectColumns.length).setFontWeight('bold');
-    projectsSheet.setFrozenRows(1);
-    Logger.log('Created Projects_DB sheet');
+  if (freshInstall) {
+    migrateUp();
   } else {
-    // Check for missing columns and add them if needed
-    const existingHeaders = projectsSheet.getRange(1, 1, 1, projectsSheet.getLastColumn()).getValues()[0];
-    let needsUpdate = false;
-    
-    expectedProjectColumns.forEach((columnName, index) => {
-      const columnIndex = existingHeaders.indexOf(columnName);
-      if (columnIndex === -1) {
-        // Column is missing - insert it at the correct position
-        const insertPosition = index + 1;
-        projectsSheet.insertColumnBefore(insertPosition);
-        projectsSheet.getRange(1, insertPosition).setValue(columnName);
-        projectsSheet.getRange(1, insertPosition).setFontWeight('bold');
-        
-        // Fill empty values for existing rows
-        const lastRow = projectsSheet.getLastRow();
-        if (lastRow > 1) {
-          projectsSheet.getRange(2, insertPosition, lastRow - 1, 1).setValue('');
-        }
-        
-        Logger.log(`Added missing column "${columnName}" to Projects_DB at position ${insertPosition}`);
-        needsUpdate = true;
-      }
-    });
-    
-    if (needsUpdate) {
-      Logger.log('Updated Projects_DB sheet with missing columns');
-    } else {
-      Logger.log('Projects_DB sheet structure is up to date');
+    const pending = getPendingMigrations_();
+    if (pending.length > 0) {
+      Logger.log(`${pending.length} migration(s) pending: run previewMigrations() to see the changes, then migrateUp()`);
     }
   }
-  
-  // Create or get Knowledge_Lake sheet
-  let knowledgeSheet = spreadsheet.getSheetByName('Knowledge_Lake');
-  if (!knowledgeSheet) {
-    knowledgeSheet = spreadsheet.insertSheet('Knowledge_Lake');
-    knowledgeSheet.getRange(1, 1, 1, 8).setValues([[
-      'Info_ID', 'Link', 'Source_Type', 'Summary', 'Created_Date',
-      'Meeting_Date', 'Related_Tasks', 'Tags'
-    ]]);
-    knowledgeSheet.getRange(1, 1, 1, 8).setFontWeight('bold');
-    knowledgeSheet.setFrozenRows(1);
-    Logger.log('Created Knowledge_Lake sheet');
-  }
-  
-  // Create or get Config sheet
-  let configSheet = spreadsheet.getSheetByName('Config');
-  if (!configSheet) {
-    configSheet = spreadsheet.insertSheet('Config');
-    configSheet.getRange(1, 1, 1, 4).setValues([[
-      'Key', 'Value', 'Description', 'Category'
-    ]]);
-    configSheet.getRange(1, 1, 1, 4).setFontWeight('bold');
-    configSheet.setFrozenRows(1);
-    
-    // Add default configuration
-    const defaultConfig = [
-      ['BOSS_EMAIL', Session.getActiveUser().getEmail(), 'Boss email address', 'System'],
-      ['ESCALATION_FOLLOWUP_HOURS', '24', 'Hours before first follow-up', 'Timing'],
-      ['ESCALATION_BOSS_ALERT_HOURS', '48', 'Hours before alerting Boss', 'Timing'],
-      ['DEFAULT_MEETING_DURATION_MINUTES', '30', 'Default meeting duration', 'Scheduling'],
-      ['FOCUS_TIME_DURATION_MINUTES', '60', 'Focus time block duration', 'Scheduling'],
-      ['WORKING_HOURS_START', '09:00', 'Start of working hours', 'Scheduling'],
-      ['WORKING_HOURS_END', '17:00', 'End of working hours', 'Scheduling'],
-      ['AI_CONFIDENCE_THRESHOLD', '0.6', 'Minimum confidence for auto-processing', 'AI'],
-      ['RELIABILITY_UPDATE_INTERVAL_HOURS', '24', 'Reliability score update interval', 'Scoring'],
-      ['EMAIL_SIGNATURE', '[Boss\'s Chief of Staff AI]', 'Email signature', 'Email'],
-      ['WEEKLY_MEETING_TITLE', 'Weekly Ops', 'Recurring weekly meeting title', 'Scheduling'],
-      ['NOTIFY_BOSS_ON_DATE_CHANGE', 'false', 'If true, email boss when employee requests a due date change', 'Notifications']
-    ];
-    configSheet.getRange(2, 1, defaultConfig.length, 4).setValues(defaultConfig);
-    Logger.log('Created Config sheet with default values');
-  }
-  
-  // Create or get Error_Log sheet
-  let errorSheet = spreadsheet.getSheetByName('Error_Log');
-  if (!errorSheet) {
-    errorSheet = spreadsheet.insertSheet('Error_Log');
-    errorSheet.getRange(1, 1, 1, 8).setValues([[
-      'Timestamp', 'Error_Type', 'Function_Name', 'Error_Message',
-      'Task_ID', 'Stack_Trace', 'Resolved', 'Resolution_Notes'
-    ]]);
-    errorSheet.getRange(1, 1, 1, 8).setFontWeight('bold');
-    errorSheet.setFrozenRows(1);
-    Logger.log('Created Error_Log sheet');
-  }
-  
-  // Create or get VoicePrompts sheet
-  let voicePromptsSheet = spreadsheet.getSheetByName('VoicePrompts');
-  if (!voicePromptsSheet) {
-    voicePromptsSheet = spreadsheet.insertSheet('VoicePrompts');
-    voicePromptsSheet.getRange(1, 1, 1, 6).setValues([[
-      'Prompt_Name', 'Category', 'Content', 'Version', 'Last_Updated', 'Description'
-    ]]);
-    voicePromptsSheet.getRange(1, 1, 1, 6).setFontWeight('bold');
-    voicePromptsSheet.setFrozenRows(1);
-    Logger.log('Created VoicePrompts sheet');
-  }
-  
-  // Create or get EmailPrompts sheet
-  let emailPromptsSheet = spreadsheet.getSheetByName('EmailPrompts');
-  if (!emailPromptsSheet) {
-    emailPromptsSheet = spreadsheet.insertSheet('EmailPrompts');
-    emailPromptsSheet.getRange(1, 1, 1, 6).setValues([[
-      'Prompt_Name', 'Category', 'Content', 'Version', 'Last_Updated', 'Description'
-    ]]);
-    emailPromptsSheet.getRange(1, 1, 1, 6).setFontWeight('bold');
-    emailPromptsSheet.setFrozenRows(1);
-    Logger.log('Created EmailPrompts sheet');
-  }
-  
-  // Create or get MoMPrompts sheet
-  let momPromptsSheet = spreadsheet.getSheetByName('MoMPrompts');
-  if (!momPromptsSheet) {
-    momPromptsSheet = spreadsheet.insertSheet('MoMPrompts');
-    momPromptsSheet.getRange(1, 1, 1, 6).setValues([[
-      'Prompt_Name', 'Category', 'Content', 'Version', 'Last_Updated', 'Description'
-    ]]);
-    momPromptsSheet.getRange(1, 1, 1, 6).setFontWeight('bold');
-    momPromptsSheet.setFrozenRows(1);
-    Logger.log('Created MoMPrompts sheet');
-  }
-  
-  // Create or get Workflows sheet
-  let workflowsSheet = spreadsheet.getSheetByName('Workflows');
-  if (!workflowsSheet) {
-    workflowsSheet = spreadsheet.insertSheet('Workflows');
-    workflowsSheet.getRange(1, 1, 1, 9).setValues([[
-      'Workflow_ID', 'Name', 'Trigger_Event', 'Conditions', 'Actions', 'Timing', 'Active', 'Last_Updated', 'Description'
-    ]]);
-    workflowsSheet.getRange(1, 1, 1, 9).setFontWeight('bold');
-    workflowsSheet.setFrozenRows(1);
-    Logger.log('Created Workflows sheet');
-  }
-  
-  Logger.log('All sheets created/verified successfully!');
+}
+
+/**
+ * Config rows written when the Config sheet is created
+ */
+function getDefaultConfigRows_() {
+  return [
+    ['BOSS_EMAIL', Session.getActiveUser().getEmail(), 'Boss email address', 'System'],
+    ['ESCALATION_FOLLOWUP_HOURS', '24', 'Hours before first follow-up', 'Timing'],
+    ['ESCALATION_BOSS_ALERT_HOURS', '48', 'Hours before alerting Boss', 'Timing'],
+    ['DEFAULT_MEETING_DURATION_MINUTES', '30', 'Default meeting duration', 'Scheduling'],
+    ['FOCUS_TIME_DURATION_MINUTES', '60', 'Focus time block duration', 'Scheduling'],
+    ['WORKING_HOURS_START', '09:00', 'Start of working hours', 'Scheduling'],
+    ['WORKING_HOURS_END', '17:00', 'End of working hours', 'Scheduling'],
+    ['AI_CONFIDENCE_THRESHOLD', '0.6', 'Minimum confidence for auto-processing', 'AI'],
+    ['RELIABILITY_UPDATE_INTERVAL_HOURS', '24', 'Reliability score update interval', 'Scoring'],
+    ['EMAIL_SIGNATURE', '[Boss\'s Chief of Staff AI]', 'Email signature', 'Email'],
+    ['WEEKLY_MEETING_TITLE', 'Weekly Ops', 'Recurring weekly meeting title', 'Scheduling'],
+    ['NOTIFY_BOSS_ON_DATE_CHANGE', 'false', 'If true, email boss when employee requests a due date change', 'Notifications'],
+    ['WORKFLOW_MAX_CHAIN_DEPTH', '3', 'Max workflows triggering each other before the chain is cut', 'Workflows'],
+    ['WORKFLOW_COOLDOWN_MINUTES', '60', 'Minutes before a workflow can run again for the same task', 'Workflows'],
+    ['WORKFLOW_DAILY_ACTION_BUDGET', '100', 'Max actions per workflow per day before it is disabled', 'Workflows'],
+    ['WORKFLOW_LOG_SKIPPED_RUNS', 'false', 'If true, log workflows whose conditions did not match in Workflow_Runs', 'Workflows'],
+    ['TASK_ARCHIVE_AFTER_DAYS', '90', 'Days after closing before a task moves to Tasks_Archive', 'Retention'],
+    ['TASK_TRASH_RETENTION_DAYS', '30', 'Days a deleted task can be restored before it is removed for good', 'Retention'],
+    ['WORKFLOW_RUN_RETENTION_DAYS', '30', 'Days Workflow_Runs entries are kept', 'Retention'],
+    ['WEBHOOK_DELIVERY_RETENTION_DAYS', '14', 'Days Webhook_Deliveries entries are kept', 'Retention'],
+    ['JOB_RETENTION_DAYS', '7', 'Days finished (done, failed, cancelled) jobs stay in the Jobs sheet', 'Retention']
+  ];
 }
 
 /**
@@ -1539,155 +1414,3 @@ function setMeetingLakeFolderId() {
   }
 }
 
-/**
- * Add Calendar columns to Tasks_DB
- * Run this function to add the new calendar bi-directional sync columns
- * Columns added: Calendar_Event_ID, Scheduled_Time, Previous_Status
- */
-function addCalendarColumnsToTasksDB() {
-  try {
-    Logger.log('=== Adding Calendar Columns to Tasks_DB ===');
-    
-    const spreadsheet = getSpreadsheet();
-    const tasksSheet = spreadsheet.getSheetByName('Tasks_DB');
-    
-    if (!tasksSheet) {
-      Logger.log('ERROR: Tasks_DB sheet not found. Run createAllSheets() first.');
-      return;
-    }
-    
-    // Get existing headers
-    const lastCol = tasksSheet.getLastColumn();
-    const existingHeaders = lastCol > 0 
-      ? tasksSheet.getRange(1, 1, 1, lastCol).getValues()[0] 
-      : [];
-    
-    Logger.log(`Found ${existingHeaders.length} existing columns`);
-    
-    // Columns to add
-    const newColumns = ['Calendar_Event_ID', 'Scheduled_Time', 'Previous_Status'];
-    let addedCount = 0;
-    
-    newColumns.forEach(columnName => {
-      if (!existingHeaders.includes(columnName)) {
-        // Add column at the end
-        const newColPosition = tasksSheet.getLastColumn() + 1;
-        tasksSheet.getRange(1, newColPosition).setValue(columnName);
-        tasksSheet.getRange(1, newColPosition).setFontWeight('bold');
-        Logger.log(`✓ Added column: ${columnName} at position ${newColPosition}`);
-        addedCount++;
-      } else {
-        Logger.log(`Column already exists: ${columnName}`);
-      }
-    });
-    
-    if (addedCount > 0) {
-      Logger.log(`\n=== Added ${addedCount} new column(s) ===`);
-      Logger.log('The calendar bi-directional sync is now ready to use.');
-    } else {
-      Logger.log('\n=== All calendar columns already exist ===');
-    }
-    
-    // Show final column list
-    const finalHeaders = tasksSheet.getRange(1, 1, 1, tasksSheet.getLastColumn()).getValues()[0];
-    Logger.log(`\nFinal columns (${finalHeaders.length} total):`);
-    finalHeaders.forEach((col, i) => Logger.log(`  ${i + 1}. ${col}`));
-    
-  } catch (error) {
-    Logger.log(`ERROR: ${error.toString()}`);
-    Logger.log(`Stack: ${error.stack || 'No stack trace'}`);
-  }
-}
-
-/**
- * Migration script: Migrate to simplified email tracking system
- * Adds new fields and migrates existing thread IDs from Interaction_Log
- * Run this once after deploying the new schema
- */
-function migrateToSimplifiedEmailTracking() {
-  try {
-    Logger.log('=== Starting migration to simplified email tracking ===');
-    
-    // First, ensure schema is up to date (adds new columns if needed)
-    createAllSheets();
-    Logger.log('Schema updated');
-    
-    // Get all tasks
-    const tasks = getSheetData(SHEETS.TASKS_DB);
-    let migratedCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
-    
-    Logger.log(`Found ${tasks.length} task(s) to process`);
-    
-    tasks.forEach(task => {
-      if (!task.Task_ID) {
-        skippedCount++;
-        return;
-      }
-      
-      try {
-        const interactionLog = task.Interaction_Log || '';
-        const updates = {};
-        let hasUpdates = false;
-        
-        // Extract first Thread ID from log if Primary_Thread_ID not set
-        if (!task.Primary_Thread_ID) {
-          const threadIdMatch = interactionLog.match(/Thread ID:\s*([a-zA-Z0-9_-]+)/i);
-          if (threadIdMatch) {
-            const threadId = threadIdMatch[1];
-            
-            // Verify thread still exists
-            try {
-              const thread = GmailApp.getThreadById(threadId);
-              if (thread) {
-                updates.Primary_Thread_ID = threadId;
-                hasUpdates = true;
-                Logger.log(`Task ${task.Task_ID}: Extracted Primary_Thread_ID = ${threadId}`);
-              } else {
-                Logger.log(`Task ${task.Task_ID}: Thread ${threadId} not found, skipping`);
-              }
-            } catch (e) {
-              Logger.log(`Task ${task.Task_ID}: Could not access thread ${threadId}: ${e.toString()}`);
-            }
-          }
-        }
-        
-        // Initialize Processed_Message_IDs if not set
-        if (!task.Processed_Message_IDs) {
-          updates.Processed_Message_IDs = '[]';
-          hasUpdates = true;
-        }
-        
-        // Set Last_Reply_Check if not set
-        if (!task.Last_Reply_Check) {
-          updates.Last_Reply_Check = task.Last_Updated || task.Created_Date || new Date().toISOString();
-          hasUpdates = true;
-        }
-        
-        // Apply updates if any
-        if (hasUpdates) {
-          updateTask(task.Task_ID, updates);
-          migratedCount++;
-        } else {
-          skippedCount++;
-        }
-        
-      } catch (error) {
-        Logger.log(`Error migrating task ${task.Task_ID}: ${error.toString()}`);
-        errorCount++;
-      }
-    });
-    
-    Logger.log(`\n=== Migration complete ===`);
-    Logger.log(`Migrated: ${migratedCount} task(s)`);
-    Logger.log(`Skipped: ${skippedCount} task(s)`);
-    Logger.log(`Errors: ${errorCount} task(s)`);
-    
-  } catch (error) {
-    Logger.log(`ERROR in migration: ${error.toString()}`);
-    Logger.log(`Stack: ${error.stack || 'No stack trace'}`);
-    throw error;
-  }
-}
-
@@ -3,44 +3,26 @@
  * Central configuration for the Chief of Staff AI System
  */
 
-// Get configuration from Config sheet
+// Config sheet contents, read once per script run (every CONFIG.X() call goes through getConfig)
+let configCache_ = null;
+
+// Get configuration from the Config table (read through the storage backend, like every other table)
 function getConfig() {
-  let spreadsheet;
-  
-  // Try to get active spreadsheet first (if script is bound to a sheet)
-  try {
-    const active = SpreadsheetApp.getActiveSpreadsheet();
-    if (active) {
-      spreadsheet = active;
-    }
-  } catch (e) {
-    // Not bound to spreadsheet, continue
-  }
-  
-  // If null, it's a standalone script - use spreadsheet ID from Script Properties
-  if (!spreadsheet) {
-    const spreadsheetId = PropertiesService.getScriptProperties().getProperty('SPREADSHEET_ID');
-    if (!spreadsheetId) {
-      throw new Error('SPREADSHEET_ID not found in Script Properties. Please run quickSetup() or setupStandaloneScript() first with your Spreadsheet ID.');
-    }
-    try {
-      spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    } catch (e) {
-      throw new Error('Could not open spreadsheet with ID: ' + spreadsheetId + '. Error: ' + e.toString() + '\nPlease verify the Spreadsheet ID is correct.');
-    }
-  }
-  
-  if (!spreadsheet) {
-    throw new Error('Could not access spreadsheet. Make sure you have run setupStandaloneScript() or the script is bound to a spreadsheet.');
+  if (configCache_) {
+    return { ...configCache_ };
   }
   
-  const configSheet = spreadsheet.getSheetByName('Config');
-  if (!configSheet) {
+  if (!storageHasTable_(SHEETS.CONFIG)) {
     throw new Error('Config sheet not found. Please run createAllSheets() first in your spreadsheet.');
   }
   
+  configCache_ = configFromRows_(getSheetTable_(SHEETS.CONFIG).values);
+  return { ...configCache_ };
+}
+
+// Key/value pairs from Config rows (Key, Value, Description, Category)
+function configFromRows_(data) {
   const config = {};
-  const data = configSheet.getDataRange().getValues();
   
   // Skip header row
   for (let i = 1; i < data.length; i++) {
@@ -65,61 +47,22 @@ function getConfigValue(key, defaultValue = null) {
   }
 }
 
-// Set a config value in the Config sheet
+// Set a config value in the Config table
 function setConfigValue(key, value, description = '', category = 'System') {
   try {
-    // Use the same logic as getConfig() to access the spreadsheet
-    let spreadsheet;
-    try {
-      const active = SpreadsheetApp.getActiveSpreadsheet();
-      if (active) {
-        spreadsheet = active;
-      }
-    } catch (e) {
-      // Not bound to spreadsheet, continue
-    }
-    
-    if (!spreadsheet) {
-      const spreadsheetId = PropertiesService.getScriptProperties().getProperty('SPREADSHEET_ID');
-      if (!spreadsheetId) {
-        throw new Error('SPREADSHEET_ID not found in Script Properties. Please run quickSetup() first.');
-      }
-      spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    }
-    
-    if (!spreadsheet) {
-      throw new Error('Could not access spreadsheet.');
-    }
-    
-    const configSheet = spreadsheet.getSheetByName('Config');
-    
-    if (!configSheet) {
+    if (!storageHasTable_(SHEETS.CONFIG)) {
       throw new Error('Config sheet not found. Please run createAllSheets() first.');
     }
     
-    const data = configSheet.getDataRange().getValues();
-    let found = false;
-    
-    // Check if key already exists
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === key) {
-        // Update existing row
-        configSheet.getRange(i + 1, 2).setValue(value);
-        if (description) {
-          configSheet.getRange(i + 1, 3).setValue(description);
-        }
-        if (category) {
-          configSheet.getRange(i + 1, 4).setValue(category);
-        }
-        found = true;
-        Logger.log(`Updated config value: ${key} = ${value}`);
-        break;
-      }
-    }
+    configCache_ = null;
+    const updates = { Value: value };
+    if (description) updates.Description = description;
+    if (category) updates.Category = category;
     
-    // If not found, add new row
-    if (!found) {
-      configSheet.appendRow([key, value, description, category]);
+    if (updateRowByValue(SHEETS.CONFIG, 'Key', key, updates)) {
+      Logger.log(`Updated config value: ${key} = ${value}`);
+    } else {
+      addRow(SHEETS.CONFIG, { Key: key, Value: value, Description: description, Category: category });
       Logger.log(`Added new config value: ${key} = ${value}`);
     }
     
@@ -151,6 +94,19 @@ const CONFIG = {
   ESCALATION_FOLLOWUP_HOURS: () => parseInt(getConfigValue('ESCALATION_FOLLOWUP_HOURS', '24')),
   ESCALATION_BOSS_ALERT_HOURS: () => parseInt(getConfigValue('ESCALATION_BOSS_ALERT_HOURS', '48')),
   
+  // Workflow guards (per-workflow overrides go in the Timing column, see WorkflowGuards.js)
+  WORKFLOW_MAX_CHAIN_DEPTH: () => parseInt(getConfigValue('WORKFLOW_MAX_CHAIN_DEPTH', '3')),
+  WORKFLOW_COOLDOWN_MINUTES: () => parseFloat(getConfigValue('WORKFLOW_COOLDOWN_MINUTES', '60')),
+  WORKFLOW_DAILY_ACTION_BUDGET: () => parseInt(getConfigValue('WORKFLOW_DAILY_ACTION_BUDGET', '100')),
+  WORKFLOW_LOG_SKIPPED_RUNS: () => String(getConfigValue('WORKFLOW_LOG_SKIPPED_RUNS', 'false')) === 'true',
+  
+  // Retention (see TaskArchive.js)
+  TASK_ARCHIVE_AFTER_DAYS: () => parseInt(getConfigValue('TASK_ARCHIVE_AFTER_DAYS', '90')),
+  TASK_TRASH_RETENTION_DAYS: () => parseInt(getConfigValue('TASK_TRASH_RETENTION_DAYS', '30')),
+  WORKFLOW_RUN_RETENTION_DAYS: () => parseInt(getConfigValue('WORKFLOW_RUN_RETENTION_DAYS', '30')),
+  WEBHOOK_DELIVERY_RETENTION_DAYS: () => parseInt(getConfigValue('WEBHOOK_DELIVERY_RETENTION_DAYS', '14')),
+  JOB_RETENTION_DAYS: () => parseInt(getConfigValue('JOB_RETENTION_DAYS', '7')),
+  
   // Scheduling
   DEFAULT_MEETING_DURATION_MINUTES: () => parseInt(getConfigValue('DEFAULT_MEETING_DURATION_MINUTES', '30')),
   FOCUS_TIME_DURATION_MINUTES: () => parseInt(getConfigValue('FOCUS_TIME_DURATION_MINUTES', '60')),
@@ -203,7 +159,16 @@ const SHEETS = {
   EMAIL_PROMPTS: 'EmailPrompts',
   MOM_PROMPTS: 'MoMPrompts',
   WORKFLOWS: 'Workflows',
+  JOBS: 'Jobs',
+  WORKFLOW_RUNS: 'Workflow_Runs',
+  CONVERSATION_MESSAGES: 'Conversation_Messages',
+  TASK_AUDIT: 'Task_Audit',
+  TASKS_ARCHIVE: 'Tasks_Archive',
+  CHANGE_FEED: 'Change_Feed',
+  WEBHOOKS: 'Webhooks',
+  WEBHOOK_DELIVERIES: 'Webhook_Deliveries',
 };
+// Columns and field types of each sheet: SHEET_SCHEMA at the end of this file (it uses the enums below)
 
 // Task statuses - LIFECYCLE-only status system
 // Status tracks WHERE the task is in its lifecycle
@@ -362,3 +327,246 @@ const ERROR_TYPE = {
   UNKNOWN_ERROR: 'UNKNOWN_ERROR',
 };
 
+
+// Field types in SHEET_SCHEMA, checked by validateRecord_() (Schema.js)
+const FIELD_TYPE = {
+  STRING: 'string',
+  NUMBER: 'number',
+  DATE: 'date',       // Date, ISO string, yyyy-MM-dd, dd-MM-yyyy or dd/MM/yyyy
+  EMAIL: 'email',
+  ENUM: 'enum',       // { type: ENUM, values: TASK_STATUS } - one of the object's values
+  JSON: 'json',       // String holding JSON (stringify before writing)
+  BOOLEAN: 'boolean',
+};
+
+// Every table at the latest schema version: columns in sheet order, each with its type.
+// A field is a FIELD_TYPE, or { type, required, values, min, max }. Empty values are allowed unless required.
+// createAllSheets() builds new spreadsheets from this; existing data is upgraded by the migrations in Migrations.js,
+// so a new column goes here AND in a new migration
+const PROMPT_SHEET_SCHEMA = {
+  Prompt_Name: { type: FIELD_TYPE.STRING, required: true },
+  Category: FIELD_TYPE.STRING,
+  Content: FIELD_TYPE.STRING,
+  Version: FIELD_TYPE.NUMBER,
+  Last_Updated: FIELD_TYPE.DATE,
+  Description: FIELD_TYPE.STRING,
+};
+const SHEET_SCHEMA = {
+  [SHEETS.TASKS_DB]: {
+    Task_ID: { type: FIELD_TYPE.STRING, required: true },
+    Task_Name: { type: FIELD_TYPE.STRING, required: true },
+    Status: { type: FIELD_TYPE.ENUM, values: TASK_STATUS, required: true },
+    Assignee_Name: FIELD_TYPE.STRING,
+    Assignee_Email: FIELD_TYPE.EMAIL,
+    Due_Date: FIELD_TYPE.DATE,
+    Proposed_Date: FIELD_TYPE.DATE,
+    Project_Tag: FIELD_TYPE.STRING,
+    Meeting_Action: { type: FIELD_TYPE.ENUM, values: MEETING_ACTION },
+    AI_Confidence: { type: FIELD_TYPE.NUMBER, min: 0, max: 1 },
+    Tone_Detected: FIELD_TYPE.STRING,
+    Context_Hidden: FIELD_TYPE.STRING,
+    Interaction_Log: FIELD_TYPE.STRING,
+    Boss_Reply_Draft: FIELD_TYPE.STRING,
+    Employee_Reply: FIELD_TYPE.STRING,
+    Created_Date: FIELD_TYPE.DATE,
+    Last_Updated: FIELD_TYPE.DATE,
+    Priority: FIELD_TYPE.STRING,
+    Calendar_Event_ID: FIELD_TYPE.STRING,
+    Scheduled_Time: FIELD_TYPE.DATE,
+    Previous_Status: FIELD_TYPE.STRING,     // May hold a legacy status (see the lifecycle_statuses migration)
+    Conversation_History: FIELD_TYPE.JSON,  // Legacy, moved to Conversation_Messages
+    Conversation_State: { type: FIELD_TYPE.ENUM, values: CONVERSATION_STATE },
+    Pending_Changes: FIELD_TYPE.JSON,
+    AI_Summary: FIELD_TYPE.STRING,
+    Approval_State: { type: FIELD_TYPE.ENUM, values: APPROVAL_STATE },
+    Pending_Decision: FIELD_TYPE.JSON,
+    Progress_Update: FIELD_TYPE.STRING,
+    Progress_Percentage: { type: FIELD_TYPE.NUMBER, min: 0, max: 100 },
+    Last_Progress_Update: FIELD_TYPE.DATE,
+    Last_Boss_Message: FIELD_TYPE.DATE,
+    Last_Employee_Message: FIELD_TYPE.DATE,
+    Message_Count: { type: FIELD_TYPE.NUMBER, min: 0 },
+    Negotiation_History: FIELD_TYPE.JSON,
+    Initial_Parameters: FIELD_TYPE.JSON,
+    Primary_Thread_ID: FIELD_TYPE.STRING,
+    Processed_Message_IDs: FIELD_TYPE.JSON,
+    Last_Reply_Check: FIELD_TYPE.DATE,
+    // AI-derived truth snapshot (conversation-as-truth)
+    Derived_Task_Name: FIELD_TYPE.STRING,
+    Derived_Due_Date_Effective: FIELD_TYPE.DATE,
+    Derived_Due_Date_Proposed: FIELD_TYPE.DATE,
+    Derived_Scope_Summary: FIELD_TYPE.STRING,
+    Derived_Field_Provenance: FIELD_TYPE.JSON,
+    Derived_Last_Analyzed_At: FIELD_TYPE.DATE,
+    // Cheap last-message summary fields (for Task Card snippet)
+    Last_Message_Timestamp: FIELD_TYPE.DATE,
+    Last_Message_Sender: FIELD_TYPE.STRING,
+    Last_Message_Snippet: FIELD_TYPE.STRING,
+    // Optimistic concurrency: bumped on every task write
+    Version: { type: FIELD_TYPE.NUMBER, min: 0 },
+  },
+  [SHEETS.STAFF_DB]: {
+    Name: { type: FIELD_TYPE.STRING, required: true },
+    Email: { type: FIELD_TYPE.EMAIL, required: true },
+    Role: FIELD_TYPE.STRING,
+    Reliability_Score: { type: FIELD_TYPE.NUMBER, min: 0, max: 100 },
+    Active_Task_Count: { type: FIELD_TYPE.NUMBER, min: 0 },
+    Department: FIELD_TYPE.STRING,
+    Manager_Email: FIELD_TYPE.EMAIL,
+    Project_Tags: FIELD_TYPE.STRING,        // Comma-separated
+    Last_Updated: FIELD_TYPE.DATE,
+  },
+  [SHEETS.PROJECTS_DB]: {
+    Project_Tag: { type: FIELD_TYPE.STRING, required: true },
+    Project_Name: FIELD_TYPE.STRING,
+    Team_Lead_Email: FIELD_TYPE.EMAIL,
+    Team_Members: FIELD_TYPE.STRING,        // Comma-separated emails
+    Status: FIELD_TYPE.STRING,
+    Priority: FIELD_TYPE.STRING,
+    Start_Date: FIELD_TYPE.DATE,
+    End_Date: FIELD_TYPE.DATE,
+    Description: FIELD_TYPE.STRING,
+  },
+  [SHEETS.KNOWLEDGE_LAKE]: {
+    Info_ID: { type: FIELD_TYPE.STRING, required: true },
+    Link: FIELD_TYPE.STRING,
+    Source_Type: { type: FIELD_TYPE.ENUM, values: SOURCE_TYPE },
+    Summary: FIELD_TYPE.STRING,
+    Created_Date: FIELD_TYPE.DATE,
+    Meeting_Date: FIELD_TYPE.DATE,
+    Related_Tasks: FIELD_TYPE.STRING,
+    Tags: FIELD_TYPE.STRING,
+  },
+  [SHEETS.CONFIG]: {
+    Key: { type: FIELD_TYPE.STRING, required: true },
+    Value: FIELD_TYPE.STRING,
+    Description: FIELD_TYPE.STRING,
+    Category: FIELD_TYPE.STRING,
+  },
+  [SHEETS.ERROR_LOG]: {
+    Timestamp: FIELD_TYPE.DATE,
+    Error_Type: { type: FIELD_TYPE.ENUM, values: ERROR_TYPE },
+    Function_Name: FIELD_TYPE.STRING,
+    Error_Message: FIELD_TYPE.STRING,
+    Task_ID: FIELD_TYPE.STRING,
+    Stack_Trace: FIELD_TYPE.STRING,
+    Resolved: FIELD_TYPE.BOOLEAN,
+    Resolution_Notes: FIELD_TYPE.STRING,
+  },
+  [SHEETS.VOICE_PROMPTS]: PROMPT_SHEET_SCHEMA,
+  [SHEETS.EMAIL_PROMPTS]: PROMPT_SHEET_SCHEMA,
+  [SHEETS.MOM_PROMPTS]: PROMPT_SHEET_SCHEMA,
+  [SHEETS.WORKFLOWS]: {
+    Workflow_ID: { type: FIELD_TYPE.STRING, required: true },
+    Name: FIELD_TYPE.STRING,
+    Trigger_Event: FIELD_TYPE.STRING,
+    Conditions: FIELD_TYPE.JSON,
+    Actions: FIELD_TYPE.JSON,
+    Timing: FIELD_TYPE.JSON,
+    Active: FIELD_TYPE.BOOLEAN,
+    Last_Updated: FIELD_TYPE.DATE,
+    Description: FIELD_TYPE.STRING,
+  },
+  // Delayed workflow actions, see JobQueue.js
+  [SHEETS.JOBS]: {
+    Job_ID: { type: FIELD_TYPE.STRING, required: true },
+    Job_Type: FIELD_TYPE.STRING,
+    Status: FIELD_TYPE.STRING,
+    Run_At: FIELD_TYPE.DATE,
+    Attempts: { type: FIELD_TYPE.NUMBER, min: 0 },
+    Max_Attempts: { type: FIELD_TYPE.NUMBER, min: 1 },
+    Task_ID: FIELD_TYPE.STRING,
+    Workflow_ID: FIELD_TYPE.STRING,
+    Payload: FIELD_TYPE.JSON,
+    Last_Error: FIELD_TYPE.STRING,
+    Created_At: FIELD_TYPE.DATE,
+    Updated_At: FIELD_TYPE.DATE,
+  },
+  // Workflow audit trail, see WorkflowRuns.js
+  [SHEETS.WORKFLOW_RUNS]: {
+    Run_ID: { type: FIELD_TYPE.STRING, required: true },
+    Timestamp: FIELD_TYPE.DATE,
+    Trigger_Event: FIELD_TYPE.STRING,
+    Workflow_ID: FIELD_TYPE.STRING,
+    Workflow_Name: FIELD_TYPE.STRING,
+    Task_ID: FIELD_TYPE.STRING,
+    Job_ID: FIELD_TYPE.STRING,
+    Conditions_Met: FIELD_TYPE.BOOLEAN,
+    Condition_Trace: FIELD_TYPE.JSON,
+    Action_Results: FIELD_TYPE.JSON,
+    Status: FIELD_TYPE.STRING,
+    Error: FIELD_TYPE.STRING,
+  },
+  // One row per message, see ConversationHelpers.js
+  [SHEETS.CONVERSATION_MESSAGES]: {
+    Message_ID: { type: FIELD_TYPE.STRING, required: true },
+    Task_ID: { type: FIELD_TYPE.STRING, required: true },
+    Timestamp: FIELD_TYPE.DATE,
+    Sender_Email: FIELD_TYPE.STRING,
+    Sender_Name: FIELD_TYPE.STRING,
+    Type: FIELD_TYPE.STRING,
+    Content: FIELD_TYPE.STRING,
+    Metadata: FIELD_TYPE.JSON,
+    Raw_Content: FIELD_TYPE.STRING,
+    Created_At: FIELD_TYPE.DATE,
+  },
+  // One row per changed task field, see TaskAudit.js
+  [SHEETS.TASK_AUDIT]: {
+    Timestamp: FIELD_TYPE.DATE,
+    Request_ID: FIELD_TYPE.STRING,
+    Change_ID: { type: FIELD_TYPE.STRING, required: true },
+    Change_Type: FIELD_TYPE.STRING,
+    Task_ID: { type: FIELD_TYPE.STRING, required: true },
+    Version: FIELD_TYPE.NUMBER,
+    Field: { type: FIELD_TYPE.STRING, required: true },
+    Old_Value: FIELD_TYPE.STRING,
+    New_Value: FIELD_TYPE.STRING,
+    Actor: FIELD_TYPE.STRING,
+    Source: FIELD_TYPE.STRING,
+    Detail: FIELD_TYPE.STRING,
+  },
+  // One row per written task, staff member or project, see ChangeFeed.js
+  [SHEETS.CHANGE_FEED]: {
+    Sequence: { type: FIELD_TYPE.NUMBER, required: true },
+    Timestamp: FIELD_TYPE.DATE,
+    Table: { type: FIELD_TYPE.STRING, required: true },
+    Record_ID: { type: FIELD_TYPE.STRING, required: true },
+    Operation: FIELD_TYPE.STRING,           // upsert or delete
+  },
+  // Subscribers to task events, see Webhooks.js
+  [SHEETS.WEBHOOKS]: {
+    Webhook_ID: { type: FIELD_TYPE.STRING, required: true },
+    Name: FIELD_TYPE.STRING,
+    URL: { type: FIELD_TYPE.STRING, required: true },
+    Secret: FIELD_TYPE.STRING,              // HMAC-SHA256 signing key, shared with the receiver
+    Events: FIELD_TYPE.STRING,              // Comma-separated event names, or *
+    Active: FIELD_TYPE.BOOLEAN,
+    Created_At: FIELD_TYPE.DATE,
+  },
+  // One row per webhook delivery attempt
+  [SHEETS.WEBHOOK_DELIVERIES]: {
+    Delivery_ID: { type: FIELD_TYPE.STRING, required: true },
+    Timestamp: FIELD_TYPE.DATE,
+    Webhook_ID: FIELD_TYPE.STRING,
+    Event: FIELD_TYPE.STRING,
+    Task_ID: FIELD_TYPE.STRING,
+    Job_ID: FIELD_TYPE.STRING,
+    Attempt: { type: FIELD_TYPE.NUMBER, min: 1 },
+    Status: FIELD_TYPE.STRING,
+    Response_Code: FIELD_TYPE.NUMBER,
+    Error: FIELD_TYPE.STRING,
+  },
+};
+
+// Deleted and long-closed tasks: the Tasks_DB columns plus when and why they left it, see TaskArchive.js
+SHEET_SCHEMA[SHEETS.TASKS_ARCHIVE] = Object.assign({}, SHEET_SCHEMA[SHEETS.TASKS_DB], {
+  Archived_At: FIELD_TYPE.DATE,
+  Deleted_At: FIELD_TYPE.DATE,            // Empty for archived tasks; set for tasks in the trash
+  Deleted_By: FIELD_TYPE.STRING,
+});
+
+// Header row of every table, from SHEET_SCHEMA
+const SHEET_COLUMNS = {};
+Object.keys(SHEET_SCHEMA).forEach(sheetName => {
+  SHEET_COLUMNS[sheetName] = Object.keys(SHEET_SCHEMA[sheetName]);
+});
@@ -1,13 +1,21 @@
 /**
  * Conversation Helpers
- * Single canonical implementation for Conversation_History append + dedupe + last-message summary fields.
+ * Single canonical implementation for conversation append + dedupe + last-message summary fields.
  *
- * Canonical truth = Conversation_History (append-only).
+ * Canonical truth = Conversation_Messages sheet (one row per message, append-only, unlimited retention).
+ * Tasks_DB keeps only summary fields (Message_Count, Last_Message_*, Last_Boss_Message, Last_Employee_Message).
  * Derived truth is computed elsewhere after append (GeminiAI.analyzeConversationAndUpdateState).
+ *
+ * Tasks whose history still sits in the legacy Tasks_DB.Conversation_History cell are moved to
+ * Conversation_Messages on their next append, or all at once by the conversation_messages migration (Migrations.js).
  */
 
+const CONVERSATION_PAGE_SIZE = 50;
+const CONVERSATION_MAX_PAGE_SIZE = 200;
+const CONVERSATION_MAX_CELL_CHARS = 45000; // Sheets cells hold at most 50,000 characters
+
 /**
- * Append a message/event to Conversation_History with dedupe + size guardrails.
+ * Append a message/event to the task conversation with dedupe.
  *
  * Expected message shape (minimum):
  * {
@@ -23,89 +31,73 @@
  */
 function appendToConversationHistory(taskId, message) {
   try {
-    const task = getTask(taskId);
-    if (!task) return false;
-
-    const normalized = _normalizeConversationEvent_(message);
-
-    // Parse existing conversation history
-    let history = [];
-    if (task.Conversation_History) {
-      try {
-        history = JSON.parse(task.Conversation_History);
-        if (!Array.isArray(history)) history = [];
-      } catch (e) {
-        history = [];
+    // Read, dedupe and append under the script lock so overlapping reply checks cannot double-append
+    const appended = withScriptLock_(() => {
+      const task = getTask(taskId);
+      if (!task) return null;
+
+      const normalized = _normalizeConversationEvent_(message);
+
+      // Move any legacy cell history into the store first so nothing is hidden once the store has rows
+      const history = migrateTaskConversation_(task);
+
+      // Dedupe primarily by messageId (stable when available)
+      const msgId = normalized.messageId;
+      const isDuplicate = history.some(m => {
+        if (!m) return false;
+        if (msgId && (m.messageId === msgId || m.id === msgId)) return true;
+        // Secondary heuristic when messageId is missing: same content within 1s
+        if (normalized.content && m.content === normalized.content) {
+          const t1 = new Date(m.timestamp || 0).getTime();
+          const t2 = new Date(normalized.timestamp || 0).getTime();
+          if (t1 && t2 && Math.abs(t1 - t2) < 1000) return true;
+        }
+        return false;
+      });
+
+      if (isDuplicate) {
+        Logger.log(`Duplicate conversation event detected for task ${taskId}, skipping (messageId=${msgId || 'none'})`);
+        return null;
       }
-    }
-
-    // Dedupe primarily by messageId (stable when available)
-    const msgId = normalized.messageId;
-    const isDuplicate = history.some(m => {
-      if (!m) return false;
-      if (msgId && (m.messageId === msgId || m.id === msgId)) return true;
-      // Secondary heuristic when messageId is missing: same content within 1s
-      if (normalized.content && m.content === normalized.content) {
-        const t1 = new Date(m.timestamp || 0).getTime();
-        const t2 = new Date(normalized.timestamp || 0).getTime();
-        if (t1 && t2 && Math.abs(t1 - t2) < 1000) return true;
+
+      ensureConversationMessagesSheet_();
+      addRow(SHEETS.CONVERSATION_MESSAGES, _conversationEventToRow_(taskId, normalized));
+
+      const lastSnippet = _makeSnippet_(normalized.content || '');
+      const lastSender = normalized.senderEmail || normalized.senderName || normalized.type || 'unknown';
+
+      const updateData = {
+        Message_Count: history.length + 1,
+        // Last-message summary for fast Task Card rendering
+        Last_Message_Timestamp: normalized.timestamp,
+        Last_Message_Sender: lastSender,
+        Last_Message_Snippet: lastSnippet,
+        Last_Updated: new Date()
+      };
+
+      // Preserve existing legacy timestamps (still used in UI/logic)
+      if (normalized.type === 'boss_message' || normalized.type === 'boss_approval' || normalized.type === 'boss_rejection' || normalized.type === 'boss_mixed_response') {
+        updateData.Last_Boss_Message = normalized.timestamp;
+      } else if (normalized.type === 'email_reply' || normalized.type === 'employee_reply') {
+        updateData.Last_Employee_Message = normalized.timestamp;
       }
-      return false;
+
+      updateTask(taskId, updateData);
+      return { task: task, normalized: normalized };
     });
+    if (!appended) return false;
 
-    if (isDuplicate) {
-      Logger.log(`Duplicate conversation event detected for task ${taskId}, skipping (messageId=${msgId || 'none'})`);
-      return false;
-    }
-
-    history.push(normalized);
-
-    // Keep a bounded number of events (also helps Sheets cell limits)
-    const MAX_EVENTS = 50;
-    if (history.length > MAX_EVENTS) {
-      history = history.slice(-MAX_EVENTS);
-    }
-
-    // Enforce Sheets cell size limit (~50k chars); keep buffer
-    let historyJson = JSON.stringify(history);
-    const MAX_CELL_CHARS = 45000;
-    if (historyJson.length > MAX_CELL_CHARS) {
-      // Drop older events first
-      history = history.slice(-20);
-      historyJson = JSON.stringify(history);
-
-      // As a last resort truncate individual content fields
-      if (historyJson.length > MAX_CELL_CHARS) {
-        history.forEach(ev => {
-          if (ev && ev.content && ev.content.length > 500) {
-            ev.content = ev.content.substring(0, 500) + '... [truncated]';
-          }
-        });
-        historyJson = JSON.stringify(history);
-      }
-    }
-
-    const lastSnippet = _makeSnippet_(normalized.content || '');
-    const lastSender = normalized.senderEmail || normalized.senderName || normalized.type || 'unknown';
-
-    const updateData = {
-      Conversation_History: historyJson,
-      Message_Count: history.length,
-      // Last-message summary for fast Task Card rendering
-      Last_Message_Timestamp: normalized.timestamp,
-      Last_Message_Sender: lastSender,
-      Last_Message_Snippet: lastSnippet,
-      Last_Updated: new Date()
-    };
-
-    // Preserve existing legacy timestamps (still used in UI/logic)
-    if (normalized.type === 'boss_message' || normalized.type === 'boss_approval' || normalized.type === 'boss_rejection' || normalized.type === 'boss_mixed_response') {
-      updateData.Last_Boss_Message = normalized.timestamp;
-    } else if (normalized.type === 'email_reply' || normalized.type === 'employee_reply') {
-      updateData.Last_Employee_Message = normalized.timestamp;
-    }
-
-    updateTask(taskId, updateData);
+    const { task, normalized } = appended;
+    // Callers may hold the lock (batches): listeners run once it is released, like updateTask's events
+    afterScriptLock_(() => emitTaskEvent(TASK_EVENT.MESSAGE_RECEIVED, {
+      taskId: taskId,
+      before: task,
+      message: normalized,
+      messageType: normalized.type,
+      messageId: normalized.messageId,
+      senderEmail: normalized.senderEmail,
+      direction: getMessageDirection_(normalized.type)
+    }));
     return true;
   } catch (error) {
     Logger.log(`Error appending to conversation history for task ${taskId}: ${error.toString()}`);
@@ -113,6 +105,178 @@ function appendToConversationHistory(taskId, message) {
   }
 }
 
+/**
+ * Full conversation for a task, oldest first
+ * @param {string} taskId - Task ID
+ * @param {object} task - Optional task row (used for the legacy Conversation_History fallback)
+ * @returns {Array} Conversation events { id, messageId, timestamp, senderEmail, senderName, type, content, metadata }
+ */
+function getConversationHistory(taskId, task) {
+  const messages = getTaskConversationMessages_(taskId);
+  if (messages.length > 0) {
+    return messages;
+  }
+  return _parseLegacyConversationHistory_(task !== undefined ? task : getTask(taskId));
+}
+
+/**
+ * One page of a task conversation, newest page first (offset 0 = most recent messages)
+ * @param {string} taskId - Task ID
+ * @param {object} options - Optional { limit, offset }
+ * @returns {object} { messages (oldest first within the page), total, offset, limit, hasMore }
+ */
+function getConversationPage(taskId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || CONVERSATION_PAGE_SIZE, 1), CONVERSATION_MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+  const history = getConversationHistory(taskId, options.task);
+  const end = Math.max(history.length - offset, 0);
+
+  return {
+    messages: history.slice(Math.max(end - limit, 0), end),
+    total: history.length,
+    offset: offset,
+    limit: limit,
+    hasMore: end - limit > 0
+  };
+}
+
+/**
+ * Every stored message grouped by Task_ID, oldest first (one sheet read; use for bulk reads)
+ * @returns {object} { taskId: [events] }
+ */
+function getConversationMessagesByTask_() {
+  const byTask = {};
+  if (!storageHasTable_(SHEETS.CONVERSATION_MESSAGES)) {
+    return byTask; // Not created yet: histories are still in the legacy cells
+  }
+  getSheetData(SHEETS.CONVERSATION_MESSAGES).forEach(row => {
+    if (!row.Task_ID) return;
+    (byTask[row.Task_ID] = byTask[row.Task_ID] || []).push(row);
+  });
+
+  Object.keys(byTask).forEach(taskId => {
+    byTask[taskId] = _sortConversationRows_(byTask[taskId]);
+  });
+  return byTask;
+}
+
+/**
+ * One task's stored messages, oldest first (indexed lookup on Task_ID)
+ * @param {string} taskId - Task ID
+ * @returns {Array} Conversation events
+ */
+function getTaskConversationMessages_(taskId) {
+  if (!storageHasTable_(SHEETS.CONVERSATION_MESSAGES)) {
+    return [];
+  }
+  return _sortConversationRows_(findRowsByValue(SHEETS.CONVERSATION_MESSAGES, 'Task_ID', taskId));
+}
+
+/**
+ * Move a task's legacy Conversation_History cell into Conversation_Messages and clear the cell
+ * @param {object} task - Task row
+ * @returns {Array} The task's conversation after migration, oldest first
+ */
+function migrateTaskConversation_(task) {
+  const legacy = _parseLegacyConversationHistory_(task);
+  const stored = getTaskConversationMessages_(task.Task_ID);
+  if (legacy.length === 0) {
+    return stored;
+  }
+
+  const known = {};
+  stored.forEach(m => { known[m.messageId || m.id] = true; });
+  // Events without ids get stable ones so re-running the migration never duplicates them
+  const missing = legacy
+    .map((m, index) => _normalizeConversationEvent_({ ...m, messageId: m.messageId || m.id || `legacy_${task.Task_ID}_${index}` }))
+    .filter(m => !known[m.messageId]);
+
+  if (missing.length > 0) {
+    ensureConversationMessagesSheet_();
+    addRows(SHEETS.CONVERSATION_MESSAGES, missing.map(m => _conversationEventToRow_(task.Task_ID, m)));
+  }
+  updateTask(task.Task_ID, { Conversation_History: '' }, { emitEvents: false });
+  Logger.log(`Moved ${missing.length} conversation message(s) for task ${task.Task_ID} to ${SHEETS.CONVERSATION_MESSAGES}`);
+
+  return stored.concat(missing).sort((a, b) => (new Date(a.timestamp).getTime() || 0) - (new Date(b.timestamp).getTime() || 0));
+}
+
+/**
+ * Create the Conversation_Messages sheet if createAllSheets() has not been re-run since upgrading
+ */
+function ensureConversationMessagesSheet_() {
+  ensureStorageTable_(SHEETS.CONVERSATION_MESSAGES, SHEET_COLUMNS[SHEETS.CONVERSATION_MESSAGES]);
+}
+
+function _parseLegacyConversationHistory_(task) {
+  if (!task || !task.Conversation_History) return [];
+  try {
+    const history = JSON.parse(task.Conversation_History);
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    Logger.log(`Could not parse Conversation_History for task ${task.Task_ID}`);
+    return [];
+  }
+}
+
+function _conversationEventToRow_(taskId, event) {
+  return {
+    Message_ID: event.messageId,
+    Task_ID: taskId,
+    Timestamp: event.timestamp,
+    Sender_Email: event.senderEmail,
+    Sender_Name: event.senderName,
+    Type: event.type,
+    Content: _toSheetText_(event.content),
+    Metadata: _toSheetText_(JSON.stringify(event.metadata || {})),
+    Raw_Content: _toSheetText_(event.rawContent || ''),
+    Created_At: new Date()
+  };
+}
+
+// Message rows (in sheet order) as events sorted by timestamp; same-time messages keep sheet order
+function _sortConversationRows_(rows) {
+  return rows
+    .map((row, index) => ({ event: _conversationRowToEvent_(row), index: index }))
+    .sort((a, b) => (new Date(a.event.timestamp).getTime() || 0) - (new Date(b.event.timestamp).getTime() || 0) || a.index - b.index)
+    .map(entry => entry.event);
+}
+
+function _conversationRowToEvent_(row) {
+  let metadata = {};
+  try {
+    metadata = row.Metadata ? JSON.parse(row.Metadata) : {};
+  } catch (e) {
+    metadata = {};
+  }
+  const timestamp = row.Timestamp instanceof Date ? row.Timestamp.toISOString() : String(row.Timestamp || '');
+  const event = {
+    id: String(row.Message_ID),
+    messageId: String(row.Message_ID),
+    timestamp: timestamp,
+    senderEmail: row.Sender_Email || '',
+    senderName: row.Sender_Name || '',
+    type: row.Type || 'system',
+    content: String(row.Content || ''),
+    metadata: metadata
+  };
+  if (row.Raw_Content) {
+    event.rawContent = String(row.Raw_Content);
+  }
+  return event;
+}
+
+/**
+ * Keep text as text: cap at the cell limit and stop a leading "=" being read as a formula
+ */
+function _toSheetText_(text) {
+  let value = String(text || '');
+  if (value.length > CONVERSATION_MAX_CELL_CHARS) {
+    value = value.substring(0, CONVERSATION_MAX_CELL_CHARS) + '... [truncated]';
+  }
+  return value.charAt(0) === '=' ? "'" + value : value;
+}
+
 function _normalizeConversationEvent_(message) {
   const nowIso = new Date().toISOString();
   const msg = message || {};
@@ -12,27 +12,46 @@
  * Called from Lovable UI or any other client via the Apps Script web app URL
  */
 function doPost(e) {
+  let idempotency = { claim: null };
   try {
     const contentType = e.postData.type || '';
     
     // Handle file uploads (check for upload action or file data)
-    let postData;
+    let postData = null;
+    let parseError = null;
     try {
       postData = JSON.parse(e.postData.contents);
-    } catch (parseError) {
-      // If not JSON, might be file upload
-      if (contentType.indexOf('multipart') !== -1 || contentType.indexOf('application/octet-stream') !== -1) {
-        return handleFileUpload(e);
-      }
+    } catch (err) {
+      parseError = err;
+    }
+    
+    const isRawUpload = !postData &&
+      (contentType.indexOf('multipart') !== -1 || contentType.indexOf('application/octet-stream') !== -1);
+    const isUpload = isRawUpload || !!(postData && (postData.action === 'upload_recording' || postData.fileData));
+    
+    // Authenticate before doing anything else (including uploads)
+    const auth = authenticateRequest(e, 'POST', isUpload ? 'upload_recording' : (postData && postData.action), postData);
+    if (!auth.ok) {
+      return createAuthErrorResponse_(auth);
+    }
+    
+    // Role-based permissions (see Permissions.js)
+    const caller = resolveCaller(auth.client, postData && postData.actorEmail);
+    const permission = authorizeAction(caller, 'POST', isUpload ? 'upload_recording' : (postData && postData.action), postData && postData.taskId);
+    if (!permission.ok) {
+      return createAuthErrorResponse_(permission);
+    }
+    
+    if (!postData && !isRawUpload) {
       return ContentService.createTextOutput(JSON.stringify({
         success: false,
         error: 'Invalid JSON in request body',
-        message: parseError.toString()
+        message: parseError ? parseError.toString() : 'Empty request body'
       })).setMimeType(ContentService.MimeType.JSON);
     }
     
     // Check if this is a file upload request
-    if (postData.action === 'upload_recording' || postData.fileData) {
+    if (isUpload) {
       return handleFileUpload(e);
     }
     
@@ -42,241 +61,34 @@ function doPost(e) {
     const data = postData.data || {};
     
     Logger.log(`Dashboard action: ${action} for task ${taskId}`);
-    Logger.log(`Full postData: ${JSON.stringify(postData)}`);
+    Logger.log(`Full postData: ${JSON.stringify({ ...postData, apiKey: postData.apiKey ? '[redacted]' : undefined })}`);
     Logger.log(`Action type: ${typeof action}, value: "${action}"`);
     
-    let result = { success: false, message: 'Unknown action' };
-    
-    // Log all available actions for debugging
-    Logger.log(`Checking action "${action}" against switch cases...`);
-    
-    switch (action) {
-      // Frontend API actions
-      case 'create_task':
-        result = handleCreateTask(postData);
-        break;
-      case 'update_task':
-        result = handleUpdateTask(postData);
-        break;
-      case 'delete_task':
-        result = handleDeleteTask(taskId);
-        break;
-      case 'add_staff':
-        result = handleAddStaff(postData);
-        break;
-      // Category B1: Review_AI_Assist actions
-      case 'approve_interpretation':
-        result = handleApproveInterpretation(taskId, data);
-        break;
-      case 'modify_task':
-        result = handleModifyTask(taskId, data);
-        break;
-      case 'assign_task':
-        result = handleAssignTask(taskId, data);
-        break;
-      case 'rewrite_task':
-        result = handleRewriteTask(taskId, data);
-        break;
-      case 'reject_task':
-        result = handleRejectTask(taskId);
-        break;
-      
-      // Category C1: Review_Date actions
-      case 'approve_new_date':
-      case 'boss_approve_date_change':
-        result = handleBossApproveDateChange(taskId, data);
-        break;
-      case 'employee_confirm_date':
-        result = handleEmployeeConfirmDate(taskId);
-        break;
-      case 'reject_date_change':
-        result = handleRejectDateChange(taskId, data);
-        break;
-      case 'negotiate_date':
-      case 'boss_propose_date':
-        result = handleBossProposeDate(taskId, data);
-        break;
-      case 'force_meeting_date':
-        result = handleForceMeeting(taskId);
-        break;
-      
-      // Category C2: Review_Scope actions
-      case 'provide_clarification':
-        result = handleProvideClarification(taskId, data);
-        break;
-      case 'reduce_scope':
-        result = handleReduceScope(taskId, data);
-        break;
-      case 'change_owner':
-        result = handleChangeOwner(taskId, data);
-        break;
-      // increase_priority removed - priority field no longer used
-      case 'cancel_task_scope':
-        result = handleCancelTask(taskId);
-        break;
-      
-      // Category C3: Review_Role actions
-      case 'accept_reassign':
-        result = handleAcceptReassign(taskId, data);
-        break;
-      case 'override_role':
-        result = handleOverrideRole(taskId, data);
-        break;
-      case 'redirect_task':
-        result = handleRedirectTask(taskId, data);
-        break;
-      case 'assign_to_self':
-        result = handleAssignToSelf(taskId);
-        break;
-      case 'cancel_task_role':
-        result = handleCancelTask(taskId);
-        break;
-      
-      // Category A1: Completion Review actions
-      case 'approve_done':
-        result = handleApproveDone(taskId);
-        break;
-      case 'reopen_task':
-        result = handleReopenTask(taskId, data);
-        break;
-      case 'request_proof':
-        result = handleRequestProof(taskId, data);
-        break;
-      
-      // Category A2: Stagnation actions
-      case 'force_meeting_stagnation':
-        result = handleForceMeeting(taskId);
-        break;
-      case 'send_hard_nudge':
-        result = handleSendHardNudge(taskId);
-        break;
-      case 'reassign_stagnation':
-        result = handleReassign(taskId, data);
-        break;
-      case 'kill_task':
-        result = handleCancelTask(taskId);
-        break;
-      
-      // Category A3: Significant Update actions
-      case 'acknowledge_update':
-        result = handleAcknowledgeUpdate(taskId);
-        break;
-      case 'clarify_update':
-        result = handleClarifyUpdate(taskId, data);
-        break;
-      case 'convert_to_meeting':
-        result = handleConvertToMeeting(taskId, data);
-        break;
-      case 'add_to_weekly':
-        result = handleAddToWeekly(taskId);
-        break;
-      case 'schedule_focus_time':
-      case 'carve_personal_time':
-        result = handleScheduleFocusTime(taskId);
-        break;
-      case 'mark_handled':
-        result = handleMarkHandled(taskId);
-        break;
-      
-      // New status management actions
-      case 'put_on_hold':
-        result = handlePutOnHold(taskId, data);
-        break;
-      case 'defer_task':
-        result = handleDeferTask(taskId, data);
-        break;
-      case 'reactivate_task':
-        result = handleReactivateTask(taskId);
-        break;
-      
-      // Admin actions
-      case 'save_prompt':
-        result = handleSavePrompt(postData);
-        break;
-      case 'save_workflow':
-        result = handleSaveWorkflow(postData);
-        break;
-      case 'delete_workflow':
-        result = handleDeleteWorkflow(postData);
-        break;
-      case 'test_workflow':
-        result = handleTestWorkflow(postData);
-        break;
-      
-      // Bulk operations
-      case 'bulk_delete_tasks':
-        result = handleBulkDeleteTasks(postData);
-        break;
-      case 'bulk_assign_tasks':
-        result = handleBulkAssignTasks(postData);
-        break;
-      case 'bulk_update_tasks':
-        result = handleBulkUpdateTasks(postData);
-        break;
-      
-      // Config operations
-      case 'update_config':
-        result = handleUpdateConfigValue(postData);
-        break;
-      case 'update_config_batch':
-        result = handleUpdateConfigBatch(postData);
-        break;
-      
-      // Staff operations
-      case 'update_staff':
-        result = handleUpdateStaffMember(postData);
-        break;
-      case 'delete_staff':
-        result = handleDeleteStaffMember(postData);
-        break;
-      case 'recalculate_reliability':
-        result = handleRecalculateReliability(postData);
-        break;
-      
-      // Force actions
-      case 'force_reprocess':
-        result = handleForceReprocess(taskId);
-        break;
-      case 'send_followup':
-        result = handleSendFollowUp(taskId);
-        break;
-      case 'send_assignment_email':
-        result = handleSendAssignmentEmail(taskId);
-        break;
-      
-      // Granular approval actions (conversation-driven)
-      case 'approve_change':
-        result = handleApproveChange(taskId, data);
-        break;
-      case 'reject_change':
-        result = handleRejectChange(taskId, data);
-        break;
-      case 'send_mixed_response':
-        result = handleMixedResponse(taskId, data);
-        break;
-      // Manual derived-truth override (canonical system event)
-      case 'system_override':
-        result = handleSystemOverride(taskId, data);
-        break;
-      
-      // Conversation state management
-      case 'reanalyze_conversation':
-        result = handleReanalyzeConversation(taskId);
-        break;
-      case 'send_message':
-        result = handleSendMessage(taskId, data);
-        break;
-      
-      default:
-        Logger.log(`Action "${action}" did not match any case in switch statement`);
-        Logger.log(`Available actions include: create_task, update_task, delete_task, modify_task, etc.`);
-        result = { success: false, message: `Unknown action: ${action}` };
+    // A retry with the same idempotencyKey gets the first response back (see Idempotency.js)
+    idempotency = beginIdempotentRequest_(auth.client, postData);
+    if (idempotency.response) {
+      return ContentService.createTextOutput(JSON.stringify(idempotency.response))
+        .setMimeType(ContentService.MimeType.JSON);
     }
     
+    const requestId = 'REQ-' + Utilities.getUuid().substring(0, 8);
+    const result = withAuditContext_({
+      actor: caller.email || `api:${auth.client.clientId}`,
+      source: AUDIT_SOURCE.DASHBOARD,
+      detail: action,
+      requestId: requestId
+    }, () => dispatchAction_(action, taskId, data, postData, { client: auth.client, caller: caller }));
+    // Lets the dashboard undo everything the action changed (undo_change with this requestId)
+    if (result && typeof result === 'object') {
+      result.requestId = requestId;
+    }
+    completeIdempotentRequest_(idempotency.claim, result);
+    
     return ContentService.createTextOutput(JSON.stringify(result))
       .setMimeType(ContentService.MimeType.JSON);
     
   } catch (error) {
+    abandonIdempotentRequest_(idempotency.claim);
     logError(ERROR_TYPE.UNKNOWN_ERROR, 'doPost', error.toString(), null, error.stack);
     return ContentService.createTextOutput(JSON.stringify({
       success: false,
@@ -285,6 +97,43 @@ function doPost(e) {
   }
 }
 
+/**
+ * Run one dashboard action
+ * Looks the action up in API_ACTIONS (see ApiActions.js) and checks the request against it first.
+ * @param {string} action - The action name
+ * @param {string} taskId - Task ID from the request (if any)
+ * @param {object} data - The request's data object
+ * @param {object} postData - The whole request body
+ * @param {object} context - { client, caller } of the request (optional; used by batch)
+ * @returns {object} The handler's result, or { success: false, status: 400, error } for an invalid request
+ */
+function dispatchAction_(action, taskId, data, postData, context = {}) {
+  const definition = getApiActionDefinition('POST', action);
+  if (!definition) {
+    Logger.log(`Action "${action}" is not registered in API_ACTIONS`);
+    return { success: false, message: `Unknown action: ${action}` };
+  }
+  
+  const problems = validateApiRequest_(definition, taskId, data, postData);
+  if (problems.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      error: `Invalid ${action} request: ${problems.join('; ')}`,
+      problems: problems
+    };
+  }
+  
+  return definition.run({
+    action: action,
+    taskId: taskId,
+    data: data,
+    body: postData,
+    client: context.client || null,
+    caller: context.caller || null
+  });
+}
+
 // Category B1: AI Assist handlers
 function handleApproveInterpretation(taskId, data) {
   const task = getTask(taskId);
@@ -886,7 +735,8 @@ function handleDeleteTask(taskId) {
   // #endregion
   
   try {
-    const deleted = deleteRowByValue(SHEETS.TASKS_DB, 'Task_ID', taskId);
+    // Soft delete: the task moves to the trash in Tasks_Archive (see TaskArchive.js)
+    const deleted = deleteTask(taskId);
     if (deleted) {
       // #region agent log
       Logger.log(JSON.stringify({
@@ -899,7 +749,10 @@ function handleDeleteTask(taskId) {
         timestamp: Date.now()
       }));
       // #endregion
-      return { success: true, message: 'Task deleted successfully' };
+      return {
+        success: true,
+        message: `Task moved to the trash; restore_task brings it back within ${CONFIG.TASK_TRASH_RETENTION_DAYS()} days`
+      };
     } else {
       // #region agent log
       Logger.log(JSON.stringify({
@@ -932,6 +785,22 @@ function handleDeleteTask(taskId) {
   }
 }
 
+/**
+ * Bring a task back from the trash or the archive
+ */
+function handleRestoreTask(taskId) {
+  try {
+    const result = restoreTask(taskId);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, message: `Task ${taskId} restored`, taskId: taskId };
+  } catch (error) {
+    logError(ERROR_TYPE.DATA_ERROR, 'handleRestoreTask', error.toString(), taskId, error.stack);
+    return { success: false, error: error.toString() };
+  }
+}
+
 // Category C3: Review_Role handlers
 function handleAcceptReassign(taskId, data) {
   if (!data.newAssigneeEmail) {
@@ -1172,6 +1041,12 @@ function handleCreateTask(postData) {
       return { success: false, error: 'taskName is required' };
     }
     
+    // Reject bad input before any staff records are created (createTask() checks the full row again)
+    const invalid = validateTaskInput_(inputData);
+    if (invalid) {
+      return invalid;
+    }
+    
     // Resolve assignee email if name was provided
     let finalAssigneeEmail = assigneeEmail;
     if (!finalAssigneeEmail && assigneeName) {
@@ -1247,17 +1122,11 @@ function handleCreateTask(postData) {
       Assignee_Name: finalAssigneeName || '',
       Assignee_Email: finalAssigneeEmail || '',
       Project_Tag: projectTag || '',
-      Context_Hidden: description || '',
-      Created_By: 'Manual'
+      Context_Hidden: description || ''
     };
     
-    // Parse due date if provided
     if (dueDate) {
-      try {
-        taskData.Due_Date = new Date(dueDate);
-      } catch (e) {
-        Logger.log('Invalid due date format: ' + dueDate);
-      }
+      taskData.Due_Date = parseDueDateInput_(dueDate);
     }
     
     // Create the task
@@ -1279,6 +1148,9 @@ function handleCreateTask(postData) {
     };
     
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return createValidationErrorResponse_(error, TASK_INPUT_COLUMNS);
+    }
     Logger.log('Error in handleCreateTask: ' + error.toString());
     Logger.log('Stack: ' + (error.stack || 'No stack trace'));
     return {
@@ -1293,7 +1165,8 @@ function handleUpdateTask(postData) {
     // Extract from postData.data (frontend sends data nested under 'data' key)
     const inputData = postData.data || postData;
     const taskId = postData.taskId || inputData.taskId;
-    const { taskId: _, ...fieldsToUpdate } = inputData;
+    const { taskId: _, expectedVersion: __, ...fieldsToUpdate } = inputData;
+    const expectedVersion = inputData.expectedVersion !== undefined ? inputData.expectedVersion : postData.expectedVersion;
     
     if (!taskId) {
       return { success: false, error: 'taskId is required' };
@@ -1305,6 +1178,16 @@ function handleUpdateTask(postData) {
       return { success: false, error: 'Task not found' };
     }
     
+    // Fail fast on a stale edit, before any staff records are created (updateTask re-checks under the lock)
+    if (hasExpectedVersion_(expectedVersion) && parseInt(expectedVersion, 10) !== getTaskVersion(existingTask)) {
+      return createVersionConflictResponse_(createVersionConflictError_(taskId, expectedVersion, getTaskVersion(existingTask)));
+    }
+    
+    const invalid = validateTaskInput_(fieldsToUpdate);
+    if (invalid) {
+      return invalid;
+    }
+    
     // Map frontend field names to sheet column names
     const updates = {};
     if (fieldsToUpdate.taskName !== undefined) updates.Task_Name = fieldsToUpdate.taskName;
@@ -1360,13 +1243,7 @@ function handleUpdateTask(postData) {
     
     if (fieldsToUpdate.status !== undefined) updates.Status = fieldsToUpdate.status;
     // Priority field removed from new status system
-    if (fieldsToUpdate.dueDate !== undefined) {
-      try {
-        updates.Due_Date = new Date(fieldsToUpdate.dueDate);
-      } catch (e) {
-        Logger.log('Invalid due date format: ' + fieldsToUpdate.dueDate);
-      }
-    }
+    if (fieldsToUpdate.dueDate !== undefined) updates.Due_Date = parseDueDateInput_(fieldsToUpdate.dueDate);
     if (fieldsToUpdate.description !== undefined) updates.Context_Hidden = fieldsToUpdate.description;
     
     // Handle project - support both projectId (tag) and projectName
@@ -1384,7 +1261,7 @@ function handleUpdateTask(postData) {
     if (fieldsToUpdate.projectId !== undefined) updates.Project_Tag = fieldsToUpdate.projectId;
     
     // Update the task
-    const updated = updateTask(taskId, updates);
+    const updated = updateTask(taskId, updates, { expectedVersion: expectedVersion });
     
     if (!updated) {
       return { success: false, error: 'Failed to update task' };
@@ -1400,9 +1277,15 @@ function handleUpdateTask(postData) {
       }
     }
     
-    return { success: true };
+    return { success: true, version: getTaskVersion(getTask(taskId)) };
     
   } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') {
+      return createVersionConflictResponse_(error);
+    }
+    if (error.code === 'VALIDATION_ERROR') {
+      return createValidationErrorResponse_(error, TASK_INPUT_COLUMNS);
+    }
     Logger.log('Error in handleUpdateTask: ' + error.toString());
     Logger.log('Stack: ' + (error.stack || 'No stack trace'));
     return {
@@ -1412,6 +1295,70 @@ function handleUpdateTask(postData) {
   }
 }
 
+/**
+ * 409-style response for a stale expectedVersion (web apps cannot set the HTTP status, so it goes in the body)
+ */
+function createVersionConflictResponse_(error) {
+  return {
+    success: false,
+    conflict: true,
+    status: 409,
+    error: error.message,
+    expectedVersion: error.expectedVersion,
+    currentVersion: error.currentVersion
+  };
+}
+
+// Task form fields sent by the dashboard and the Tasks_DB column each one sets
+const TASK_INPUT_COLUMNS = {
+  taskName: 'Task_Name',
+  assigneeName: 'Assignee_Name',
+  assigneeEmail: 'Assignee_Email',
+  dueDate: 'Due_Date',
+  description: 'Context_Hidden',
+  projectId: 'Project_Tag',
+  status: 'Status'
+};
+
+// Dashboard dates ('2026-01-15', ISO timestamps) as Dates; an empty value clears the field
+function parseDueDateInput_(value) {
+  return value ? new Date(value) : '';
+}
+
+/**
+ * Check task form fields against the Tasks_DB schema
+ * @returns {object} Validation error response, or null when the input is valid
+ */
+function validateTaskInput_(inputData) {
+  const record = {};
+  Object.keys(TASK_INPUT_COLUMNS).forEach(field => {
+    if (inputData[field] === undefined) return;
+    record[TASK_INPUT_COLUMNS[field]] = field === 'dueDate' ? parseDueDateInput_(inputData[field]) : inputData[field];
+  });
+  const result = validateRecord_(SHEETS.TASKS_DB, record, { partial: true });
+  return result.valid ? null : createValidationErrorResponse_(createValidationError_(SHEETS.TASKS_DB, result.fieldErrors), TASK_INPUT_COLUMNS);
+}
+
+/**
+ * 400-style response for a write the schema rejected (Schema.js)
+ * @param {object} inputColumns - Optional { inputField: column }: fieldErrors are reported under the input's name
+ *   so the dashboard can show each message next to its field
+ */
+function createValidationErrorResponse_(error, inputColumns = {}) {
+  const inputByColumn = {};
+  Object.keys(inputColumns).forEach(field => { inputByColumn[inputColumns[field]] = field; });
+  const fieldErrors = {};
+  Object.keys(error.fieldErrors).forEach(column => {
+    fieldErrors[inputByColumn[column] || column] = error.fieldErrors[column];
+  });
+  return {
+    success: false,
+    status: 400,
+    error: error.message,
+    fieldErrors: fieldErrors
+  };
+}
+
 /**
  * Handle GET requests (for health checks, data reading, and web app deployment verification)
  */
@@ -1419,6 +1366,17 @@ function doGet(e) {
   try {
     const action = e.parameter.action || 'health';
     
+    const auth = authenticateRequest(e, 'GET', action);
+    if (!auth.ok) {
+      return createAuthErrorResponse_(auth);
+    }
+    
+    const caller = resolveCaller(auth.client, e.parameter.actorEmail);
+    const permission = authorizeAction(caller, 'GET', action, e.parameter.taskId);
+    if (!permission.ok) {
+      return createAuthErrorResponse_(permission);
+    }
+    
     if (action === 'health') {
       return ContentService.createTextOutput(JSON.stringify({
         status: 'ok',
@@ -1431,25 +1389,58 @@ function doGet(e) {
     if (action === 'info') {
       return ContentService.createTextOutput(JSON.stringify({
         service: 'Chief of Staff AI API',
-        availableActions: [
-          'approve_interpretation', 'modify_task', 'assign_task', 'rewrite_task', 'reject_task',
-          'approve_new_date', 'reject_date_change', 'negotiate_date', 'force_meeting_date',
-          'provide_clarification', 'reduce_scope', 'change_owner', 'cancel_task_scope',
-          'accept_reassign', 'override_role', 'redirect_task', 'assign_to_self', 'cancel_task_role',
-          'approve_done', 'reopen_task', 'request_proof',
-          'force_meeting_stagnation', 'send_hard_nudge', 'reassign_stagnation', 'kill_task',
-          'acknowledge_update', 'clarify_update', 'convert_to_meeting', 'add_to_weekly', 'mark_handled',
-          'put_on_hold', 'defer_task', 'reactivate_task'
-        ],
+        availableActions: listApiActions('POST'),
+        getActions: listApiActions('GET'),
+        openapi: '?action=openapi',
         validStatuses: Object.values(TASK_STATUS),
-        usage: 'POST JSON with { action, taskId, data } to this URL'
+        usage: 'POST JSON with { action, taskId, data } to this URL',
+        authentication: 'Pass clientId plus apiKey, or clientId/timestamp/nonce/signature (HMAC-SHA256), as query parameters',
+        role: caller.role
       })).setMimeType(ContentService.MimeType.JSON);
     }
     
+    // Generated from the action registry (see ApiActions.js)
+    if (action === 'openapi') {
+      return ContentService.createTextOutput(JSON.stringify(getOpenApiDocument()))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+    
     // get_tasks action (for frontend compatibility)
+    // One page of tasks with filters, sorting and field selection (see TaskQuery.js)
+    if (action === 'query_tasks') {
+      try {
+        return ContentService.createTextOutput(JSON.stringify({
+          success: true,
+          ...queryTasks(e.parameter, caller)
+        })).setMimeType(ContentService.MimeType.JSON);
+      } catch (error) {
+        if (error.code !== 'INVALID_QUERY') throw error;
+        return ContentService.createTextOutput(JSON.stringify({
+          success: false,
+          status: error.status,
+          error: error.message
+        })).setMimeType(ContentService.MimeType.JSON);
+      }
+    }
+    
+    // Tasks, staff and projects changed since a cursor or time, with tombstones for deletions (see ChangeFeed.js)
+    if (action === 'changes_since') {
+      return ContentService.createTextOutput(JSON.stringify(getChangesSince(e.parameter)))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+    
+    // ?includeArchive=true adds archived tasks, ?includeDeleted=true adds the trash (see TaskArchive.js)
+    // changeCursor is where changes_since picks up from this list
     if (action === 'get_tasks') {
+      const changeCursor = getChangeFeedCursor();
       const status = e.parameter.status;
-      const tasks = getSheetData(SHEETS.TASKS_DB);
+      const includeArchive = e.parameter.includeArchive === 'true';
+      const includeDeleted = e.parameter.includeDeleted === 'true';
+      let allTasks = getSheetData(SHEETS.TASKS_DB);
+      if (includeArchive || includeDeleted) {
+        allTasks = allTasks.concat(getArchivedTasks({ includeDeleted: includeDeleted, deletedOnly: includeDeleted && !includeArchive }));
+      }
+      const tasks = filterTasksForCaller(allTasks, caller);
       
       // Normalize all task statuses to new system
       let filteredTasks = tasks.map(task => ({
@@ -1463,82 +1454,16 @@ function doGet(e) {
       }
       
       // Format tasks to match expected frontend format with conversation state
-      const formattedTasks = filteredTasks.map(task => {
-        // Parse conversation history if available
-        let conversationHistory = [];
-        if (task.Conversation_History) {
-          try {
-            conversationHistory = JSON.parse(task.Conversation_History);
-          } catch (e) {
-            conversationHistory = [];
-          }
-        }
-        
-        // Parse pending changes if available
-        let pendingChanges = [];
-        if (task.Pending_Changes) {
-          try {
-            pendingChanges = JSON.parse(task.Pending_Changes);
-          } catch (e) {
-            pendingChanges = [];
-          }
-        }
-        
-        const conversationState = task.Conversation_State || CONVERSATION_STATE.ACTIVE;
-
-        // Parse derived field provenance (detail-only, but safe to include if small)
-        let derivedFieldProvenance = null;
-        if (task.Derived_Field_Provenance) {
-          try {
-            derivedFieldProvenance = JSON.parse(task.Derived_Field_Provenance);
-          } catch (e) {
-            derivedFieldProvenance = null;
-          }
-        }
-        
-        return {
-          taskId: task.Task_ID || '',
-          taskName: task.Task_Name || '',
-          // AI-derived truth snapshot (preferred rendering in UI)
-          derivedTaskName: task.Derived_Task_Name || '',
-          derivedDueDateEffective: task.Derived_Due_Date_Effective || '',
-          derivedDueDateProposed: task.Derived_Due_Date_Proposed || '',
-          derivedScopeSummary: task.Derived_Scope_Summary || '',
-          derivedFieldProvenance: derivedFieldProvenance,
-          derivedLastAnalyzedAt: task.Derived_Last_Analyzed_At || '',
-          assigneeName: task.Assignee_Name || '',
-          assigneeEmail: task.Assignee_Email || '',
-          status: task.Status || TASK_STATUS.AI_ASSIST,
-          dueDate: task.Due_Date || '',
-          proposedDate: task.Proposed_Date || '',
-          description: task.Context_Hidden || '',
-          projectName: task.Project_Tag || '',
-          createdAt: task.Created_Date || '',
-          updatedAt: task.Last_Updated || '',
-          
-          // Conversation-driven state fields
-          conversationState: conversationState,
-          needsAttention: taskNeedsAttention(conversationState),  // Convenience flag for "Needs Attention" bucket
-          conversationHistory: conversationHistory,
-          aiSummary: task.AI_Summary || '',
-          pendingChanges: pendingChanges,
-          lastMessageTimestamp: task.Last_Message_Timestamp || '',
-          lastMessageSender: task.Last_Message_Sender || '',
-          lastMessageSnippet: task.Last_Message_Snippet || '',
-          
-          // AI metadata
-          aiConfidence: task.AI_Confidence || null,
-          toneDetected: task.Tone_Detected || '',
-          
-          // Legacy fields for compatibility
-          employeeReply: task.Employee_Reply || '',
-          interactionLog: task.Interaction_Log || ''
-        };
-      });
+      // Conversations are read once for all tasks; each card gets its most recent page
+      // (older messages via get_conversation_state with offset)
+      const messagesByTask = getConversationMessagesByTask_();
+      const formattedTasks = filteredTasks.map(task =>
+        redactTaskForCaller(formatTaskForDashboard_(task, messagesByTask[task.Task_ID] || _parseLegacyConversationHistory_(task)), caller));
       
       return ContentService.createTextOutput(JSON.stringify({
         success: true,
-        data: formattedTasks
+        data: formattedTasks,
+        changeCursor: changeCursor
       })).setMimeType(ContentService.MimeType.JSON);
     }
     
@@ -1598,13 +1523,23 @@ function doGet(e) {
           pendingChanges = [];
         }
         
+        // Messages are paged newest first: offset 0 returns the latest `limit` messages
+        const page = getConversationPage(taskId, { limit: e.parameter.limit, offset: e.parameter.offset, task: task });
+        
         return ContentService.createTextOutput(JSON.stringify({
           success: true,
           data: {
             conversationState: task.Conversation_State || CONVERSATION_STATE.ACTIVE,
             pendingChanges: pendingChanges,
             summary: task.AI_Summary || '',
-            lastUpdated: task.Last_Updated
+            lastUpdated: task.Last_Updated,
+            messages: page.messages,
+            pagination: {
+              total: page.total,
+              offset: page.offset,
+              limit: page.limit,
+              hasMore: page.hasMore
+            }
           }
         })).setMimeType(ContentService.MimeType.JSON);
       } catch (error) {
@@ -1619,7 +1554,7 @@ function doGet(e) {
     // Data reading endpoints (legacy support)
     if (action === 'tasks') {
       const status = e.parameter.status;
-      const tasks = getSheetData(SHEETS.TASKS_DB);
+      const tasks = filterTasksForCaller(getSheetData(SHEETS.TASKS_DB), caller);
       const staffList = getSheetData(SHEETS.STAFF_DB);
       
       // Create a map of email -> name for quick lookup
@@ -1783,6 +1718,41 @@ function doGet(e) {
       })).setMimeType(ContentService.MimeType.JSON);
     }
     
+    // Workflow audit trail: ?action=get_workflow_runs&workflowId=WF-1&taskId=TASK-1&limit=50
+    if (action === 'get_workflow_runs') {
+      const runs = getWorkflowRuns({
+        workflowId: e.parameter.workflowId,
+        taskId: e.parameter.taskId,
+        triggerEvent: e.parameter.triggerEvent,
+        status: e.parameter.status,
+        limit: e.parameter.limit
+      });
+      return ContentService.createTextOutput(JSON.stringify({
+        success: true,
+        data: runs,
+        count: runs.length
+      })).setMimeType(ContentService.MimeType.JSON);
+    }
+    
+    // Task change history: ?action=task_history&taskId=TASK-1&field=Status&limit=50
+    if (action === 'task_history') {
+      if (!e.parameter.taskId) {
+        return ContentService.createTextOutput(JSON.stringify({
+          success: false,
+          error: 'taskId parameter required'
+        })).setMimeType(ContentService.MimeType.JSON);
+      }
+      const history = getTaskHistory(e.parameter.taskId, {
+        field: e.parameter.field,
+        limit: e.parameter.limit
+      });
+      return ContentService.createTextOutput(JSON.stringify({
+        success: true,
+        data: history,
+        count: history.length
+      })).setMimeType(ContentService.MimeType.JSON);
+    }
+    
     if (action === 'get_config_all') {
       const config = getConfig();
       // Transform config object to array format
@@ -1860,7 +1830,7 @@ function doGet(e) {
     
     return ContentService.createTextOutput(JSON.stringify({
       error: 'Unknown action',
-      availableActions: ['health', 'info', 'tasks', 'staff', 'projects', 'task', 'admin_tasks', 'get_prompts', 'get_workflows', 'get_config_all', 'task_analytics']
+      availableActions: listApiActions('GET')
     })).setMimeType(ContentService.MimeType.JSON);
     
   } catch (error) {
@@ -1872,6 +1842,81 @@ function doGet(e) {
   }
 }
 
+/**
+ * A task in the get_tasks format
+ * @param {object} task - Tasks_DB (or Tasks_Archive) row
+ * @param {Array} fullHistory - The task's conversation messages, oldest first; the latest page is included
+ * @returns {object} The task as the dashboard reads it (camelCase fields)
+ */
+function formatTaskForDashboard_(task, fullHistory) {
+  const conversationHistory = fullHistory.slice(-CONVERSATION_PAGE_SIZE);
+  
+  // Parse pending changes if available
+  let pendingChanges = [];
+  if (task.Pending_Changes) {
+    try {
+      pendingChanges = JSON.parse(task.Pending_Changes);
+    } catch (e) {
+      pendingChanges = [];
+    }
+  }
+  
+  const conversationState = task.Conversation_State || CONVERSATION_STATE.ACTIVE;
+
+  // Parse derived field provenance (detail-only, but safe to include if small)
+  let derivedFieldProvenance = null;
+  if (task.Derived_Field_Provenance) {
+    try {
+      derivedFieldProvenance = JSON.parse(task.Derived_Field_Provenance);
+    } catch (e) {
+      derivedFieldProvenance = null;
+    }
+  }
+  
+  return {
+    taskId: task.Task_ID || '',
+    taskName: task.Task_Name || '',
+    // AI-derived truth snapshot (preferred rendering in UI)
+    derivedTaskName: task.Derived_Task_Name || '',
+    derivedDueDateEffective: task.Derived_Due_Date_Effective || '',
+    derivedDueDateProposed: task.Derived_Due_Date_Proposed || '',
+    derivedScopeSummary: task.Derived_Scope_Summary || '',
+    derivedFieldProvenance: derivedFieldProvenance,
+    derivedLastAnalyzedAt: task.Derived_Last_Analyzed_At || '',
+    assigneeName: task.Assignee_Name || '',
+    assigneeEmail: task.Assignee_Email || '',
+    status: task.Status || TASK_STATUS.AI_ASSIST,
+    dueDate: task.Due_Date || '',
+    proposedDate: task.Proposed_Date || '',
+    description: task.Context_Hidden || '',
+    projectName: task.Project_Tag || '',
+    createdAt: task.Created_Date || '',
+    updatedAt: task.Last_Updated || '',
+    version: getTaskVersion(task),  // Send back as expectedVersion with update_task / bulk_update_tasks
+    archivedAt: task.Archived_At || '',  // Set for tasks from the archive or trash (restore_task brings them back)
+    deletedAt: task.Deleted_At || '',
+    
+    // Conversation-driven state fields
+    conversationState: conversationState,
+    needsAttention: taskNeedsAttention(conversationState),  // Convenience flag for "Needs Attention" bucket
+    conversationHistory: conversationHistory,
+    conversationMessageCount: fullHistory.length,
+    aiSummary: task.AI_Summary || '',
+    pendingChanges: pendingChanges,
+    lastMessageTimestamp: task.Last_Message_Timestamp || '',
+    lastMessageSender: task.Last_Message_Sender || '',
+    lastMessageSnippet: task.Last_Message_Snippet || '',
+    
+    // AI metadata
+    aiConfidence: task.AI_Confidence || null,
+    toneDetected: task.Tone_Detected || '',
+    
+    // Legacy fields for compatibility
+    employeeReply: task.Employee_Reply || '',
+    interactionLog: task.Interaction_Log || ''
+  };
+}
+
 /**
  * Handle file upload (voice recordings)
  * Accepts file as base64 string in JSON or as blob data
@@ -2047,59 +2092,82 @@ function handleSaveWorkflow(postData) {
     if (!name || !triggerEvent) {
       return { success: false, error: 'name and triggerEvent are required' };
     }
+
+    // Reject invalid conditions now rather than failing silently when the workflow runs
+    let parsedConditions = conditions;
+    if (typeof conditions === 'string' && conditions.trim() !== '') {
+      try {
+        parsedConditions = JSON.parse(conditions);
+      } catch (e) {
+        return { success: false, error: 'Invalid conditions JSON: ' + e.message };
+      }
+    }
+    const conditionCheck = validateConditions(parsedConditions);
+    if (!conditionCheck.valid) {
+      return { success: false, error: 'Invalid conditions: ' + conditionCheck.errors.join('; '), details: conditionCheck.errors };
+    }
     
-    const spreadsheet = getSpreadsheet();
-    const sheet = spreadsheet.getSheetByName(SHEETS.WORKFLOWS);
-    if (!sheet) {
+    let parsedTiming = timing;
+    if (typeof timing === 'string' && timing.trim() !== '') {
+      try {
+        parsedTiming = JSON.parse(timing);
+      } catch (e) {
+        return { success: false, error: 'Invalid timing JSON: ' + e.message };
+      }
+    }
+    const scheduleCheck = validateSchedule(triggerEvent, parsedTiming);
+    const limitCheck = validateWorkflowLimits(parsedTiming);
+    const timingErrors = scheduleCheck.errors.concat(limitCheck.errors);
+    if (timingErrors.length > 0) {
+      return { success: false, error: 'Invalid timing: ' + timingErrors.join('; '), details: timingErrors };
+    }
+
+    let parsedActions = actions;
+    if (typeof actions === 'string' && actions.trim() !== '') {
+      try {
+        parsedActions = JSON.parse(actions);
+      } catch (e) {
+        return { success: false, error: 'Invalid actions JSON: ' + e.message };
+      }
+    }
+    const actionCheck = validateWorkflowActions(parsedActions || []);
+    if (!actionCheck.valid) {
+      return { success: false, error: 'Invalid actions: ' + actionCheck.errors.join('; '), details: actionCheck.errors };
+    }
+
+    if (!storageHasTable_(SHEETS.WORKFLOWS)) {
       return { success: false, error: 'Workflows sheet not found' };
     }
     
-    const data = sheet.getDataRange().getValues();
-    let found = false;
-    let rowIndex = -1;
-    
     // Check if workflow exists
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === workflowId) {
-        found = true;
-        rowIndex = i + 1;
-        break;
-      }
-    }
+    const found = !!workflowId && !!findRowByValue(SHEETS.WORKFLOWS, 'Workflow_ID', workflowId);
     
     const now = new Date();
     const conditionsJson = typeof conditions === 'string' ? conditions : JSON.stringify(conditions || {});
     const actionsJson = typeof actions === 'string' ? actions : JSON.stringify(actions || []);
     const timingJson = typeof timing === 'string' ? timing : JSON.stringify(timing || {});
+    const fields = {
+      Name: name,
+      Trigger_Event: triggerEvent,
+      Conditions: conditionsJson,
+      Actions: actionsJson,
+      Timing: timingJson,
+      Active: active !== false,
+      Last_Updated: now,
+      Description: description || ''
+    };
     
     if (found) {
       // Update existing workflow
-      sheet.getRange(rowIndex, 1, 1, 9).setValues([[
-        workflowId,
-        name,
-        triggerEvent,
-        conditionsJson,
-        actionsJson,
-        timingJson,
-        active !== false,
-        now,
-        description || ''
-      ]]);
+      updateRowByValue(SHEETS.WORKFLOWS, 'Workflow_ID', workflowId, fields);
       Logger.log(`Updated workflow: ${workflowId}`);
+      if (active !== false) {
+        resetWorkflowGuards(workflowId); // Re-enabling after a circuit breaker trip starts a fresh budget
+      }
     } else {
       // Create new workflow
       const newWorkflowId = workflowId || `WF-${Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMddHHmmss')}`;
-      sheet.appendRow([
-        newWorkflowId,
-        name,
-        triggerEvent,
-        conditionsJson,
-        actionsJson,
-        timingJson,
-        active !== false,
-        now,
-        description || ''
-      ]);
+      addRow(SHEETS.WORKFLOWS, { Workflow_ID: newWorkflowId, ...fields });
       Logger.log(`Created new workflow: ${newWorkflowId}`);
     }
     
@@ -2121,19 +2189,13 @@ function handleDeleteWorkflow(postData) {
       return { success: false, error: 'workflowId is required' };
     }
     
-    const spreadsheet = getSpreadsheet();
-    const sheet = spreadsheet.getSheetByName(SHEETS.WORKFLOWS);
-    if (!sheet) {
+    if (!storageHasTable_(SHEETS.WORKFLOWS)) {
       return { success: false, error: 'Workflows sheet not found' };
     }
     
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === workflowId) {
-        sheet.deleteRow(i + 1);
-        Logger.log(`Deleted workflow: ${workflowId}`);
-        return { success: true, message: 'Workflow deleted successfully' };
-      }
+    if (deleteRowByValue(SHEETS.WORKFLOWS, 'Workflow_ID', workflowId)) {
+      Logger.log(`Deleted workflow: ${workflowId}`);
+      return { success: true, message: 'Workflow deleted successfully' };
     }
     
     return { success: false, error: 'Workflow not found' };
@@ -2145,16 +2207,36 @@ function handleDeleteWorkflow(postData) {
 
 /**
  * Handle test workflow request (dry run)
+ * Body: { workflow | workflowId, sampleContext?, taskId?, replayDays? }
+ * With replayDays, previews the workflow against the last N days of task events instead.
  */
 function handleTestWorkflow(postData) {
   try {
-    const { workflow, sampleContext } = postData;
+    const { workflowId, sampleContext, taskId, replayDays } = postData;
+    let workflow = postData.workflow;
+    
+    // Allow testing a saved workflow by ID
+    if (!workflow && workflowId) {
+      workflow = getSheetData(SHEETS.WORKFLOWS).find(w => w.Workflow_ID === workflowId);
+      if (!workflow) {
+        return { success: false, error: `Workflow ${workflowId} not found` };
+      }
+    }
     
     if (!workflow) {
-      return { success: false, error: 'workflow is required' };
+      return { success: false, error: 'workflow or workflowId is required' };
+    }
+    
+    // Dry run only: nothing is sent or written
+    if (replayDays) {
+      return { success: true, data: replayWorkflow(workflow, replayDays) };
     }
     
-    const result = testWorkflow(workflow, sampleContext || {});
+    const context = { ...(sampleContext || {}) };
+    if (taskId && !context.taskId && !context.task) {
+      context.taskId = taskId;
+    }
+    const result = testWorkflow(workflow, context);
     return { success: true, data: result };
   } catch (error) {
     Logger.log('Error in handleTestWorkflow: ' + error.toString());
@@ -2162,6 +2244,20 @@ function handleTestWorkflow(postData) {
   }
 }
 
+/**
+ * Send a test event to a webhook (see Webhooks.js)
+ * Unlike test_workflow this is a real, signed delivery, logged in Webhook_Deliveries.
+ */
+function handleTestWebhook(postData) {
+  try {
+    const webhookId = postData.webhookId || (postData.data && postData.data.webhookId);
+    return testWebhook(webhookId);
+  } catch (error) {
+    Logger.log('Error in handleTestWebhook: ' + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
 /**
  * Handle add staff request
  */
@@ -2194,6 +2290,9 @@ function handleAddStaff(postData) {
       return { success: false, error: 'Failed to create staff member' };
     }
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return createValidationErrorResponse_(error, { name: 'Name', email: 'Email', role: 'Role' });
+    }
     Logger.log('Error in handleAddStaff: ' + error.toString());
     return { success: false, error: error.toString() };
   }
@@ -2219,7 +2318,7 @@ function handleBulkDeleteTasks(postData) {
     
     for (const taskId of taskIds) {
       try {
-        const deleted = deleteRowByValue(SHEETS.TASKS_DB, 'Task_ID', taskId);
+        const deleted = deleteTask(taskId);
         if (deleted) {
           deletedCount++;
         } else {
@@ -2232,7 +2331,7 @@ function handleBulkDeleteTasks(postData) {
     
     return {
       success: true,
-      message: `Deleted ${deletedCount} of ${taskIds.length} tasks`,
+      message: `Moved ${deletedCount} of ${taskIds.length} tasks to the trash`,
       deletedCount: deletedCount,
       errors: errors.length > 0 ? errors : undefined
     };
@@ -2313,6 +2412,8 @@ function handleBulkUpdateTasks(postData) {
   try {
     const taskIds = postData.taskIds || [];
     const updates = postData.updates || {};
+    // Optional { taskId: version } from get_tasks; tasks changed since then are reported as conflicts
+    const expectedVersions = postData.expectedVersions || {};
     
     if (!Array.isArray(taskIds) || taskIds.length === 0) {
       return { success: false, error: 'taskIds array is required' };
@@ -2332,6 +2433,7 @@ function handleBulkUpdateTasks(postData) {
     
     let updatedCount = 0;
     let errors = [];
+    const conflicts = [];
     
     for (const taskId of taskIds) {
       try {
@@ -2350,27 +2452,87 @@ function handleBulkUpdateTasks(postData) {
           finalUpdates.Due_Date = currentDate;
         }
         
-        const updated = updateTask(taskId, finalUpdates);
+        const updated = updateTask(taskId, finalUpdates, { expectedVersion: expectedVersions[taskId] });
         if (updated) {
           updatedCount++;
         }
       } catch (e) {
+        if (e.code === 'VERSION_CONFLICT') {
+          conflicts.push({ taskId: taskId, expectedVersion: e.expectedVersion, currentVersion: e.currentVersion });
+          continue;
+        }
         errors.push(`Error updating ${taskId}: ${e.toString()}`);
       }
     }
     
-    return {
+    const result = {
       success: true,
       message: `Updated ${updatedCount} of ${taskIds.length} tasks`,
       updatedCount: updatedCount,
       errors: errors.length > 0 ? errors : undefined
     };
+    if (conflicts.length > 0) {
+      // Partial success: the other tasks were updated, these need a reload
+      result.message += ` (${conflicts.length} changed by someone else)`;
+      result.conflicts = conflicts;
+      result.status = 409;
+    }
+    return result;
   } catch (error) {
     Logger.log('Error in handleBulkUpdateTasks: ' + error.toString());
     return { success: false, error: error.toString() };
   }
 }
 
+// ============================================
+// TASK HISTORY HANDLERS
+// ============================================
+
+/**
+ * Undo one change, or every change made by one request
+ * data: { changeId } or { requestId } (returned by every POST), optional force: true to overwrite later edits
+ */
+function handleUndoChange(data) {
+  try {
+    return undoTaskChange({ changeId: data.changeId, requestId: data.requestId }, { force: data.force === true });
+  } catch (error) {
+    logError(ERROR_TYPE.DATA_ERROR, 'handleUndoChange', error.toString(), null, error.stack);
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Put a task back the way it was at a version, or at a point in time
+ * data: { version } or { timestamp } (ISO date; the task as it was then)
+ */
+function handleRevertTaskTo(taskId, data) {
+  try {
+    if (!taskId) {
+      return { success: false, error: 'taskId is required' };
+    }
+    let version = data.version;
+    if (version === undefined && data.timestamp) {
+      const since = new Date(data.timestamp);
+      if (isNaN(since.getTime())) {
+        return { success: false, error: `Invalid timestamp: ${data.timestamp}` };
+      }
+      const later = getTaskHistory(taskId, { limit: 1000 }).filter(change => new Date(change.timestamp) > since);
+      if (later.length === 0) {
+        return { success: false, error: `No changes to ${taskId} since ${data.timestamp}` };
+      }
+      version = Math.min(...later.map(change => change.version)) - 1;
+    }
+    
+    return revertTaskToVersion(taskId, version);
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') {
+      return createVersionConflictResponse_(error);
+    }
+    logError(ERROR_TYPE.DATA_ERROR, 'handleRevertTaskTo', error.toString(), taskId, error.stack);
+    return { success: false, error: error.toString() };
+  }
+}
+
 // ============================================
 // CONFIG HANDLERS
 // ============================================
@@ -3098,7 +3260,7 @@ function handleSendMessage(taskId, data) {
  * 2. Go to Deploy > New deployment
  * 3. Select type: Web app
  * 4. Execute as: Me (your account)
- * 5. Who has access: Anyone (or Anyone with Google account if you want authentication)
+ * 5. Who has access: Anyone (requests must carry API credentials - see ApiAuth.js)
  * 6. Click Deploy
  * 7. Copy the Web app URL
  * 8. Use that URL as APPS_SCRIPT_API_URL in your Lovable environment variables
@@ -3117,10 +3279,12 @@ function deployWebApp() {
   Logger.log('3. Click the gear icon (⚙️) next to "Select type"');
   Logger.log('4. Choose "Web app"');
   Logger.log('5. Set "Execute as": Me');
-  Logger.log('6. Set "Who has access": Anyone (or "Anyone with Google account" for auth)');
+  Logger.log('6. Set "Who has access": Anyone (requests are authenticated with API keys - see ApiAuth.js)');
   Logger.log('7. Click "Deploy"');
   Logger.log('8. Copy the Web app URL');
   Logger.log('9. Add it to your Lovable environment variables as APPS_SCRIPT_API_URL');
+  Logger.log('10. Run createApiClient(\'dashboard\', [\'admin\'], { role: \'boss\' }) and give the dashboard its clientId + apiKey');
+  Logger.log('    Employee/viewer clients: createApiClient(id, [\'write\'|\'read\'], { email }) - role comes from Staff_DB (see Permissions.js)');
   Logger.log('');
   Logger.log('This single endpoint handles everything:');
   Logger.log('  GET ?action=health - Health check');
@@ -74,6 +74,35 @@ Thank you,
   return emailBody;
 }
 
+/**
+ * Build a templated task email without sending it (used by the senders below and by workflow previews)
+ * @param {string} templateType - 'assignment', 'followup' or 'escalation'
+ * @param {object} task - Task row
+ * @returns {object} { to, subject, body }
+ */
+function buildTaskEmail(templateType, task) {
+  const staff = getStaff(task.Assignee_Email);
+  const assigneeName = staff ? staff.Name : String(task.Assignee_Email || '').split('@')[0];
+  const subjectPrefixes = {
+    assignment: 'Task Assignment: ',
+    followup: 'Follow-up: Task Assignment: ',
+    escalation: 'Urgent: Task Assignment: '
+  };
+  
+  const body = getEmailTemplate(templateType, {
+    assigneeName: assigneeName,
+    taskName: task.Task_Name,
+    context: task.Context_Hidden || '',
+    dueDate: task.Due_Date ? Utilities.formatDate(new Date(task.Due_Date), Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'Not specified',
+  });
+  
+  return {
+    to: task.Assignee_Email,
+    subject: (subjectPrefixes[templateType] || '') + task.Task_Name,
+    body: body
+  };
+}
+
 /**
  * Send task assignment email
  */
@@ -160,16 +189,9 @@ function sendFollowUpEmail(taskId) {
       return false;
     }
     
-    const staff = getStaff(task.Assignee_Email);
-    const assigneeName = staff ? staff.Name : task.Assignee_Email.split('@')[0];
-    
-    const emailBody = getEmailTemplate('followup', {
-      assigneeName: assigneeName,
-      taskName: task.Task_Name,
-      dueDate: task.Due_Date ? Utilities.formatDate(new Date(task.Due_Date), Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'Not specified',
-    });
-    
-    const subject = `Follow-up: Task Assignment: ${task.Task_Name}`;
+    const email = buildTaskEmail('followup', task);
+    const emailBody = email.body;
+    const subject = email.subject;
     
     const result = sendEmailToAssignee(
       taskId,
@@ -199,16 +221,9 @@ function sendEscalationEmail(taskId) {
       return false;
     }
     
-    const staff = getStaff(task.Assignee_Email);
-    const assigneeName = staff ? staff.Name : task.Assignee_Email.split('@')[0];
-    
-    const emailBody = getEmailTemplate('escalation', {
-      assigneeName: assigneeName,
-      taskName: task.Task_Name,
-      dueDate: task.Due_Date ? Utilities.formatDate(new Date(task.Due_Date), Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'Not specified',
-    });
-    
-    const subject = `Urgent: Task Assignment: ${task.Task_Name}`;
+    const email = buildTaskEmail('escalation', task);
+    const emailBody = email.body;
+    const subject = email.subject;
     
     const result = sendEmailToAssignee(
       taskId,
@@ -228,6 +243,56 @@ function sendEscalationEmail(taskId) {
   }
 }
 
+/**
+ * Build the boss alert email for a task (used by sendBossAlert and workflow previews)
+ * @param {object} task - Task row
+ * @param {string} message - Optional reason shown above the task summary
+ * @returns {object} { to, subject, body }
+ */
+function buildBossAlertEmail(task, message) {
+  const dueDate = task.Due_Date ? Utilities.formatDate(new Date(task.Due_Date), Session.getScriptTimeZone(), 'MMMM d, yyyy') : 'Not specified';
+  const body = `Hello,
+
+This task needs your attention${message ? `:\n\n${message}` : '.'}
+
+Task: ${task.Task_Name}
+Assignee: ${task.Assignee_Name || task.Assignee_Email || 'Unassigned'}
+Status: ${task.Status}
+Due: ${dueDate}
+${task.Last_Message_Snippet ? `Last message: ${task.Last_Message_Snippet}\n` : ''}
+Task ID: ${task.Task_ID}
+
+You can review and manage this task in your dashboard.
+
+Best regards,
+Chief of Staff AI`;
+
+  return {
+    to: CONFIG.BOSS_EMAIL(),
+    subject: `Attention needed: ${task.Task_Name}`,
+    body: body
+  };
+}
+
+/**
+ * Alert the Boss about a task (escalate_to_boss workflow action)
+ * @throws {Error} When the task does not exist or the email cannot be sent
+ */
+function sendBossAlert(taskId, message) {
+  const task = getTask(taskId);
+  if (!task) {
+    throw new Error(`Task ${taskId} not found`);
+  }
+  
+  const email = buildBossAlertEmail(task, message);
+  GmailApp.sendEmail(email.to, email.subject, email.body, {
+    name: 'Chief of Staff AI',
+  });
+  
+  logInteraction(taskId, `Boss alerted${message ? `: ${message}` : ''}`);
+  return true;
+}
+
 /**
  * Send confirmation email to Boss
  */
@@ -120,16 +120,13 @@ function analyzeBossMessageForDateChange(taskId, messageContent) {
     
     // Get conversation history to understand context
     let conversationContext = '';
-    if (task.Conversation_History) {
-      try {
-        const history = JSON.parse(task.Conversation_History);
-        const recentMessages = history.slice(-3); // Last 3 messages for context
-        conversationContext = recentMessages.map(m => 
-          `${m.senderName || m.senderEmail}: ${m.content.substring(0, 200)}`
-        ).join('\n\n');
-      } catch (e) {
-        Logger.log('Could not parse conversation history');
-      }
+    try {
+      const recentMessages = getConversationHistory(taskId, task).slice(-3); // Last 3 messages for context
+      conversationContext = recentMessages.map(m => 
+        `${m.senderName || m.senderEmail}: ${m.content.substring(0, 200)}`
+      ).join('\n\n');
+    } catch (e) {
+      Logger.log('Could not read conversation history: ' + e.toString());
     }
     
     const prompt = `You are analyzing a message from a boss to an employee about a task deadline. The boss may be:
@@ -412,9 +409,15 @@ function extractTaskIdFromEmailBody_(body) {
 }
 
 /**
- * Process a reply email for a task
+ * Process a reply email for a task (task changes are recorded as made by the sender)
  */
 function processReplyEmail(taskId, message) {
+  const senderEmail = message ? extractEmailFromString(message.getFrom()) : null;
+  return withAuditContext_({ actor: senderEmail, source: AUDIT_SOURCE.EMAIL_REPLY, detail: taskId }, () =>
+    processReplyEmail_(taskId, message));
+}
+
+function processReplyEmail_(taskId, message) {
   try {
     Logger.log(`=== Processing reply for task: ${taskId} ===`);
     
@@ -556,10 +559,10 @@ function processReplyEmail(taskId, message) {
       // Don't fail the reply processing if analysis fails
     }
     
-    // Execute workflows for email_reply trigger
+    // Raise email_reply for workflows and other listeners
     try {
       const updatedTask = getTask(taskId);
-      executeWorkflow('email_reply', {
+      emitTaskEvent(TASK_EVENT.EMAIL_REPLY, {
         taskId: taskId,
         task: updatedTask,
         replyType: classification.type,
@@ -568,7 +571,7 @@ function processReplyEmail(taskId, message) {
         conversationState: updatedTask.Conversation_State
       });
     } catch (error) {
-      Logger.log(`Error executing workflow for email_reply: ${error.toString()}`);
+      Logger.log(`Error emitting email_reply: ${error.toString()}`);
       // Don't fail reply processing if workflow fails
     }
     
@@ -1586,7 +1589,14 @@ function extractDateFromText(text) {
  * Handle silence escalation - check for tasks with no reply
  */
 function handleSilenceEscalation() {
+  if (!requireCurrentSchema_('handleSilenceEscalation')) return;
   try {
+    // Replaced by editable workflows once installSilenceEscalationWorkflows() has been run
+    if (hasSilenceEscalationWorkflows()) {
+      Logger.log('handleSilenceEscalation: handled by WF-SILENCE-* workflows, skipping');
+      return;
+    }
+    
     const followupHours = CONFIG.ESCALATION_FOLLOWUP_HOURS();
     const bossAlertHours = CONFIG.ESCALATION_BOSS_ALERT_HOURS();
     
@@ -1639,6 +1649,7 @@ function handleSilenceEscalation() {
  * Can be run periodically or triggered
  */
 function checkForReplies() {
+  if (!requireCurrentSchema_('checkForReplies')) return;
   try {
     Logger.log('=== Checking for email replies ===');
     
@@ -1776,16 +1787,8 @@ function debugConversationContent(taskId) {
     Logger.log(`Assignee: ${task.Assignee_Email}`);
     Logger.log(`Status: ${task.Status}\n`);
     
-    // Parse conversation history
-    let history = [];
-    if (task.Conversation_History) {
-      try {
-        history = JSON.parse(task.Conversation_History);
-      } catch (e) {
-        Logger.log(`ERROR: Could not parse Conversation_History`);
-        return;
-      }
-    }
+    // Read conversation history
+    const history = getConversationHistory(taskId, task);
     
     if (history.length === 0) {
       Logger.log('No conversation history found');
@@ -0,0 +1,166 @@
+/**
+ * Event Bus
+ * Typed task lifecycle events, raised from the central write paths
+ *
+ * updateTask() compares the task before and after each write and emits:
+ *   status_changed, conversation_state_changed, due_date_changed, assignee_changed
+ * appendToConversationHistory() emits message_received (direction: inbound / outbound / internal)
+ * createTask() emits task_created, processReplyEmail() emits email_reply,
+ * and runScheduledWorkflows() emits task_overdue once per task when its Due_Date passes.
+ *
+ * Every event carries { event, taskId, task, before, after, changes } plus event-specific fields, so any
+ * code path that changes a task (dashboard handlers, email processing, workflow actions) reaches the
+ * same listeners. Workflows subscribe by using the event name as their Trigger_Event; external systems
+ * subscribe through the Webhooks sheet (see Webhooks.js).
+ */
+
+const TASK_EVENT = {
+  TASK_CREATED: 'task_created',
+  STATUS_CHANGED: 'status_changed',
+  CONVERSATION_STATE_CHANGED: 'conversation_state_changed',
+  DUE_DATE_CHANGED: 'due_date_changed',
+  ASSIGNEE_CHANGED: 'assignee_changed',
+  MESSAGE_RECEIVED: 'message_received',
+  EMAIL_REPLY: 'email_reply',
+  TASK_OVERDUE: 'task_overdue',
+};
+
+// Older trigger names still accepted in the Workflows sheet
+const TASK_EVENT_ALIASES = {
+  status_change: TASK_EVENT.STATUS_CHANGED,
+};
+
+// Task columns watched by updateTask() and the event each one raises
+const TASK_EVENT_FIELDS = {
+  Status: TASK_EVENT.STATUS_CHANGED,
+  Conversation_State: TASK_EVENT.CONVERSATION_STATE_CHANGED,
+  Due_Date: TASK_EVENT.DUE_DATE_CHANGED,
+  Assignee_Email: TASK_EVENT.ASSIGNEE_CHANGED,
+};
+
+/**
+ * Listeners receive every event. Handlers are looked up when called, so they can live in any file.
+ * task_overdue is delivered to workflows by the scheduler itself, which honours each rule's Timing.
+ */
+const TASK_EVENT_LISTENERS = [
+  {
+    name: 'workflows',
+    handle: event => {
+      if (event.event !== TASK_EVENT.TASK_OVERDUE) {
+        executeWorkflow(event.event, event);
+      }
+    }
+  },
+  {
+    name: 'webhooks',
+    handle: event => queueWebhookDeliveries_(event)
+  },
+  {
+    name: 'schedule',
+    handle: event => {
+      if (event.event === TASK_EVENT.STATUS_CHANGED && normalizeStatus(event.toStatus) === TASK_STATUS.CLOSED) {
+        clearScheduleFiredState_(event.taskId, { closed: true });
+      }
+    }
+  },
+];
+
+/**
+ * Publish an event to every listener. Never throws: listeners must not break the write that raised it.
+ * @param {string} type - TASK_EVENT value
+ * @param {object} payload - { taskId, before, after, ... } (after/task is loaded when missing)
+ * @returns {object} The event as delivered
+ */
+function emitTaskEvent(type, payload = {}) {
+  const after = payload.after || payload.task || (payload.taskId ? getTask(payload.taskId) : null);
+  const event = {
+    ...payload,
+    event: type,
+    taskId: payload.taskId || (after && after.Task_ID) || null,
+    task: after,
+    after: after,
+    before: payload.before || null,
+    changes: payload.changes || {},
+    status: after ? after.Status : payload.status,
+    emittedAt: new Date().toISOString()
+  };
+
+  TASK_EVENT_LISTENERS.forEach(listener => {
+    try {
+      listener.handle(event);
+    } catch (error) {
+      Logger.log(`Event listener ${listener.name} failed for ${type} (${event.taskId}): ${error.toString()}`);
+    }
+  });
+  return event;
+}
+
+/**
+ * Emit one event per watched field that changed between two task snapshots
+ * @param {object} before - Task before the write (null for a new task)
+ * @param {object} after - Task after the write
+ * @returns {Array} Emitted event types
+ */
+function emitTaskChangeEvents_(before, after) {
+  if (!before || !after) return [];
+
+  const changes = {};
+  Object.keys(TASK_EVENT_FIELDS).forEach(field => {
+    if (!isSameTaskValue_(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+
+  const emitted = [];
+  Object.keys(changes).forEach(field => {
+    const type = TASK_EVENT_FIELDS[field];
+    const extra = {};
+    if (type === TASK_EVENT.STATUS_CHANGED) {
+      extra.fromStatus = before.Status;
+      extra.toStatus = after.Status;
+    } else if (type === TASK_EVENT.CONVERSATION_STATE_CHANGED) {
+      extra.fromState = before.Conversation_State;
+      extra.toState = after.Conversation_State;
+      extra.conversationState = after.Conversation_State;
+    } else if (type === TASK_EVENT.ASSIGNEE_CHANGED) {
+      extra.fromAssignee = before.Assignee_Email;
+      extra.toAssignee = after.Assignee_Email;
+    }
+    emitTaskEvent(type, { taskId: after.Task_ID, before: before, after: after, changes: changes, field: field, ...extra });
+    emitted.push(type);
+  });
+  return emitted;
+}
+
+/**
+ * Does this update touch a watched column? (updateTask only snapshots the task when it does)
+ */
+function hasTaskEventFields_(updates) {
+  return Object.keys(updates || {}).some(field => Object.prototype.hasOwnProperty.call(TASK_EVENT_FIELDS, field));
+}
+
+/**
+ * Resolve legacy trigger names (status_change) to their event type
+ */
+function normalizeTriggerEvent_(trigger) {
+  const name = typeof trigger === 'string' ? trigger.trim() : trigger;
+  return TASK_EVENT_ALIASES[name] || name;
+}
+
+/**
+ * Inbound (employee), outbound (boss) or internal (system notes) for a conversation event type
+ */
+function getMessageDirection_(messageType) {
+  if (EMPLOYEE_MESSAGE_TYPES.includes(messageType)) return 'inbound';
+  if (BOSS_MESSAGE_TYPES.includes(messageType)) return 'outbound';
+  return 'internal';
+}
+
+function isSameTaskValue_(a, b) {
+  const empty = value => value === null || value === undefined || value === '';
+  if (empty(a) || empty(b)) return empty(a) && empty(b);
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+}
@@ -1633,19 +1633,10 @@ function analyzeTaskContextForActions(taskId) {
       return null;
     }
     
-    // Get conversation history
-    let conversationHistory = [];
+    // Get conversation history (recent messages are enough to suggest actions)
+    let conversationHistory = getConversationHistory(taskId, task).slice(-CONVERSATION_PAGE_SIZE);
     
-    // Try to parse Conversation_History JSON field
-    if (task.Conversation_History) {
-      try {
-        conversationHistory = JSON.parse(task.Conversation_History);
-      } catch (e) {
-        Logger.log('Could not parse Conversation_History, trying Interaction_Log');
-      }
-    }
-    
-    // Fallback: Extract from Interaction_Log if Conversation_History not available
+    // Fallback: Extract from Interaction_Log if no conversation is stored
     if (conversationHistory.length === 0 && task.Interaction_Log) {
       conversationHistory = extractMessagesFromInteractionLog(task.Interaction_Log);
     }
@@ -1802,31 +1793,18 @@ function analyzeConversationAndUpdateState(taskId, newMessage = null) {
       }
     }
     
-    // Parse conversation history
-    let conversationHistory = [];
-    if (task.Conversation_History) {
-      try {
-        conversationHistory = JSON.parse(task.Conversation_History);
-      } catch (e) {
-        Logger.log('Could not parse Conversation_History');
-        conversationHistory = [];
-      }
-    }
-    
-    // Add new message if provided
+    // Store the new message first, if provided (Conversation_Messages is the canonical history)
     if (newMessage) {
-      conversationHistory.push({
-        id: newMessage.id || newMessage.messageId || `local_${Date.now()}`,
-        messageId: newMessage.messageId || newMessage.id || `local_${Date.now()}`,
-        timestamp: newMessage.timestamp || new Date().toISOString(),
-        senderEmail: newMessage.senderEmail,
+      appendToConversationHistory(taskId, {
+        ...newMessage,
         senderName: newMessage.senderName || newMessage.senderEmail,
-        type: newMessage.type || 'message',
-        content: newMessage.content,
-        metadata: newMessage.metadata || {}
+        type: newMessage.type || 'message'
       });
     }
     
+    // Read conversation history; the prompt uses the most recent messages to stay within model limits
+    let conversationHistory = getConversationHistory(taskId).slice(-CONVERSATION_PAGE_SIZE);
+    
     // Also include Employee_Reply if not already in history
     if (task.Employee_Reply && !conversationHistory.some(m => m.content === task.Employee_Reply)) {
       conversationHistory.push({
@@ -1852,7 +1830,6 @@ function analyzeConversationAndUpdateState(taskId, newMessage = null) {
         Conversation_State: result.conversationState,
         Pending_Changes: JSON.stringify(result.pendingChanges),
         AI_Summary: result.summary,
-        Conversation_History: JSON.stringify(conversationHistory),
         Derived_Task_Name: task.Task_Name || '',
         Derived_Due_Date_Effective: task.Due_Date || '',
         Derived_Due_Date_Proposed: task.Proposed_Date || '',
@@ -2113,7 +2090,6 @@ Return ONLY valid JSON:
       Conversation_State: analysis.conversationState,
       Pending_Changes: JSON.stringify(analysis.pendingChanges || []),
       AI_Summary: analysis.summary || '',
-      Conversation_History: JSON.stringify(conversationHistory),
       Derived_Task_Name: derivedTaskName,
       Derived_Due_Date_Effective: effectiveDueDate || '',
       Derived_Due_Date_Proposed: finalDerivedDueDateProposed,
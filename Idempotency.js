@@ -0,0 +1,124 @@
+/**
+ * Idempotency
+ * Safe retries of POST actions: doPost replays the stored response for a repeated idempotencyKey
+ *
+ * Clients retry web app calls on timeouts, and a retried create_task, send_message or send_followup would
+ * otherwise create a second task or send a second email. A client that sends
+ *
+ *   { action: 'create_task', idempotencyKey: '5f1c...', data: {...} }
+ *
+ * gets the first response back, with replayed: true, for every retry with the same key, and the action runs once.
+ *
+ * Keys belong to the API client and are kept in CacheService for IDEMPOTENCY_TTL_SECONDS. Reusing a key for a
+ * different request is rejected (422). A retry that arrives while the first request is still running gets a
+ * 409 and should try again shortly. A request that throws is not stored, so it can be retried.
+ * CacheService may drop keys early under memory pressure; use a new key for each new operation.
+ */
+
+const IDEMPOTENCY_TTL_SECONDS = 21600;          // CacheService maximum (6 hours)
+const IDEMPOTENCY_PENDING_TTL_SECONDS = 360;    // Apps Script's execution time limit
+const IDEMPOTENCY_MAX_KEY_LENGTH = 200;
+const IDEMPOTENCY_MAX_RESPONSE_CHARS = 90000;   // CacheService values are limited to 100KB
+
+// Request fields left out of the fingerprint: credentials and the key itself
+const IDEMPOTENCY_IGNORED_FIELDS = ['clientId', 'apiKey', 'idempotencyKey'];
+
+/**
+ * Claim an idempotency key before running an action
+ * @param {object} client - The authenticated API client
+ * @param {object} postData - The parsed request body
+ * @returns {object} { claim } to pass to completeIdempotentRequest_() (null when there is no key),
+ *   or { response } to return instead of running the action (a replay or an error)
+ */
+function beginIdempotentRequest_(client, postData) {
+  const key = postData.idempotencyKey;
+  if (key === undefined || key === null || key === '') {
+    return { claim: null };
+  }
+  if (typeof key !== 'string' || key.length > IDEMPOTENCY_MAX_KEY_LENGTH) {
+    return { response: { success: false, status: 400, error: `idempotencyKey must be a string of at most ${IDEMPOTENCY_MAX_KEY_LENGTH} characters` } };
+  }
+
+  const claim = {
+    cacheKey: 'idem_' + sha256Hex_(`${client ? client.clientId : 'anonymous'}\n${key}`),
+    fingerprint: getRequestFingerprint_(postData)
+  };
+
+  // Under the lock, so two copies of a request arriving together cannot both claim the key
+  return withScriptLock_(() => {
+    const cache = CacheService.getScriptCache();
+    const stored = parseIdempotencyEntry_(cache.get(claim.cacheKey));
+    if (!stored) {
+      cache.put(claim.cacheKey, JSON.stringify({ state: 'pending', fingerprint: claim.fingerprint }), IDEMPOTENCY_PENDING_TTL_SECONDS);
+      return { claim: claim };
+    }
+
+    if (stored.fingerprint !== claim.fingerprint) {
+      return { response: { success: false, status: 422, error: 'This idempotencyKey was already used for a different request' } };
+    }
+    if (stored.state === 'pending') {
+      return { response: { success: false, status: 409, error: 'A request with this idempotencyKey is still running; retry shortly' } };
+    }
+    Logger.log(`Replaying the response for idempotencyKey ${key} (${postData.action})`);
+    return { response: { ...stored.response, replayed: true } };
+  });
+}
+
+/**
+ * Store an action's response for replays
+ * @param {object} claim - From beginIdempotentRequest_() (no-op when null)
+ * @param {object} response - The response being returned
+ */
+function completeIdempotentRequest_(claim, response) {
+  if (!claim) return;
+  let text = JSON.stringify({ state: 'done', fingerprint: claim.fingerprint, response: response });
+  if (text.length > IDEMPOTENCY_MAX_RESPONSE_CHARS) {
+    // Still stored, so a retry does not run the action again
+    text = JSON.stringify({
+      state: 'done',
+      fingerprint: claim.fingerprint,
+      response: {
+        success: !!(response && response.success),
+        requestId: response && response.requestId,
+        message: 'Already processed; the original response was too large to keep'
+      }
+    });
+  }
+  try {
+    CacheService.getScriptCache().put(claim.cacheKey, text, IDEMPOTENCY_TTL_SECONDS);
+  } catch (error) {
+    // The action already ran: report its response rather than an error
+    Logger.log(`Could not store the response for idempotencyKey: ${error.toString()}`);
+  }
+}
+
+/**
+ * Release a key whose request failed, so a retry runs it
+ */
+function abandonIdempotentRequest_(claim) {
+  if (!claim) return;
+  try {
+    CacheService.getScriptCache().remove(claim.cacheKey);
+  } catch (error) {
+    Logger.log(`Could not release idempotencyKey: ${error.toString()}`);
+  }
+}
+
+function getRequestFingerprint_(postData) {
+  const request = {};
+  Object.keys(postData).sort().forEach(field => {
+    if (!IDEMPOTENCY_IGNORED_FIELDS.includes(field)) {
+      request[field] = postData[field];
+    }
+  });
+  return sha256Hex_(JSON.stringify(request));
+}
+
+function parseIdempotencyEntry_(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
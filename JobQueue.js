@@ -0,0 +1,265 @@
+/**
+ * Job Queue
+ * Durable queue (Jobs sheet) for work that must run later, e.g. delayed workflow actions
+ *
+ * - enqueueJob() appends a pending job with a Run_At time
+ * - runDueJobs() (time-driven trigger, every 5 minutes) claims due jobs under the script lock,
+ *   then runs them outside the lock
+ * - Failed jobs are retried with exponential backoff until Max_Attempts is reached
+ * - Delayed workflow actions are cancelled when the task no longer matches the workflow conditions
+ * - Webhook deliveries (Webhooks.js) use the same retries
+ * - Finished jobs are removed after JOB_RETENTION_DAYS (pruneJobs_, daily from archiveClosedTasks)
+ */
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const JOB_TYPE = {
+  WORKFLOW_ACTION: 'workflow_action',
+  WEBHOOK_DELIVERY: 'webhook_delivery',  // See Webhooks.js
+};
+
+const JOB_DEFAULT_MAX_ATTEMPTS = 5;
+const JOB_RETRY_BASE_MINUTES = 5;
+const JOB_RETRY_MAX_MINUTES = 360;
+const JOB_BATCH_SIZE = 20;
+const JOB_STALE_RUNNING_MINUTES = 30; // Runner died mid-job (e.g. execution time limit)
+
+/**
+ * Add a job to the queue
+ * @param {string} jobType - One of JOB_TYPE
+ * @param {object} payload - JSON-serializable job data
+ * @param {object} options - Optional { runAt: Date, taskId, workflowId, maxAttempts }
+ * @returns {string} Job_ID
+ */
+function enqueueJob(jobType, payload, options = {}) {
+  const now = new Date();
+  const jobId = 'JOB-' + Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMddHHmmss') + '-' +
+    Utilities.getUuid().substring(0, 8);
+
+  addRow(SHEETS.JOBS, {
+    Job_ID: jobId,
+    Job_Type: jobType,
+    Status: JOB_STATUS.PENDING,
+    Run_At: options.runAt || now,
+    Attempts: 0,
+    Max_Attempts: options.maxAttempts || JOB_DEFAULT_MAX_ATTEMPTS,
+    Task_ID: options.taskId || '',
+    Workflow_ID: options.workflowId || '',
+    Payload: JSON.stringify(payload || {}),
+    Last_Error: '',
+    Created_At: now,
+    Updated_At: now
+  });
+
+  Logger.log(`Enqueued ${jobType} job ${jobId} to run at ${(options.runAt || now).toISOString()}`);
+  return jobId;
+}
+
+/**
+ * Cancel pending jobs for a task (e.g. when the task is deleted)
+ * @param {string} taskId - Task ID
+ * @param {string} reason - Stored in Last_Error
+ * @returns {number} Number of jobs cancelled
+ */
+function cancelJobsForTask(taskId, reason = 'Cancelled') {
+  const pending = getSheetData(SHEETS.JOBS)
+    .filter(job => job.Task_ID === taskId && job.Status === JOB_STATUS.PENDING);
+  pending.forEach(job => {
+    updateRowByValue(SHEETS.JOBS, 'Job_ID', job.Job_ID, {
+      Status: JOB_STATUS.CANCELLED,
+      Last_Error: reason,
+      Updated_At: new Date()
+    });
+  });
+  return pending.length;
+}
+
+/**
+ * Run all due jobs (time-driven trigger)
+ */
+function runDueJobs() {
+  if (!requireCurrentSchema_('runDueJobs')) return;
+  const jobs = claimDueJobs_();
+  if (jobs.length === 0) {
+    return;
+  }
+
+  Logger.log(`Running ${jobs.length} due job(s)`);
+  jobs.forEach(job => {
+    try {
+      const outcome = runJob_(job);
+      updateRowByValue(SHEETS.JOBS, 'Job_ID', job.Job_ID, {
+        Status: outcome.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.DONE,
+        Last_Error: outcome.cancelled ? outcome.reason : '',
+        Updated_At: new Date()
+      });
+      Logger.log(`Job ${job.Job_ID} ${outcome.cancelled ? 'cancelled: ' + outcome.reason : 'done'}`);
+    } catch (error) {
+      handleJobFailure_(job, error);
+    }
+  });
+}
+
+/**
+ * Mark due jobs as running while holding the script lock, so overlapping runners never pick the same job
+ */
+function claimDueJobs_() {
+  const due = withScriptLock_(() => {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - JOB_STALE_RUNNING_MINUTES * 60 * 1000);
+    const claimed = getSheetData(SHEETS.JOBS)
+      .filter(job => {
+        if (job.Status === JOB_STATUS.PENDING) {
+          return new Date(job.Run_At) <= now;
+        }
+        return job.Status === JOB_STATUS.RUNNING && new Date(job.Updated_At) < staleBefore;
+      })
+      .sort((a, b) => new Date(a.Run_At) - new Date(b.Run_At))
+      .slice(0, JOB_BATCH_SIZE);
+
+    claimed.forEach(job => {
+      job.Attempts = (Number(job.Attempts) || 0) + 1;
+      updateRowByValue(SHEETS.JOBS, 'Job_ID', job.Job_ID, {
+        Status: JOB_STATUS.RUNNING,
+        Attempts: job.Attempts,
+        Updated_At: now
+      });
+    });
+    return claimed;
+  }, { timeoutMs: 10000, tryOnly: true });
+
+  if (!due) {
+    Logger.log('runDueJobs: another runner holds the lock, skipping this run');
+    return [];
+  }
+  return due;
+}
+
+/**
+ * Execute one job
+ * @returns {object} { cancelled: boolean, reason } - throws on failure so the job is retried
+ */
+function runJob_(job) {
+  let payload;
+  try {
+    payload = JSON.parse(job.Payload || '{}');
+  } catch (e) {
+    return { cancelled: true, reason: 'Invalid job payload: ' + e.toString() };
+  }
+
+  switch (job.Job_Type) {
+    case JOB_TYPE.WORKFLOW_ACTION:
+      return runWorkflowActionJob_(job, payload);
+    case JOB_TYPE.WEBHOOK_DELIVERY:
+      return runWebhookDeliveryJob_(job, payload);
+    default:
+      return { cancelled: true, reason: `Unknown job type: ${job.Job_Type}` };
+  }
+}
+
+/**
+ * Run a delayed workflow action, re-checking the workflow against the task's current state first
+ */
+function runWorkflowActionJob_(job, payload) {
+  const taskId = job.Task_ID || (payload.context && payload.context.taskId);
+  const task = taskId ? getTask(taskId) : null;
+  if (taskId && !task) {
+    return { cancelled: true, reason: `Task ${taskId} no longer exists` };
+  }
+
+  // Prefer the workflow's current definition; it may have been edited or deactivated since scheduling
+  let conditions = payload.conditions || {};
+  let workflowName = '';
+  if (job.Workflow_ID) {
+    const workflow = getSheetData(SHEETS.WORKFLOWS)
+      .find(w => w.Workflow_ID === job.Workflow_ID || w.Name === job.Workflow_ID);
+    if (!workflow || !isWorkflowActive_(workflow)) {
+      return { cancelled: true, reason: `Workflow ${job.Workflow_ID} is no longer active` };
+    }
+    workflowName = workflow.Name;
+    const config = parseWorkflowConfig_(workflow);
+    if (config) {
+      conditions = config.conditions;
+    }
+  }
+
+  const context = {
+    ...(payload.context || {}),
+    taskId: taskId,
+    task: task,
+    status: task ? task.Status : (payload.context && payload.context.status),
+    triggerEvent: payload.triggerEvent || (payload.context && payload.context.triggerEvent) || null
+  };
+  const run = {
+    triggerEvent: payload.triggerEvent, workflowId: job.Workflow_ID, workflowName: workflowName,
+    taskId: taskId, jobId: job.Job_ID
+  };
+
+  const evaluation = explainConditions(conditions, context);
+  if (!evaluation.met) {
+    const reason = evaluation.error || 'Task no longer matches workflow conditions';
+    recordWorkflowRun({ ...run, conditionsMet: false, trace: evaluation.trace, status: WORKFLOW_RUN_STATUS.CANCELLED, error: reason });
+    return { cancelled: true, reason: reason };
+  }
+
+  // Continue the chain depth of the run that queued this action (see WorkflowGuards.js)
+  const result = runInWorkflowChain_(
+    () => executeAction_(payload.action, context, job.Workflow_ID || 'job'),
+    (parseInt(context.chainDepth, 10) || 1) - 1
+  );
+  recordWorkflowRun({ ...run, conditionsMet: true, trace: evaluation.trace, actions: [result] });
+  if (result.error) {
+    const error = new Error(result.error);
+    error.permanent = !!result.permanent;
+    throw error;
+  }
+  return { cancelled: false };
+}
+
+/**
+ * Remove done, failed and cancelled jobs last updated before JOB_RETENTION_DAYS
+ * Jobs are appended in creation order; pruning stops at the first job still pending or running.
+ * @returns {number} Number of jobs removed
+ */
+function pruneJobs_() {
+  if (!storageHasTable_(SHEETS.JOBS)) return 0;
+  const cutoff = Date.now() - CONFIG.JOB_RETENTION_DAYS() * 24 * 60 * 60 * 1000;
+  const finished = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+  return pruneLogRows_(SHEETS.JOBS, 'Updated_At', cutoff, job => finished.includes(job.Status)).length;
+}
+
+/**
+ * Reschedule a failed job with exponential backoff, or mark it failed after Max_Attempts
+ * (at once for permanent errors such as an unknown action type or a missing parameter)
+ */
+function handleJobFailure_(job, error) {
+  const attempts = Number(job.Attempts) || 1;
+  const maxAttempts = Number(job.Max_Attempts) || JOB_DEFAULT_MAX_ATTEMPTS;
+  const message = error && error.message ? error.message : String(error);
+
+  if (attempts >= maxAttempts || (error && error.permanent)) {
+    updateRowByValue(SHEETS.JOBS, 'Job_ID', job.Job_ID, {
+      Status: JOB_STATUS.FAILED,
+      Last_Error: message,
+      Updated_At: new Date()
+    });
+    logError(ERROR_TYPE.UNKNOWN_ERROR, 'runDueJobs', `Job ${job.Job_ID} failed after ${attempts} attempt(s): ${message}`, job.Task_ID || null, error && error.stack);
+    return;
+  }
+
+  const delayMinutes = Math.min(JOB_RETRY_BASE_MINUTES * Math.pow(2, attempts - 1), JOB_RETRY_MAX_MINUTES);
+  const runAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  updateRowByValue(SHEETS.JOBS, 'Job_ID', job.Job_ID, {
+    Status: JOB_STATUS.PENDING,
+    Run_At: runAt,
+    Last_Error: message,
+    Updated_At: new Date()
+  });
+  Logger.log(`Job ${job.Job_ID} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delayMinutes} min: ${message}`);
+}
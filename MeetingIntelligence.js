@@ -7,6 +7,7 @@
  * Drive trigger handler for new files in Meeting_Lake
  */
 function onMeetingFileAdded(e) {
+  if (!requireCurrentSchema_('onMeetingFileAdded')) return;
   try {
     const file = e.source;
     const fileId = file.getId();
@@ -54,6 +55,10 @@ function onMeetingFileAdded(e) {
  * Main function to process meeting audio
  */
 function processMeetingAudio(fileId) {
+  return withAuditContext_({ source: AUDIT_SOURCE.MEETING, detail: fileId }, () => processMeetingAudio_(fileId));
+}
+
+function processMeetingAudio_(fileId) {
   try {
     Logger.log(`Processing meeting audio: ${fileId}`);
     
@@ -345,9 +350,14 @@ function createTasksFromActionItems(actionItems, meetingContext) {
           Due_Date: item.deadline || '',
           Project_Tag: projectTag || '',
           Context_Hidden: `From meeting: ${meetingContext.meetingName} on ${Utilities.formatDate(meetingContext.meetingDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')}`,
-          Created_By: 'Meeting',
         };
         
+        // Deadlines like "end of month" are not dates: keep the wording in the context instead
+        if (taskData.Due_Date && !parseSchemaDate_(taskData.Due_Date)) {
+          taskData.Context_Hidden += `\nDeadline: ${taskData.Due_Date}`;
+          taskData.Due_Date = '';
+        }
+        
         const taskId = createTask(taskData);
         createdTaskIds.push(taskId);
         
@@ -1,30 +1,26 @@
 /**
- * Migration Script: Populate Default Prompts
- * Extracts hardcoded prompts from GeminiAI.gs and populates the prompt sheets
- * Run this once after creating the sheets to migrate existing prompts
+ * Default Prompts
+ * The prompts GeminiAI.js was built with, extracted from the code into the prompt sheets
+ *
+ * New installs get them from the default_prompts migration (Migrations.js), which only adds prompts that are
+ * missing. migratePromptsToSheets() puts every default back, overwriting edits made in the sheets.
  */
 
 /**
- * Migrate all prompts from hardcoded to sheets
+ * Reset all prompts in the prompt sheets to their defaults
  */
 function migratePromptsToSheets() {
   try {
-    Logger.log('=== Starting Prompt Migration ===');
-    
-    // Ensure sheets exist
-    createAllSheets();
-    
-    // Migrate Voice Prompts
-    migrateVoicePrompts();
-    
-    // Migrate Email Prompts
-    migrateEmailPrompts();
-    
-    // Migrate MoM Prompts
-    migrateMoMPrompts();
-    
-    Logger.log('=== Prompt Migration Complete ===');
-    return { success: true, message: 'All prompts migrated successfully' };
+    Logger.log('=== Resetting Prompts to Defaults ===');
+  
+    getDefaultPrompts().forEach(prompt => {
+      if (!savePrompt(prompt.name, prompt.type, prompt.content, prompt.description)) {
+        throw new Error(`Could not save prompt ${prompt.name}`);
+      }
+    });
+  
+    Logger.log('=== Prompt Reset Complete ===');
+    return { success: true, message: 'All prompts reset to defaults' };
   } catch (error) {
     Logger.log(`Error during prompt migration: ${error.toString()}`);
     return { success: false, error: error.toString() };
@@ -32,12 +28,21 @@ function migratePromptsToSheets() {
 }
 
 /**
- * Migrate voice-related prompts
+ * Every default prompt
+ * @returns {Array<object>} - { name, type: 'voice' | 'email' | 'mom', content, description }
  */
-function migrateVoicePrompts() {
-  try {
-    // parseVoiceCommand prompt (extracted from GeminiAI.gs)
-    const parseVoiceCommandPrompt = `You are an expert task management assistant with advanced name recognition and context understanding. Parse the following voice command transcript and extract all relevant information with high accuracy.
+function getDefaultPrompts() {
+  return getDefaultVoicePrompts_().concat(getDefaultEmailPrompts_(), getDefaultMoMPrompts_());
+}
+
+/**
+ * Voice-related prompts
+ */
+function getDefaultVoicePrompts_() {
+  const prompts = [];
+  
+  // parseVoiceCommand prompt (extracted from GeminiAI.gs)
+  const parseVoiceCommandPrompt = `You are an expert task management assistant with advanced name recognition and context understanding. Parse the following voice command transcript and extract all relevant information with high accuracy.
 
 Voice command transcript: "{{TRANSCRIPT}}"{{STAFF_CONTEXT}}{{PROJECTS_CONTEXT}}
 
@@ -186,21 +191,19 @@ Output: {
 
 Now parse this voice command: "{{TRANSCRIPT}}"`;
 
-    savePrompt('parseVoiceCommand', 'voice', parseVoiceCommandPrompt, 'Parses voice command transcripts and extracts structured task data');
-    
-    Logger.log('✓ Migrated voice prompts');
-  } catch (error) {
-    Logger.log(`Error migrating voice prompts: ${error.toString()}`);
-  }
+  prompts.push({ name: 'parseVoiceCommand', type: 'voice', content: parseVoiceCommandPrompt, description: 'Parses voice command transcripts and extracts structured task data' });
+  
+  return prompts;
 }
 
 /**
- * Migrate email-related prompts
+ * Email-related prompts
  */
-function migrateEmailPrompts() {
-  try {
-    // classifyReplyType prompt (extracted from GeminiAI.gs)
-    const classifyReplyTypePrompt = `You are an expert at analyzing email replies about task assignments. Classify this email reply into one of these categories:
+function getDefaultEmailPrompts_() {
+  const prompts = [];
+  
+  // classifyReplyType prompt (extracted from GeminiAI.gs)
+  const classifyReplyTypePrompt = `You are an expert at analyzing email replies about task assignments. Classify this email reply into one of these categories:
 
 1. ACCEPTANCE - The assignee accepts the task and agrees to the deadline. Examples: "I accept", "I'll do it", "Got it", "Will complete by deadline", "Acknowledged" (if accepting)
 2. DATE_CHANGE - The assignee requests a different due date or mentions a date that's not feasible. Look for: "not feasible", "can't make that date", "need more time", "deadline is", "by [date]", "feasible as deadline", "propose [date]", "suggest [date]", "prefer [date]", "10th Jan", "January 10th", "10/01/2025", etc.
@@ -235,10 +238,10 @@ Return ONLY a valid JSON object (no markdown, no code blocks):
   "reasoning": "brief explanation of why this classification was chosen and what date was extracted (if any)"
 }`;
 
-    savePrompt('classifyReplyType', 'email', classifyReplyTypePrompt, 'Classifies email replies into categories (ACCEPTANCE, DATE_CHANGE, SCOPE_QUESTION, ROLE_REJECTION, OTHER)');
-    
-    // generateAssignmentEmail prompt
-    const generateAssignmentEmailPrompt = `You are a professional Chief of Staff assistant. Write a formal but friendly email assigning a task to a team member.
+  prompts.push({ name: 'classifyReplyType', type: 'email', content: classifyReplyTypePrompt, description: 'Classifies email replies into categories (ACCEPTANCE, DATE_CHANGE, SCOPE_QUESTION, ROLE_REJECTION, OTHER)' });
+  
+  // generateAssignmentEmail prompt
+  const generateAssignmentEmailPrompt = `You are a professional Chief of Staff assistant. Write a formal but friendly email assigning a task to a team member.
 
 Task Name: {{TASK_NAME}}
 Assignee: {{ASSIGNEE_NAME}}
@@ -254,10 +257,10 @@ Write an email that:
 
 Return ONLY the email body text (no subject line, no signature - those will be added separately).`;
 
-    savePrompt('generateAssignmentEmail', 'email', generateAssignmentEmailPrompt, 'Generates task assignment emails');
-    
-    // summarizeReviewRequest prompt (simplified version)
-    const summarizeReviewRequestPrompt = `An employee has sent a reply about a task. Summarize their message.
+  prompts.push({ name: 'generateAssignmentEmail', type: 'email', content: generateAssignmentEmailPrompt, description: 'Generates task assignment emails' });
+  
+  // summarizeReviewRequest prompt (simplified version)
+  const summarizeReviewRequestPrompt = `An employee has sent a reply about a task. Summarize their message.
 
 Task: "{{TASK_NAME}}"
 Employee's Reply: "{{EMPLOYEE_REPLY}}"
@@ -267,21 +270,19 @@ Generate a brief summary (2-3 sentences) explaining what the employee is communi
 
 Return ONLY the summary text (no markdown, no JSON, just plain text).`;
 
-    savePrompt('summarizeReviewRequest', 'email', summarizeReviewRequestPrompt, 'Summarizes employee review requests');
-    
-    Logger.log('✓ Migrated email prompts');
-  } catch (error) {
-    Logger.log(`Error migrating email prompts: ${error.toString()}`);
-  }
+  prompts.push({ name: 'summarizeReviewRequest', type: 'email', content: summarizeReviewRequestPrompt, description: 'Summarizes employee review requests' });
+  
+  return prompts;
 }
 
 /**
- * Migrate MoM-related prompts
+ * MoM-related prompts
  */
-function migrateMoMPrompts() {
-  try {
-    // analyzeMoMDocument prompt (extracted from GeminiAI.gs)
-    const analyzeMoMDocumentPrompt = `You are analyzing a manually created Minutes of Meeting (MoM) document. Extract the following information:
+function getDefaultMoMPrompts_() {
+  const prompts = [];
+  
+  // analyzeMoMDocument prompt (extracted from GeminiAI.gs)
+  const analyzeMoMDocumentPrompt = `You are analyzing a manually created Minutes of Meeting (MoM) document. Extract the following information:
 
 1. Action Items: List all action items mentioned in the document. For each action item, extract:
    - description: What needs to be done
@@ -327,11 +328,8 @@ MoM document text:
 
 Return your response as a JSON object with this structure.`;
 
-    savePrompt('analyzeMoMDocument', 'mom', analyzeMoMDocumentPrompt, 'Analyzes manually created MoM documents and extracts action items and project knowledge');
-    
-    Logger.log('✓ Migrated MoM prompts');
-  } catch (error) {
-    Logger.log(`Error migrating MoM prompts: ${error.toString()}`);
-  }
+  prompts.push({ name: 'analyzeMoMDocument', type: 'mom', content: analyzeMoMDocumentPrompt, description: 'Analyzes manually created MoM documents and extracts action items and project knowledge' });
+  
+  return prompts;
 }
 
@@ -0,0 +1,715 @@
+/**
+ * Schema Migrations
+ * Numbered changes to the tables, recorded once applied (replaces the one-off Migrate* scripts)
+ *
+ *   getSchemaStatus()          - applied and pending migrations
+ *   previewMigrations(version) - dry run: every change migrateUp()/migrateDown() would make, nothing is written
+ *   migrateUp(version)         - apply pending migrations in order, up to version (default: all)
+ *   migrateDown(version)       - undo applied migrations above version, newest first
+ *
+ * Applied versions are recorded in the SCHEMA_MIGRATIONS Script Property, so the record works with every
+ * storage backend. Time-driven triggers call requireCurrentSchema_() first and do nothing while migrations
+ * are pending, so code is never run against tables it does not expect.
+ *
+ * A migration is { version, name, description, planUp, planDown }. A plan returns the steps the migration
+ * would take right now, each { description, apply }: previews report the descriptions and migrations run the
+ * apply functions, so a dry run lists exactly what will be written. Plans skip rows that are already migrated,
+ * so a migration cut short (e.g. by the 6-minute limit) is finished by running it again. Steps are applied in
+ * batches, each under its own script lock, so writes are saved as the migration goes. Migrations without
+ * planDown cannot be undone.
+ *
+ * To change the schema, append a migration with the next version (and add new columns to SHEET_SCHEMA).
+ */
+
+const SCHEMA_MIGRATIONS_PROPERTY = 'SCHEMA_MIGRATIONS';
+const SCHEMA_OUTDATED_ALERT_CACHE_KEY = 'SCHEMA_OUTDATED_ALERT';
+const SCHEMA_OUTDATED_ALERT_SECONDS = 3600; // Log to Error_Log at most hourly while triggers are held back
+const MIGRATION_VALUE_PREVIEW_CHARS = 40;
+const MIGRATION_BATCH_SIZE = 50; // Steps applied per script lock; each batch's writes reach the sheet before the next starts
+
+// Ordered by version; never renumber or remove a migration once it has been released
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_tables',
+    description: 'Create missing tables and add missing columns from SHEET_SCHEMA',
+    planUp: () => planCreateTables_()
+  },
+  {
+    version: 2,
+    name: 'email_thread_tracking',
+    description: 'Fill Primary_Thread_ID from the Interaction_Log and initialise Processed_Message_IDs and Last_Reply_Check',
+    planUp: () => planEmailThreadTracking_()
+  },
+  {
+    version: 3,
+    name: 'conversation_fields',
+    description: 'Set Approval_State and start the conversation from Employee_Reply on tasks that predate conversations',
+    planUp: () => planConversationFields_()
+  },
+  {
+    version: 4,
+    name: 'conversation_messages',
+    description: 'Move Conversation_History cells into the Conversation_Messages table',
+    planUp: () => planConversationMessages_()
+  },
+  {
+    version: 5,
+    name: 'lifecycle_statuses',
+    description: 'Map legacy statuses to lifecycle statuses (keeping the old one in Previous_Status), set Conversation_State and Initial_Parameters',
+    planUp: () => planLifecycleStatuses_(),
+    planDown: () => planRestoreLegacyStatuses_()
+  },
+  {
+    version: 6,
+    name: 'default_prompts',
+    description: 'Add the default AI prompts that are missing from the prompt sheets',
+    planUp: () => planDefaultPrompts_(),
+    planDown: () => planRemoveDefaultPrompts_()
+  },
+  {
+    version: 7,
+    name: 'task_audit',
+    description: 'Create the Task_Audit table, so task changes are recorded and can be undone',
+    planUp: () => planCreateTables_([SHEETS.TASK_AUDIT]),
+    planDown: () => [] // Older code ignores the table; its history is kept
+  },
+  {
+    version: 8,
+    name: 'tasks_archive',
+    description: 'Create the Tasks_Archive table for deleted and archived tasks',
+    planUp: () => planCreateTables_([SHEETS.TASKS_ARCHIVE]),
+    planDown: () => planRestoreArchivedTasks_()
+  },
+  {
+    version: 9,
+    name: 'change_feed',
+    description: 'Create the Change_Feed table for changes_since',
+    planUp: () => planCreateTables_([SHEETS.CHANGE_FEED]),
+    planDown: () => [] // Older code does not write the feed; clients fall back to a full reload
+  },
+  {
+    version: 10,
+    name: 'webhooks',
+    description: 'Create the Webhooks and Webhook_Deliveries tables',
+    planUp: () => planCreateTables_([SHEETS.WEBHOOKS, SHEETS.WEBHOOK_DELIVERIES]),
+    planDown: () => [] // Older code ignores the tables; subscribers are kept for an upgrade
+  },
+  {
+    version: 11,
+    name: 'schedule_fired_state',
+    description: 'Merge the per-task WF_FIRED_* and TASK_OVERDUE_* Script Properties into one fired-state map per workflow',
+    planUp: () => planScheduleFiredState_(),
+    planDown: () => [] // Older code starts its per-task keys again; a task may fire once more within catch_up_hours
+  }
+];
+
+// getSchemaStatus() result for this script run (cleared when migrations run)
+let schemaStatus_ = null;
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Applied and pending migrations
+ * @returns {object} { version, latestVersion, upToDate, applied: [{ version, name, appliedAt }], pending: [{ version, name }], unknown: [versions] }
+ */
+function getSchemaStatus() {
+  const applied = getAppliedMigrations_();
+  const known = {};
+  MIGRATIONS.forEach(migration => { known[migration.version] = true; });
+  const pending = getPendingMigrations_().map(migration => ({ version: migration.version, name: migration.name }));
+  // Applied by newer code than this deployment
+  const unknown = applied.filter(record => !known[record.version]).map(record => record.version);
+
+  return {
+    version: getSchemaVersion_(applied),
+    latestVersion: getLatestSchemaVersion_(),
+    upToDate: pending.length === 0 && unknown.length === 0,
+    applied: applied,
+    pending: pending,
+    unknown: unknown
+  };
+}
+
+/**
+ * Check the schema before a trigger does any work
+ * @param {string} triggerName - Function name, for the log
+ * @returns {boolean} False when migrations are pending (the trigger should return without doing anything)
+ */
+function requireCurrentSchema_(triggerName) {
+  if (!schemaStatus_) {
+    schemaStatus_ = getSchemaStatus();
+  }
+  if (schemaStatus_.upToDate) {
+    return true;
+  }
+
+  const message = schemaStatus_.unknown.length > 0
+    ? `Schema version ${schemaStatus_.version} is newer than this deployment (${schemaStatus_.latestVersion}). Deploy the newer code, or undo its migrations with it first.`
+    : `Schema version ${schemaStatus_.version} is behind this deployment (${schemaStatus_.latestVersion}), pending: ` +
+      `${schemaStatus_.pending.map(migration => `${migration.version} ${migration.name}`).join(', ')}. Run previewMigrations(), then migrateUp().`;
+  Logger.log(`${triggerName} skipped: ${message}`);
+
+  const cache = CacheService.getScriptCache();
+  if (!cache.get(SCHEMA_OUTDATED_ALERT_CACHE_KEY)) {
+    cache.put(SCHEMA_OUTDATED_ALERT_CACHE_KEY, '1', SCHEMA_OUTDATED_ALERT_SECONDS);
+    logError(ERROR_TYPE.DATA_ERROR, triggerName, `Trigger skipped: ${message}`);
+  }
+  return false;
+}
+
+function getAppliedMigrations_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(SCHEMA_MIGRATIONS_PROPERTY);
+  if (!raw) return [];
+  try {
+    const applied = JSON.parse(raw);
+    return Array.isArray(applied) ? applied : [];
+  } catch (e) {
+    Logger.log(`Could not parse ${SCHEMA_MIGRATIONS_PROPERTY}: ${e.toString()}`);
+    return [];
+  }
+}
+
+function saveAppliedMigrations_(applied) {
+  applied.sort((a, b) => a.version - b.version);
+  PropertiesService.getScriptProperties().setProperty(SCHEMA_MIGRATIONS_PROPERTY, JSON.stringify(applied));
+  schemaStatus_ = null;
+}
+
+function getPendingMigrations_() {
+  const applied = {};
+  getAppliedMigrations_().forEach(record => { applied[record.version] = true; });
+  return MIGRATIONS.filter(migration => !applied[migration.version]);
+}
+
+function getSchemaVersion_(applied) {
+  return applied.reduce((max, record) => Math.max(max, record.version), 0);
+}
+
+function getLatestSchemaVersion_() {
+  return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+function migrationLabel_(migration) {
+  return `${migration.version} ${migration.name}`;
+}
+
+// ============================================
+// RUNNING
+// ============================================
+
+/**
+ * Apply pending migrations in order. Run from the Apps Script editor after deploying new code.
+ * @param {number} targetVersion - Optional: stop after this version (default: the latest)
+ * @returns {object} { success, applied: [versions], version, error?, failedVersion? }
+ */
+function migrateUp(targetVersion) {
+  const target = targetVersion === undefined ? getLatestSchemaVersion_() : Number(targetVersion);
+  const migrations = getPendingMigrations_().filter(migration => migration.version <= target);
+  const applied = [];
+
+  if (migrations.length === 0) {
+    Logger.log(`No migrations to apply (schema version ${getSchemaVersion_(getAppliedMigrations_())})`);
+    return { success: true, applied: applied, version: getSchemaVersion_(getAppliedMigrations_()) };
+  }
+
+  for (const migration of migrations) {
+    try {
+      const changes = runMigrationPlan_(migration.planUp, migration);
+      saveAppliedMigrations_(getAppliedMigrations_().concat([{
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date().toISOString()
+      }]));
+      applied.push(migration.version);
+      Logger.log(`✓ Migration ${migrationLabel_(migration)}: ${changes} change(s)`);
+    } catch (error) {
+      logError(ERROR_TYPE.DATA_ERROR, 'migrateUp', `Migration ${migrationLabel_(migration)} failed: ${error.toString()}`, null, error.stack);
+      return {
+        success: false,
+        error: `Migration ${migrationLabel_(migration)} failed: ${error.toString()}`,
+        failedVersion: migration.version,
+        applied: applied,
+        version: getSchemaVersion_(getAppliedMigrations_())
+      };
+    }
+  }
+
+  return { success: true, applied: applied, version: getSchemaVersion_(getAppliedMigrations_()) };
+}
+
+/**
+ * Undo applied migrations newer than targetVersion, newest first.
+ * Nothing is undone if any of them cannot be.
+ * @param {number} targetVersion - Version to go back to
+ * @returns {object} { success, reverted: [versions], version, error? }
+ */
+function migrateDown(targetVersion) {
+  const target = Number(targetVersion);
+  if (targetVersion === undefined || isNaN(target) || target < 0) {
+    return { success: false, error: 'migrateDown needs the version to go back to, e.g. migrateDown(4)', reverted: [] };
+  }
+
+  const plan = getMigrationsToRevert_(target);
+  if (plan.error) {
+    return { success: false, error: plan.error, reverted: [], version: getSchemaVersion_(getAppliedMigrations_()) };
+  }
+
+  const reverted = [];
+  for (const migration of plan.migrations) {
+    try {
+      const changes = runMigrationPlan_(migration.planDown, migration);
+      saveAppliedMigrations_(getAppliedMigrations_().filter(record => record.version !== migration.version));
+      reverted.push(migration.version);
+      Logger.log(`✓ Reverted migration ${migrationLabel_(migration)}: ${changes} change(s)`);
+    } catch (error) {
+      logError(ERROR_TYPE.DATA_ERROR, 'migrateDown', `Reverting migration ${migrationLabel_(migration)} failed: ${error.toString()}`, null, error.stack);
+      return {
+        success: false,
+        error: `Reverting migration ${migrationLabel_(migration)} failed: ${error.toString()}`,
+        failedVersion: migration.version,
+        reverted: reverted,
+        version: getSchemaVersion_(getAppliedMigrations_())
+      };
+    }
+  }
+
+  return { success: true, reverted: reverted, version: getSchemaVersion_(getAppliedMigrations_()) };
+}
+
+/**
+ * Dry run: list every change migrateUp(targetVersion), or migrateDown(targetVersion) when the target is below
+ * the current version, would make. Nothing is written.
+ * Each migration is previewed against the current data, so changes that depend on an earlier pending
+ * migration (e.g. a column it adds) only show up once that one has run.
+ * @param {number} targetVersion - Optional (default: the latest version)
+ * @returns {object} { version, targetVersion, direction: 'up' | 'down', migrations: [{ version, name, description, changes, error? }] }
+ */
+function previewMigrations(targetVersion) {
+  const version = getSchemaVersion_(getAppliedMigrations_());
+  const target = targetVersion === undefined ? getLatestSchemaVersion_() : Number(targetVersion);
+  const direction = target < version ? 'down' : 'up';
+  const report = { version: version, targetVersion: target, direction: direction, migrations: [] };
+
+  let migrations;
+  if (direction === 'down') {
+    const plan = getMigrationsToRevert_(target);
+    if (plan.error) {
+      report.error = plan.error;
+    }
+    migrations = plan.migrations;
+  } else {
+    migrations = getPendingMigrations_().filter(migration => migration.version <= target);
+  }
+
+  Logger.log(`=== Migration preview: version ${version} → ${target} (dry run, nothing is written) ===`);
+  migrations.forEach(migration => {
+    const entry = { version: migration.version, name: migration.name, description: migration.description, changes: [] };
+    const plan = direction === 'down' ? migration.planDown : migration.planUp;
+    if (!plan) {
+      entry.error = 'Cannot be undone';
+    } else {
+      try {
+        entry.changes = plan().map(step => step.description);
+      } catch (error) {
+        entry.error = error.toString();
+      }
+    }
+    report.migrations.push(entry);
+
+    Logger.log(`\n${direction === 'down' ? 'Revert' : 'Apply'} ${migrationLabel_(migration)}: ${migration.description}`);
+    if (entry.error) {
+      Logger.log(`  ✗ ${entry.error}`);
+    } else if (entry.changes.length === 0) {
+      Logger.log('  (no changes)');
+    }
+    entry.changes.forEach(change => Logger.log(`  ${change}`));
+  });
+  if (migrations.length === 0) {
+    Logger.log('Nothing to do');
+  }
+
+  return report;
+}
+
+/**
+ * Applied migrations above targetVersion, newest first, or an error naming any that cannot be undone
+ */
+function getMigrationsToRevert_(targetVersion) {
+  const byVersion = {};
+  MIGRATIONS.forEach(migration => { byVersion[migration.version] = migration; });
+
+  const records = getAppliedMigrations_()
+    .filter(record => record.version > targetVersion)
+    .sort((a, b) => b.version - a.version);
+  const unknown = records.filter(record => !byVersion[record.version]);
+  if (unknown.length > 0) {
+    return { migrations: [], error: `Migration(s) ${unknown.map(record => record.version).join(', ')} were applied by newer code; revert them with that code` };
+  }
+
+  const migrations = records.map(record => byVersion[record.version]);
+  const irreversible = migrations.filter(migration => !migration.planDown);
+  if (irreversible.length > 0) {
+    return { migrations: migrations, error: `Cannot go below version ${irreversible[0].version}: ${irreversible.map(migrationLabel_).join(', ')} cannot be undone` };
+  }
+  return { migrations: migrations };
+}
+
+/**
+ * Plan under the script lock, then apply the steps in batches of MIGRATION_BATCH_SIZE, each under its own lock.
+ * Cell writes are only flushed when the lock is released, while Task_Audit rows are appended as each step
+ * runs, so a run cut short loses at most one batch of writes instead of leaving audit rows for all of them.
+ * Task changes are recorded in Task_Audit as made by the migration.
+ * @returns {number} Number of steps applied
+ */
+function runMigrationPlan_(plan, migration) {
+  return withAuditContext_({ source: AUDIT_SOURCE.MIGRATION, detail: migrationLabel_(migration) }, () => {
+    const steps = withScriptLock_(() => plan());
+    for (let start = 0; start < steps.length; start += MIGRATION_BATCH_SIZE) {
+      withScriptLock_(() => steps.slice(start, start + MIGRATION_BATCH_SIZE).forEach(step => step.apply()));
+    }
+    return steps.length;
+  });
+}
+
+// ============================================
+// STEP HELPERS
+// ============================================
+
+/**
+ * A step that writes updates to one task (without raising task events or checking the schema,
+ * so legacy values can be restored)
+ */
+function taskUpdateStep_(task, updates) {
+  const fields = Object.keys(updates).map(field =>
+    `${field} ${formatMigrationValue_(task[field])} → ${formatMigrationValue_(updates[field])}`);
+  return {
+    description: `${task.Task_ID}: ${fields.join(', ')}`,
+    apply: () => {
+      if (!updateTask(task.Task_ID, updates, { emitEvents: false, validate: false })) {
+        throw new Error(`Task ${task.Task_ID} not found`);
+      }
+    }
+  };
+}
+
+function formatMigrationValue_(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value);
+  return JSON.stringify(text.length > MIGRATION_VALUE_PREVIEW_CHARS ? text.substring(0, MIGRATION_VALUE_PREVIEW_CHARS) + '…' : text);
+}
+
+// ============================================
+// 1: CREATE TABLES
+// ============================================
+
+/**
+ * @param {Array} tables - Optional tables to check (default: every table in SHEET_SCHEMA)
+ */
+function planCreateTables_(tables) {
+  const steps = [];
+  (tables || Object.keys(SHEET_COLUMNS)).forEach(table => {
+    const columns = SHEET_COLUMNS[table];
+    if (!storageHasTable_(table)) {
+      steps.push({
+        description: `Create ${table} (${columns.length} columns)`,
+        apply: () => {
+          ensureStorageTable_(table, columns);
+          if (table === SHEETS.CONFIG) {
+            addRows(SHEETS.CONFIG, getDefaultConfigRows_().map(row => ({ Key: row[0], Value: row[1], Description: row[2], Category: row[3] })));
+            configCache_ = null;
+          }
+        }
+      });
+      return;
+    }
+
+    const headers = getStorageBackend_().readHeaders(table);
+    columns.filter(column => headers.indexOf(column) === -1).forEach(column => {
+      steps.push({
+        description: `${table}: add column ${column}`,
+        apply: () => {
+          getStorageBackend_().addColumn(table, column);
+          invalidateSheetCache_(table);
+        }
+      });
+    });
+  });
+  return steps;
+}
+
+// ============================================
+// 2: EMAIL THREAD TRACKING
+// ============================================
+
+function planEmailThreadTracking_() {
+  const steps = [];
+  getSheetData(SHEETS.TASKS_DB).forEach(task => {
+    if (!task.Task_ID) return;
+    const updates = {};
+
+    // First thread ID the old code wrote to the log, if Gmail still has the thread
+    if (!task.Primary_Thread_ID) {
+      const threadIdMatch = String(task.Interaction_Log || '').match(/Thread ID:\s*([a-zA-Z0-9_-]+)/i);
+      if (threadIdMatch && gmailThreadExists_(threadIdMatch[1])) {
+        updates.Primary_Thread_ID = threadIdMatch[1];
+      }
+    }
+    if (!task.Processed_Message_IDs) {
+      updates.Processed_Message_IDs = '[]';
+    }
+    if (!task.Last_Reply_Check) {
+      updates.Last_Reply_Check = task.Last_Updated || task.Created_Date || new Date();
+    }
+
+    if (Object.keys(updates).length > 0) {
+      steps.push(taskUpdateStep_(task, updates));
+    }
+  });
+  return steps;
+}
+
+function gmailThreadExists_(threadId) {
+  try {
+    return !!GmailApp.getThreadById(threadId);
+  } catch (e) {
+    Logger.log(`Could not access thread ${threadId}: ${e.toString()}`);
+    return false;
+  }
+}
+
+// ============================================
+// 3: CONVERSATION FIELDS
+// ============================================
+
+function planConversationFields_() {
+  const reviewStatuses = [TASK_STATUS.REVIEW_DATE, TASK_STATUS.REVIEW_SCOPE, TASK_STATUS.REVIEW_ROLE];
+  const steps = [];
+
+  getSheetData(SHEETS.TASKS_DB).forEach(task => {
+    if (!task.Task_ID) return;
+    // Already migrated, or created after conversations were introduced
+    if (task.Conversation_History || task.Approval_State || Number(task.Message_Count) > 0) return;
+
+    const updates = {
+      Approval_State: reviewStatuses.includes(task.Status) ? APPROVAL_STATE.AWAITING_BOSS : APPROVAL_STATE.NONE
+    };
+    if (task.Employee_Reply) {
+      updates.Conversation_History = JSON.stringify([{
+        id: `legacy_reply_${task.Task_ID}`,
+        timestamp: new Date(task.Last_Updated || Date.now()).toISOString(),
+        senderEmail: task.Assignee_Email || '',
+        senderName: task.Assignee_Name || '',
+        type: 'employee_reply',
+        content: task.Employee_Reply,
+        metadata: {}
+      }]);
+      updates.Message_Count = 1;
+      updates.Last_Employee_Message = task.Last_Updated || new Date();
+    }
+    steps.push(taskUpdateStep_(task, updates));
+  });
+  return steps;
+}
+
+// ============================================
+// 4: CONVERSATION MESSAGES
+// ============================================
+
+function planConversationMessages_() {
+  return getSheetData(SHEETS.TASKS_DB)
+    .filter(task => task.Task_ID && task.Conversation_History)
+    .map(task => ({
+      description: `${task.Task_ID}: move ${_parseLegacyConversationHistory_(task).length} message(s) from Conversation_History to ${SHEETS.CONVERSATION_MESSAGES}`,
+      apply: () => migrateTaskConversation_(task)
+    }));
+}
+
+// ============================================
+// 5: LIFECYCLE STATUSES
+// ============================================
+
+function planLifecycleStatuses_() {
+  const lifecycleStatuses = Object.values(TASK_STATUS);
+  const steps = [];
+
+  getSheetData(SHEETS.TASKS_DB).forEach(task => {
+    if (!task.Task_ID) return;
+    const updates = {};
+
+    if (!lifecycleStatuses.includes(task.Status)) {
+      const status = normalizeStatus(task.Status);
+      if (status !== task.Status) {
+        updates.Status = status;
+        if (task.Status) {
+          updates.Previous_Status = task.Status; // Restored by migrateDown
+        }
+      }
+    }
+
+    if (!String(task.Conversation_State || '').trim()) {
+      updates.Conversation_State = getInitialConversationState_(
+        updates.Previous_Status || task.Previous_Status || task.Status, updates.Status || task.Status);
+    }
+
+    // Snapshot used to detect changes (e.g. date changed from original)
+    if (!String(task.Initial_Parameters || '').trim()) {
+      updates.Initial_Parameters = JSON.stringify({
+        dueDate: task.Due_Date || null,
+        assignee: task.Assignee_Email || null,
+        assigneeName: task.Assignee_Name || null,
+        taskName: task.Task_Name || '',
+        scope: task.Context_Hidden || '',
+        projectTag: task.Project_Tag || '',
+        createdAt: task.Created_Date || new Date().toISOString()
+      });
+    }
+
+    if (Object.keys(updates).length > 0) {
+      steps.push(taskUpdateStep_(task, updates));
+    }
+  });
+  return steps;
+}
+
+/**
+ * Tasks still holding the legacy status this migration replaced get it back.
+ * Conversation_State and Initial_Parameters are kept: older code ignores them.
+ */
+function planRestoreLegacyStatuses_() {
+  const lifecycleStatuses = Object.values(TASK_STATUS);
+  return getSheetData(SHEETS.TASKS_DB)
+    .filter(task => task.Task_ID && task.Previous_Status &&
+      !lifecycleStatuses.includes(task.Previous_Status) && normalizeStatus(task.Previous_Status) === task.Status)
+    .map(task => taskUpdateStep_(task, { Status: task.Previous_Status, Previous_Status: '' }));
+}
+
+/**
+ * Conversation_State implied by a task's old status
+ */
+function getInitialConversationState_(oldStatus, currentStatus) {
+  const conversationStateMap = {
+    // Old review statuses → conversation states
+    'Review_Date': CONVERSATION_STATE.CHANGE_REQUESTED,
+    'Review_Date_Boss_Approved': CONVERSATION_STATE.AWAITING_CONFIRMATION,
+    'Review_Date_Boss_Rejected': CONVERSATION_STATE.REJECTED,
+    'Review_Date_Boss_Proposed': CONVERSATION_STATE.BOSS_PROPOSED,
+    'Review_Scope': CONVERSATION_STATE.CHANGE_REQUESTED,
+    'Review_Scope_Clarified': CONVERSATION_STATE.RESOLVED,
+    'Review_Role': CONVERSATION_STATE.CHANGE_REQUESTED,
+    'Review_Stagnation': CONVERSATION_STATE.ACTIVE, // Just slow, no request
+    'Review_Update': CONVERSATION_STATE.UPDATE_RECEIVED,
+    'Done Pending Review': CONVERSATION_STATE.COMPLETION_PENDING,
+
+    // Current lifecycle statuses → default conversation states
+    'ai_assist': CONVERSATION_STATE.ACTIVE,
+    'not_active': CONVERSATION_STATE.AWAITING_EMPLOYEE,
+    'on_time': CONVERSATION_STATE.ACTIVE,
+    'slow_progress': CONVERSATION_STATE.ACTIVE,
+    'completed': CONVERSATION_STATE.COMPLETION_PENDING,
+    'on_hold': CONVERSATION_STATE.ACTIVE,
+    'someday': CONVERSATION_STATE.ACTIVE,
+    'closed': CONVERSATION_STATE.RESOLVED,
+  };
+
+  return conversationStateMap[oldStatus] || conversationStateMap[currentStatus] || CONVERSATION_STATE.ACTIVE;
+}
+
+// ============================================
+// 6: DEFAULT PROMPTS
+// ============================================
+
+function planDefaultPrompts_() {
+  return getDefaultPrompts()
+    .filter(prompt => !getPrompt(prompt.name, prompt.type))
+    .map(prompt => ({
+      description: `${getPromptSheetName(prompt.type)}: add prompt ${prompt.name}`,
+      apply: () => {
+        if (!savePrompt(prompt.name, prompt.type, prompt.content, prompt.description)) {
+          throw new Error(`Could not save prompt ${prompt.name}`);
+        }
+      }
+    }));
+}
+
+/**
+ * Remove default prompts nobody has edited since (edited ones are kept)
+ */
+function planRemoveDefaultPrompts_() {
+  return getDefaultPrompts()
+    .filter(prompt => {
+      const saved = getPrompt(prompt.name, prompt.type);
+      return saved && saved.Content === prompt.content;
+    })
+    .map(prompt => ({
+      description: `${getPromptSheetName(prompt.type)}: remove prompt ${prompt.name}`,
+      apply: () => deleteRowByValue(getPromptSheetName(prompt.type), 'Name', prompt.name)
+    }));
+}
+
+// ============================================
+// 8: TASKS ARCHIVE
+// ============================================
+
+/**
+ * Older code only reads Tasks_DB: move archived tasks back there (the trash stays in Tasks_Archive)
+ */
+function planRestoreArchivedTasks_() {
+  return getArchivedTasks().map(task => ({
+    description: `Tasks_Archive: move ${task.Task_ID} back to Tasks_DB`,
+    apply: () => {
+      const result = restoreTask(task.Task_ID);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+  }));
+}
+
+// ============================================
+// 11: SCHEDULE FIRED STATE
+// ============================================
+
+const LEGACY_SCHEDULE_FIRED_PREFIX = 'WF_FIRED_';
+const LEGACY_TASK_OVERDUE_PREFIX = 'TASK_OVERDUE_';
+
+/**
+ * Older scheduler runs kept one property per task: WF_FIRED_<workflow>_<task> and TASK_OVERDUE_<task>
+ */
+function planScheduleFiredState_() {
+  const properties = PropertiesService.getScriptProperties();
+  const maps = {};
+  const legacyKeys = properties.getKeys().filter(key => {
+    let propertyKey;
+    let taskId;
+    if (key.indexOf(LEGACY_SCHEDULE_FIRED_PREFIX) === 0) {
+      const rest = key.substring(LEGACY_SCHEDULE_FIRED_PREFIX.length);
+      const split = rest.lastIndexOf('_');
+      if (split <= 0) return false;
+      propertyKey = SCHEDULE_FIRED_PROPERTY_PREFIX + rest.substring(0, split);
+      taskId = rest.substring(split + 1);
+    } else if (key.indexOf(LEGACY_TASK_OVERDUE_PREFIX) === 0) {
+      propertyKey = TASK_OVERDUE_FIRED_PROPERTY;
+      taskId = key.substring(LEGACY_TASK_OVERDUE_PREFIX.length);
+    } else {
+      return false;
+    }
+    maps[propertyKey] = maps[propertyKey] || {};
+    maps[propertyKey][taskId] = properties.getProperty(key);
+    return true;
+  });
+
+  return Object.keys(maps).map(propertyKey => ({
+    description: `Script Properties: merge ${Object.keys(maps[propertyKey]).length} per-task key(s) into ${propertyKey}`,
+    apply: () => {
+      const fired = { ...getScheduleFiredState_(propertyKey), ...maps[propertyKey] };
+      properties.setProperty(propertyKey, JSON.stringify(fired));
+    }
+  })).concat(legacyKeys.length === 0 ? [] : [{
+    description: `Script Properties: remove ${legacyKeys.length} per-task fired-state key(s)`,
+    apply: () => legacyKeys.forEach(key => properties.deleteProperty(key))
+  }]);
+}
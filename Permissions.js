@@ -0,0 +1,204 @@
+/**
+ * Permissions
+ * Role-based access control for dashboard actions (doGet/doPost)
+ *
+ * Roles:
+ * - boss:           BOSS_EMAIL from Config. Can run every action.
+ * - chief_of_staff: Delegates listed in DELEGATE_EMAILS (Config) or Staff_DB Role "Chief of Staff" / "Delegate".
+ *                   Same rights as the boss (approvals, config changes, bulk operations).
+ * - employee:       Any other Staff_DB member. Sees and acts only on tasks assigned to them.
+ * - viewer:         Staff_DB Role "Viewer", or an API client pinned to the viewer role.
+ *                   Read-only get_tasks / task_analytics, without conversation content.
+ *
+ * Which actions employees and viewers may run is declared by the roles of each action's entry in
+ * API_ACTIONS / API_GET_ACTIONS (see ApiActions.js).
+ *
+ * The caller is identified from the authenticated API client (see ApiAuth.js):
+ * the client's pinned role, then the client's email, then an actorEmail passed on a
+ * signed request (signed requests come from a trusted backend acting for a user).
+ */
+
+const USER_ROLE = {
+  BOSS: 'boss',
+  CHIEF_OF_STAFF: 'chief_of_staff',
+  EMPLOYEE: 'employee',
+  VIEWER: 'viewer',
+};
+
+/**
+ * Resolve who is calling and with which role
+ * @param {object} client - Authenticated client from authenticateRequest()
+ * @param {string} actorEmail - Optional actorEmail from the request (honoured on signed requests only)
+ * @returns {object} { email, role } - role is null when the caller is not a known user
+ */
+function resolveCaller(client, actorEmail = null) {
+  if (!client) {
+    return { email: null, role: null };
+  }
+
+  // Auth disabled: keep the pre-permissions behaviour (full access)
+  if (client.clientId === 'anonymous') {
+    return { email: null, role: USER_ROLE.BOSS };
+  }
+
+  const email = client.email || (client.signed && actorEmail ? String(actorEmail) : null);
+
+  if (client.role && Object.values(USER_ROLE).includes(client.role)) {
+    return { email: email, role: client.role };
+  }
+
+  return { email: email, role: email ? getRoleForEmail(email) : null };
+}
+
+/**
+ * Look up the role for an email address
+ * @param {string} email - Email address
+ * @returns {string|null} One of USER_ROLE, or null if the email is not the boss or in Staff_DB
+ */
+function getRoleForEmail(email) {
+  const normalized = normalizePermissionEmail_(email);
+  if (!normalized) return null;
+
+  if (normalized === normalizePermissionEmail_(CONFIG.BOSS_EMAIL())) {
+    return USER_ROLE.BOSS;
+  }
+
+  const delegates = String(getConfigValue('DELEGATE_EMAILS', ''))
+    .split(/[,;\s]+/)
+    .map(normalizePermissionEmail_)
+    .filter(d => d);
+  if (delegates.includes(normalized)) {
+    return USER_ROLE.CHIEF_OF_STAFF;
+  }
+
+  const staff = getStaff(email) || (normalized !== email ? getStaff(normalized) : null);
+  if (!staff) {
+    return null;
+  }
+
+  const staffRole = String(staff.Role || '').toLowerCase();
+  if (/chief\s*of\s*staff|delegate/.test(staffRole)) {
+    return USER_ROLE.CHIEF_OF_STAFF;
+  }
+  if (/viewer|read[\s-]*only/.test(staffRole)) {
+    return USER_ROLE.VIEWER;
+  }
+  return USER_ROLE.EMPLOYEE;
+}
+
+/**
+ * Check whether the caller may run an action
+ * @param {object} caller - From resolveCaller()
+ * @param {string} method - 'GET' or 'POST'
+ * @param {string} action - Requested action
+ * @param {string} taskId - Task the action targets (optional)
+ * @returns {object} { ok: true } or { ok: false, status: 403, error }
+ */
+function authorizeAction(caller, method, action, taskId = null) {
+  // Public endpoints (health) are not tied to a caller
+  if (isPublicApiAction_(method, action)) {
+    return { ok: true };
+  }
+
+  if (!caller || !caller.role) {
+    return denyAction_(caller, method, action, 'Caller is not a known user (set the client email or role)');
+  }
+
+  if (isBossOrDelegate(caller)) {
+    return { ok: true };
+  }
+
+  const definition = getApiActionDefinition(method, action);
+  const roles = (definition && definition.roles) || [];
+
+  if (caller.role === USER_ROLE.VIEWER) {
+    if (method === 'GET' && roles.includes(USER_ROLE.VIEWER)) {
+      return { ok: true };
+    }
+    return denyAction_(caller, method, action, 'Viewers have read-only access');
+  }
+
+  if (caller.role === USER_ROLE.EMPLOYEE) {
+    if (!roles.includes(USER_ROLE.EMPLOYEE)) {
+      return denyAction_(caller, method, action, 'Only the boss or a delegate can run this action');
+    }
+    // Employee POST actions and ownTask GET endpoints must target one of the caller's tasks
+    const needsOwnTask = method === 'POST' || definition.ownTask === true;
+    if (needsOwnTask) {
+      if (!taskId) {
+        return denyAction_(caller, method, action, 'taskId is required');
+      }
+      // Trashed and archived tasks are not found here; their messages stay private too
+      const task = getTask(taskId);
+      if (!task) {
+        return denyAction_(caller, method, action, `Task ${taskId} not found`);
+      }
+      if (!isTaskOwnedBy(task, caller.email)) {
+        return denyAction_(caller, method, action, `Task ${taskId} is not assigned to you`);
+      }
+    }
+    return { ok: true };
+  }
+
+  return denyAction_(caller, method, action, `Unknown role: ${caller.role}`);
+}
+
+/**
+ * True for the boss and chief-of-staff delegates
+ */
+function isBossOrDelegate(caller) {
+  return !!caller && (caller.role === USER_ROLE.BOSS || caller.role === USER_ROLE.CHIEF_OF_STAFF);
+}
+
+/**
+ * True if the task is assigned to the given email
+ */
+function isTaskOwnedBy(task, email) {
+  const owner = normalizePermissionEmail_(task && task.Assignee_Email);
+  return !!owner && owner === normalizePermissionEmail_(email);
+}
+
+/**
+ * Restrict a list of Tasks_DB rows to what the caller may see
+ * @param {Array} tasks - Task rows
+ * @param {object} caller - From resolveCaller()
+ * @returns {Array} Visible tasks
+ */
+function filterTasksForCaller(tasks, caller) {
+  if (caller && caller.role === USER_ROLE.EMPLOYEE) {
+    return tasks.filter(task => isTaskOwnedBy(task, caller.email));
+  }
+  return tasks;
+}
+
+/**
+ * Strip conversation content from a formatted get_tasks entry for viewers
+ * @param {object} formattedTask - Task as returned by get_tasks
+ * @param {object} caller - From resolveCaller()
+ * @returns {object} Task safe to return to the caller
+ */
+function redactTaskForCaller(formattedTask, caller) {
+  if (!caller || caller.role !== USER_ROLE.VIEWER) {
+    return formattedTask;
+  }
+  return {
+    ...formattedTask,
+    conversationHistory: [],
+    lastMessageSnippet: '',
+    pendingChanges: [],
+    employeeReply: '',
+    interactionLog: ''
+  };
+}
+
+function denyAction_(caller, method, action, reason) {
+  const who = (caller && (caller.email || caller.role)) || '(unknown caller)';
+  const message = `Denied ${method} ${action || '(no action)'} for ${who}: ${reason}`;
+  Logger.log(message);
+  logError(ERROR_TYPE.PERMISSION_ERROR, 'authorizeAction', message);
+  return { ok: false, status: 403, error: 'Forbidden: ' + reason };
+}
+
+function normalizePermissionEmail_(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
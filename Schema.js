@@ -0,0 +1,173 @@
+/**
+ * Sheet Schema
+ * Checks records against the field types in SHEET_SCHEMA (Config.js) before they are written
+ *
+ * createTask(), updateTask() and createStaff() reject bad writes with a VALIDATION_ERROR whose fieldErrors
+ * map each column to a message, e.g. { Due_Date: 'Expected a date (yyyy-MM-dd), got "next week"' }. Dashboard handlers
+ * turn it into a 400-style response (createValidationErrorResponse_) so the form can show each message
+ * next to its field. Other tables are written as before; their schema documents the columns.
+ *
+ * Values read back from the sheet pass validation (Dates, numbers and 'TRUE'/'FALSE' cells), so a row can
+ * be copied from one write to the next.
+ */
+
+const SCHEMA_EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const SCHEMA_DAY_FIRST_DATE_PATTERN = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/; // dd-MM-yyyy or dd/MM/yyyy (AI due dates)
+const SCHEMA_ERROR_VALUE_CHARS = 40;
+
+/**
+ * Field definition from SHEET_SCHEMA
+ * @returns {object} { type, required, values, min, max }, or null for a column the sheet does not have
+ */
+function getFieldSchema_(sheetName, field) {
+  const schema = SHEET_SCHEMA[sheetName];
+  if (!schema) {
+    throw new Error(`No schema for sheet "${sheetName}"`);
+  }
+  const definition = schema[field];
+  if (!definition) return null;
+  return typeof definition === 'string' ? { type: definition } : definition;
+}
+
+/**
+ * Check a record against its sheet's schema
+ * @param {string} sheetName - Sheet name (a key of SHEET_SCHEMA)
+ * @param {object} record - Values keyed by column
+ * @param {object} options - Optional { partial: true } for updates: required fields are only checked when present
+ * @returns {object} { valid, fieldErrors: { column: message } }
+ */
+function validateRecord_(sheetName, record, options = {}) {
+  const fieldErrors = {};
+
+  Object.keys(record).forEach(field => {
+    const fieldSchema = getFieldSchema_(sheetName, field);
+    if (!fieldSchema) {
+      fieldErrors[field] = `Unknown field (not a ${sheetName} column)`;
+      return;
+    }
+    const error = validateFieldValue_(fieldSchema, record[field]);
+    if (error) fieldErrors[field] = error;
+  });
+
+  if (!options.partial) {
+    Object.keys(SHEET_SCHEMA[sheetName]).forEach(field => {
+      if (record[field] === undefined && getFieldSchema_(sheetName, field).required) {
+        fieldErrors[field] = 'Required';
+      }
+    });
+  }
+
+  return { valid: Object.keys(fieldErrors).length === 0, fieldErrors: fieldErrors };
+}
+
+/**
+ * validateRecord_(), throwing a VALIDATION_ERROR when the record is invalid
+ */
+function assertValidRecord_(sheetName, record, options = {}) {
+  const result = validateRecord_(sheetName, record, options);
+  if (!result.valid) {
+    throw createValidationError_(sheetName, result.fieldErrors);
+  }
+}
+
+/**
+ * Error thrown when a write does not match the sheet schema
+ * @returns {Error} Error with code 'VALIDATION_ERROR', status 400 and fieldErrors
+ */
+function createValidationError_(sheetName, fieldErrors) {
+  const details = Object.keys(fieldErrors).map(field => `${field}: ${fieldErrors[field]}`).join('; ');
+  const error = new Error(`Invalid ${sheetName} write: ${details}`);
+  error.code = 'VALIDATION_ERROR';
+  error.status = 400;
+  error.fieldErrors = fieldErrors;
+  return error;
+}
+
+/**
+ * @returns {string} Error message, or null when the value is valid
+ */
+function validateFieldValue_(fieldSchema, value) {
+  if (value === undefined || value === null || value === '') {
+    return fieldSchema.required ? 'Required' : null;
+  }
+
+  switch (fieldSchema.type) {
+    case FIELD_TYPE.STRING:
+      return isSchemaScalar_(value) ? null : `Expected text, got ${describeSchemaValue_(value)}`;
+
+    case FIELD_TYPE.NUMBER: {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+      if (!isFinite(number)) return `Expected a number, got ${describeSchemaValue_(value)}`;
+      if (fieldSchema.min !== undefined && number < fieldSchema.min) return `Must be at least ${fieldSchema.min}`;
+      if (fieldSchema.max !== undefined && number > fieldSchema.max) return `Must be at most ${fieldSchema.max}`;
+      return null;
+    }
+
+    case FIELD_TYPE.DATE:
+      return parseSchemaDate_(value) ? null : `Expected a date (yyyy-MM-dd), got ${describeSchemaValue_(value)}`;
+
+    case FIELD_TYPE.EMAIL:
+      return typeof value === 'string' && SCHEMA_EMAIL_PATTERN.test(value.trim()) ? null : `Expected an email address, got ${describeSchemaValue_(value)}`;
+
+    case FIELD_TYPE.ENUM: {
+      const allowed = Array.isArray(fieldSchema.values) ? fieldSchema.values : Object.values(fieldSchema.values);
+      return allowed.indexOf(value) !== -1 ? null : `Expected one of ${allowed.join(', ')}, got ${describeSchemaValue_(value)}`;
+    }
+
+    case FIELD_TYPE.JSON:
+      if (typeof value !== 'string') return `Expected a JSON string, got ${describeSchemaValue_(value)}`;
+      try {
+        JSON.parse(value);
+        return null;
+      } catch (e) {
+        return `Expected JSON, got ${describeSchemaValue_(value)}`;
+      }
+
+    case FIELD_TYPE.BOOLEAN:
+      return typeof value === 'boolean' || /^(true|false)$/i.test(String(value)) ? null : `Expected true or false, got ${describeSchemaValue_(value)}`;
+
+    default:
+      throw new Error(`Unknown field type "${fieldSchema.type}"`);
+  }
+}
+
+/**
+ * Parse a value the schema accepts as a date
+ * @returns {Date} The date, or null when the value is not one (Invalid Date, free text like "next week")
+ */
+function parseSchemaDate_(value) {
+  if (isSchemaDate_(value)) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const text = value.trim();
+  const dayFirst = text.match(SCHEMA_DAY_FIRST_DATE_PATTERN);
+  if (dayFirst) {
+    const day = parseInt(dayFirst[1], 10);
+    const month = parseInt(dayFirst[2], 10);
+    const date = new Date(parseInt(dayFirst[3], 10), month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+  // A four-digit year is required: V8's lenient parser turns text such as "Task 1" into a date
+  if (!/\d{4}/.test(text)) return null;
+  const time = Date.parse(text);
+  return isNaN(time) ? null : new Date(time);
+}
+
+// Sheets turns date-like text into Dates, so a Date read back from a text column is still text
+function isSchemaScalar_(value) {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' || isSchemaDate_(value);
+}
+
+function isSchemaDate_(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function describeSchemaValue_(value) {
+  if (isSchemaDate_(value)) return 'an invalid date';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'an object';
+  const text = String(value);
+  return JSON.stringify(text.length > SCHEMA_ERROR_VALUE_CHARS ? text.substring(0, SCHEMA_ERROR_VALUE_CHARS) + '…' : text);
+}
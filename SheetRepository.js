@@ -0,0 +1,288 @@
+/**
+ * Sheet Repository
+ * Per-execution cache in front of the storage backend (StorageBackend.js), used by every SheetsHelper read and write
+ *
+ * - Each sheet is read once per script run and kept as headers + values (getSheetTable_).
+ * - Lookups by column value (getTask, getStaff, findRowByValue, findRowsByValue) use a value -> row indexes map
+ *   built on first use.
+ * - updateRowByValue() changes the cached row and marks the cells dirty. Dirty cells are written with one
+ *   call per run of adjacent columns when the outermost script lock is released (flushSheetWrites_).
+ * - Staff_DB and Projects_DB are also kept in CacheService, so most runs never read them at all.
+ *
+ * Every flush stores a new revision token for the sheet in CacheService. The cached copy is checked
+ * against it whenever the script lock is taken (so locked read-modify-writes always see the latest rows)
+ * and at most every SHEET_REVALIDATE_SECONDS otherwise. Code that writes a sheet directly (setup,
+ * migrations) must call invalidateSheetCache_() afterwards.
+ */
+
+const SHEET_REVISION_PREFIX = 'SHEET_REV_';      // CacheService: token changed by every flush
+const SHEET_DATA_CACHE_PREFIX = 'SHEET_DATA_';   // CacheService: { revision, values } for small, hot sheets
+const SHEET_REVISION_CACHE_SECONDS = 21600;      // CacheService maximum (6 hours)
+const SHEET_DATA_CACHE_SECONDS = 600;
+const SHEET_DATA_CACHE_MAX_CHARS = 90000;        // CacheService values are limited to 100KB
+const SHEET_REVALIDATE_SECONDS = 30;
+
+// Sheets loaded in this script run, by name
+let sheetTables_ = {};
+// Sheets changed while the current script lock is held (their revision is bumped on flush)
+let changedSheets_ = {};
+
+/**
+ * Cached copy of a sheet
+ * @returns {object} { name, headers, values (row 0 = headers), revision, indexes, dirty }
+ */
+function getSheetTable_(sheetName) {
+  let table = sheetTables_[sheetName];
+  if (table && Date.now() - table.checkedAt > SHEET_REVALIDATE_SECONDS * 1000 && !changedSheets_[sheetName]) {
+    if (getSheetRevision_(sheetName) !== table.revision) {
+      table = null;
+    } else {
+      table.checkedAt = Date.now();
+    }
+  }
+  if (!table) {
+    table = loadSheetTable_(sheetName);
+    sheetTables_[sheetName] = table;
+  }
+  return table;
+}
+
+function loadSheetTable_(sheetName) {
+  const revision = getSheetRevision_(sheetName);
+  const serviceCached = isServiceCachedSheet_(sheetName);
+
+  let values = serviceCached ? readServiceCachedValues_(sheetName, revision) : null;
+  if (!values) {
+    values = getStorageBackend_().readTable(sheetName);
+    if (serviceCached) {
+      writeServiceCachedValues_(sheetName, revision, values);
+    }
+  }
+
+  return {
+    name: sheetName,
+    headers: values.length > 0 ? values[0] : [],
+    values: values,
+    revision: revision,
+    checkedAt: Date.now(),
+    indexes: {},
+    dirty: {}
+  };
+}
+
+/**
+ * Rows of a cached sheet as objects (fresh objects and Date copies, so callers can change them freely)
+ */
+function getSheetRows_(sheetName) {
+  const table = getSheetTable_(sheetName);
+  const rows = [];
+  for (let i = 1; i < table.values.length; i++) {
+    rows.push(sheetRowToObject_(table, i));
+  }
+  return rows;
+}
+
+function sheetRowToObject_(table, rowIndex) {
+  const row = {};
+  table.headers.forEach((header, index) => {
+    const value = table.values[rowIndex][index];
+    row[header] = value instanceof Date ? new Date(value.getTime()) : value;
+  });
+  return row;
+}
+
+/**
+ * Index of the first row whose column holds value (strict equality, like Array.find)
+ * @returns {number} Position in table.values, or -1
+ */
+function findSheetRowIndex_(table, columnIndex, value) {
+  const rowIndexes = getSheetColumnIndex_(table, columnIndex).get(value);
+  return rowIndexes ? rowIndexes[0] : -1;
+}
+
+/**
+ * Indexes of every row whose column holds value, in sheet order
+ * @returns {Array<number>} Positions in table.values
+ */
+function findSheetRowIndexes_(table, columnIndex, value) {
+  const rowIndexes = getSheetColumnIndex_(table, columnIndex).get(value);
+  return rowIndexes ? rowIndexes.slice() : [];
+}
+
+// value -> row indexes for one column, built on first use
+function getSheetColumnIndex_(table, columnIndex) {
+  let index = table.indexes[columnIndex];
+  if (!index) {
+    index = new Map();
+    for (let i = 1; i < table.values.length; i++) {
+      const key = table.values[i][columnIndex];
+      if (index.has(key)) {
+        index.get(key).push(i);
+      } else {
+        index.set(key, [i]);
+      }
+    }
+    table.indexes[columnIndex] = index;
+  }
+  return index;
+}
+
+/**
+ * Change one cached cell and queue it for the next flush (caller holds the script lock)
+ */
+function setSheetCell_(table, rowIndex, columnIndex, value) {
+  table.values[rowIndex][columnIndex] = value;
+  if (!table.dirty[rowIndex]) table.dirty[rowIndex] = {};
+  table.dirty[rowIndex][columnIndex] = true;
+  // Rebuilt on next lookup: the old value may still belong to a later row
+  delete table.indexes[columnIndex];
+  changedSheets_[table.name] = true;
+}
+
+/**
+ * Record rows appended directly to the sheet (caller holds the script lock)
+ */
+function appendSheetRows_(sheetName, rows) {
+  const table = sheetTables_[sheetName];
+  if (table) {
+    rows.forEach(row => {
+      table.values.push(row);
+      const rowIndex = table.values.length - 1;
+      Object.keys(table.indexes).forEach(columnIndex => {
+        const index = table.indexes[columnIndex];
+        if (index.has(row[columnIndex])) {
+          index.get(row[columnIndex]).push(rowIndex);
+        } else {
+          index.set(row[columnIndex], [rowIndex]);
+        }
+      });
+    });
+  }
+  changedSheets_[sheetName] = true;
+}
+
+/**
+ * Record a row deleted directly from the sheet (caller holds the script lock and has flushed)
+ */
+function removeSheetRow_(table, rowIndex, count = 1) {
+  table.values.splice(rowIndex, count);
+  table.indexes = {};
+  changedSheets_[table.name] = true;
+}
+
+/**
+ * Write every dirty cell, persist the backend and publish new revisions for changed sheets
+ * (called when the script lock is released)
+ */
+function flushSheetWrites_() {
+  const names = Object.keys(changedSheets_);
+  changedSheets_ = {};
+
+  const cache = CacheService.getScriptCache();
+  const revisions = {};
+  names.forEach(sheetName => {
+    const table = sheetTables_[sheetName];
+    if (table) {
+      writeDirtyCells_(table);
+      table.revision = Utilities.getUuid();
+      table.checkedAt = Date.now();
+      revisions[SHEET_REVISION_PREFIX + sheetName] = table.revision;
+      if (isServiceCachedSheet_(sheetName)) {
+        writeServiceCachedValues_(sheetName, table.revision, table.values);
+      }
+    } else {
+      revisions[SHEET_REVISION_PREFIX + sheetName] = Utilities.getUuid();
+      cache.remove(SHEET_DATA_CACHE_PREFIX + sheetName);
+    }
+  });
+  getStorageBackend_().flush();
+  if (names.length > 0) {
+    cache.putAll(revisions, SHEET_REVISION_CACHE_SECONDS);
+  }
+}
+
+function writeDirtyCells_(table) {
+  const backend = getStorageBackend_();
+  Object.keys(table.dirty).forEach(key => {
+    const rowIndex = parseInt(key, 10);
+    const columns = Object.keys(table.dirty[key]).map(Number).sort((a, b) => a - b);
+
+    // One write per run of adjacent columns; untouched cells in between are left alone
+    let start = 0;
+    for (let i = 1; i <= columns.length; i++) {
+      if (i === columns.length || columns[i] !== columns[i - 1] + 1) {
+        const first = columns[start];
+        const width = columns[i - 1] - first + 1;
+        backend.writeCells(table.name, rowIndex + 1, first + 1, table.values[rowIndex].slice(first, first + width));
+        start = i;
+      }
+    }
+  });
+  table.dirty = {};
+}
+
+/**
+ * Drop cached copies that another execution has changed since we read them (called when the script lock is taken)
+ */
+function revalidateSheetTables_() {
+  const names = Object.keys(sheetTables_);
+  if (names.length === 0) return;
+
+  const current = CacheService.getScriptCache().getAll(names.map(name => SHEET_REVISION_PREFIX + name));
+  names.forEach(name => {
+    const revision = current[SHEET_REVISION_PREFIX + name] || null;
+    if (revision !== sheetTables_[name].revision) {
+      delete sheetTables_[name];
+    } else {
+      sheetTables_[name].checkedAt = Date.now();
+    }
+  });
+}
+
+/**
+ * Forget cached data for a sheet written outside SheetsHelper, here and in other executions
+ * @param {string} sheetName - Sheet name (omit to invalidate every sheet)
+ */
+function invalidateSheetCache_(sheetName) {
+  const names = sheetName ? [sheetName] : Object.values(SHEETS);
+  const cache = CacheService.getScriptCache();
+  const revisions = {};
+  names.forEach(name => {
+    delete sheetTables_[name];
+    revisions[SHEET_REVISION_PREFIX + name] = Utilities.getUuid();
+  });
+  cache.putAll(revisions, SHEET_REVISION_CACHE_SECONDS);
+  cache.removeAll(names.map(name => SHEET_DATA_CACHE_PREFIX + name));
+}
+
+function getSheetRevision_(sheetName) {
+  return CacheService.getScriptCache().get(SHEET_REVISION_PREFIX + sheetName) || null;
+}
+
+/**
+ * Small, read-mostly sheets worth sharing between executions
+ */
+function isServiceCachedSheet_(sheetName) {
+  return sheetName === SHEETS.STAFF_DB || sheetName === SHEETS.PROJECTS_DB;
+}
+
+function readServiceCachedValues_(sheetName, revision) {
+  const stored = CacheService.getScriptCache().get(SHEET_DATA_CACHE_PREFIX + sheetName);
+  if (!stored) return null;
+  try {
+    const cached = parseWithDates_(stored);
+    return cached.revision === revision ? cached.values : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeServiceCachedValues_(sheetName, revision, values) {
+  const json = stringifyWithDates_({ revision: revision, values: values });
+  const cache = CacheService.getScriptCache();
+  if (json.length > SHEET_DATA_CACHE_MAX_CHARS) {
+    cache.remove(SHEET_DATA_CACHE_PREFIX + sheetName);
+    return;
+  }
+  cache.put(SHEET_DATA_CACHE_PREFIX + sheetName, json, SHEET_DATA_CACHE_SECONDS);
+}
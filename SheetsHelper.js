@@ -30,17 +30,7 @@ function getSpreadsheet() {
     }
   }
   
-  // Fallback: try to get from Config (but this might cause circular dependency)
-  try {
-    const configSpreadsheetId = CONFIG.SPREADSHEET_ID();
-    if (configSpreadsheetId) {
-      spreadsheet = SpreadsheetApp.openById(configSpreadsheetId);
-      return spreadsheet;
-    }
-  } catch (e) {
-    // Config not available yet, that's okay
-  }
-  
+  // No Config fallback: Config is read through the storage backend, which needs this spreadsheet first
   throw new Error('SPREADSHEET_ID not found. Please run quickSetup() or setupStandaloneScript() first with your Spreadsheet ID.');
 }
 
@@ -58,32 +48,33 @@ function getSheet(sheetName) {
 
 /**
  * Get all rows from a sheet as objects
+ * Served from the per-execution cache (SheetRepository.js); the sheet is read once per run
  */
 function getSheetData(sheetName) {
-  const sheet = getSheet(sheetName);
-  const data = sheet.getDataRange().getValues();
-  if (data.length === 0) return [];
-  
-  const headers = data[0];
-  const rows = [];
-  
-  for (let i = 1; i < data.length; i++) {
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = data[i][index];
-    });
-    rows.push(row);
-  }
-  
-  return rows;
+  return getSheetRows_(sheetName);
 }
 
 /**
- * Find a row by a specific column value
+ * Find a row by a specific column value (indexed lookup)
  */
 function findRowByValue(sheetName, columnName, value) {
-  const rows = getSheetData(sheetName);
-  return rows.find(row => row[columnName] === value);
+  const table = getSheetTable_(sheetName);
+  const columnIndex = table.headers.indexOf(columnName);
+  if (columnIndex === -1) return undefined;
+  
+  const rowIndex = findSheetRowIndex_(table, columnIndex, value);
+  return rowIndex === -1 ? undefined : sheetRowToObject_(table, rowIndex);
+}
+
+/**
+ * Find every row with a specific column value, in sheet order (indexed lookup)
+ */
+function findRowsByValue(sheetName, columnName, value) {
+  const table = getSheetTable_(sheetName);
+  const columnIndex = table.headers.indexOf(columnName);
+  if (columnIndex === -1) return [];
+
+  return findSheetRowIndexes_(table, columnIndex, value).map(rowIndex => sheetRowToObject_(table, rowIndex));
 }
 
 /**
@@ -95,83 +86,284 @@ function findRowsByCondition(sheetName, conditionFn) {
 }
 
 /**
- * Add a new row to a sheet
+ * Write locking
+ * Sheet writes read the row, change it and write it back, so overlapping triggers (checkForReplies,
+ * calendar sync, dashboard actions) run them under the script lock. The lock is reentrant within one
+ * execution: nested withScriptLock_() calls share the outer hold, and only the outermost call releases it.
+ * Taking the lock refreshes any cached sheet another execution has changed; releasing it writes the
+ * cached changes (SheetRepository.js). Work that must not hold the lock (event listeners, emails) is
+ * queued with afterScriptLock_().
  */
-function addRow(sheetName, rowData) {
-  const sheet = getSheet(sheetName);
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const row = headers.map(header => rowData[header] || '');
-  sheet.appendRow(row);
-  return sheet.getLastRow();
-}
+const SCRIPT_LOCK_TIMEOUT_MS = 30000;
+const TASK_VERSION_COLUMN = 'Version';
+
+let scriptLockDepth_ = 0;
+let scriptLock_ = null;
+let afterScriptLockQueue_ = [];
 
 /**
- * Update a row by matching a column value
+ * Run fn while holding the script lock
+ * @param {Function} fn - Work to run
+ * @param {object} options - Optional { timeoutMs, tryOnly: true to return undefined instead of throwing when busy }
+ * @returns {*} fn's return value
  */
-function updateRowByValue(sheetName, matchColumn, matchValue, updates) {
-  const sheet = getSheet(sheetName);
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
-  const matchColumnIndex = headers.indexOf(matchColumn);
-  
-  if (matchColumnIndex === -1) {
-    throw new Error(`Column "${matchColumn}" not found`);
+function withScriptLock_(fn, options = {}) {
+  if (scriptLockDepth_ === 0) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(options.timeoutMs || SCRIPT_LOCK_TIMEOUT_MS)) {
+      if (options.tryOnly) return undefined;
+      throw new Error('Could not obtain the script lock: another process is writing to the spreadsheet, try again');
+    }
+    scriptLock_ = lock;
+    getStorageBackend_().refresh();
+    revalidateSheetTables_();
   }
-  
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][matchColumnIndex] === matchValue) {
-      // Update the row
-      Object.keys(updates).forEach(key => {
-        const columnIndex = headers.indexOf(key);
-        if (columnIndex !== -1) {
-          sheet.getRange(i + 1, columnIndex + 1).setValue(updates[key]);
-        }
-      });
-      return i + 1; // Return row number (1-indexed)
+
+  scriptLockDepth_++;
+  try {
+    return fn();
+  } finally {
+    if (scriptLockDepth_ === 1) {
+      // Still holding the lock, so the journal write is part of the same locked section
+      recordPendingFeedChanges_();
+    }
+    scriptLockDepth_--;
+    if (scriptLockDepth_ === 0) {
+      try {
+        // Write cached changes before other executions can read the sheet
+        flushSheetWrites_();
+      } finally {
+        scriptLock_.releaseLock();
+        scriptLock_ = null;
+      }
+      runAfterScriptLockQueue_();
     }
   }
-  
-  return null; // Row not found
 }
 
 /**
- * Delete a row by matching a column value
+ * Run fn once the script lock is released (immediately when it is not held)
  */
-function deleteRowByValue(sheetName, matchColumn, matchValue) {
-  try {
-    const sheet = getSheet(sheetName);
-    const data = sheet.getDataRange().getValues();
-    
-    if (data.length <= 1) {
-      // Only headers or empty sheet
-      return false;
+function afterScriptLock_(fn) {
+  if (scriptLockDepth_ === 0) {
+    fn();
+  } else {
+    afterScriptLockQueue_.push(fn);
+  }
+}
+
+/**
+ * Position in the afterScriptLock_() queue, for discardAfterScriptLock_()
+ */
+function getAfterScriptLockMark_() {
+  return afterScriptLockQueue_.length;
+}
+
+/**
+ * Drop work queued with afterScriptLock_() since a mark, e.g. the events of writes that were rolled back
+ */
+function discardAfterScriptLock_(mark) {
+  afterScriptLockQueue_.splice(mark);
+}
+
+function runAfterScriptLockQueue_() {
+  const queue = afterScriptLockQueue_;
+  afterScriptLockQueue_ = [];
+  queue.forEach(fn => {
+    try {
+      fn();
+    } catch (error) {
+      Logger.log(`Deferred work after script lock failed: ${error.toString()}`);
     }
-    
-    const headers = data[0];
+  });
+}
+
+/**
+ * Error thrown when a row changed since the caller read it (optimistic concurrency)
+ * @returns {Error} Error with code 'VERSION_CONFLICT', status 409, expectedVersion and currentVersion
+ */
+function createVersionConflictError_(matchValue, expectedVersion, currentVersion) {
+  const error = new Error(`${matchValue} was changed by someone else (expected version ${expectedVersion}, current version ${currentVersion}). Reload and try again.`);
+  error.code = 'VERSION_CONFLICT';
+  error.status = 409;
+  error.expectedVersion = expectedVersion;
+  error.currentVersion = currentVersion;
+  return error;
+}
+
+function hasExpectedVersion_(expectedVersion) {
+  return expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== '';
+}
+
+/**
+ * Add a new row to a sheet
+ * Keys that are not columns of the sheet are not written (and are logged); 0 and false are written as is.
+ */
+function addRow(sheetName, rowData) {
+  return withScriptLock_(() => {
+    const backend = getStorageBackend_();
+    const headers = backend.readHeaders(sheetName);
+    warnUnknownColumns_(sheetName, headers, rowData);
+    const row = headers.map(header => toCellValue_(rowData[header]));
+    const rowNum = backend.appendRows(sheetName, [row]);
+    appendSheetRows_(sheetName, [row]);
+    noteRowChange_(sheetName, headers, row, CHANGE_OPERATION.UPSERT);
+    return rowNum;
+  });
+}
+
+/**
+ * Add several rows to a sheet in one write
+ * @param {string} sheetName - Sheet name
+ * @param {Array} rowsData - Row objects keyed by header
+ * @returns {number} Number of rows written
+ */
+function addRows(sheetName, rowsData) {
+  if (!rowsData || rowsData.length === 0) return 0;
+  return withScriptLock_(() => {
+    const backend = getStorageBackend_();
+    const headers = backend.readHeaders(sheetName);
+    const rows = rowsData.map(rowData => {
+      warnUnknownColumns_(sheetName, headers, rowData);
+      return headers.map(header => toCellValue_(rowData[header]));
+    });
+    backend.appendRows(sheetName, rows);
+    appendSheetRows_(sheetName, rows);
+    rows.forEach(row => noteRowChange_(sheetName, headers, row, CHANGE_OPERATION.UPSERT));
+    return rows.length;
+  });
+}
+
+// Blank cell for a missing value; 0, false and other falsy values are kept
+function toCellValue_(value) {
+  return value === undefined || value === null ? '' : value;
+}
+
+// Logged rather than thrown: logError() writes through addRow() too
+function warnUnknownColumns_(sheetName, headers, rowData) {
+  const unknown = Object.keys(rowData).filter(key => headers.indexOf(key) === -1);
+  if (unknown.length > 0) {
+    Logger.log(`Warning: ${sheetName} has no column ${unknown.join(', ')}; these values were not written`);
+  }
+}
+
+/**
+ * Update a row by matching a column value (under the script lock)
+ * The cached row changes immediately; the cells are written when the lock is released.
+ * @param {object} options - Optional { versionColumn, expectedVersion }: when the sheet has versionColumn,
+ *   the row's version is bumped with the write, and a mismatch with expectedVersion throws a VERSION_CONFLICT error
+ */
+function updateRowByValue(sheetName, matchColumn, matchValue, updates, options = {}) {
+  return withScriptLock_(() => {
+    const table = getSheetTable_(sheetName);
+    const headers = table.headers;
     const matchColumnIndex = headers.indexOf(matchColumn);
     
     if (matchColumnIndex === -1) {
-      Logger.log(`Column "${matchColumn}" not found in sheet "${sheetName}"`);
-      return false;
+      throw new Error(`Column "${matchColumn}" not found`);
     }
     
-    // Search from bottom to top to avoid index shifting issues
-    for (let i = data.length - 1; i >= 1; i--) {
-      if (data[i][matchColumnIndex] === matchValue) {
-        sheet.deleteRow(i + 1); // Delete the row (1-indexed)
-        Logger.log(`Deleted row ${i + 1} with ${matchColumn}="${matchValue}"`);
-        return true;
+    const i = findSheetRowIndex_(table, matchColumnIndex, matchValue);
+    if (i === -1) {
+      return null; // Row not found
+    }
+    
+    let rowUpdates = updates;
+    const versionIndex = options.versionColumn ? headers.indexOf(options.versionColumn) : -1;
+    if (versionIndex !== -1) {
+      const currentVersion = parseInt(table.values[i][versionIndex], 10) || 0;
+      if (hasExpectedVersion_(options.expectedVersion) && parseInt(options.expectedVersion, 10) !== currentVersion) {
+        throw createVersionConflictError_(matchValue, options.expectedVersion, currentVersion);
       }
+      rowUpdates = { ...updates, [options.versionColumn]: currentVersion + 1 };
     }
     
-    Logger.log(`Row with ${matchColumn}="${matchValue}" not found`);
-    return false; // Row not found
+    // Update the row (noted before and after, in case the update changes the key)
+    noteRowChange_(sheetName, headers, table.values[i], CHANGE_OPERATION.UPSERT);
+    Object.keys(rowUpdates).forEach(key => {
+      const columnIndex = headers.indexOf(key);
+      if (columnIndex !== -1) {
+        setSheetCell_(table, i, columnIndex, rowUpdates[key]);
+      }
+    });
+    noteRowChange_(sheetName, headers, table.values[i], CHANGE_OPERATION.UPSERT);
+    return i + 1; // Return row number (1-indexed)
+  });
+}
+
+/**
+ * Delete a row by matching a column value
+ */
+function deleteRowByValue(sheetName, matchColumn, matchValue) {
+  try {
+    return withScriptLock_(() => {
+      // Pending cell writes use row numbers, so write them before rows shift
+      flushSheetWrites_();
+      const table = getSheetTable_(sheetName);
+      const data = table.values;
+      
+      if (data.length <= 1) {
+        // Only headers or empty sheet
+        return false;
+      }
+      
+      const headers = table.headers;
+      const matchColumnIndex = headers.indexOf(matchColumn);
+      
+      if (matchColumnIndex === -1) {
+        Logger.log(`Column "${matchColumn}" not found in sheet "${sheetName}"`);
+        return false;
+      }
+      
+      // Search from bottom to top to avoid index shifting issues
+      for (let i = data.length - 1; i >= 1; i--) {
+        if (data[i][matchColumnIndex] === matchValue) {
+          noteRowChange_(sheetName, headers, data[i], CHANGE_OPERATION.DELETE);
+          getStorageBackend_().deleteRow(sheetName, i + 1); // Delete the row (1-indexed)
+          removeSheetRow_(table, i);
+          Logger.log(`Deleted row ${i + 1} with ${matchColumn}="${matchValue}"`);
+          return true;
+        }
+      }
+      
+      Logger.log(`Row with ${matchColumn}="${matchValue}" not found`);
+      return false; // Row not found
+    });
   } catch (error) {
     Logger.log(`Error in deleteRowByValue: ${error.toString()}`);
     throw error;
   }
 }
 
+/**
+ * Remove the oldest entries of an append-only log sheet (Workflow_Runs, Change_Feed, ...)
+ * Rows are appended in time order, so the expired rows are the leading block: they go in one range delete.
+ * @param {string} sheetName - Sheet name
+ * @param {string} dateColumn - Column holding each entry's time
+ * @param {Date|number} cutoff - Entries before this are removed
+ * @param {function} canRemove - Optional (row) => boolean; the block ends at the first row it refuses
+ * @returns {Array<object>} The removed rows, oldest first
+ */
+function pruneLogRows_(sheetName, dateColumn, cutoff, canRemove) {
+  const cutoffTime = new Date(cutoff).getTime();
+  return withScriptLock_(() => {
+    // Pending cell writes use row numbers, so write them before rows shift
+    flushSheetWrites_();
+    const rows = getSheetData(sheetName);
+    let count = 0;
+    while (count < rows.length && rows[count][dateColumn] && new Date(rows[count][dateColumn]).getTime() < cutoffTime &&
+        (!canRemove || canRemove(rows[count]))) {
+      count++;
+    }
+    if (count === 0) return [];
+
+    getStorageBackend_().deleteRows(sheetName, 2, count);
+    removeSheetRow_(getSheetTable_(sheetName), 1, count);
+    Logger.log(`Pruned ${count} row(s) from ${sheetName}`);
+    return rows.slice(0, count);
+  });
+}
+
 /**
  * Get task by Task_ID
  */
@@ -181,6 +373,9 @@ function getTask(taskId) {
 
 /**
  * Create a new task
+ * @param {object} taskData - Values keyed by Tasks_DB column; Task_ID, Status and dates default when missing
+ * @returns {string} Task_ID
+ * @throws {Error} VALIDATION_ERROR with fieldErrors when taskData does not match SHEET_SCHEMA (Schema.js)
  */
 function createTask(taskData) {
   // Generate Task_ID if not provided
@@ -199,6 +394,7 @@ function createTask(taskData) {
   if (!taskData.Last_Updated) {
     taskData.Last_Updated = new Date();
   }
+  taskData[TASK_VERSION_COLUMN] = 1;
   
   // Store initial parameters snapshot for change detection
   const initialSnapshot = {
@@ -212,7 +408,12 @@ function createTask(taskData) {
   };
   taskData.Initial_Parameters = JSON.stringify(initialSnapshot);
   
-  const rowNum = addRow(SHEETS.TASKS_DB, taskData);
+  assertValidRecord_(SHEETS.TASKS_DB, taskData);
+  const rowNum = withScriptLock_(() => {
+    const row = addRow(SHEETS.TASKS_DB, taskData);
+    recordTaskChange_(taskData.Task_ID, null, taskData, taskData[TASK_VERSION_COLUMN], TASK_CHANGE_TYPE.CREATE);
+    return row;
+  });
   logInteraction(taskData.Task_ID, `Task created: ${taskData.Task_Name}`);
   
   // Auto-link staff to project if both are present
@@ -225,33 +426,64 @@ function createTask(taskData) {
     }
   }
   
-  // Execute workflows for task_created trigger
-  try {
-    executeWorkflow('task_created', {
-      taskId: taskData.Task_ID,
-      task: taskData,
-      status: taskData.Status
-    });
-  } catch (error) {
-    Logger.log(`Error executing workflow for task_created: ${error.toString()}`);
-    // Don't fail task creation if workflow fails
-  }
+  // Raise task_created for workflows and other listeners, outside any enclosing lock
+  // (a rolled-back batch drops it with its other queued events)
+  afterScriptLock_(() => {
+    try {
+      emitTaskEvent(TASK_EVENT.TASK_CREATED, {
+        taskId: taskData.Task_ID,
+        task: taskData
+      });
+    } catch (error) {
+      Logger.log(`Error emitting task_created: ${error.toString()}`);
+      // Don't fail task creation if workflow fails
+    }
+  });
   
   return taskData.Task_ID;
 }
 
+/**
+ * Current version of a task row (0 for rows written before the Version column existed)
+ */
+function getTaskVersion(task) {
+  return task ? (parseInt(task[TASK_VERSION_COLUMN], 10) || 0) : 0;
+}
+
 /**
  * Update a task
+ * @param {object} options - Optional { emitEvents: false } to skip lifecycle events (migrations, bulk repairs),
+ *   { expectedVersion } to fail with a VERSION_CONFLICT error if the task changed since it was read,
+ *   { validate: false } to skip the schema check (migrations restoring legacy values),
+ *   { changeType } to record the write in Task_Audit as an undo or revert (TaskAudit.js)
+ * @throws {Error} VALIDATION_ERROR with fieldErrors when an update does not match SHEET_SCHEMA (Schema.js)
  */
-function updateTask(taskId, updates) {
-  updates.Last_Updated = new Date();
-  const rowNum = updateRowByValue(SHEETS.TASKS_DB, 'Task_ID', taskId, updates);
-  if (rowNum) {
-    // Only log if we're not updating Interaction_Log itself (to avoid recursive loop)
-    if (!updates.hasOwnProperty('Interaction_Log')) {
+function updateTask(taskId, updates, options = {}) {
+  if (options.validate !== false) {
+    assertValidRecord_(SHEETS.TASKS_DB, updates, { partial: true });
+  }
+  let before = null;
+  const rowNum = withScriptLock_(() => {
+    // Snapshot the task first: Task_Audit records old values, and lifecycle events carry before/after (EventBus.js)
+    const snapshot = getTask(taskId);
+    before = options.emitEvents !== false && hasTaskEventFields_(updates) ? snapshot : null;
+    
+    updates.Last_Updated = new Date();
+    const updatedRow = updateRowByValue(SHEETS.TASKS_DB, 'Task_ID', taskId, updates, {
+      versionColumn: TASK_VERSION_COLUMN,
+      expectedVersion: options.expectedVersion
+    });
+    if (updatedRow) {
+      recordTaskChange_(taskId, snapshot, updates, getTaskVersion(snapshot) + 1, options.changeType || TASK_CHANGE_TYPE.UPDATE);
+    }
+    // Only log if we're not updating Interaction_Log itself (to avoid recursive loop).
+    // Logged in the same lock so both changes are written together.
+    if (updatedRow && !updates.hasOwnProperty('Interaction_Log')) {
       logInteraction(taskId, `Task updated: ${JSON.stringify(updates)}`);
     }
-    
+    return updatedRow;
+  });
+  if (rowNum) {
     // Auto-link staff to project if both are being updated or one is new
     const task = getTask(taskId);
     if (task) {
@@ -266,6 +498,11 @@ function updateTask(taskId, updates) {
           // Don't fail task update if linking fails
         }
       }
+      
+      if (before) {
+        // Listeners run workflows and send email: keep them out of an enclosing lock
+        afterScriptLock_(() => emitTaskChangeEvents_(before, task));
+      }
     }
   }
   return rowNum !== null;
@@ -292,6 +529,7 @@ function updateStaff(email, updates) {
  * @param {string} email - Email address (required, must be unique)
  * @param {object} additionalData - Optional additional fields (Role, Department, Manager_Email)
  * @returns {boolean} - True if created successfully, false if email already exists
+ * @throws {Error} VALIDATION_ERROR with fieldErrors when the email (or another field) is not valid
  */
 function createStaff(name, email, additionalData = {}) {
   if (!name || !email) {
@@ -299,6 +537,18 @@ function createStaff(name, email, additionalData = {}) {
     return false;
   }
   
+  const staffData = {
+    Name: String(name).trim(),
+    Email: String(email).trim().toLowerCase(),
+    Role: additionalData.Role || 'Team Member',
+    Reliability_Score: '',
+    Active_Task_Count: 0,
+    Department: additionalData.Department || '',
+    Manager_Email: additionalData.Manager_Email || '',
+    Last_Updated: new Date()
+  };
+  assertValidRecord_(SHEETS.STAFF_DB, staffData);
+  
   // Check if staff with this email already exists
   const existingStaff = getStaff(email);
   if (existingStaff) {
@@ -314,17 +564,6 @@ function createStaff(name, email, additionalData = {}) {
   }
   
   try {
-    const staffData = {
-      Name: name.trim(),
-      Email: email.trim().toLowerCase(),
-      Role: additionalData.Role || 'Team Member',
-      Reliability_Score: '',
-      Active_Task_Count: 0,
-      Department: additionalData.Department || '',
-      Manager_Email: additionalData.Manager_Email || '',
-      Last_Updated: new Date()
-    };
-    
     const rowNumber = addRow(SHEETS.STAFF_DB, staffData);
     Logger.log(`Created new staff member: ${name} (${email}) at row ${rowNumber}`);
     return true;
@@ -808,6 +1047,17 @@ function findProjectTagByName(searchText) {
  * This function directly updates the sheet to avoid recursive loops
  */
 function logInteraction(taskId, message) {
+  try {
+    withScriptLock_(() => appendInteractionLog_(taskId, message));
+  } catch (error) {
+    Logger.log(`Error logging interaction for task ${taskId}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Append one entry to a task's Interaction_Log (caller holds the script lock)
+ */
+function appendInteractionLog_(taskId, message) {
   try {
     const task = getTask(taskId);
     if (!task) return;
@@ -1049,45 +1299,28 @@ function getPrompt(promptName, promptType) {
     const sheetName = getPromptSheetName(promptType);
     
     // Check if sheet exists
-    let sheet;
-    try {
-      sheet = getSheet(sheetName);
-    } catch (e) {
+    if (!storageHasTable_(sheetName)) {
       Logger.log(`Prompt sheet ${sheetName} not found. Run createAllSheets() first.`);
       return null;
     }
     
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) {
-      // Only headers or empty
-      return null;
-    }
-    
-    const headers = data[0];
-    const nameIndex = headers.indexOf('Name');
-    const contentIndex = headers.indexOf('Content');
-    const descriptionIndex = headers.indexOf('Description');
-    const lastUpdatedIndex = headers.indexOf('Last_Updated');
-    
-    if (nameIndex === -1 || contentIndex === -1) {
+    const headers = getSheetTable_(sheetName).headers;
+    if (headers.indexOf('Name') === -1 || headers.indexOf('Content') === -1) {
       Logger.log(`Prompt sheet ${sheetName} is missing required columns (Name, Content)`);
       return null;
     }
     
     // Search for the prompt by name
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][nameIndex] === promptName) {
-        return {
-          Name: data[i][nameIndex],
-          Content: data[i][contentIndex],
-          Description: descriptionIndex >= 0 ? data[i][descriptionIndex] : '',
-          Last_Updated: lastUpdatedIndex >= 0 ? data[i][lastUpdatedIndex] : null
-        };
-      }
+    const prompt = findRowByValue(sheetName, 'Name', promptName);
+    if (!prompt) {
+      return null;
     }
-    
-    // Prompt not found
-    return null;
+    return {
+      Name: prompt.Name,
+      Content: prompt.Content,
+      Description: prompt.Description !== undefined ? prompt.Description : '',
+      Last_Updated: prompt.Last_Updated !== undefined ? prompt.Last_Updated : null
+    };
   } catch (error) {
     Logger.log(`Error getting prompt ${promptName} from ${promptType}: ${error.toString()}`);
     return null;
@@ -1107,84 +1340,36 @@ function savePrompt(promptName, promptType, content, description = '') {
   try {
     const sheetName = getPromptSheetName(promptType);
     
-    // Check if sheet exists, create if not
-    let sheet;
-    try {
-      sheet = getSheet(sheetName);
-    } catch (e) {
+    // Create the sheet if it doesn't exist
+    if (!storageHasTable_(sheetName)) {
       Logger.log(`Prompt sheet ${sheetName} not found. Creating it...`);
-      const spreadsheet = getSpreadsheet();
-      sheet = spreadsheet.insertSheet(sheetName);
-      // Add headers
-      sheet.appendRow(['Name', 'Content', 'Description', 'Last_Updated']);
-      sheet.setFrozenRows(1);
-    }
-    
-    const data = sheet.getDataRange().getValues();
-    const headers = data[0];
-    const nameIndex = headers.indexOf('Name');
-    const contentIndex = headers.indexOf('Content');
-    const descriptionIndex = headers.indexOf('Description');
-    const lastUpdatedIndex = headers.indexOf('Last_Updated');
-    
-    // Ensure required columns exist
-    if (nameIndex === -1) {
-      Logger.log(`Adding Name column to ${sheetName}`);
-      sheet.getRange(1, sheet.getLastColumn() + 1).setValue('Name');
-    }
-    if (contentIndex === -1) {
-      Logger.log(`Adding Content column to ${sheetName}`);
-      sheet.getRange(1, sheet.getLastColumn() + 1).setValue('Content');
-    }
-    
-    // Refresh data after potential column additions
-    const refreshedData = sheet.getDataRange().getValues();
-    const refreshedHeaders = refreshedData[0];
-    const finalNameIndex = refreshedHeaders.indexOf('Name');
-    const finalContentIndex = refreshedHeaders.indexOf('Content');
-    const finalDescriptionIndex = refreshedHeaders.indexOf('Description');
-    const finalLastUpdatedIndex = refreshedHeaders.indexOf('Last_Updated');
-    
-    // Check if prompt already exists
-    let existingRow = -1;
-    for (let i = 1; i < refreshedData.length; i++) {
-      if (refreshedData[i][finalNameIndex] === promptName) {
-        existingRow = i + 1; // 1-indexed for sheet operations
-        break;
-      }
+      ensureStorageTable_(sheetName, ['Name', 'Content', 'Description', 'Last_Updated']);
     }
     
-    const timestamp = new Date();
-    
-    if (existingRow > 0) {
-      // Update existing prompt
-      sheet.getRange(existingRow, finalContentIndex + 1).setValue(content);
-      if (finalDescriptionIndex >= 0 && description) {
-        sheet.getRange(existingRow, finalDescriptionIndex + 1).setValue(description);
-      }
-      if (finalLastUpdatedIndex >= 0) {
-        sheet.getRange(existingRow, finalLastUpdatedIndex + 1).setValue(timestamp);
-      }
-      Logger.log(`Updated prompt: ${promptName} in ${sheetName}`);
-    } else {
-      // Add new prompt
-      const newRow = [];
-      for (let i = 0; i < refreshedHeaders.length; i++) {
-        if (i === finalNameIndex) {
-          newRow.push(promptName);
-        } else if (i === finalContentIndex) {
-          newRow.push(content);
-        } else if (i === finalDescriptionIndex) {
-          newRow.push(description);
-        } else if (i === finalLastUpdatedIndex) {
-          newRow.push(timestamp);
-        } else {
-          newRow.push('');
+    withScriptLock_(() => {
+      // Ensure required columns exist
+      const headers = getStorageBackend_().readHeaders(sheetName);
+      ['Name', 'Content'].forEach(column => {
+        if (headers.indexOf(column) === -1) {
+          Logger.log(`Adding ${column} column to ${sheetName}`);
+          getStorageBackend_().addColumn(sheetName, column);
+          invalidateSheetCache_(sheetName);
         }
+      });
+      
+      const timestamp = new Date();
+      const updates = { Content: content, Last_Updated: timestamp };
+      if (description) {
+        updates.Description = description;
       }
-      sheet.appendRow(newRow);
-      Logger.log(`Created prompt: ${promptName} in ${sheetName}`);
-    }
+      
+      if (updateRowByValue(sheetName, 'Name', promptName, updates)) {
+        Logger.log(`Updated prompt: ${promptName} in ${sheetName}`);
+      } else {
+        addRow(sheetName, { Name: promptName, Content: content, Description: description, Last_Updated: timestamp });
+        Logger.log(`Created prompt: ${promptName} in ${sheetName}`);
+      }
+    });
     
     return true;
   } catch (error) {
@@ -0,0 +1,308 @@
+/**
+ * Storage Backend
+ * Where the tables (Tasks_DB, Staff_DB, Projects_DB, Knowledge_Lake, prompts, Workflows, Config, ...) live
+ *
+ * SheetRepository.js reads and writes only through the active backend, so everything built on SheetsHelper
+ * (getTask, updateTask, getStaff, addRow, getPrompt, ...) runs unchanged on any of them. A table is a 2D
+ * array whose first row holds the headers, the same shape as Range.getValues().
+ *
+ *   sheets     - the spreadsheet (default)
+ *   drive_json - one JSON document in Drive; setupDriveStorage() copies the spreadsheet into it
+ *   memory     - plain arrays, for tests: useStorageBackend(createMemoryStorageBackend({ Tasks_DB: [...] }))
+ *
+ * The backend is chosen by the STORAGE_BACKEND Script Property (Config cannot hold it: Config is itself a table).
+ * createAllSheets() formats the spreadsheet directly and only applies to `sheets`; the migrations in Migrations.js
+ * go through the backend.
+ *
+ * Every backend implements:
+ *   name                                        - STORAGE_BACKEND_TYPE value
+ *   hasTable(table) / createTable(table, headers)
+ *   readHeaders(table) / readTable(table)       - header row / all rows including headers
+ *   writeCells(table, rowNumber, columnNumber, values) - part of one row, 1-indexed like getRange()
+ *   appendRows(table, rows)                     - returns the last row number
+ *   deleteRow(table, rowNumber) / addColumn(table, header)
+ *   deleteRows(table, rowNumber, count)         - count rows starting at rowNumber, in one call
+ *   refresh()                                   - the script lock was taken: re-read anything cached
+ *   flush()                                     - the script lock is being released: persist writes
+ * Writes are only made while the script lock is held (withScriptLock_).
+ */
+
+const STORAGE_BACKEND_TYPE = {
+  SHEETS: 'sheets',
+  DRIVE_JSON: 'drive_json',
+  MEMORY: 'memory',
+};
+
+const STORAGE_BACKEND_PROPERTY = 'STORAGE_BACKEND';
+const STORAGE_DRIVE_FILE_PROPERTY = 'STORAGE_DRIVE_FILE_ID';
+const STORAGE_DRIVE_FILE_NAME = 'Chief of Staff AI - Storage.json';
+
+// Backends that can be selected with the STORAGE_BACKEND property (memory is only for tests)
+const STORAGE_BACKENDS = {
+  [STORAGE_BACKEND_TYPE.SHEETS]: () => createSheetsStorageBackend_(),
+  [STORAGE_BACKEND_TYPE.DRIVE_JSON]: () => {
+    const fileId = PropertiesService.getScriptProperties().getProperty(STORAGE_DRIVE_FILE_PROPERTY);
+    if (!fileId) {
+      throw new Error(`${STORAGE_DRIVE_FILE_PROPERTY} not found in Script Properties. Run setupDriveStorage() first.`);
+    }
+    return createDriveJsonStorageBackend_(fileId);
+  },
+};
+
+// Backend for this script run
+let storageBackend_ = null;
+
+/**
+ * The active backend (created on first use in each script run)
+ */
+function getStorageBackend_() {
+  if (!storageBackend_) {
+    const type = PropertiesService.getScriptProperties().getProperty(STORAGE_BACKEND_PROPERTY) || STORAGE_BACKEND_TYPE.SHEETS;
+    const factory = STORAGE_BACKENDS[type];
+    if (!factory) {
+      throw new Error(`Unknown storage backend "${type}". Valid: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+    storageBackend_ = factory();
+  }
+  return storageBackend_;
+}
+
+/**
+ * Swap the backend for the rest of this script run (tests, setup) and drop everything cached from the old one
+ * @param {object} backend - A backend object, e.g. from createMemoryStorageBackend()
+ */
+function useStorageBackend(backend) {
+  storageBackend_ = backend;
+  sheetTables_ = {};
+  changedSheets_ = {};
+  configCache_ = null;
+}
+
+function storageHasTable_(tableName) {
+  return getStorageBackend_().hasTable(tableName);
+}
+
+/**
+ * Create a table with a header row unless it already exists
+ * @returns {boolean} True if the table was created
+ */
+function ensureStorageTable_(tableName, headers) {
+  if (storageHasTable_(tableName)) return false;
+  return withScriptLock_(() => {
+    if (storageHasTable_(tableName)) return false;
+    getStorageBackend_().createTable(tableName, headers);
+    Logger.log(`Created ${tableName} table (${getStorageBackend_().name} storage)`);
+    return true;
+  });
+}
+
+/**
+ * Spreadsheet storage
+ */
+function createSheetsStorageBackend_() {
+  // Sheet objects for this run; getSpreadsheet() opens the file on every call in standalone scripts
+  const sheets = {};
+  const sheetFor = name => sheets[name] || (sheets[name] = getSheet(name));
+
+  return {
+    name: STORAGE_BACKEND_TYPE.SHEETS,
+    hasTable: name => !!(sheets[name] || getSpreadsheet().getSheetByName(name)),
+    createTable: (name, headers) => {
+      const sheet = getSpreadsheet().insertSheet(name);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheets[name] = sheet;
+    },
+    readHeaders: name => {
+      const sheet = sheetFor(name);
+      return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    },
+    readTable: name => sheetFor(name).getDataRange().getValues(),
+    writeCells: (name, rowNumber, columnNumber, values) => {
+      sheetFor(name).getRange(rowNumber, columnNumber, 1, values.length).setValues([values]);
+    },
+    appendRows: (name, rows) => {
+      const sheet = sheetFor(name);
+      if (rows.length === 1) {
+        sheet.appendRow(rows[0]);
+      } else {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+      }
+      return sheet.getLastRow();
+    },
+    deleteRow: (name, rowNumber) => sheetFor(name).deleteRow(rowNumber),
+    deleteRows: (name, rowNumber, count) => sheetFor(name).deleteRows(rowNumber, count),
+    addColumn: (name, header) => {
+      const sheet = sheetFor(name);
+      sheet.getRange(1, sheet.getLastColumn() + 1).setValue(header);
+    },
+    refresh: () => {},
+    flush: () => SpreadsheetApp.flush()
+  };
+}
+
+/**
+ * In-memory storage (tests)
+ * @param {object} tables - { tableName: [[headers...], [row...], ...] }; copied, then read back from backend.tables
+ */
+function createMemoryStorageBackend(tables = {}) {
+  const data = {};
+  Object.keys(tables).forEach(name => {
+    data[name] = tables[name].map(row => row.slice());
+  });
+  const backend = createDocumentStorageBackend_(STORAGE_BACKEND_TYPE.MEMORY, {
+    load: () => data,
+    reload: () => {},
+    save: () => {}
+  });
+  backend.tables = data;
+  return backend;
+}
+
+/**
+ * JSON document in Drive: { format, savedAt, tables }
+ * The file is re-read when the script lock is taken and whenever a table is loaded, if Drive says it changed.
+ */
+function createDriveJsonStorageBackend_(fileId) {
+  let tables = null;
+  let loadedAt = 0;
+  let checkFile = true;
+
+  return createDocumentStorageBackend_(STORAGE_BACKEND_TYPE.DRIVE_JSON, {
+    load: () => {
+      if (!tables || checkFile) {
+        const file = DriveApp.getFileById(fileId);
+        const updated = file.getLastUpdated().getTime();
+        if (!tables || updated !== loadedAt) {
+          const doc = parseWithDates_(file.getBlob().getDataAsString() || '{}');
+          tables = doc.tables || {};
+          loadedAt = updated;
+        }
+        checkFile = false;
+      }
+      return tables;
+    },
+    reload: () => {
+      checkFile = true;
+    },
+    save: () => {
+      const file = DriveApp.getFileById(fileId);
+      file.setContent(stringifyWithDates_({ format: 1, savedAt: new Date().toISOString(), tables: tables }));
+      loadedAt = file.getLastUpdated().getTime();
+    }
+  });
+}
+
+/**
+ * Backend over a { tableName: values } document
+ * @param {object} store - { load() -> tables, reload() (next load re-checks the source), save() }
+ */
+function createDocumentStorageBackend_(type, store) {
+  let dirty = false;
+  const table = name => {
+    const values = store.load()[name];
+    if (!values) {
+      throw new Error(`Table "${name}" not found in ${type} storage`);
+    }
+    return values;
+  };
+  const refresh = () => {
+    // Never drop writes that have not been saved yet
+    if (!dirty) store.reload();
+  };
+
+  return {
+    name: type,
+    hasTable: name => !!store.load()[name],
+    createTable: (name, headers) => {
+      store.load()[name] = [headers.slice()];
+      dirty = true;
+    },
+    readHeaders: name => table(name)[0].slice(),
+    readTable: name => {
+      refresh();
+      return table(name).map(row => row.slice());
+    },
+    writeCells: (name, rowNumber, columnNumber, values) => {
+      const row = table(name)[rowNumber - 1];
+      values.forEach((value, offset) => {
+        row[columnNumber - 1 + offset] = value;
+      });
+      dirty = true;
+    },
+    appendRows: (name, rows) => {
+      const values = table(name);
+      rows.forEach(row => values.push(row.slice()));
+      dirty = true;
+      return values.length;
+    },
+    deleteRow: (name, rowNumber) => {
+      table(name).splice(rowNumber - 1, 1);
+      dirty = true;
+    },
+    deleteRows: (name, rowNumber, count) => {
+      table(name).splice(rowNumber - 1, count);
+      dirty = true;
+    },
+    addColumn: (name, header) => {
+      table(name).forEach((row, index) => row.push(index === 0 ? header : ''));
+      dirty = true;
+    },
+    refresh: refresh,
+    flush: () => {
+      if (!dirty) return;
+      store.save();
+      dirty = false;
+    }
+  };
+}
+
+/**
+ * Copy every table from the spreadsheet into a new Drive JSON file and switch this script to it
+ * Run once from the editor. To go back, delete the STORAGE_BACKEND Script Property
+ * (changes made while on Drive storage stay in the Drive file).
+ * @returns {string} Drive file ID
+ */
+function setupDriveStorage() {
+  const source = createSheetsStorageBackend_();
+  const tables = {};
+  Object.values(SHEETS).forEach(name => {
+    if (source.hasTable(name)) {
+      tables[name] = source.readTable(name);
+      Logger.log(`Copied ${name}: ${tables[name].length - 1} rows`);
+    }
+  });
+
+  const file = DriveApp.createFile(
+    STORAGE_DRIVE_FILE_NAME,
+    stringifyWithDates_({ format: 1, savedAt: new Date().toISOString(), tables: tables }),
+    'application/json'
+  );
+
+  const properties = PropertiesService.getScriptProperties();
+  properties.setProperty(STORAGE_DRIVE_FILE_PROPERTY, file.getId());
+  properties.setProperty(STORAGE_BACKEND_PROPERTY, STORAGE_BACKEND_TYPE.DRIVE_JSON);
+  invalidateSheetCache_();
+  Logger.log(`Drive storage ready: ${file.getUrl()}`);
+  return file.getId();
+}
+
+/**
+ * JSON that keeps Dates: they are written as { $date: iso } and revived by parseWithDates_()
+ */
+function stringifyWithDates_(value) {
+  return JSON.stringify(value, function (key, item) {
+    const original = this[key];
+    if (original instanceof Date) {
+      return isNaN(original.getTime()) ? null : { $date: original.toISOString() };
+    }
+    return item;
+  });
+}
+
+function parseWithDates_(json) {
+  return JSON.parse(json, (key, value) =>
+    value && typeof value === 'object' && value.$date ? new Date(value.$date) : value
+  );
+}
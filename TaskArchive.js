@@ -0,0 +1,147 @@
+/**
+ * Task Archive
+ * Soft delete, trash and archiving of tasks (Tasks_Archive sheet)
+ *
+ * Deleted and long-closed tasks move out of Tasks_DB into Tasks_Archive, so the triggers that scan Tasks_DB
+ * (reply checks, escalation, calendar sync) only read live tasks. An archive row is the task as it was,
+ * plus Archived_At and, for deleted tasks, Deleted_At and Deleted_By. Conversation messages and Task_Audit
+ * history stay where they are, so a restored task comes back complete.
+ *
+ *   deleteTask(taskId)         - move a task to the trash (delete_task, bulk_delete_tasks)
+ *   restoreTask(taskId)        - move a deleted or archived task back to Tasks_DB (restore_task)
+ *   archiveClosedTasks()       - daily trigger: archive tasks closed for TASK_ARCHIVE_AFTER_DAYS and
+ *                                permanently remove trash older than TASK_TRASH_RETENTION_DAYS
+ *                                (and prune the change feed, Workflow_Runs, Webhook_Deliveries and Jobs)
+ *   getArchivedTasks(options)  - archived tasks, for get_tasks with includeArchive / includeDeleted
+ */
+
+/**
+ * Move a task to the trash. It can be restored until TASK_TRASH_RETENTION_DAYS have passed.
+ * @param {string} taskId - Task ID
+ * @param {string} deletedBy - Optional email of who deleted it (default: the audit context's actor)
+ * @returns {boolean} True if the task was moved, false if it was not found
+ */
+function deleteTask(taskId, deletedBy = null) {
+  return withScriptLock_(() => {
+    const now = new Date();
+    return moveTaskToArchive_(taskId, {
+      Archived_At: now,
+      Deleted_At: now,
+      Deleted_By: deletedBy || getAuditContext_().actor
+    }, TASK_CHANGE_TYPE.DELETE);
+  });
+}
+
+/**
+ * Move a deleted or archived task back to Tasks_DB
+ * @param {string} taskId - Task ID
+ * @returns {object} { success, taskId, wasDeleted, error? }
+ */
+function restoreTask(taskId) {
+  if (!taskId) {
+    return { success: false, error: 'taskId is required' };
+  }
+
+  return withScriptLock_(() => {
+    const archived = findArchivedTask_(taskId);
+    if (!archived) {
+      return { success: false, error: `Task ${taskId} is not in the archive or trash` };
+    }
+    if (getTask(taskId)) {
+      return { success: false, error: `Task ${taskId} already exists in Tasks_DB` };
+    }
+
+    const task = {};
+    SHEET_COLUMNS[SHEETS.TASKS_DB].forEach(column => {
+      task[column] = archived[column];
+    });
+    addRow(SHEETS.TASKS_DB, task);
+    deleteRowByValue(SHEETS.TASKS_ARCHIVE, 'Task_ID', taskId);
+    recordTaskChange_(taskId, archived, { Archived_At: '', Deleted_At: '' }, getTaskVersion(task), TASK_CHANGE_TYPE.RESTORE);
+    logInteraction(taskId, archived.Deleted_At ? 'Task restored from the trash' : 'Task restored from the archive');
+
+    return { success: true, taskId: taskId, wasDeleted: !!archived.Deleted_At };
+  });
+}
+
+/**
+ * Daily trigger: archive closed tasks and empty old trash
+ * @returns {object} { archived, purged } - task IDs moved to the archive and permanently removed
+ */
+function archiveClosedTasks() {
+  if (!requireCurrentSchema_('archiveClosedTasks')) return;
+  const result = { archived: [], purged: [] };
+
+  try {
+    const archiveDays = CONFIG.TASK_ARCHIVE_AFTER_DAYS();
+    const trashDays = CONFIG.TASK_TRASH_RETENTION_DAYS();
+    const now = Date.now();
+
+    // A closed task's Last_Updated is when it was closed, unless it was edited since
+    const closedBefore = now - archiveDays * 24 * 60 * 60 * 1000;
+    getSheetData(SHEETS.TASKS_DB)
+      .filter(task => normalizeStatus(task.Status) === TASK_STATUS.CLOSED && task.Last_Updated &&
+        new Date(task.Last_Updated).getTime() < closedBefore)
+      .forEach(task => {
+        const moved = withScriptLock_(() =>
+          moveTaskToArchive_(task.Task_ID, { Archived_At: new Date() }, TASK_CHANGE_TYPE.ARCHIVE));
+        if (moved) result.archived.push(task.Task_ID);
+      });
+
+    const deletedBefore = now - trashDays * 24 * 60 * 60 * 1000;
+    getArchivedTasks({ includeDeleted: true })
+      .filter(task => task.Deleted_At && new Date(task.Deleted_At).getTime() < deletedBefore)
+      .forEach(task => {
+        if (deleteRowByValue(SHEETS.TASKS_ARCHIVE, 'Task_ID', task.Task_ID)) {
+          result.purged.push(task.Task_ID);
+        }
+      });
+
+    // The change feed only needs to reach back as far as clients sync
+    pruneChangeFeed_();
+    // Workflow_Runs is kept for WORKFLOW_RUN_RETENTION_DAYS
+    pruneWorkflowRuns_();
+    // Webhook_Deliveries is kept for WEBHOOK_DELIVERY_RETENTION_DAYS
+    pruneWebhookDeliveries_();
+    // Finished jobs are kept for JOB_RETENTION_DAYS
+    pruneJobs_();
+
+    Logger.log(`Archived ${result.archived.length} closed task(s), permanently deleted ${result.purged.length} from the trash`);
+  } catch (error) {
+    logError(ERROR_TYPE.UNKNOWN_ERROR, 'archiveClosedTasks', error.toString(), null, error.stack);
+  }
+  return result;
+}
+
+/**
+ * Tasks in Tasks_Archive
+ * @param {object} options - Optional { includeDeleted: true } to list the trash too, { deletedOnly: true } for only the trash
+ * @returns {Array} Archive rows (Tasks_DB columns plus Archived_At, Deleted_At, Deleted_By)
+ */
+function getArchivedTasks(options = {}) {
+  if (!storageHasTable_(SHEETS.TASKS_ARCHIVE)) return [];
+  return getSheetData(SHEETS.TASKS_ARCHIVE).filter(task => {
+    if (!task.Task_ID) return false;
+    if (options.deletedOnly) return !!task.Deleted_At;
+    return options.includeDeleted || !task.Deleted_At;
+  });
+}
+
+/**
+ * Copy a task to Tasks_Archive and remove it from Tasks_DB (scheduled workflows forget it). Call under the script lock.
+ * @returns {boolean} False if the task was not found
+ */
+function moveTaskToArchive_(taskId, archiveFields, changeType) {
+  const task = getTask(taskId);
+  if (!task) return false;
+
+  addRow(SHEETS.TASKS_ARCHIVE, Object.assign({}, task, archiveFields));
+  deleteRowByValue(SHEETS.TASKS_DB, 'Task_ID', taskId);
+  recordTaskChange_(taskId, task, archiveFields, getTaskVersion(task), changeType);
+  clearScheduleFiredState_(taskId);
+  return true;
+}
+
+function findArchivedTask_(taskId) {
+  return getArchivedTasks({ includeDeleted: true }).find(task => task.Task_ID === taskId) || null;
+}
@@ -0,0 +1,346 @@
+/**
+ * Task Audit
+ * Field-level history of task writes (Task_Audit sheet), with undo
+ *
+ * createTask() and updateTask() write one Task_Audit row per field they set or change, with the old and new value.
+ * Rows from one write share a Change_ID and the task Version that write produced; rows from one dashboard
+ * request share a Request_ID (e.g. every task touched by bulk_update_tasks). Last_Updated, Version and
+ * Interaction_Log are not recorded.
+ *
+ * Who made a change and why comes from the audit context, set by each entry point with withAuditContext_():
+ *   doPost                     - dashboard (actor: the caller, detail: the action)
+ *   processReplyEmail          - email_reply (actor: the sender)
+ *   processVoiceNote           - voice
+ *   processMeetingAudio        - meeting
+ *   workflow actions           - workflow (detail: the workflow ID)
+ *   syncCalendarChangesToTasks - calendar_sync
+ *   migrateUp / migrateDown    - migration
+ * Anything else (escalation, scripts run from the editor) is recorded as system.
+ *
+ *   getTaskHistory(taskId)                   - changes to a task, newest first
+ *   undoTaskChange({ changeId | requestId }) - put back the old values of one change, or of every change in a request
+ *   revertTaskToVersion(taskId, version)     - undo every change after a version
+ *
+ * Undo and revert are recorded as changes too, so they can be undone. Undo refuses to overwrite a field that was
+ * changed again since, unless { force: true }.
+ * Deleting, archiving and restoring a task (TaskArchive.js) are recorded but not undone here: use restore_task.
+ */
+
+const AUDIT_SOURCE = {
+  DASHBOARD: 'dashboard',
+  EMAIL_REPLY: 'email_reply',
+  VOICE: 'voice',
+  MEETING: 'meeting',
+  WORKFLOW: 'workflow',
+  CALENDAR_SYNC: 'calendar_sync',
+  MIGRATION: 'migration',
+  SYSTEM: 'system',
+};
+
+const TASK_CHANGE_TYPE = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNDO: 'undo',
+  REVERT: 'revert',
+  DELETE: 'delete',     // Moved to the trash (TaskArchive.js)
+  ARCHIVE: 'archive',
+  RESTORE: 'restore',
+};
+
+// Changes undo_change can put back; the others move the task between sheets (use restore_task / delete_task)
+const UNDOABLE_CHANGE_TYPES = [TASK_CHANGE_TYPE.UPDATE, TASK_CHANGE_TYPE.UNDO, TASK_CHANGE_TYPE.REVERT];
+
+// Bookkeeping columns that change on every write
+const AUDIT_IGNORED_FIELDS = ['Last_Updated', 'Version', 'Interaction_Log'];
+
+// Sheets cells hold at most 50,000 characters; truncated values cannot be restored
+const AUDIT_MAX_VALUE_CHARS = 45000;
+const AUDIT_TRUNCATED_MARKER = '... [truncated]';
+
+// { actor, source, detail, requestId } for the code running now (see withAuditContext_)
+let auditContext_ = null;
+
+/**
+ * Run fn with changes attributed to an actor and source. Contexts nest: fields not given are inherited,
+ * so a workflow run by a dashboard action keeps the dashboard caller as its actor.
+ * @param {object} context - { actor, source, detail, requestId }
+ */
+function withAuditContext_(context, fn) {
+  const previous = auditContext_;
+  auditContext_ = Object.assign({}, previous);
+  Object.keys(context).forEach(key => {
+    if (context[key] !== undefined && context[key] !== null && context[key] !== '') {
+      auditContext_[key] = context[key];
+    }
+  });
+  try {
+    return fn();
+  } finally {
+    auditContext_ = previous;
+  }
+}
+
+function getAuditContext_() {
+  return Object.assign({ actor: 'system', source: AUDIT_SOURCE.SYSTEM, detail: '', requestId: '' }, auditContext_);
+}
+
+/**
+ * Record the fields a task write set or changed. Called by createTask()/updateTask() under the script lock.
+ * Never throws: a failed audit write is logged and the task write stands.
+ * @param {string} taskId - Task ID
+ * @param {object} before - Task before the write (null for a new task)
+ * @param {object} values - Values written, keyed by column
+ * @param {number} version - Task version after the write
+ * @param {string} changeType - One of TASK_CHANGE_TYPE
+ * @returns {string} Change_ID, or null when no field changed
+ */
+function recordTaskChange_(taskId, before, values, version, changeType) {
+  try {
+    // Tables are created by the task_audit migration; until then changes go unrecorded
+    if (!storageHasTable_(SHEETS.TASK_AUDIT)) return null;
+
+    const context = getAuditContext_();
+    const changeId = 'CHG-' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss') + '-' +
+      Utilities.getUuid().substring(0, 8);
+    const timestamp = new Date();
+
+    const rows = [];
+    Object.keys(values).forEach(field => {
+      if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+      const oldValue = formatAuditValue_(before ? before[field] : '');
+      const newValue = formatAuditValue_(values[field]);
+      if (oldValue === newValue) return;
+      rows.push({
+        Timestamp: timestamp,
+        Request_ID: context.requestId,
+        Change_ID: changeId,
+        Change_Type: changeType,
+        Task_ID: taskId,
+        Version: version,
+        Field: field,
+        Old_Value: oldValue,
+        New_Value: newValue,
+        Actor: context.actor,
+        Source: context.source,
+        Detail: context.detail
+      });
+    });
+    if (rows.length === 0) return null;
+
+    addRows(SHEETS.TASK_AUDIT, rows);
+    return changeId;
+  } catch (error) {
+    logError(ERROR_TYPE.DATA_ERROR, 'recordTaskChange_', `Could not record the change to ${taskId}: ${error.toString()}`, taskId, error.stack);
+    return null;
+  }
+}
+
+/**
+ * Changes to a task, newest first
+ * @param {string} taskId - Task ID
+ * @param {object} options - Optional { field, limit }
+ * @returns {Array} [{ changeId, requestId, type, version, timestamp, actor, source, detail, fields: [{ field, oldValue, newValue }] }]
+ */
+function getTaskHistory(taskId, options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || 100, 1000);
+  return groupTaskChanges_(getTaskAuditRows_(row => row.Task_ID === taskId))
+    .filter(change => !options.field || change.fields.some(field => field.field === options.field))
+    .slice(0, limit);
+}
+
+/**
+ * Put back the old values of one change, or of every change made by one request (newest first)
+ * @param {object} target - { changeId } or { requestId }
+ * @param {object} options - Optional { force: true } to overwrite fields that were changed again since
+ * @returns {object} { success, undone: [{ taskId, changeIds, restored }], conflicts?, error? }
+ */
+function undoTaskChange(target, options = {}) {
+  const changeId = target && target.changeId;
+  const requestId = target && target.requestId;
+  if (!changeId && !requestId) {
+    return { success: false, error: 'changeId or requestId is required' };
+  }
+
+  return withScriptLock_(() => {
+    const changes = groupTaskChanges_(getTaskAuditRows_(row =>
+      changeId ? row.Change_ID === changeId : row.Request_ID === requestId));
+    if (changes.length === 0) {
+      return { success: false, error: `No change found for ${changeId || requestId}` };
+    }
+    const notUndoable = changes.find(change => UNDOABLE_CHANGE_TYPES.indexOf(change.type) === -1);
+    if (notUndoable) {
+      return { success: false, error: `A ${notUndoable.type} cannot be undone; use delete_task or restore_task instead` };
+    }
+
+    // Check every task first, so a request is undone completely or not at all
+    const restores = [];
+    const conflicts = [];
+    changes.forEach(change => {
+      const task = getTask(change.taskId);
+      if (!task) {
+        conflicts.push({ taskId: change.taskId, changeId: change.changeId, error: 'Task not found' });
+        return;
+      }
+      const pending = restores.find(restore => restore.taskId === change.taskId);
+      const values = {};
+      change.fields.forEach(field => {
+        // A later change in the same request is undone first; compare with what that undo puts back
+        const current = pending && pending.values[field.field] !== undefined ? pending.values[field.field] : formatAuditValue_(task[field.field]);
+        if (current !== field.newValue && !options.force) {
+          conflicts.push({ taskId: change.taskId, changeId: change.changeId, field: field.field, expected: field.newValue, current: current });
+        }
+        if (isTruncatedAuditValue_(field.oldValue)) {
+          conflicts.push({ taskId: change.taskId, changeId: change.changeId, field: field.field, error: 'Old value was too long to keep' });
+        }
+        values[field.field] = field.oldValue;
+      });
+      if (pending) {
+        Object.assign(pending.values, values);
+        pending.changeIds.push(change.changeId);
+      } else {
+        restores.push({ taskId: change.taskId, values: values, changeIds: [change.changeId] });
+      }
+    });
+    if (conflicts.length > 0) {
+      return {
+        success: false,
+        conflict: true,
+        status: 409,
+        error: 'Fields were changed again since; reload, or pass force to overwrite them',
+        conflicts: conflicts
+      };
+    }
+
+    const undone = restores.map(restore => {
+      const label = restore.changeIds.join(', ');
+      withAuditContext_({ detail: `undo ${label}` }, () =>
+        updateTask(restore.taskId, parseAuditValues_(restore.values), { changeType: TASK_CHANGE_TYPE.UNDO }));
+      logInteraction(restore.taskId, `Undid ${label}: ${Object.keys(restore.values).join(', ')}`);
+      return { taskId: restore.taskId, changeIds: restore.changeIds, restored: restore.values };
+    });
+    return { success: true, undone: undone };
+  });
+}
+
+/**
+ * Undo every recorded change to a task after a version
+ * @param {string} taskId - Task ID
+ * @param {number} version - Task version to go back to (1 is the task as created)
+ * @returns {object} { success, taskId, version, restored, error? }
+ */
+function revertTaskToVersion(taskId, version) {
+  const target = parseInt(version, 10);
+  if (!taskId || isNaN(target) || target < 1) {
+    return { success: false, error: 'taskId and a version of 1 or more are required' };
+  }
+
+  return withScriptLock_(() => {
+    const task = getTask(taskId);
+    if (!task) {
+      return { success: false, error: 'Task not found' };
+    }
+    const currentVersion = getTaskVersion(task);
+    if (target >= currentVersion) {
+      return { success: false, error: `Task ${taskId} is at version ${currentVersion}; nothing to revert` };
+    }
+
+    // Writes made before Task_Audit existed cannot be undone. Trash and restore entries record archive
+    // columns, not Tasks_DB values, so only field changes (with the creation as the baseline) count.
+    const history = groupTaskChanges_(getTaskAuditRows_(row => row.Task_ID === taskId))
+      .filter(change => change.type === TASK_CHANGE_TYPE.CREATE || UNDOABLE_CHANGE_TYPES.indexOf(change.type) !== -1);
+    const first = history[history.length - 1];
+    const historyStart = !first ? currentVersion : (first.type === TASK_CHANGE_TYPE.CREATE ? first.version : first.version - 1);
+    if (target < historyStart) {
+      return { success: false, error: `History of ${taskId} starts at version ${historyStart}; it cannot be reverted to version ${target}` };
+    }
+
+    // Newest first, so each field ends up with the value it had at the target version
+    const values = {};
+    history.filter(change => change.version > target).forEach(change => {
+      change.fields.forEach(field => { values[field.field] = field.oldValue; });
+    });
+    const truncated = Object.keys(values).filter(field => isTruncatedAuditValue_(values[field]));
+    if (truncated.length > 0) {
+      return { success: false, error: `Cannot restore ${truncated.join(', ')}: the old value was too long to keep` };
+    }
+    if (Object.keys(values).length === 0) {
+      return { success: false, error: `No recorded changes to ${taskId} after version ${target}` };
+    }
+
+    withAuditContext_({ detail: `revert to version ${target}` }, () =>
+      updateTask(taskId, parseAuditValues_(values), { changeType: TASK_CHANGE_TYPE.REVERT, expectedVersion: currentVersion }));
+    logInteraction(taskId, `Reverted to version ${target}: ${Object.keys(values).join(', ')}`);
+    return { success: true, taskId: taskId, version: target, restored: values };
+  });
+}
+
+function getTaskAuditRows_(predicate) {
+  if (!storageHasTable_(SHEETS.TASK_AUDIT)) return [];
+  return getSheetData(SHEETS.TASK_AUDIT).filter(row => row.Change_ID && predicate(row));
+}
+
+/**
+ * Audit rows grouped by Change_ID, newest first
+ */
+function groupTaskChanges_(rows) {
+  const changes = [];
+  const byId = {};
+  rows.forEach(row => {
+    let change = byId[row.Change_ID];
+    if (!change) {
+      change = {
+        changeId: row.Change_ID,
+        requestId: row.Request_ID || '',
+        type: row.Change_Type,
+        taskId: row.Task_ID,
+        version: parseInt(row.Version, 10) || 0,
+        timestamp: row.Timestamp,
+        actor: row.Actor,
+        source: row.Source,
+        detail: row.Detail || '',
+        fields: []
+      };
+      byId[row.Change_ID] = change;
+      changes.push(change);
+    }
+    change.fields.push({ field: row.Field, oldValue: formatAuditValue_(row.Old_Value), newValue: formatAuditValue_(row.New_Value) });
+  });
+  return changes.sort((a, b) => (new Date(b.timestamp) - new Date(a.timestamp)) || (b.version - a.version));
+}
+
+/**
+ * Cell value as audit text: Dates as ISO strings, blanks as ''
+ */
+function formatAuditValue_(value) {
+  if (value === undefined || value === null) return '';
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+  const text = String(value);
+  return text.length > AUDIT_MAX_VALUE_CHARS ? text.substring(0, AUDIT_MAX_VALUE_CHARS) + AUDIT_TRUNCATED_MARKER : text;
+}
+
+/**
+ * Audit text back to the types of its Tasks_DB columns (Dates for DATE fields, numbers for NUMBER fields)
+ */
+function parseAuditValues_(values) {
+  const parsed = {};
+  Object.keys(values).forEach(field => {
+    const value = values[field];
+    const schema = getFieldSchema_(SHEETS.TASKS_DB, field);
+    if (!schema || value === '') {
+      parsed[field] = value;
+    } else if (schema.type === FIELD_TYPE.DATE) {
+      parsed[field] = parseSchemaDate_(value) || value;
+    } else if (schema.type === FIELD_TYPE.NUMBER) {
+      parsed[field] = isFinite(Number(value)) ? Number(value) : value;
+    } else {
+      parsed[field] = value;
+    }
+  });
+  return parsed;
+}
+
+function isTruncatedAuditValue_(value) {
+  return value.length > AUDIT_MAX_VALUE_CHARS && value.endsWith(AUDIT_TRUNCATED_MARKER);
+}
@@ -0,0 +1,266 @@
+/**
+ * Task Query
+ * Paginated, filtered and sorted task lists for the dashboard (GET ?action=query_tasks)
+ *
+ * Unlike get_tasks, which returns every task with its conversation, a query returns one page in the
+ * get_tasks format, with only the fields asked for:
+ *
+ *   ?action=query_tasks&assignee=asha@example.com&overdue=true&sort=-dueDate&limit=25&fields=taskId,taskName,dueDate
+ *
+ * Filters (all optional, combined with AND; lists are comma-separated and match any value):
+ *   status, conversationState, assignee (email or name), project - exact matches, case-insensitive
+ *   dueFrom, dueTo      - Due_Date range in yyyy-MM-dd (inclusive, script time zone)
+ *   needsAttention      - true/false: Conversation_State needs the boss (taskNeedsAttention)
+ *   overdue             - true/false: past Due_Date and not closed, on hold or someday
+ *   q                   - free text; every word must appear in the task's name, description, assignee, project or summary
+ *   includeArchive      - true to search archived tasks too (see TaskArchive.js)
+ *
+ * sort is a list of fields, "-" for descending (default dueDate). Tasks without a value sort last.
+ * fields is a list of get_tasks fields (default: all but conversationHistory and conversationMessageCount,
+ * which need the Conversation_Messages sheet). Pages are at most TASK_QUERY_MAX_LIMIT tasks.
+ *
+ * The response carries nextCursor while more tasks match; pass it back as cursor for the next page.
+ * Cursors hold the sort values of the last task, so tasks added or removed between pages do not shift the pages.
+ */
+
+const TASK_QUERY_DEFAULT_LIMIT = 50;
+const TASK_QUERY_MAX_LIMIT = 200;
+const TASK_QUERY_DEFAULT_SORT = 'dueDate';
+
+// Sortable fields: query name -> Tasks_DB column
+const TASK_QUERY_SORT_FIELDS = {
+  dueDate: 'Due_Date',
+  updatedAt: 'Last_Updated',
+  createdAt: 'Created_Date',
+  lastMessageAt: 'Last_Message_Timestamp',
+  taskName: 'Task_Name',
+  status: 'Status',
+  conversationState: 'Conversation_State',
+  assigneeName: 'Assignee_Name',
+  projectName: 'Project_Tag',
+};
+
+// Columns searched by q
+const TASK_QUERY_SEARCH_COLUMNS = [
+  'Task_ID', 'Task_Name', 'Derived_Task_Name', 'Context_Hidden', 'Assignee_Name', 'Assignee_Email', 'Project_Tag', 'AI_Summary'
+];
+
+// Fields read from Conversation_Messages: only returned when listed in fields
+const TASK_QUERY_CONVERSATION_FIELDS = ['conversationHistory', 'conversationMessageCount'];
+
+/**
+ * Run a task query
+ * @param {object} params - Query parameters (see the header), as strings
+ * @param {object} caller - From resolveCaller(); employees only see their own tasks
+ * @returns {object} { data, count, total, nextCursor } - total counts every matching task
+ * @throws {Error} INVALID_QUERY (status 400) for unknown fields, bad dates or a cursor from another sort
+ */
+function queryTasks(params = {}, caller = null) {
+  const query = parseTaskQuery_(params);
+
+  let tasks = getSheetData(SHEETS.TASKS_DB);
+  if (query.includeArchive) {
+    tasks = tasks.concat(getArchivedTasks());
+  }
+  const now = new Date();
+  const matches = filterTasksForCaller(tasks, caller)
+    .map(task => ({ ...task, Status: normalizeStatus(task.Status) }))
+    .filter(task => matchesTaskQuery_(task, query, now));
+
+  const keyed = matches
+    .map(task => ({ task: task, key: getTaskSortKey_(task, query.sort) }))
+    .sort((a, b) => compareTaskSortKeys_(a.key, b.key, query.sort));
+  const remaining = query.cursor
+    ? keyed.filter(entry => compareTaskSortKeys_(entry.key, query.cursor, query.sort) > 0)
+    : keyed;
+  const page = remaining.slice(0, query.limit);
+
+  // Conversations are the expensive part of get_tasks: only read them when asked for
+  const needsMessages = query.fields.some(field => TASK_QUERY_CONVERSATION_FIELDS.indexOf(field) !== -1);
+  const messagesByTask = needsMessages ? getConversationMessagesByTask_() : {};
+
+  const data = page.map(entry => {
+    const history = needsMessages ? (messagesByTask[entry.task.Task_ID] || _parseLegacyConversationHistory_(entry.task)) : [];
+    const formatted = redactTaskForCaller(formatTaskForDashboard_(entry.task, history), caller);
+    const projected = {};
+    query.fields.forEach(field => { projected[field] = formatted[field]; });
+    return projected;
+  });
+
+  return {
+    data: data,
+    count: data.length,
+    total: matches.length,
+    nextCursor: remaining.length > page.length ? encodeTaskCursor_(query.sort, page[page.length - 1].key) : null
+  };
+}
+
+/**
+ * Check and normalise query parameters
+ * @returns {object} { filters..., sort: [{ field, column, descending }], fields, limit, cursor }
+ */
+function parseTaskQuery_(params) {
+  const query = {
+    status: parseQueryList_(params.status),
+    conversationState: parseQueryList_(params.conversationState),
+    assignee: parseQueryList_(params.assignee),
+    project: parseQueryList_(params.project),
+    dueFrom: parseQueryDay_(params.dueFrom, 'dueFrom'),
+    dueTo: parseQueryDay_(params.dueTo, 'dueTo'),
+    needsAttention: parseQueryBoolean_(params.needsAttention, 'needsAttention'),
+    overdue: parseQueryBoolean_(params.overdue, 'overdue'),
+    terms: params.q ? String(params.q).toLowerCase().split(/\s+/).filter(term => term) : [],
+    includeArchive: parseQueryBoolean_(params.includeArchive, 'includeArchive') === true
+  };
+
+  query.sort = (parseQueryList_(params.sort) || [TASK_QUERY_DEFAULT_SORT]).map(entry => {
+    const descending = entry.charAt(0) === '-';
+    const field = descending ? entry.substring(1) : entry;
+    if (!TASK_QUERY_SORT_FIELDS[field]) {
+      throw createQueryError_(`Cannot sort by "${field}". Use ${Object.keys(TASK_QUERY_SORT_FIELDS).join(', ')}`);
+    }
+    return { field: field, column: TASK_QUERY_SORT_FIELDS[field], descending: descending };
+  });
+
+  const available = Object.keys(formatTaskForDashboard_({}, []));
+  const fields = parseQueryList_(params.fields) ||
+    available.filter(field => TASK_QUERY_CONVERSATION_FIELDS.indexOf(field) === -1);
+  const unknown = fields.filter(field => available.indexOf(field) === -1);
+  if (unknown.length > 0) {
+    throw createQueryError_(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+  query.fields = fields.indexOf('taskId') === -1 ? ['taskId'].concat(fields) : fields;
+
+  const limit = params.limit === undefined || params.limit === '' ? TASK_QUERY_DEFAULT_LIMIT : parseInt(params.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    throw createQueryError_(`limit must be a number from 1 to ${TASK_QUERY_MAX_LIMIT}`);
+  }
+  query.limit = Math.min(limit, TASK_QUERY_MAX_LIMIT);
+  query.cursor = params.cursor ? decodeTaskCursor_(params.cursor, query.sort) : null;
+  return query;
+}
+
+function matchesTaskQuery_(task, query, now) {
+  const status = String(task.Status || '').toLowerCase();
+  if (query.status && !query.status.some(value => value.toLowerCase() === status)) return false;
+
+  const conversationState = task.Conversation_State || CONVERSATION_STATE.ACTIVE;
+  const state = String(conversationState).toLowerCase();
+  if (query.conversationState && !query.conversationState.some(value => value.toLowerCase() === state)) return false;
+
+  if (query.assignee) {
+    const email = String(task.Assignee_Email || '').toLowerCase();
+    const name = String(task.Assignee_Name || '').toLowerCase();
+    if (!query.assignee.some(value => value.toLowerCase() === email || value.toLowerCase() === name)) return false;
+  }
+  if (query.project && !query.project.some(value => value.toLowerCase() === String(task.Project_Tag || '').toLowerCase())) {
+    return false;
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    const due = parseSchemaDate_(task.Due_Date);
+    if (!due) return false;
+    const day = Utilities.formatDate(due, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    if ((query.dueFrom && day < query.dueFrom) || (query.dueTo && day > query.dueTo)) return false;
+  }
+
+  if (query.needsAttention !== null && !!taskNeedsAttention(conversationState) !== query.needsAttention) return false;
+  if (query.overdue !== null && isTaskOverdue_(task, now) !== query.overdue) return false;
+
+  if (query.terms.length > 0) {
+    const text = TASK_QUERY_SEARCH_COLUMNS.map(column => String(task[column] || '')).join('\n').toLowerCase();
+    if (!query.terms.every(term => text.indexOf(term) !== -1)) return false;
+  }
+  return true;
+}
+
+// Same rule as task_analytics: past due and still being worked on
+function isTaskOverdue_(task, now) {
+  const due = parseSchemaDate_(task.Due_Date);
+  return !!due && due < now &&
+    task.Status !== TASK_STATUS.CLOSED && task.Status !== TASK_STATUS.ON_HOLD && task.Status !== TASK_STATUS.SOMEDAY;
+}
+
+/**
+ * Sort values of a task, with Task_ID last so the order is total
+ * @returns {Array} Numbers for dates, lowercase text otherwise; null for empty values
+ */
+function getTaskSortKey_(task, sort) {
+  return sort.map(entry => {
+    const value = task[entry.column];
+    if (value === undefined || value === null || value === '') return null;
+    if (getFieldSchema_(SHEETS.TASKS_DB, entry.column).type === FIELD_TYPE.DATE) {
+      const date = parseSchemaDate_(value);
+      return date ? date.getTime() : null;
+    }
+    return String(value).toLowerCase();
+  }).concat([String(task.Task_ID)]);
+}
+
+function compareTaskSortKeys_(a, b, sort) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    // Empty values last in either direction
+    if (a[i] === null) return 1;
+    if (b[i] === null) return -1;
+    const order = a[i] < b[i] ? -1 : 1;
+    return sort[i] && sort[i].descending ? -order : order;
+  }
+  return 0;
+}
+
+function encodeTaskCursor_(sort, key) {
+  return Utilities.base64EncodeWebSafe(JSON.stringify({ sort: describeTaskSort_(sort), key: key }));
+}
+
+function decodeTaskCursor_(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(String(cursor))).getDataAsString());
+  } catch (error) {
+    throw createQueryError_('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== sort.length + 1) {
+    throw createQueryError_('Invalid cursor');
+  }
+  if (decoded.sort !== describeTaskSort_(sort)) {
+    throw createQueryError_('The cursor belongs to a different sort; start again without a cursor');
+  }
+  return decoded.key;
+}
+
+function describeTaskSort_(sort) {
+  return sort.map(entry => (entry.descending ? '-' : '') + entry.field).join(',');
+}
+
+function parseQueryList_(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const items = String(value).split(',').map(item => item.trim()).filter(item => item);
+  return items.length > 0 ? items : null;
+}
+
+function parseQueryDay_(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw createQueryError_(`${name} must be a date in yyyy-MM-dd format, got "${value}"`);
+  }
+  return String(value);
+}
+
+function parseQueryBoolean_(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw createQueryError_(`${name} must be true or false, got "${value}"`);
+}
+
+/**
+ * Error thrown for a bad query parameter
+ * @returns {Error} Error with code 'INVALID_QUERY' and status 400
+ */
+function createQueryError_(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  error.status = 400;
+  return error;
+}
@@ -7,6 +7,7 @@
  * Drive trigger handler for new files in Voice_Inbox
  */
 function onVoiceFileAdded(e) {
+  if (!requireCurrentSchema_('onVoiceFileAdded')) return;
   try {
     const file = e.source;
     const fileId = file.getId();
@@ -40,6 +41,10 @@ function onVoiceFileAdded(e) {
  * Main function to process a voice note
  */
 function processVoiceNote(fileId) {
+  return withAuditContext_({ source: AUDIT_SOURCE.VOICE, detail: fileId }, () => processVoiceNote_(fileId));
+}
+
+function processVoiceNote_(fileId) {
   let file = null;
   let fileName = '';
   let voiceInboxFolderId = null;
@@ -233,8 +238,6 @@ function createTaskFromVoice(parsedData) {
       AI_Confidence: parsedData.confidence || 0.5,
       Tone_Detected: parsedData.tone || 'normal',
       Context_Hidden: parsedData.context || '',
-      Created_By: 'Voice',
-      Voice_Transcript: parsedData.raw_transcript || '',
     };
     
     // Add due time to context if specified
@@ -262,7 +265,13 @@ function createTaskFromVoice(parsedData) {
         '\n\nDue Date Spoken: "' + parsedData.due_date_text + '"' +
         (parsedData.due_date ? ' → Interpreted as ' + parsedData.due_date : '');
     }
-    
+
+    // Due_Date only takes a real date; the spoken wording is kept in the context above
+    if (taskData.Due_Date && !parseSchemaDate_(taskData.Due_Date)) {
+      Logger.log(`Ignoring due date "${taskData.Due_Date}": not a date`);
+      taskData.Due_Date = '';
+    }
+
     // Create task
     const taskId = createTask(taskData);
     
@@ -0,0 +1,234 @@
+/**
+ * Webhooks
+ * Signed JSON POSTs to external systems (Slack/Teams bots, BI pipelines) when tasks change
+ *
+ * Each row of the Webhooks sheet is a subscriber: URL (https only), Secret, Events and Active.
+ * Events is a comma-separated list of the TASK_EVENT names below, or * for all of them:
+ *   task_created, status_changed, conversation_state_changed, due_date_changed, assignee_changed, task_overdue
+ * (a completed task is status_changed with toStatus "closed"; a blocker is conversation_state_changed with
+ * toState "blocker_reported").
+ *
+ * The event bus queues one webhook_delivery job per subscriber and event; runDueJobs sends it, and failed
+ * deliveries retry with the job queue's backoff. 4xx responses other than 408 and 429 are not retried.
+ * Every attempt is written to the Webhook_Deliveries sheet, which keeps WEBHOOK_DELIVERY_RETENTION_DAYS (pruned
+ * daily by archiveClosedTasks). test_webhook sends a webhook_test event at once.
+ *
+ * Receivers should check the signature before trusting a delivery:
+ *   X-COS-Signature: sha256=hex(HMAC-SHA256(secret, X-COS-Timestamp + '.' + body))
+ * X-COS-Delivery stays the same across retries of one delivery, so it can be used to drop duplicates.
+ */
+
+const WEBHOOK_EVENTS = [
+  'task_created', 'status_changed', 'conversation_state_changed', 'due_date_changed', 'assignee_changed', 'task_overdue'
+];
+
+const WEBHOOK_TEST_EVENT = 'webhook_test';
+const WEBHOOK_RESPONSE_LOG_CHARS = 200;  // Response text kept in the delivery log
+
+const WEBHOOK_DELIVERY_STATUS = {
+  DELIVERED: 'delivered',
+  FAILED: 'failed',   // This attempt failed; the job retries unless it was the last one
+};
+
+// Event fields copied into the webhook body when present
+const WEBHOOK_EVENT_FIELDS = ['fromStatus', 'toStatus', 'fromState', 'toState', 'fromAssignee', 'toAssignee'];
+
+/**
+ * Event bus listener: queue a delivery for every active webhook subscribed to the event
+ * @param {object} event - Event from emitTaskEvent()
+ * @returns {Array} Queued Job_IDs
+ */
+function queueWebhookDeliveries_(event) {
+  if (WEBHOOK_EVENTS.indexOf(event.event) === -1 || !storageHasTable_(SHEETS.WEBHOOKS)) return [];
+  const webhooks = getActiveWebhooks_().filter(webhook => webhook.events.indexOf('*') !== -1 || webhook.events.indexOf(event.event) !== -1);
+  if (webhooks.length === 0) return [];
+
+  const body = buildWebhookBody_(event);
+  return webhooks.map(webhook => enqueueJob(JOB_TYPE.WEBHOOK_DELIVERY, {
+    webhookId: webhook.id,
+    deliveryId: 'DLV-' + Utilities.getUuid().substring(0, 8),
+    body: body
+  }, { taskId: event.taskId || '' }));
+}
+
+/**
+ * Send a queued delivery (JobQueue runJob_). Throws to have the job retried.
+ * @returns {object} { cancelled, reason }
+ */
+function runWebhookDeliveryJob_(job, payload) {
+  const webhook = getActiveWebhooks_().find(candidate => candidate.id === payload.webhookId);
+  if (!webhook) {
+    return { cancelled: true, reason: `Webhook ${payload.webhookId} is no longer active` };
+  }
+
+  const outcome = sendWebhook_(webhook, payload.deliveryId, payload.body, { jobId: job.Job_ID, attempt: job.Attempts });
+  if (!outcome.delivered) {
+    const error = new Error(outcome.error);
+    error.permanent = outcome.permanent;
+    throw error;
+  }
+  return { cancelled: false };
+}
+
+/**
+ * Send a webhook_test event to a webhook now (test_webhook dashboard action)
+ * @param {string} webhookId - Webhook_ID
+ * @returns {object} { success, webhookId, deliveryId, responseCode, error }
+ */
+function testWebhook(webhookId) {
+  if (!webhookId) {
+    return { success: false, error: 'webhookId is required' };
+  }
+  const row = storageHasTable_(SHEETS.WEBHOOKS) ? getSheetData(SHEETS.WEBHOOKS).find(candidate => candidate.Webhook_ID === webhookId) : null;
+  if (!row) {
+    return { success: false, error: `Webhook ${webhookId} not found` };
+  }
+  const webhook = parseWebhookRow_(row);
+  if (webhook.error) {
+    return { success: false, webhookId: webhookId, error: webhook.error };
+  }
+
+  const deliveryId = 'DLV-' + Utilities.getUuid().substring(0, 8);
+  const outcome = sendWebhook_(webhook, deliveryId, {
+    event: WEBHOOK_TEST_EVENT,
+    occurredAt: new Date().toISOString(),
+    webhookId: webhookId,
+    message: 'Test delivery from AI Chief of Staff'
+  }, { attempt: 1 });
+  return {
+    success: outcome.delivered,
+    webhookId: webhookId,
+    deliveryId: deliveryId,
+    responseCode: outcome.responseCode,
+    error: outcome.error || undefined
+  };
+}
+
+/**
+ * Active, valid webhooks from the Webhooks sheet (invalid rows are logged and skipped)
+ * @returns {Array} { id, url, secret, events }
+ */
+function getActiveWebhooks_() {
+  return getSheetData(SHEETS.WEBHOOKS)
+    .filter(row => row.Webhook_ID && (row.Active === true || row.Active === 'TRUE' || row.Active === 'true'))
+    .map(row => {
+      const webhook = parseWebhookRow_(row);
+      if (webhook.error) {
+        Logger.log(`Skipping webhook ${row.Webhook_ID}: ${webhook.error}`);
+      }
+      return webhook;
+    })
+    .filter(webhook => !webhook.error);
+}
+
+function parseWebhookRow_(row) {
+  const webhook = {
+    id: row.Webhook_ID,
+    url: String(row.URL || '').trim(),
+    secret: String(row.Secret || ''),
+    events: String(row.Events || '').split(',').map(name => name.trim()).filter(name => name),
+    error: null
+  };
+  if (!/^https:\/\//i.test(webhook.url)) {
+    webhook.error = 'URL must use https://';
+  } else if (!webhook.secret) {
+    webhook.error = 'Secret is required to sign deliveries';
+  } else {
+    const unknown = webhook.events.filter(name => name !== '*' && WEBHOOK_EVENTS.indexOf(name) === -1);
+    if (unknown.length > 0) {
+      webhook.error = `Unknown event(s): ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')} or *`;
+    }
+  }
+  return webhook;
+}
+
+/**
+ * Webhook body for a task event: the task in the query_tasks default format, without its conversation
+ */
+function buildWebhookBody_(event) {
+  const body = {
+    event: event.event,
+    occurredAt: event.emittedAt || new Date().toISOString(),
+    taskId: event.taskId || null,
+    task: null,
+    changes: event.changes || {}
+  };
+  if (event.task) {
+    body.task = formatTaskForDashboard_({ ...event.task, Status: normalizeStatus(event.task.Status) }, []);
+    TASK_QUERY_CONVERSATION_FIELDS.forEach(field => { delete body.task[field]; });
+  }
+  WEBHOOK_EVENT_FIELDS.forEach(field => {
+    if (event[field] !== undefined) body[field] = event[field];
+  });
+  return body;
+}
+
+/**
+ * POST a signed body and log the attempt in Webhook_Deliveries
+ * @param {object} options - { jobId, attempt }
+ * @returns {object} { delivered, responseCode, error, permanent }
+ */
+function sendWebhook_(webhook, deliveryId, body, options = {}) {
+  const payload = JSON.stringify({ deliveryId: deliveryId, ...body });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const outcome = { delivered: false, responseCode: null, error: null, permanent: false };
+
+  try {
+    const response = UrlFetchApp.fetch(webhook.url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: payload,
+      headers: {
+        'X-COS-Event': body.event,
+        'X-COS-Delivery': deliveryId,
+        'X-COS-Timestamp': timestamp,
+        'X-COS-Signature': 'sha256=' + hmacSha256Hex_(timestamp + '.' + payload, webhook.secret)
+      },
+      muteHttpExceptions: true
+    });
+    outcome.responseCode = response.getResponseCode();
+    if (outcome.responseCode >= 200 && outcome.responseCode < 300) {
+      outcome.delivered = true;
+    } else {
+      outcome.error = `Webhook returned HTTP ${outcome.responseCode}: ${response.getContentText().substring(0, WEBHOOK_RESPONSE_LOG_CHARS)}`;
+      // The receiver rejected the request itself; sending it again will not help
+      outcome.permanent = outcome.responseCode >= 400 && outcome.responseCode < 500 &&
+        outcome.responseCode !== 408 && outcome.responseCode !== 429;
+    }
+  } catch (error) {
+    outcome.error = error.toString();
+  }
+
+  recordWebhookDelivery_(webhook, deliveryId, body, outcome, options);
+  return outcome;
+}
+
+/**
+ * Remove delivery log entries older than WEBHOOK_DELIVERY_RETENTION_DAYS (daily, from archiveClosedTasks)
+ * @returns {number} Number of entries removed
+ */
+function pruneWebhookDeliveries_() {
+  if (!storageHasTable_(SHEETS.WEBHOOK_DELIVERIES)) return 0;
+  const cutoff = Date.now() - CONFIG.WEBHOOK_DELIVERY_RETENTION_DAYS() * 24 * 60 * 60 * 1000;
+  return pruneLogRows_(SHEETS.WEBHOOK_DELIVERIES, 'Timestamp', cutoff).length;
+}
+
+// Never throws: the log must not turn a delivery into a retry
+function recordWebhookDelivery_(webhook, deliveryId, body, outcome, options) {
+  try {
+    addRow(SHEETS.WEBHOOK_DELIVERIES, {
+      Delivery_ID: deliveryId,
+      Timestamp: new Date(),
+      Webhook_ID: webhook.id,
+      Event: body.event,
+      Task_ID: body.taskId || '',
+      Job_ID: options.jobId || '',
+      Attempt: Number(options.attempt) || 1,
+      Status: outcome.delivered ? WEBHOOK_DELIVERY_STATUS.DELIVERED : WEBHOOK_DELIVERY_STATUS.FAILED,
+      Response_Code: outcome.responseCode === null ? '' : outcome.responseCode,
+      Error: outcome.error || ''
+    });
+  } catch (error) {
+    Logger.log(`Could not record webhook delivery ${deliveryId}: ${error.toString()}`);
+  }
+}
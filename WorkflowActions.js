@@ -0,0 +1,466 @@
+/**
+ * Workflow Actions
+ * Registry of the actions a workflow can run (Actions column of the Workflows sheet)
+ *
+ * Each entry declares the parameters it needs and two handlers:
+ *   execute(params, context)                   - does the work; returns a short message, throws on failure
+ *   preview(params, context, preview, options) - fills in what would happen for test_workflow, no side effects
+ *
+ * String parameters are interpolated from the workflow context before either handler runs, e.g.
+ * "Reminder: {{task.Task_Name}} is due {{task.Due_Date}}", "{{facts.days_until_due}}", "{{boss_email}}".
+ * Unknown placeholders render as an empty string.
+ */
+
+const ACTION_TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WEBHOOK_METHODS = ['post', 'put', 'patch', 'get'];
+
+const WORKFLOW_ACTIONS = {
+  send_email: {
+    description: 'Send the task assignment email to the assignee (AI-drafted)',
+    execute: (params, context) => {
+      sendTaskAssignmentEmail(context.taskId);
+      return 'Email sent';
+    },
+    preview: (params, context, preview, options) => {
+      previewTaskEmail_(preview, 'assignment', context.task, options);
+      preview.note = 'Body is AI-generated at send time; the template fallback is shown. ' + preview.note;
+    }
+  },
+
+  update_status: {
+    description: 'Set the task Status',
+    required: ['status'],
+    execute: (params, context) => {
+      updateTask(context.taskId, { Status: params.status });
+      return `Status updated to ${params.status}`;
+    },
+    preview: (params, context, preview) => {
+      preview.changes = { Status: { from: context.task.Status, to: params.status } };
+    }
+  },
+
+  update_priority: {
+    description: 'Set the task Priority',
+    required: ['priority'],
+    execute: (params, context) => {
+      updateTask(context.taskId, { Priority: params.priority });
+      return `Priority updated to ${params.priority}`;
+    },
+    preview: (params, context, preview) => {
+      preview.changes = { Priority: { from: context.task.Priority, to: params.priority } };
+    }
+  },
+
+  assign_task: {
+    description: 'Reassign the task and email the new assignee',
+    required: ['assigneeEmail'],
+    execute: (params, context) => {
+      updateTask(context.taskId, {
+        ...getWorkflowAssigneeUpdates_(params),
+        Status: TASK_STATUS.NOT_ACTIVE
+      });
+      sendTaskAssignmentEmail(context.taskId);
+      return `Task assigned to ${params.assigneeEmail}`;
+    },
+    preview: (params, context, preview, options) => {
+      const task = context.task;
+      const assignee = getWorkflowAssigneeUpdates_(params);
+      const assigneeName = assignee.Assignee_Name !== undefined ? assignee.Assignee_Name : task.Assignee_Name;
+      preview.changes = {
+        Assignee_Email: { from: task.Assignee_Email, to: params.assigneeEmail },
+        Assignee_Name: { from: task.Assignee_Name, to: assigneeName },
+        Status: { from: task.Status, to: TASK_STATUS.NOT_ACTIVE }
+      };
+      previewTaskEmail_(preview, 'assignment', { ...task, Assignee_Email: params.assigneeEmail, Assignee_Name: assigneeName }, options);
+    }
+  },
+
+  put_on_hold: {
+    description: 'Put the task on hold, noting the reason in its context',
+    execute: (params, context) => {
+      handlePutOnHold(context.taskId, { reason: params.reason || 'Workflow ' + (context.workflowId || '') });
+      return 'Task put on hold';
+    },
+    preview: (params, context, preview) => {
+      preview.changes = { Status: { from: context.task.Status, to: TASK_STATUS.ON_HOLD } };
+    }
+  },
+
+  set_conversation_state: {
+    description: 'Set the task Conversation_State',
+    required: ['state'],
+    execute: (params, context) => {
+      const state = validateConversationStateParam_(params.state);
+      updateTask(context.taskId, { Conversation_State: state });
+      return `Conversation state set to ${state}`;
+    },
+    preview: (params, context, preview) => {
+      const state = validateConversationStateParam_(params.state);
+      preview.changes = { Conversation_State: { from: context.task.Conversation_State, to: state } };
+    }
+  },
+
+  log_interaction: {
+    description: 'Append a line to the Interaction_Log',
+    required: ['message'],
+    execute: (params, context) => {
+      logInteraction(context.taskId, params.message);
+      return 'Interaction logged';
+    },
+    preview: (params, context, preview) => {
+      preview.changes = { Interaction_Log: { append: params.message } };
+    }
+  },
+
+  append_message: {
+    description: 'Add a note to the task conversation (not emailed)',
+    required: ['content'],
+    execute: (params, context) => {
+      const id = `workflow_${Date.now()}`;
+      const appended = appendToConversationHistory(context.taskId, {
+        id: id,
+        messageId: id,
+        timestamp: new Date().toISOString(),
+        senderEmail: 'system',
+        senderName: params.senderName || 'Workflow',
+        type: params.messageType || 'workflow_note',
+        content: params.content,
+        metadata: { source: 'workflow', workflowId: context.workflowId || null }
+      });
+      return appended ? 'Conversation message added' : 'Conversation message already present';
+    },
+    preview: (params, context, preview) => {
+      preview.changes = { Conversation_History: { append: params.content } };
+    }
+  },
+
+  send_followup: {
+    description: 'Send the follow-up template email in the task thread',
+    execute: (params, context) => {
+      if (!sendFollowUpEmail(context.taskId)) {
+        throw new Error('Follow-up email not sent');
+      }
+      return 'Follow-up email sent';
+    },
+    preview: (params, context, preview, options) => {
+      previewTaskEmail_(preview, 'followup', context.task, options);
+    }
+  },
+
+  send_escalation_email: {
+    description: 'Send the escalation template email in the task thread',
+    execute: (params, context) => {
+      if (!sendEscalationEmail(context.taskId)) {
+        throw new Error('Escalation email not sent');
+      }
+      return 'Escalation email sent';
+    },
+    preview: (params, context, preview, options) => {
+      previewTaskEmail_(preview, 'escalation', context.task, options);
+    }
+  },
+
+  send_custom_email: {
+    description: 'Send a templated email (subject/body) to the assignee or another address, in the task thread',
+    required: ['subject', 'body'],
+    execute: (params, context) => {
+      const to = params.to || (context.task && context.task.Assignee_Email);
+      if (!to) {
+        throw new Error(`Task ${context.taskId} has no assignee`);
+      }
+      const result = sendEmailToAssignee(context.taskId, to, params.subject, params.body, {
+        htmlBody: params.body.replace(/\n/g, '<br>')
+      });
+      if (!result.success) {
+        throw new Error('Custom email not sent');
+      }
+
+      logInteraction(context.taskId, `Workflow email "${params.subject}" sent to ${to}${result.threadId ? ` (Thread ID: ${result.threadId})` : ''}`);
+      try {
+        appendToConversationHistory(context.taskId, {
+          id: result.messageId || ('sent_' + Date.now()),
+          timestamp: new Date().toISOString(),
+          senderEmail: CONFIG.BOSS_EMAIL(),
+          senderName: CONFIG.BOSS_NAME ? CONFIG.BOSS_NAME() : 'Boss',
+          type: 'boss_message',
+          content: params.body,
+          messageId: result.messageId || null,
+          metadata: { source: 'workflow', workflowId: context.workflowId || null, threadId: result.threadId || null }
+        });
+      } catch (e) {
+        Logger.log(`Warning: Failed to append workflow email to conversation history: ${e.toString()}`);
+      }
+      return `Custom email sent to ${to}`;
+    },
+    preview: (params, context, preview) => {
+      const to = params.to || context.task.Assignee_Email;
+      preview.sendsEmail = true;
+      if (!to) {
+        throw new Error(`Task ${context.taskId} has no assignee`);
+      }
+      preview.email = { to: to, subject: params.subject, body: params.body };
+    }
+  },
+
+  escalate_to_boss: {
+    description: 'Email the boss an alert about the task',
+    execute: (params, context) => {
+      sendBossAlert(context.taskId, params.message);
+      return 'Boss alerted';
+    },
+    preview: (params, context, preview) => {
+      preview.sendsEmail = true;
+      preview.email = buildBossAlertEmail(context.task, params.message);
+    }
+  },
+
+  schedule_one_on_one: {
+    description: 'Book a 1:1 with the assignee (date YYYY-MM-DD or "now + 2d", time HH:mm, duration minutes)',
+    execute: (params, context) => {
+      const eventId = scheduleOneOnOne(context.taskId, resolveActionDate_(params.date), params.time || null, parseInt(params.duration, 10) || null);
+      if (!eventId) {
+        throw new Error('No 1:1 slot could be booked (see Error_Log)');
+      }
+      return `1:1 scheduled (Event ID: ${eventId})`;
+    },
+    preview: (params, context, preview) => {
+      if (!context.task.Assignee_Email) {
+        throw new Error(`Task ${context.taskId} has no assignee`);
+      }
+      const date = resolveActionDate_(params.date);
+      preview.changes = { Status: { from: context.task.Status, to: TASK_STATUS.ON_TIME } };
+      preview.note = (date && params.time
+        ? `1:1 requested for ${date} ${params.time}; conflicts are checked at run time. `
+        : 'The next free slot is picked at run time. ') + preview.note;
+    }
+  },
+
+  add_to_weekly: {
+    description: 'Add the task to the next weekly meeting agenda (date YYYY-MM-DD or "now + 2d" to search from)',
+    execute: (params, context) => {
+      const eventId = addToWeeklyAgenda(context.taskId, resolveActionDate_(params.date));
+      if (!eventId) {
+        throw new Error('Task could not be added to the weekly agenda (see Error_Log)');
+      }
+      return `Added to weekly agenda (Event ID: ${eventId})`;
+    },
+    preview: (params, context, preview) => {
+      preview.note = `Added to the next "${CONFIG.WEEKLY_MEETING_TITLE()}" event; one is created if none exists. ` + preview.note;
+    }
+  },
+
+  call_webhook: {
+    description: 'Call an outbound HTTPS webhook (url, method, payload, headers)',
+    needsTask: false,
+    required: ['url'],
+    execute: (params, context) => {
+      const request = buildWebhookRequest_(params, context);
+      const response = UrlFetchApp.fetch(request.url, request.options);
+      const code = response.getResponseCode();
+      if (code < 200 || code >= 300) {
+        throw new Error(`Webhook returned HTTP ${code}: ${response.getContentText().substring(0, 200)}`);
+      }
+      return `Webhook responded ${code}`;
+    },
+    preview: (params, context, preview) => {
+      const request = buildWebhookRequest_(params, context);
+      preview.request = { url: request.url, method: request.options.method, payload: request.options.payload || null };
+    }
+  }
+};
+
+/**
+ * Look up an action and resolve its parameters against the context
+ * @param {object} action - { type, params } (also accepts { action, parameters })
+ * @param {object} context - Workflow context ({ taskId, task, ... })
+ * @returns {object} { type, definition, params, context, error }
+ */
+function resolveWorkflowAction_(action, context) {
+  const actionType = action.type || action.action;
+  const definition = Object.prototype.hasOwnProperty.call(WORKFLOW_ACTIONS, actionType) ? WORKFLOW_ACTIONS[actionType] : null;
+  const resolved = { type: actionType, definition: definition, params: action.params || action.parameters || {}, context: context, error: null };
+
+  if (!definition) {
+    resolved.error = `Unknown action type: ${actionType}`;
+    return resolved;
+  }
+
+  const taskId = context.taskId || (context.task && context.task.Task_ID);
+  const task = taskId ? (context.task || getTask(taskId)) : null;
+  if (definition.needsTask !== false) {
+    if (!taskId) {
+      resolved.error = 'No task in context';
+      return resolved;
+    }
+    if (!task) {
+      resolved.error = `Task ${taskId} not found`;
+      return resolved;
+    }
+  }
+  resolved.context = { ...context, taskId: taskId || null, task: task || null };
+
+  resolved.params = interpolateActionParams_(resolved.params, resolved.context);
+  const missing = (definition.required || []).filter(name => !hasConditionValue_(resolved.params[name]));
+  if (missing.length > 0) {
+    resolved.error = `Missing required parameter(s): ${missing.join(', ')}`;
+  }
+  return resolved;
+}
+
+/**
+ * Validate a workflow's actions before saving (types and required parameters; templates are not resolved)
+ * @returns {object} { valid, errors }
+ */
+function validateWorkflowActions(actions) {
+  const errors = [];
+  if (!Array.isArray(actions)) {
+    return { valid: false, errors: ['Actions must be an array'] };
+  }
+
+  actions.forEach((action, index) => {
+    const label = `Action ${index + 1}`;
+    if (!action || typeof action !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    const actionType = action.type || action.action;
+    if (!Object.prototype.hasOwnProperty.call(WORKFLOW_ACTIONS, actionType)) {
+      errors.push(`${label}: unknown action type "${actionType}". Valid: ${Object.keys(WORKFLOW_ACTIONS).join(', ')}`);
+      return;
+    }
+    const params = action.params || action.parameters || {};
+    (WORKFLOW_ACTIONS[actionType].required || [])
+      .filter(name => !hasConditionValue_(params[name]))
+      .forEach(name => errors.push(`${label} (${actionType}): "${name}" is required`));
+
+    const delayHours = action.delay_hours !== undefined ? action.delay_hours : action.delayHours;
+    if (delayHours !== undefined && delayHours !== '' && !(parseFloat(delayHours) >= 0)) {
+      errors.push(`${label} (${actionType}): delay_hours must be a non-negative number`);
+    }
+    if (actionType === 'call_webhook' && params.url && !/^https:\/\//i.test(String(params.url).trim())) {
+      errors.push(`${label} (call_webhook): url must use https://`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Replace {{path}} placeholders in every string of a parameter value (objects and arrays are walked)
+ */
+function interpolateActionParams_(value, context, facts) {
+  const resolver = facts || createFactResolver_(context);
+  if (typeof value === 'string') {
+    return value.replace(ACTION_TEMPLATE_PATTERN, (match, path) => formatTemplateValue_(resolveTemplatePath_(path, context, resolver)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateActionParams_(item, context, resolver));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = interpolateActionParams_(value[key], context, resolver);
+    });
+    return result;
+  }
+  return value;
+}
+
+function resolveTemplatePath_(path, context, facts) {
+  if (path === 'boss_email') return CONFIG.BOSS_EMAIL();
+  if (path === 'today') return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMMM d, yyyy');
+  return resolveConditionField_(path, context, facts);
+}
+
+function formatTemplateValue_(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '' : Utilities.formatDate(value, Session.getScriptTimeZone(), 'MMMM d, yyyy');
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 10) / 10);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Dates for calendar actions: "YYYY-MM-DD" passes through, "now + 2d" / "today + 1w" are resolved
+ */
+function resolveActionDate_(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const relative = parseRelativeDate_(text);
+  if (relative) {
+    return Utilities.formatDate(relative, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    throw new Error(`Invalid date "${text}" (use YYYY-MM-DD or e.g. "now + 2d")`);
+  }
+  return text;
+}
+
+function validateConversationStateParam_(state) {
+  const value = String(state).trim().toLowerCase();
+  if (!Object.values(CONVERSATION_STATE).includes(value)) {
+    throw new Error(`Unknown conversation state "${state}". Valid: ${Object.values(CONVERSATION_STATE).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Assignee columns for assign_task: Assignee_Name is the given name, else the Staff_DB name;
+ * unknown staff leave the column as it is
+ */
+function getWorkflowAssigneeUpdates_(params) {
+  const updates = { Assignee_Email: params.assigneeEmail };
+  const staff = params.assigneeName ? null : getStaff(params.assigneeEmail);
+  const name = params.assigneeName || (staff && staff.Name);
+  if (name) {
+    updates.Assignee_Name = name;
+  }
+  return updates;
+}
+
+/**
+ * Build the UrlFetchApp request for call_webhook. The default payload describes the event and task.
+ */
+function buildWebhookRequest_(params, context) {
+  const url = String(params.url).trim();
+  if (!/^https:\/\//i.test(url)) {
+    throw new Error('Webhook URL must use https://');
+  }
+  const method = String(params.method || 'post').toLowerCase();
+  if (!WEBHOOK_METHODS.includes(method)) {
+    throw new Error(`Unsupported webhook method: ${params.method}`);
+  }
+
+  const options = {
+    method: method,
+    headers: params.headers && typeof params.headers === 'object' ? params.headers : {},
+    muteHttpExceptions: true
+  };
+  if (method !== 'get') {
+    const payload = params.payload !== undefined ? params.payload : {
+      event: context.triggerEvent || null,
+      workflowId: context.workflowId || null,
+      taskId: context.taskId || null,
+      task: context.task || null,
+      timestamp: new Date().toISOString()
+    };
+    options.contentType = 'application/json';
+    options.payload = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  }
+  return { url: url, options: options };
+}
+
+/**
+ * Preview a templated task email (assignment / followup / escalation)
+ */
+function previewTaskEmail_(preview, templateType, task, options) {
+  preview.sendsEmail = true;
+  if (!task.Assignee_Email) {
+    throw new Error(`Task ${task.Task_ID} has no assignee`);
+  }
+  preview.email = options.renderEmails !== false
+    ? buildTaskEmail(templateType, task)
+    : { to: task.Assignee_Email, subject: null, body: null };
+}
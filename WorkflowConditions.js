@@ -0,0 +1,498 @@
+/**
+ * Workflow Conditions
+ * Boolean condition language for workflow rules (used by evaluateConditions in WorkflowEngine.js)
+ *
+ * A condition is one of:
+ * - Group:      { "all": [cond, ...] }, { "any": [cond, ...] }, { "not": cond }  (an array is shorthand for "all")
+ * - Leaf:       { "field": "Due_Date", "op": "<", "value": "now + 2d" }
+ * - Expression: "Due_Date < now + 2d", "Last_Message_Snippet contains 'delay'", "Assignee_Email exists"
+ * - Legacy:     { "status": "not_active", "hours": { "operator": ">", "value": 24 } }  (flat AND, still supported)
+ *
+ * Operators: ==, !=, >, >=, <, <=, in, not_in, contains, not_contains (case-insensitive),
+ *            regex (value is a pattern, case-insensitive unless "flags" is given), exists, not_exists
+ *
+ * Fields resolve against the workflow context, then the task (e.g. "Status", "task.Priority", "oldStatus").
+ * Conversation_History is the task's messages as JSON, read from Conversation_Messages (see ConversationHelpers.js).
+ * Derived facts are available as "facts.<name>" (see WORKFLOW_FACTS).
+ * Date values: "now", "today", optionally with an offset in m/h/d/w, e.g. "now - 36h", "today + 1w".
+ *
+ * Example escalation rule:
+ * { "all": [
+ *     { "field": "facts.hours_since_last_employee_message", "op": ">", "value": 48 },
+ *     { "not": { "field": "Status", "op": "in", "value": ["closed", "on_hold"] } },
+ *     { "any": ["Due_Date < now + 2d", "Conversation_History regex 'blocked|stuck'"] }
+ * ] }
+ */
+
+const CONDITION_OPERATORS = [
+  '==', '!=', '>', '>=', '<', '<=', 'in', 'not_in',
+  'contains', 'not_contains', 'regex', 'exists', 'not_exists',
+];
+
+// Derived facts, computed lazily from the task
+const WORKFLOW_FACTS = [
+  'hours_since_last_employee_message', 'hours_since_last_boss_message', 'hours_since_last_message',
+  'hours_since_last_update', 'hours_since_created', 'days_until_due', 'is_overdue', 'message_count', 'status',
+];
+
+const RELATIVE_DATE_PATTERN = /^(now|today)\s*(?:([+-])\s*(\d+(?:\.\d+)?)\s*([mhdw]))?$/i;
+const RELATIVE_DATE_UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Task fields whose messages now live in Conversation_Messages (the cell is emptied by migrateTaskConversation_)
+const CONVERSATION_HISTORY_FIELDS = ['Conversation_History', 'task.Conversation_History'];
+
+const EMPLOYEE_MESSAGE_TYPES = ['email_reply', 'employee_reply'];
+const BOSS_MESSAGE_TYPES = ['boss_message', 'boss_approval', 'boss_rejection', 'boss_mixed_response'];
+
+/**
+ * Evaluate a condition tree against a workflow context
+ * @param {*} node - Condition (group, leaf, expression string, or legacy flat object)
+ * @param {object} context - Workflow context ({ taskId, task, ... })
+ * @param {object} facts - Fact resolver from createFactResolver_()
+ * @param {Array} trace - Optional; receives one entry per evaluated node (groups nest their children)
+ * @returns {boolean} True if the condition holds
+ */
+function evaluateConditionNode_(node, context, facts, trace = null) {
+  if (node === null || node === undefined) {
+    return true;
+  }
+  if (typeof node === 'string') {
+    return evaluateLeafCondition_(parseConditionExpression_(node), context, facts, trace);
+  }
+  if (Array.isArray(node)) {
+    return evaluateConditionGroup_('all', node, context, facts, trace);
+  }
+  if (typeof node !== 'object') {
+    throw new Error(`Invalid condition: ${JSON.stringify(node)}`);
+  }
+  if (node.all !== undefined) {
+    return evaluateConditionGroup_('all', node.all, context, facts, trace);
+  }
+  if (node.any !== undefined) {
+    return evaluateConditionGroup_('any', node.any, context, facts, trace);
+  }
+  if (node.not !== undefined) {
+    return evaluateConditionGroup_('not', [node.not], context, facts, trace);
+  }
+  if (node.field !== undefined) {
+    return evaluateLeafCondition_(node, context, facts, trace);
+  }
+  const result = evaluateFlatConditions_(node, context);
+  if (trace) {
+    trace.push({ type: 'flat', conditions: node, result: result });
+  }
+  return result;
+}
+
+/**
+ * Evaluate an all/any/not group (short-circuits, so the trace only lists children that were evaluated)
+ */
+function evaluateConditionGroup_(type, children, context, facts, trace) {
+  const childTrace = trace ? [] : null;
+  let result;
+  if (type === 'any') {
+    result = children.some(child => evaluateConditionNode_(child, context, facts, childTrace));
+  } else if (type === 'not') {
+    result = !evaluateConditionNode_(children[0], context, facts, childTrace);
+  } else {
+    result = children.every(child => evaluateConditionNode_(child, context, facts, childTrace));
+  }
+  if (trace) {
+    trace.push({ type: type, result: result, children: childTrace });
+  }
+  return result;
+}
+
+/**
+ * Evaluate conditions and return the evaluation trace (for Workflow_Runs and previews)
+ * @param {*} conditions - Condition tree
+ * @param {object} context - Workflow context
+ * @returns {object} { met: boolean, trace: Array, error: string|null }
+ */
+function explainConditions(conditions, context) {
+  const trace = [];
+  if (!conditions || (typeof conditions === 'object' && Object.keys(conditions).length === 0)) {
+    return { met: true, trace: trace, error: null };
+  }
+  try {
+    const met = evaluateConditionNode_(conditions, context, createFactResolver_(context), trace);
+    return { met: met, trace: trace, error: null };
+  } catch (error) {
+    return { met: false, trace: trace, error: error.toString() };
+  }
+}
+
+/**
+ * Evaluate a single { field, op, value } condition
+ */
+function evaluateLeafCondition_(leaf, context, facts, trace = null) {
+  const actual = resolveConditionField_(leaf.field, context, facts);
+  const result = compareLeafCondition_(leaf, actual);
+  if (trace) {
+    trace.push({
+      type: 'leaf',
+      field: leaf.field,
+      op: leaf.op || leaf.operator || '==',
+      value: leaf.value,
+      actual: summarizeTraceValue_(actual),
+      result: result
+    });
+  }
+  return result;
+}
+
+function compareLeafCondition_(leaf, actual) {
+  const op = leaf.op || leaf.operator || '==';
+  const expected = resolveConditionValue_(leaf.value);
+
+  switch (op) {
+    case '==':
+    case '===':
+      return compareConditionValues_(actual, expected) === 0;
+    case '!=':
+    case '!==':
+      return compareConditionValues_(actual, expected) !== 0;
+    case '>':
+      return hasConditionValue_(actual) && compareConditionValues_(actual, expected) > 0;
+    case '>=':
+      return hasConditionValue_(actual) && compareConditionValues_(actual, expected) >= 0;
+    case '<':
+      return hasConditionValue_(actual) && compareConditionValues_(actual, expected) < 0;
+    case '<=':
+      return hasConditionValue_(actual) && compareConditionValues_(actual, expected) <= 0;
+    case 'in':
+      return Array.isArray(expected) && expected.some(item => compareConditionValues_(actual, item) === 0);
+    case 'not_in':
+      return !Array.isArray(expected) || !expected.some(item => compareConditionValues_(actual, item) === 0);
+    case 'contains':
+      return conditionTextContains_(actual, expected);
+    case 'not_contains':
+      return !conditionTextContains_(actual, expected);
+    case 'regex':
+      return hasConditionValue_(actual) && new RegExp(String(leaf.value), leaf.flags || 'i').test(conditionText_(actual));
+    case 'exists':
+      return leaf.value === false ? !hasConditionValue_(actual) : hasConditionValue_(actual);
+    case 'not_exists':
+      return !hasConditionValue_(actual);
+    default:
+      throw new Error(`Unknown operator: ${op}`);
+  }
+}
+
+/**
+ * Resolve a field name to a value: facts.*, dotted context paths, context keys, then task columns
+ */
+function resolveConditionField_(field, context, facts) {
+  const name = String(field);
+  if (name.indexOf('facts.') === 0) {
+    return facts.get(name.substring('facts.'.length));
+  }
+  if (CONVERSATION_HISTORY_FIELDS.includes(name)) {
+    return facts.conversationHistory();
+  }
+  if (name.includes('.')) {
+    let value = context;
+    for (const part of name.split('.')) {
+      value = value?.[part];
+    }
+    return value;
+  }
+  if (context[name] !== undefined && context[name] !== null && context[name] !== '') {
+    return context[name];
+  }
+  return context.task?.[name];
+}
+
+/**
+ * Turn relative date strings ("now + 2d") into Dates; other values pass through
+ */
+function resolveConditionValue_(value) {
+  if (Array.isArray(value)) {
+    return value.map(resolveConditionValue_);
+  }
+  if (typeof value === 'string') {
+    const relative = parseRelativeDate_(value.trim());
+    if (relative) return relative;
+  }
+  return value;
+}
+
+/**
+ * Parse "now", "today", "now + 2d", "today - 1w" into a Date (null if not a relative date)
+ */
+function parseRelativeDate_(text) {
+  const match = RELATIVE_DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const base = new Date();
+  if (match[1].toLowerCase() === 'today') {
+    base.setHours(0, 0, 0, 0);
+  }
+  if (!match[2]) return base;
+
+  const offset = parseFloat(match[3]) * RELATIVE_DATE_UNIT_MS[match[4].toLowerCase()];
+  return new Date(base.getTime() + (match[2] === '-' ? -offset : offset));
+}
+
+/**
+ * Compare two values: as dates if either side is a Date, as numbers if both are numeric, else as strings
+ * @returns {number} <0, 0 or >0 (NaN when the values cannot be compared)
+ */
+function compareConditionValues_(actual, expected) {
+  if (actual instanceof Date || expected instanceof Date) {
+    const a = toConditionTime_(actual);
+    const b = toConditionTime_(expected);
+    return (a === null || b === null) ? NaN : a - b;
+  }
+  if (isConditionNumeric_(actual) && isConditionNumeric_(expected)) {
+    return parseFloat(actual) - parseFloat(expected);
+  }
+  if (!hasConditionValue_(actual) && !hasConditionValue_(expected)) {
+    return 0;
+  }
+  if (typeof actual === 'boolean' || typeof expected === 'boolean') {
+    return String(actual).toLowerCase() === String(expected).toLowerCase() ? 0 : NaN;
+  }
+  const a = actual === null || actual === undefined ? '' : String(actual);
+  const b = expected === null || expected === undefined ? '' : String(expected);
+  return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+function toConditionTime_(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+  if (!hasConditionValue_(value)) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+function conditionTextContains_(actual, expected) {
+  if (!hasConditionValue_(actual) || !hasConditionValue_(expected)) return false;
+  if (Array.isArray(actual)) {
+    return actual.some(item => conditionTextContains_(item, expected));
+  }
+  return conditionText_(actual).toLowerCase().includes(String(expected).toLowerCase());
+}
+
+function conditionText_(value) {
+  return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+}
+
+function hasConditionValue_(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function isConditionNumeric_(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Keep trace entries small (e.g. Interaction_Log can be tens of KB)
+ */
+function summarizeTraceValue_(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') value = JSON.stringify(value);
+  if (typeof value === 'string' && value.length > 200) return value.substring(0, 197) + '...';
+  return value === undefined ? null : value;
+}
+
+/**
+ * Parse an expression string like "Due_Date < now + 2d" into a leaf condition
+ */
+function parseConditionExpression_(expression) {
+  const text = String(expression).trim();
+  const wordOp = /^([A-Za-z_][\w.]*)\s+(not_contains|contains|not_in|in|regex|not_exists|exists)\b\s*(.*)$/.exec(text);
+  const symbolOp = /^([A-Za-z_][\w.]*)\s*(===|!==|==|!=|>=|<=|>|<)\s*(.*)$/.exec(text);
+  const match = wordOp || symbolOp;
+  if (!match || (!wordOp && /^[<>=!]/.test(match[3]))) {
+    throw new Error(`Cannot parse condition "${text}" (expected "<field> <operator> <value>")`);
+  }
+  return { field: match[1], op: match[2], value: parseExpressionValue_(match[3]) };
+}
+
+function parseExpressionValue_(raw) {
+  const text = String(raw || '').trim();
+  if (text === '') return undefined;
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (text.charAt(0) === '[' || text.charAt(0) === '{') return JSON.parse(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  if (isConditionNumeric_(text)) return parseFloat(text);
+  return text; // Bare words and relative dates ("now + 2d")
+}
+
+/**
+ * Lazily computed, memoized derived facts for a workflow context
+ */
+function createFactResolver_(context) {
+  const cache = {};
+  let task;
+  let conversationHistory;
+
+  const getTaskForFacts = () => {
+    if (task === undefined) {
+      task = context.task || (context.taskId ? getTask(context.taskId) : null) || null;
+    }
+    return task;
+  };
+
+  return {
+    get: function(name) {
+      if (!Object.prototype.hasOwnProperty.call(cache, name)) {
+        cache[name] = computeWorkflowFact_(name, getTaskForFacts());
+      }
+      return cache[name];
+    },
+    // The task's messages as the JSON the Conversation_History cell used to hold ('' when there are none)
+    conversationHistory: function() {
+      if (conversationHistory === undefined) {
+        const events = parseConversationEvents_(getTaskForFacts() || {});
+        conversationHistory = events.length > 0 ? JSON.stringify(events) : '';
+      }
+      return conversationHistory;
+    }
+  };
+}
+
+function computeWorkflowFact_(name, task) {
+  if (!task) return null;
+  const now = Date.now();
+  const hoursSince = value => {
+    const time = toConditionTime_(value);
+    return time === null ? null : (now - time) / RELATIVE_DATE_UNIT_MS.h;
+  };
+
+  switch (name) {
+    case 'hours_since_last_employee_message':
+      return hoursSince(task.Last_Employee_Message || lastConversationTimestamp_(task, EMPLOYEE_MESSAGE_TYPES));
+    case 'hours_since_last_boss_message':
+      return hoursSince(task.Last_Boss_Message || lastConversationTimestamp_(task, BOSS_MESSAGE_TYPES));
+    case 'hours_since_last_message':
+      return hoursSince(task.Last_Message_Timestamp);
+    case 'hours_since_last_update':
+      return hoursSince(task.Last_Updated);
+    case 'hours_since_created':
+      return hoursSince(task.Created_Date);
+    case 'days_until_due': {
+      const due = toConditionTime_(task.Due_Date);
+      return due === null ? null : (due - now) / RELATIVE_DATE_UNIT_MS.d;
+    }
+    case 'is_overdue': {
+      const due = toConditionTime_(task.Due_Date);
+      const status = normalizeStatus(task.Status);
+      return due !== null && due < now &&
+        status !== TASK_STATUS.CLOSED && status !== TASK_STATUS.ON_HOLD && status !== TASK_STATUS.SOMEDAY;
+    }
+    case 'message_count':
+      return Number(task.Message_Count) || parseConversationEvents_(task).length;
+    case 'status':
+      return normalizeStatus(task.Status);
+    default:
+      throw new Error(`Unknown fact: ${name}`);
+  }
+}
+
+function lastConversationTimestamp_(task, types) {
+  const events = parseConversationEvents_(task).filter(event => types.includes(event.type));
+  return events.length > 0 ? events[events.length - 1].timestamp : null;
+}
+
+/**
+ * Conversation events for facts; only read when the task's summary columns are empty
+ */
+function parseConversationEvents_(task) {
+  if (!task.Task_ID) return [];
+  return getConversationHistory(task.Task_ID, task);
+}
+
+/**
+ * Validate a condition tree (used when saving workflows)
+ * @param {*} conditions - Parsed conditions
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+function validateConditions(conditions) {
+  const errors = [];
+  validateConditionNode_(conditions, 'conditions', errors);
+  return { valid: errors.length === 0, errors: errors };
+}
+
+function validateConditionNode_(node, path, errors) {
+  if (node === null || node === undefined) {
+    return;
+  }
+  if (typeof node === 'string') {
+    try {
+      validateLeafCondition_(parseConditionExpression_(node), path, errors);
+    } catch (e) {
+      errors.push(`${path}: ${e.message}`);
+    }
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach((child, i) => validateConditionNode_(child, `${path}[${i}]`, errors));
+    return;
+  }
+  if (typeof node !== 'object') {
+    errors.push(`${path}: expected an object, array or expression string, got ${JSON.stringify(node)}`);
+    return;
+  }
+
+  const groupKeys = ['all', 'any', 'not'].filter(key => node[key] !== undefined);
+  if (groupKeys.length > 1) {
+    errors.push(`${path}: use only one of all/any/not per group (found ${groupKeys.join(', ')})`);
+    return;
+  }
+  if (groupKeys.length === 1) {
+    const key = groupKeys[0];
+    if (key !== 'not' && !Array.isArray(node[key])) {
+      errors.push(`${path}.${key}: must be an array of conditions`);
+      return;
+    }
+    if (key === 'not') {
+      validateConditionNode_(node.not, `${path}.not`, errors);
+    } else {
+      node[key].forEach((child, i) => validateConditionNode_(child, `${path}.${key}[${i}]`, errors));
+    }
+    return;
+  }
+  if (node.field !== undefined) {
+    validateLeafCondition_(node, path, errors);
+    return;
+  }
+
+  // Legacy flat format: { key: value } or { key: { operator, value } }
+  Object.entries(node).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && value.operator) {
+      validateLeafCondition_({ field: key, op: value.operator, value: value.value, flags: value.flags }, `${path}.${key}`, errors);
+    }
+  });
+}
+
+function validateLeafCondition_(leaf, path, errors) {
+  const op = leaf.op || leaf.operator || '==';
+  if (!leaf.field || typeof leaf.field !== 'string') {
+    errors.push(`${path}: "field" must be a non-empty string`);
+  } else if (leaf.field.indexOf('facts.') === 0 && !WORKFLOW_FACTS.includes(leaf.field.substring('facts.'.length))) {
+    errors.push(`${path}: unknown fact "${leaf.field}" (available: ${WORKFLOW_FACTS.join(', ')})`);
+  }
+
+  if (!CONDITION_OPERATORS.includes(op) && op !== '===' && op !== '!==') {
+    errors.push(`${path}: unknown operator "${op}" (available: ${CONDITION_OPERATORS.join(', ')})`);
+    return;
+  }
+  if ((op === 'in' || op === 'not_in') && !Array.isArray(leaf.value)) {
+    errors.push(`${path}: "${op}" needs an array value`);
+  }
+  if (op === 'regex') {
+    try {
+      new RegExp(String(leaf.value), leaf.flags || 'i');
+    } catch (e) {
+      errors.push(`${path}: invalid regex "${leaf.value}": ${e.message}`);
+    }
+  }
+  if (['>', '>=', '<', '<=', 'contains', 'not_contains', 'regex'].includes(op) && !hasConditionValue_(leaf.value)) {
+    errors.push(`${path}: "${op}" needs a value`);
+  }
+  if (typeof leaf.value === 'string' && /^(now|today)\b/i.test(leaf.value.trim()) && !parseRelativeDate_(leaf.value.trim())) {
+    errors.push(`${path}: invalid date expression "${leaf.value}" (use e.g. "now + 2d", "today - 1w")`);
+  }
+}
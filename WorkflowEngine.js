@@ -11,7 +11,7 @@ function loadWorkflows() {
   try {
     const workflows = getSheetData(SHEETS.WORKFLOWS);
     // Filter only active workflows
-    return workflows.filter(w => w.Active === true || w.Active === 'TRUE' || w.Active === 'true');
+    return workflows.filter(isWorkflowActive_);
   } catch (error) {
     Logger.log(`Error loading workflows: ${error.toString()}`);
     return [];
@@ -20,7 +20,7 @@ function loadWorkflows() {
 
 /**
  * Execute workflows matching a trigger event
- * @param {string} triggerEvent - The event that triggered workflow execution (e.g., 'status_change', 'task_created', 'email_reply')
+ * @param {string} triggerEvent - The event that triggered workflow execution (a TASK_EVENT value, e.g. 'status_changed', 'task_created', 'email_reply')
  * @param {object} context - Context object with task data, event details, etc.
  * @returns {Array} Array of results from executed workflows
  */
@@ -30,55 +30,20 @@ function executeWorkflow(triggerEvent, context) {
     const results = [];
     
     for (const workflow of workflows) {
-      // Parse workflow JSON
-      let workflowConfig;
-      try {
-        workflowConfig = typeof workflow.Trigger_Event === 'string' 
-          ? JSON.parse(workflow.Trigger_Event) 
-          : workflow.Trigger_Event;
-      } catch (e) {
-        // Try parsing the entire workflow as JSON
-        try {
-          const workflowJson = workflow.Trigger_Event || workflow.Conditions || workflow.Actions;
-          if (typeof workflowJson === 'string') {
-            workflowConfig = JSON.parse(workflowJson);
-          } else {
-            // Workflow might be stored in separate columns
-            workflowConfig = {
-              trigger: workflow.Trigger_Event,
-              conditions: workflow.Conditions ? (typeof workflow.Conditions === 'string' ? JSON.parse(workflow.Conditions) : workflow.Conditions) : {},
-              actions: workflow.Actions ? (typeof workflow.Actions === 'string' ? JSON.parse(workflow.Actions) : workflow.Actions) : [],
-              timing: workflow.Timing ? (typeof workflow.Timing === 'string' ? JSON.parse(workflow.Timing) : workflow.Timing) : {}
-            };
-          }
-        } catch (e2) {
-          Logger.log(`Error parsing workflow ${workflow.Workflow_ID || workflow.Name}: ${e2.toString()}`);
-          continue;
-        }
+      const workflowConfig = parseWorkflowConfig_(workflow);
+      if (!workflowConfig) {
+        continue; // Unparseable workflow, already logged
       }
       
-      // Check if trigger matches
-      const workflowTrigger = workflowConfig.trigger || workflow.Trigger_Event;
-      if (workflowTrigger !== triggerEvent) {
+      // Check if trigger matches (legacy names such as status_change are aliases, see EventBus.js)
+      if (normalizeTriggerEvent_(workflowConfig.trigger) !== normalizeTriggerEvent_(triggerEvent)) {
         continue; // Skip this workflow
       }
       
-      // Evaluate conditions
-      const conditions = workflowConfig.conditions || (workflow.Conditions ? (typeof workflow.Conditions === 'string' ? JSON.parse(workflow.Conditions) : workflow.Conditions) : {});
-      if (!evaluateConditions(conditions, context)) {
-        continue; // Conditions not met, skip
+      const result = runWorkflow_(workflow, workflowConfig, triggerEvent, context);
+      if (result) {
+        results.push(result);
       }
-      
-      // Execute actions
-      const actions = workflowConfig.actions || (workflow.Actions ? (typeof workflow.Actions === 'string' ? JSON.parse(workflow.Actions) : workflow.Actions) : []);
-      const actionResults = executeActions(actions, context, workflow.Workflow_ID || workflow.Name);
-      
-      results.push({
-        workflowId: workflow.Workflow_ID || workflow.Name,
-        workflowName: workflow.Name,
-        executed: true,
-        actions: actionResults
-      });
     }
     
     return results;
@@ -88,17 +53,140 @@ function executeWorkflow(triggerEvent, context) {
   }
 }
 
+/**
+ * Evaluate one workflow's conditions for a context and run its actions if they match
+ * @param {object} workflow - Workflows sheet row
+ * @param {object} workflowConfig - Parsed config from parseWorkflowConfig_()
+ * @param {string} triggerEvent - Event name (recorded in Workflow_Runs)
+ * @param {object} context - Context object with task data
+ * @param {object} options - Optional { recordSkipped, cooldown: true } - non-matching runs go to Workflow_Runs
+ *   when recordSkipped is true, or when it is not given and WORKFLOW_LOG_SKIPPED_RUNS is on;
+ *   cooldown: false skips the per-task cooldown (scheduled runs)
+ * @returns {object|null} Execution result ({ blocked: true } when a guard stopped it), or null if conditions were not met
+ */
+function runWorkflow_(workflow, workflowConfig, triggerEvent, context, options = {}) {
+  const workflowId = workflow.Workflow_ID || workflow.Name;
+  const taskId = context.taskId || context.task?.Task_ID;
+  
+  // Evaluate conditions (the trace is kept in Workflow_Runs)
+  const conditions = workflowConfig.conditions;
+  const evaluation = explainConditions(conditions, context);
+  if (evaluation.error) {
+    Logger.log(`Error evaluating conditions for workflow ${workflowId}: ${evaluation.error}`);
+  }
+  if (!evaluation.met) {
+    const recordSkipped = options.recordSkipped !== undefined ? options.recordSkipped : CONFIG.WORKFLOW_LOG_SKIPPED_RUNS();
+    if (recordSkipped) {
+      recordWorkflowRun({
+        triggerEvent: triggerEvent, workflowId: workflowId, workflowName: workflow.Name, taskId: taskId,
+        conditionsMet: false, trace: evaluation.trace, actions: [], error: evaluation.error
+      });
+    }
+    return null; // Conditions not met, skip
+  }
+  
+  // Loop and storm protection (see WorkflowGuards.js)
+  const guard = checkWorkflowGuards_(workflowId, workflowConfig, context, options);
+  if (!guard.allowed) {
+    Logger.log(`Workflow ${workflowId} blocked: ${guard.reason}`);
+    if (guard.trip) {
+      tripWorkflowCircuitBreaker_(workflow, guard.reason, taskId);
+    }
+    recordWorkflowRun({
+      triggerEvent: triggerEvent, workflowId: workflowId, workflowName: workflow.Name, taskId: taskId,
+      conditionsMet: true, trace: evaluation.trace, actions: [], status: WORKFLOW_RUN_STATUS.BLOCKED, error: guard.reason
+    });
+    return { workflowId: workflowId, workflowName: workflow.Name, executed: false, blocked: true, reason: guard.reason, actions: [] };
+  }
+  
+  // Execute actions (delayed actions are queued with the conditions so they can be re-checked at run time)
+  const actionResults = runInWorkflowChain_(() => executeActions(workflowConfig.actions, context, workflowId, {
+    conditions: conditions,
+    triggerEvent: triggerEvent
+  }), context.chainDepth);
+  recordWorkflowGuardUsage_(workflowId, workflowConfig, context, actionResults);
+  
+  recordWorkflowRun({
+    triggerEvent: triggerEvent, workflowId: workflowId, workflowName: workflow.Name, taskId: taskId,
+    conditionsMet: true, trace: evaluation.trace, actions: actionResults
+  });
+  
+  return {
+    workflowId: workflowId,
+    workflowName: workflow.Name,
+    executed: true,
+    actions: actionResults
+  };
+}
+
+/**
+ * Parse a Workflows sheet row into { trigger, conditions, actions, timing }
+ * Supports a full JSON config in Trigger_Event, or a plain trigger name with JSON in the other columns
+ * (the format written by save_workflow)
+ * @param {object} workflow - Workflows sheet row
+ * @returns {object|null} Parsed config, or null if the row cannot be parsed
+ */
+function parseWorkflowConfig_(workflow) {
+  try {
+    const triggerValue = workflow.Trigger_Event;
+    if (typeof triggerValue === 'string' && triggerValue.trim().charAt(0) === '{') {
+      const config = JSON.parse(triggerValue);
+      return {
+        trigger: config.trigger,
+        conditions: config.conditions || parseWorkflowColumn_(workflow.Conditions, {}),
+        actions: config.actions || parseWorkflowColumn_(workflow.Actions, []),
+        timing: config.timing || parseWorkflowColumn_(workflow.Timing, {})
+      };
+    }
+    
+    return {
+      trigger: typeof triggerValue === 'string' ? triggerValue.trim() : triggerValue,
+      conditions: parseWorkflowColumn_(workflow.Conditions, {}),
+      actions: parseWorkflowColumn_(workflow.Actions, []),
+      timing: parseWorkflowColumn_(workflow.Timing, {})
+    };
+  } catch (e) {
+    Logger.log(`Error parsing workflow ${workflow.Workflow_ID || workflow.Name}: ${e.toString()}`);
+    return null;
+  }
+}
+
+function parseWorkflowColumn_(value, fallback) {
+  if (!value) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function isWorkflowActive_(workflow) {
+  return workflow.Active === true || workflow.Active === 'TRUE' || workflow.Active === 'true';
+}
+
 /**
  * Evaluate workflow conditions against context
- * @param {object} conditions - Conditions object (e.g., {status: 'Assigned', assignee_exists: true})
+ * Supports all/any/not groups, expressions and derived facts (see WorkflowConditions.js)
+ * @param {object|Array|string} conditions - Conditions (e.g., {status: 'Assigned'} or {all: [...]})
  * @param {object} context - Context object with task data
  * @returns {boolean} True if all conditions are met
  */
 function evaluateConditions(conditions, context) {
-  if (!conditions || Object.keys(conditions).length === 0) {
+  if (!conditions || (typeof conditions === 'object' && Object.keys(conditions).length === 0)) {
     return true; // No conditions means always execute
   }
   
+  try {
+    return evaluateConditionNode_(conditions, context, createFactResolver_(context));
+  } catch (error) {
+    Logger.log(`Error evaluating conditions: ${error.toString()}`);
+    return false; // Fail safe: don't execute if condition evaluation fails
+  }
+}
+
+/**
+ * Evaluate the legacy flat condition format: every key/value pair must match (AND)
+ * @param {object} conditions - e.g. {status: 'Assigned', hours: {operator: '>', value: 24}}
+ * @param {object} context - Context object with task data
+ * @returns {boolean} True if all pairs match
+ */
+function evaluateFlatConditions_(conditions, context) {
   try {
     for (const [key, value] of Object.entries(conditions)) {
       let contextValue;
@@ -116,42 +204,9 @@ function evaluateConditions(conditions, context) {
       
       // Compare values
       if (typeof value === 'object' && value !== null) {
-        // Handle operators like {operator: '>', value: 24}
+        // Handle operators like {operator: '>', value: 24}: compared like { field, op, value } leaves
         if (value.operator) {
-          const operator = value.operator;
-          const compareValue = value.value;
-          
-          switch (operator) {
-            case '>':
-              if (!(parseFloat(contextValue) > parseFloat(compareValue))) return false;
-              break;
-            case '>=':
-              if (!(parseFloat(contextValue) >= parseFloat(compareValue))) return false;
-              break;
-            case '<':
-              if (!(parseFloat(contextValue) < parseFloat(compareValue))) return false;
-              break;
-            case '<=':
-              if (!(parseFloat(contextValue) <= parseFloat(compareValue))) return false;
-              break;
-            case '==':
-            case '===':
-              if (contextValue != compareValue) return false;
-              break;
-            case '!=':
-            case '!==':
-              if (contextValue == compareValue) return false;
-              break;
-            case 'in':
-              if (!Array.isArray(compareValue) || !compareValue.includes(contextValue)) return false;
-              break;
-            case 'not_in':
-              if (Array.isArray(compareValue) && compareValue.includes(contextValue)) return false;
-              break;
-            default:
-              Logger.log(`Unknown operator: ${operator}`);
-              return false;
-          }
+          if (!compareLeafCondition_({ op: value.operator, value: value.value, flags: value.flags }, contextValue)) return false;
         } else {
           // Object comparison (deep equality check)
           if (JSON.stringify(contextValue) !== JSON.stringify(value)) return false;
@@ -171,174 +226,109 @@ function evaluateConditions(conditions, context) {
 
 /**
  * Execute workflow actions with timing
+ * Actions with delay_hours are queued in the Jobs sheet (see JobQueue.js) and run by runDueJobs()
  * @param {Array} actions - Array of action objects
  * @param {object} context - Context object
  * @param {string} workflowId - Workflow ID for logging
+ * @param {object} options - Optional { conditions, triggerEvent, immediate } - immediate ignores delays
  * @returns {Array} Array of action execution results
  */
-function executeActions(actions, context, workflowId) {
+function executeActions(actions, context, workflowId, options = {}) {
   if (!Array.isArray(actions) || actions.length === 0) {
     return [];
   }
   
   const results = [];
   const taskId = context.taskId || context.task?.Task_ID;
+  // Actions see the event that ran the workflow (call_webhook's default payload sends it)
+  const actionContext = options.triggerEvent ? { ...context, triggerEvent: options.triggerEvent } : context;
   
   for (const action of actions) {
-    try {
-      const actionType = action.type || action.action;
-      const delayHours = action.delay_hours || action.delayHours || 0;
-      const params = action.params || action.parameters || {};
-      
-      // If delay is specified, schedule the action (for now, we'll execute immediately but log the delay)
-      // In a production system, you'd use Apps Script triggers or a queue system
-      if (delayHours > 0) {
-        Logger.log(`Workflow ${workflowId}: Action ${actionType} scheduled with ${delayHours} hour delay`);
-        // For now, we'll execute immediately but note the delay
-        // TODO: Implement proper delayed execution using time-based triggers
-      }
-      
-      let result = { type: actionType, executed: false, error: null };
-      
-      switch (actionType) {
-        case 'send_email':
-          if (taskId) {
-            try {
-              sendTaskAssignmentEmail(taskId);
-              result.executed = true;
-              result.message = 'Email sent';
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'update_status':
-          if (taskId && params.status) {
-            try {
-              updateTask(taskId, { Status: params.status });
-              result.executed = true;
-              result.message = `Status updated to ${params.status}`;
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'log_interaction':
-          if (taskId && params.message) {
-            try {
-              logInteraction(taskId, params.message);
-              result.executed = true;
-              result.message = 'Interaction logged';
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'send_followup':
-          if (taskId) {
-            try {
-              sendFollowUpEmail(taskId);
-              result.executed = true;
-              result.message = 'Follow-up email sent';
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'escalate_to_boss':
-          if (taskId) {
-            try {
-              sendBossAlert(taskId);
-              result.executed = true;
-              result.message = 'Boss alerted';
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'update_priority':
-          if (taskId && params.priority) {
-            try {
-              updateTask(taskId, { Priority: params.priority });
-              result.executed = true;
-              result.message = `Priority updated to ${params.priority}`;
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        case 'assign_task':
-          if (taskId && params.assigneeEmail) {
-            try {
-              updateTask(taskId, { 
-                Assignee_Email: params.assigneeEmail,
-                Assignee_Name: params.assigneeName || '',
-                Status: TASK_STATUS.NOT_ACTIVE
-              });
-              sendTaskAssignmentEmail(taskId);
-              result.executed = true;
-              result.message = `Task assigned to ${params.assigneeEmail}`;
-            } catch (e) {
-              result.error = e.toString();
-            }
-          }
-          break;
-          
-        default:
-          result.error = `Unknown action type: ${actionType}`;
-          Logger.log(`Workflow ${workflowId}: Unknown action type: ${actionType}`);
+    const actionType = action.type || action.action;
+    const delayHours = parseFloat(action.delay_hours || action.delayHours || 0) || 0;
+    
+    if (delayHours > 0 && !options.immediate) {
+      try {
+        const runAt = new Date(Date.now() + delayHours * 60 * 60 * 1000);
+        const jobId = enqueueJob(JOB_TYPE.WORKFLOW_ACTION, {
+          action: action,
+          conditions: options.conditions || {},
+          triggerEvent: options.triggerEvent || null,
+          context: serializeWorkflowContext_(actionContext)
+        }, { runAt: runAt, taskId: taskId, workflowId: workflowId });
+        
+        Logger.log(`Workflow ${workflowId}: Action ${actionType} scheduled in ${delayHours}h (job ${jobId})`);
+        results.push({ type: actionType, executed: false, scheduled: true, jobId: jobId, runAt: runAt.toISOString(), error: null });
+      } catch (error) {
+        Logger.log(`Error scheduling action in workflow ${workflowId}: ${error.toString()}`);
+        results.push({ type: actionType || 'unknown', executed: false, error: error.toString() });
       }
-      
-      results.push(result);
-    } catch (error) {
-      Logger.log(`Error executing action in workflow ${workflowId}: ${error.toString()}`);
-      results.push({ 
-        type: action.type || 'unknown', 
-        executed: false, 
-        error: error.toString() 
-      });
+      continue;
     }
+    
+    results.push(executeAction_(action, actionContext, workflowId));
   }
   
   return results;
 }
 
+/**
+ * Context fields worth persisting with a queued action (the task itself is re-read at run time)
+ */
+function serializeWorkflowContext_(context) {
+  const snapshot = {};
+  Object.keys(context || {}).forEach(key => {
+    if (key !== 'task') {
+      snapshot[key] = context[key];
+    }
+  });
+  snapshot.taskId = context.taskId || context.task?.Task_ID || null;
+  snapshot.chainDepth = getWorkflowChainDepth_();
+  return snapshot;
+}
+
+/**
+ * Execute a single workflow action now (handlers live in WorkflowActions.js)
+ * @param {object} action - Action object ({ type, params })
+ * @param {object} context - Context object
+ * @param {string} workflowId - Workflow ID for logging
+ * @returns {object} { type, executed, message, error, permanent }
+ */
+function executeAction_(action, context, workflowId) {
+  const actionType = action.type || action.action;
+  const result = { type: actionType || 'unknown', executed: false, error: null };
+  
+  try {
+    const resolved = resolveWorkflowAction_(action, { ...context, workflowId: workflowId });
+    if (resolved.error) {
+      // Unknown type, missing parameters or missing task: retrying will not help
+      Logger.log(`Workflow ${workflowId}: ${resolved.error}`);
+      result.error = resolved.error;
+      result.permanent = true;
+      return result;
+    }
+    
+    result.message = withAuditContext_({ source: AUDIT_SOURCE.WORKFLOW, detail: workflowId }, () =>
+      resolved.definition.execute(resolved.params, resolved.context));
+    result.executed = true;
+  } catch (error) {
+    Logger.log(`Error executing action ${actionType} in workflow ${workflowId}: ${error.toString()}`);
+    result.error = error.toString();
+  }
+  
+  return result;
+}
+
 /**
  * Test workflow execution with sample context (dry run)
+ * Simulation only: nothing is sent or written (see WorkflowSimulator.js)
  * @param {object} workflow - Workflow object
  * @param {object} sampleContext - Sample context for testing
  * @returns {object} Test results
  */
 function testWorkflow(workflow, sampleContext) {
   try {
-    // Parse workflow if needed
-    let workflowConfig = workflow;
-    if (typeof workflow.Trigger_Event === 'string') {
-      try {
-        workflowConfig = JSON.parse(workflow.Trigger_Event);
-      } catch (e) {
-        // Use workflow as-is
-      }
-    }
-    
-    const conditions = workflowConfig.conditions || (workflow.Conditions ? (typeof workflow.Conditions === 'string' ? JSON.parse(workflow.Conditions) : workflow.Conditions) : {});
-    const actions = workflowConfig.actions || (workflow.Actions ? (typeof workflow.Actions === 'string' ? JSON.parse(workflow.Actions) : workflow.Actions) : []);
-    
-    const conditionsMet = evaluateConditions(conditions, sampleContext);
-    const actionResults = conditionsMet ? executeActions(actions, sampleContext, workflow.Workflow_ID || 'test') : [];
-    
-    return {
-      workflowId: workflow.Workflow_ID || workflow.Name,
-      conditionsMet: conditionsMet,
-      actions: actionResults,
-      wouldExecute: conditionsMet && actions.length > 0
-    };
+    return simulateWorkflow(workflow, sampleContext || {});
   } catch (error) {
     return {
       error: error.toString(),
@@ -346,4 +336,3 @@ function testWorkflow(workflow, sampleContext) {
     };
   }
 }
-
@@ -0,0 +1,215 @@
+/**
+ * Workflow Guards
+ * Loop and storm protection for the workflow engine
+ *
+ * Every workflow run passes through checkWorkflowGuards_() before its actions execute:
+ *   - Chain depth: actions that raise events which run workflows, which raise events... are cut off at
+ *     WORKFLOW_MAX_CHAIN_DEPTH (Config). Depth is carried into delayed jobs.
+ *   - Cooldown: a workflow runs at most once per task per cooldown window (Timing.cooldown_minutes,
+ *     default WORKFLOW_COOLDOWN_MINUTES). Scheduled runs are exempt; the scheduler already fires once per period.
+ *   - Daily budget: a workflow may execute or schedule at most N actions per day
+ *     (Timing.daily_budget, default WORKFLOW_DAILY_ACTION_BUDGET).
+ *
+ * Exceeding the chain depth or the daily budget trips the circuit breaker: the workflow is set inactive
+ * and the boss is emailed. Re-saving the workflow as active re-enables it and resets its budget.
+ */
+
+const WORKFLOW_COOLDOWN_PREFIX = 'WF_COOLDOWN_';   // CacheService, per workflow + task
+const WORKFLOW_BUDGET_PREFIX = 'WF_BUDGET_';       // Script Properties, per workflow: { date, count }
+const WORKFLOW_MAX_COOLDOWN_MINUTES = 360;          // CacheService entries live at most 6 hours
+
+// Depth of workflow actions currently executing in this script run
+let workflowChainDepth_ = 0;
+// Workflows tripped during this script run (the sheet may not be re-read before the next event)
+const trippedWorkflows_ = {};
+
+/**
+ * Decide whether a workflow may run its actions now
+ * @param {string} workflowId - Workflow ID
+ * @param {object} workflowConfig - Parsed config from parseWorkflowConfig_()
+ * @param {object} context - Workflow context ({ taskId, chainDepth })
+ * @param {object} options - Optional { cooldown: false } to skip the cooldown check
+ * @returns {object} { allowed, reason, trip }
+ */
+function checkWorkflowGuards_(workflowId, workflowConfig, context, options = {}) {
+  if (trippedWorkflows_[workflowId]) {
+    return { allowed: false, reason: 'Workflow disabled by circuit breaker', trip: false };
+  }
+
+  const depth = Math.max(workflowChainDepth_, parseInt(context.chainDepth, 10) || 0);
+  const maxDepth = CONFIG.WORKFLOW_MAX_CHAIN_DEPTH();
+  if (depth >= maxDepth) {
+    return { allowed: false, reason: `Chain depth ${depth} reached the limit of ${maxDepth} (workflows triggering each other)`, trip: true };
+  }
+
+  const limits = getWorkflowLimits_(workflowConfig);
+  const taskId = context.taskId || context.task?.Task_ID;
+  if (options.cooldown !== false && taskId && limits.cooldownMinutes > 0) {
+    const lastRun = CacheService.getScriptCache().get(getWorkflowCooldownKey_(workflowId, taskId));
+    if (lastRun) {
+      return { allowed: false, reason: `Cooldown: already ran for ${taskId} at ${lastRun} (${limits.cooldownMinutes} min window)`, trip: false };
+    }
+  }
+
+  const actionCount = Array.isArray(workflowConfig.actions) ? workflowConfig.actions.length : 0;
+  const used = getWorkflowBudgetUsage_(workflowId);
+  if (used + actionCount > limits.dailyBudget) {
+    return { allowed: false, reason: `Daily action budget of ${limits.dailyBudget} exceeded (${used} used today)`, trip: true };
+  }
+
+  return { allowed: true, reason: null, trip: false };
+}
+
+/**
+ * Record a completed run: start the task cooldown and charge the actions to today's budget
+ * @param {Array} actionResults - Results from executeActions()
+ */
+function recordWorkflowGuardUsage_(workflowId, workflowConfig, context, actionResults) {
+  try {
+    const limits = getWorkflowLimits_(workflowConfig);
+    const taskId = context.taskId || context.task?.Task_ID;
+    if (taskId && limits.cooldownMinutes > 0) {
+      CacheService.getScriptCache().put(
+        getWorkflowCooldownKey_(workflowId, taskId),
+        new Date().toISOString(),
+        limits.cooldownMinutes * 60
+      );
+    }
+
+    const charged = (actionResults || []).filter(result => result.executed || result.scheduled).length;
+    if (charged > 0) {
+      addWorkflowBudgetUsage_(workflowId, charged);
+    }
+  } catch (error) {
+    Logger.log(`Could not record guard usage for workflow ${workflowId}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Run fn one level deeper in the workflow chain
+ * @param {Function} fn - Work that may raise further workflow events
+ * @param {number} inheritedDepth - Depth carried in from a delayed job (0 for fresh events)
+ */
+function runInWorkflowChain_(fn, inheritedDepth) {
+  const saved = workflowChainDepth_;
+  workflowChainDepth_ = Math.max(workflowChainDepth_, parseInt(inheritedDepth, 10) || 0) + 1;
+  try {
+    return fn();
+  } finally {
+    workflowChainDepth_ = saved;
+  }
+}
+
+function getWorkflowChainDepth_() {
+  return workflowChainDepth_;
+}
+
+/**
+ * Disable a workflow that exceeded its limits and alert the boss (once per trip)
+ */
+function tripWorkflowCircuitBreaker_(workflow, reason, taskId) {
+  const workflowId = workflow.Workflow_ID || workflow.Name;
+  if (trippedWorkflows_[workflowId]) {
+    return;
+  }
+  trippedWorkflows_[workflowId] = true;
+
+  try {
+    updateRowByValue(SHEETS.WORKFLOWS, 'Workflow_ID', workflowId, { Active: false, Last_Updated: new Date() });
+  } catch (error) {
+    Logger.log(`Could not deactivate workflow ${workflowId}: ${error.toString()}`);
+  }
+  logError(ERROR_TYPE.DATA_ERROR, 'tripWorkflowCircuitBreaker_', `Workflow ${workflowId} disabled: ${reason}`, taskId || null);
+
+  try {
+    GmailApp.sendEmail(
+      CONFIG.BOSS_EMAIL(),
+      `Workflow disabled: ${workflow.Name || workflowId}`,
+      `Hello,
+
+The workflow "${workflow.Name || workflowId}" (${workflowId}) was switched off automatically:
+
+${reason}
+${taskId ? `\nLast task: ${taskId}\n` : ''}
+Review its conditions and actions in the Workflows sheet (recent runs are in Workflow_Runs), then save it as active again to re-enable it.
+
+Best regards,
+Chief of Staff AI`,
+      { name: 'Chief of Staff AI' }
+    );
+  } catch (error) {
+    Logger.log(`Could not alert boss about workflow ${workflowId}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Clear a workflow's budget and breaker state (called when it is saved)
+ */
+function resetWorkflowGuards(workflowId) {
+  delete trippedWorkflows_[workflowId];
+  PropertiesService.getScriptProperties().deleteProperty(WORKFLOW_BUDGET_PREFIX + workflowId);
+}
+
+/**
+ * Validate the guard settings in a workflow's Timing column
+ * @returns {object} { valid, errors }
+ */
+function validateWorkflowLimits(timing) {
+  const errors = [];
+  const t = timing || {};
+  if (t.cooldown_minutes !== undefined) {
+    const minutes = parseFloat(t.cooldown_minutes);
+    if (isNaN(minutes) || minutes < 0 || minutes > WORKFLOW_MAX_COOLDOWN_MINUTES) {
+      errors.push(`timing.cooldown_minutes must be between 0 and ${WORKFLOW_MAX_COOLDOWN_MINUTES}`);
+    }
+  }
+  if (t.daily_budget !== undefined && !(parseInt(t.daily_budget, 10) > 0)) {
+    errors.push('timing.daily_budget must be a positive number');
+  }
+  return { valid: errors.length === 0, errors: errors };
+}
+
+function getWorkflowLimits_(workflowConfig) {
+  const timing = (workflowConfig && workflowConfig.timing) || {};
+  const cooldown = timing.cooldown_minutes !== undefined ? parseFloat(timing.cooldown_minutes) : CONFIG.WORKFLOW_COOLDOWN_MINUTES();
+  const budget = timing.daily_budget !== undefined ? parseInt(timing.daily_budget, 10) : CONFIG.WORKFLOW_DAILY_ACTION_BUDGET();
+  return {
+    cooldownMinutes: Math.min(Math.max(cooldown || 0, 0), WORKFLOW_MAX_COOLDOWN_MINUTES),
+    dailyBudget: budget > 0 ? budget : CONFIG.WORKFLOW_DAILY_ACTION_BUDGET()
+  };
+}
+
+function getWorkflowCooldownKey_(workflowId, taskId) {
+  // Cache keys are limited to 250 characters
+  return (WORKFLOW_COOLDOWN_PREFIX + workflowId + '_' + taskId).substring(0, 250);
+}
+
+function getWorkflowBudgetUsage_(workflowId) {
+  const stored = PropertiesService.getScriptProperties().getProperty(WORKFLOW_BUDGET_PREFIX + workflowId);
+  if (!stored) return 0;
+  try {
+    const usage = JSON.parse(stored);
+    return usage.date === getWorkflowBudgetDate_() ? (Number(usage.count) || 0) : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function addWorkflowBudgetUsage_(workflowId, count) {
+  const charge = () => {
+    const used = getWorkflowBudgetUsage_(workflowId);
+    PropertiesService.getScriptProperties().setProperty(
+      WORKFLOW_BUDGET_PREFIX + workflowId,
+      JSON.stringify({ date: getWorkflowBudgetDate_(), count: used + count })
+    );
+    return true;
+  };
+  // Charge without the lock rather than not at all
+  if (!withScriptLock_(charge, { timeoutMs: 5000, tryOnly: true })) {
+    charge();
+  }
+}
+
+function getWorkflowBudgetDate_() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
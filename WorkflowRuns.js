@@ -0,0 +1,120 @@
+/**
+ * Workflow Runs
+ * Audit trail of workflow executions (Workflow_Runs sheet)
+ *
+ * One row per workflow whose trigger matched an event (or per delayed job run):
+ * which workflow ran, for which task, how its conditions evaluated and what each action did.
+ * Runs whose conditions did not match are only logged with WORKFLOW_LOG_SKIPPED_RUNS (Config).
+ * Runs older than WORKFLOW_RUN_RETENTION_DAYS are pruned daily (archiveClosedTasks).
+ */
+
+const WORKFLOW_RUN_STATUS = {
+  COMPLETED: 'completed',   // Every action ran (or was scheduled)
+  PARTIAL: 'partial',       // Some actions failed
+  FAILED: 'failed',         // All actions failed
+  SKIPPED: 'skipped',       // Conditions not met
+  CANCELLED: 'cancelled',   // Delayed job cancelled (task no longer matches, workflow inactive...)
+  BLOCKED: 'blocked',       // Stopped by a guard (chain depth, cooldown, daily budget; see WorkflowGuards.js)
+};
+
+// Sheets cells hold at most 50,000 characters
+const WORKFLOW_RUN_MAX_CELL_CHARS = 45000;
+
+/**
+ * Record a workflow run. Never throws: logging must not break workflow execution.
+ * @param {object} run - { triggerEvent, workflowId, workflowName, taskId, jobId, conditionsMet, trace, actions, error }
+ * @returns {string|null} Run_ID, or null if the run could not be recorded
+ */
+function recordWorkflowRun(run) {
+  try {
+    const runId = 'RUN-' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss') + '-' +
+      Utilities.getUuid().substring(0, 8);
+
+    addRow(SHEETS.WORKFLOW_RUNS, {
+      Run_ID: runId,
+      Timestamp: new Date(),
+      Trigger_Event: run.triggerEvent || '',
+      Workflow_ID: run.workflowId || '',
+      Workflow_Name: run.workflowName || '',
+      Task_ID: run.taskId || '',
+      Job_ID: run.jobId || '',
+      Conditions_Met: run.conditionsMet ? 'TRUE' : 'FALSE',
+      Condition_Trace: truncateRunCell_(JSON.stringify(run.trace || [])),
+      Action_Results: truncateRunCell_(JSON.stringify(run.actions || [])),
+      Status: run.status || getWorkflowRunStatus_(run),
+      Error: run.error || ''
+    });
+    return runId;
+  } catch (error) {
+    Logger.log(`Could not record workflow run for ${run.workflowId}: ${error.toString()}`);
+    return null;
+  }
+}
+
+/**
+ * Remove runs older than WORKFLOW_RUN_RETENTION_DAYS (daily, from archiveClosedTasks)
+ * @returns {number} Number of runs removed
+ */
+function pruneWorkflowRuns_() {
+  if (!storageHasTable_(SHEETS.WORKFLOW_RUNS)) return 0;
+  const cutoff = Date.now() - CONFIG.WORKFLOW_RUN_RETENTION_DAYS() * 24 * 60 * 60 * 1000;
+  return pruneLogRows_(SHEETS.WORKFLOW_RUNS, 'Timestamp', cutoff).length;
+}
+
+/**
+ * Read workflow runs, newest first
+ * @param {object} filters - Optional { workflowId, taskId, triggerEvent, status, limit }
+ * @returns {Array} Runs with Condition_Trace / Action_Results parsed
+ */
+function getWorkflowRuns(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+
+  return getSheetData(SHEETS.WORKFLOW_RUNS)
+    .filter(run => !filters.workflowId || run.Workflow_ID === filters.workflowId)
+    .filter(run => !filters.taskId || run.Task_ID === filters.taskId)
+    .filter(run => !filters.triggerEvent || run.Trigger_Event === filters.triggerEvent)
+    .filter(run => !filters.status || run.Status === filters.status)
+    .sort((a, b) => new Date(b.Timestamp) - new Date(a.Timestamp))
+    .slice(0, limit)
+    .map(run => ({
+      runId: run.Run_ID,
+      timestamp: run.Timestamp,
+      triggerEvent: run.Trigger_Event,
+      workflowId: run.Workflow_ID,
+      workflowName: run.Workflow_Name,
+      taskId: run.Task_ID,
+      jobId: run.Job_ID,
+      conditionsMet: run.Conditions_Met === true || run.Conditions_Met === 'TRUE',
+      conditionTrace: parseRunCell_(run.Condition_Trace),
+      actions: parseRunCell_(run.Action_Results),
+      status: run.Status,
+      error: run.Error || ''
+    }));
+}
+
+function getWorkflowRunStatus_(run) {
+  if (!run.conditionsMet) {
+    return WORKFLOW_RUN_STATUS.SKIPPED;
+  }
+  const actions = run.actions || [];
+  const failed = actions.filter(action => action.error).length;
+  if (failed === 0 && !run.error) {
+    return WORKFLOW_RUN_STATUS.COMPLETED;
+  }
+  return failed < actions.length ? WORKFLOW_RUN_STATUS.PARTIAL : WORKFLOW_RUN_STATUS.FAILED;
+}
+
+function truncateRunCell_(text) {
+  return text.length > WORKFLOW_RUN_MAX_CELL_CHARS
+    ? text.substring(0, WORKFLOW_RUN_MAX_CELL_CHARS) + '... [truncated]'
+    : text;
+}
+
+function parseRunCell_(value) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value; // Truncated JSON: return the raw text
+  }
+}
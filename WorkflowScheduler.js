@@ -0,0 +1,435 @@
+/**
+ * Workflow Scheduler
+ * Time-based workflow triggers, evaluated by one time-driven trigger (runScheduledWorkflows, every 15 minutes)
+ *
+ * Workflows with Trigger_Event "schedule" describe when they run in the Timing column:
+ * - Recurring:  { "every": "weekday", "at": "09:00" }
+ *               every: "hour", "day", "weekday", "week" (Mondays) or a day name ("monday" ... "sunday")
+ *               Runs once per period and fans out to every open task that matches the conditions.
+ * - Relative:   { "relative_to": "Due_Date", "offset_days": -3, "at": "09:00" }
+ *               Runs once per task when now passes the task's date column plus the offset
+ *               (offset_days / offset_hours, negative = before). Fires again if the date changes.
+ *
+ * Workflows with Trigger_Event "task_overdue" run once per task when its Due_Date passes while the
+ * task is still open (not closed, on hold or someday).
+ *
+ * Relative triggers only fire within catch_up_hours (default 24) of their due time, so a new rule does not
+ * fire for every task whose date passed long ago. Closed tasks are skipped unless "include_closed": true.
+ *
+ * Fired state lives in Script Properties: WF_SCHEDULE_<workflow> holds a recurring workflow's last period,
+ * WF_TASKS_FIRED_<workflow> a relative workflow's { taskId: anchor } map and TASKS_OVERDUE_FIRED the same map
+ * for the task_overdue event published on the event bus. Entries are dropped once they can no longer fire
+ * (past the catch-up window) and when a task is closed, archived or deleted.
+ */
+
+const SCHEDULE_TRIGGER = 'schedule';
+const TASK_OVERDUE_TRIGGER = 'task_overdue';
+const SCHEDULE_DEFAULT_AT = '09:00';
+const SCHEDULE_DEFAULT_CATCH_UP_HOURS = 24;
+const SCHEDULE_TIME_BUDGET_MS = 4.5 * 60 * 1000; // Stay under the 6 minute execution limit
+const SCHEDULE_PERIOD_PROPERTY_PREFIX = 'WF_SCHEDULE_';
+const SCHEDULE_FIRED_PROPERTY_PREFIX = 'WF_TASKS_FIRED_';
+const TASK_OVERDUE_FIRED_PROPERTY = 'TASKS_OVERDUE_FIRED';
+const SCHEDULE_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Run all time-based workflows that are due (time-driven trigger)
+ */
+function runScheduledWorkflows() {
+  if (!requireCurrentSchema_('runScheduledWorkflows')) return;
+  const startedAt = Date.now();
+  try {
+    const scheduled = loadWorkflows()
+      .map(workflow => ({ workflow: workflow, config: parseWorkflowConfig_(workflow) }))
+      .filter(entry => entry.config && (entry.config.trigger === SCHEDULE_TRIGGER || entry.config.trigger === TASK_OVERDUE_TRIGGER));
+
+    const now = new Date();
+    const tasks = getSheetData(SHEETS.TASKS_DB);
+    emitOverdueTaskEvents_(tasks, now);
+
+    if (scheduled.length === 0) {
+      return;
+    }
+
+    for (const entry of scheduled) {
+      if (Date.now() - startedAt > SCHEDULE_TIME_BUDGET_MS) {
+        Logger.log('runScheduledWorkflows: time budget reached, remaining workflows run next time');
+        break;
+      }
+      try {
+        runScheduledWorkflow_(entry.workflow, entry.config, tasks, now);
+      } catch (error) {
+        logError(ERROR_TYPE.UNKNOWN_ERROR, 'runScheduledWorkflows',
+          `Workflow ${entry.workflow.Workflow_ID || entry.workflow.Name}: ${error.toString()}`, null, error.stack);
+      }
+    }
+  } catch (error) {
+    logError(ERROR_TYPE.UNKNOWN_ERROR, 'runScheduledWorkflows', error.toString(), null, error.stack);
+  }
+}
+
+/**
+ * Evaluate one scheduled workflow and fan out to matching tasks
+ */
+function runScheduledWorkflow_(workflow, config, tasks, now) {
+  const workflowId = workflow.Workflow_ID || workflow.Name;
+  const timing = config.trigger === TASK_OVERDUE_TRIGGER
+    ? { relative_to: 'Due_Date', offset_days: 0, ...(config.timing || {}) }
+    : (config.timing || {});
+
+  const validation = validateSchedule(config.trigger, timing);
+  if (!validation.valid) {
+    Logger.log(`Skipping scheduled workflow ${workflowId}: ${validation.errors.join('; ')}`);
+    return;
+  }
+
+  if (timing.relative_to) {
+    runRelativeSchedule_(workflow, config, timing, tasks, now);
+  } else {
+    runRecurringSchedule_(workflow, config, timing, tasks, now);
+  }
+}
+
+/**
+ * Recurring schedule: once per period, for every open task that matches the conditions
+ */
+function runRecurringSchedule_(workflow, config, timing, tasks, now) {
+  const workflowId = workflow.Workflow_ID || workflow.Name;
+  const periodKey = getSchedulePeriodKey_(timing, now);
+  if (!periodKey) {
+    return; // Not due yet in this period
+  }
+
+  // Claim the period before running so overlapping runs never fire twice
+  const propertyKey = SCHEDULE_PERIOD_PROPERTY_PREFIX + workflowId;
+  if (!claimScheduleSlot_(propertyKey, periodKey)) {
+    return;
+  }
+
+  Logger.log(`Running scheduled workflow ${workflowId} for period ${periodKey}`);
+  getScheduleCandidateTasks_(tasks, timing, config.trigger).forEach(task => {
+    runWorkflow_(workflow, config, SCHEDULE_TRIGGER, buildScheduleContext_(task, timing, now), { recordSkipped: false, cooldown: false });
+  });
+}
+
+/**
+ * Relative schedule: once per task (and date value) when now passes the task date plus offset
+ */
+function runRelativeSchedule_(workflow, config, timing, tasks, now) {
+  const workflowId = workflow.Workflow_ID || workflow.Name;
+  const catchUpMs = (parseFloat(timing.catch_up_hours) || SCHEDULE_DEFAULT_CATCH_UP_HOURS) * 60 * 60 * 1000;
+  const propertyKey = SCHEDULE_FIRED_PROPERTY_PREFIX + workflowId;
+  const openTaskIds = {};
+
+  getScheduleCandidateTasks_(tasks, timing, config.trigger).forEach(task => {
+    openTaskIds[task.Task_ID] = true;
+    const anchor = task[timing.relative_to];
+    const fireAt = getRelativeFireTime_(anchor, timing);
+    if (!fireAt || now < fireAt || now.getTime() - fireAt.getTime() > catchUpMs) {
+      return;
+    }
+
+    // Conditions are re-checked every run inside the catch-up window until they match
+    const context = buildScheduleContext_(task, timing, now);
+    if (!explainConditions(config.conditions, context).met) {
+      return;
+    }
+
+    // Fired state is keyed by the anchor value, so a moved Due_Date fires again
+    if (!claimScheduleTaskSlot_(propertyKey, task.Task_ID, new Date(anchor).toISOString())) {
+      return;
+    }
+
+    runWorkflow_(workflow, config, config.trigger, context, { recordSkipped: false, cooldown: false });
+  });
+
+  // Forget tasks that are closed or gone, and anchors too old to fire again
+  pruneScheduleFiredState_(propertyKey, (taskId, anchor) => {
+    const fireAt = getRelativeFireTime_(anchor, timing);
+    return !!openTaskIds[taskId] && !!fireAt && now.getTime() - fireAt.getTime() <= catchUpMs;
+  });
+}
+
+/**
+ * Publish task_overdue on the event bus once per open task (and Due_Date value) when its Due_Date passes.
+ * Workflows listening to task_overdue are run per rule by runRelativeSchedule_ instead.
+ */
+function emitOverdueTaskEvents_(tasks, now) {
+  const timing = { relative_to: 'Due_Date', offset_days: 0 };
+  const catchUpMs = SCHEDULE_DEFAULT_CATCH_UP_HOURS * 60 * 60 * 1000;
+  const openTaskIds = {};
+
+  getScheduleCandidateTasks_(tasks, timing, TASK_OVERDUE_TRIGGER).forEach(task => {
+    openTaskIds[task.Task_ID] = true;
+    const dueAt = getRelativeFireTime_(task.Due_Date, timing);
+    if (!dueAt || now < dueAt || now.getTime() - dueAt.getTime() > catchUpMs) {
+      return;
+    }
+    if (claimScheduleTaskSlot_(TASK_OVERDUE_FIRED_PROPERTY, task.Task_ID, dueAt.toISOString())) {
+      emitTaskEvent(TASK_EVENT.TASK_OVERDUE, { taskId: task.Task_ID, task: task, dueDate: task.Due_Date });
+    }
+  });
+
+  pruneScheduleFiredState_(TASK_OVERDUE_FIRED_PROPERTY, (taskId, dueAt) =>
+    !!openTaskIds[taskId] && now.getTime() - new Date(dueAt).getTime() <= catchUpMs);
+}
+
+/**
+ * Store value under key unless it is already there (under the script lock)
+ * @returns {boolean} True if this run claimed the slot
+ */
+function claimScheduleSlot_(propertyKey, value) {
+  const claimed = withScriptLock_(() => {
+    const properties = PropertiesService.getScriptProperties();
+    if (properties.getProperty(propertyKey) === value) {
+      return false;
+    }
+    properties.setProperty(propertyKey, value);
+    return true;
+  }, { timeoutMs: 10000, tryOnly: true });
+  return claimed === true;
+}
+
+/**
+ * Record value for a task in a fired-state map unless it is already there (under the script lock)
+ * @returns {boolean} True if this run claimed the slot
+ */
+function claimScheduleTaskSlot_(propertyKey, taskId, value) {
+  const claimed = withScriptLock_(() => {
+    const fired = getScheduleFiredState_(propertyKey);
+    if (fired[taskId] === value) {
+      return false;
+    }
+    fired[taskId] = value;
+    PropertiesService.getScriptProperties().setProperty(propertyKey, JSON.stringify(fired));
+    return true;
+  }, { timeoutMs: 10000, tryOnly: true });
+  return claimed === true;
+}
+
+/**
+ * Keep only the fired-state entries keep(taskId, value) accepts; the property is removed once empty
+ */
+function pruneScheduleFiredState_(propertyKey, keep) {
+  withScriptLock_(() => {
+    const fired = getScheduleFiredState_(propertyKey);
+    const taskIds = Object.keys(fired);
+    const kept = taskIds.filter(taskId => keep(taskId, fired[taskId]));
+    if (kept.length === taskIds.length) return;
+
+    const properties = PropertiesService.getScriptProperties();
+    if (kept.length === 0) {
+      properties.deleteProperty(propertyKey);
+    } else {
+      properties.setProperty(propertyKey, JSON.stringify(Object.fromEntries(kept.map(taskId => [taskId, fired[taskId]]))));
+    }
+  }, { timeoutMs: 10000, tryOnly: true });
+}
+
+/**
+ * Forget that scheduled workflows fired for a task (it was closed, archived or deleted).
+ * @param {string} taskId - Task ID
+ * @param {object} options - Optional { closed: true } keeps the state of workflows with include_closed, which still act on it
+ */
+function clearScheduleFiredState_(taskId, options = {}) {
+  const propertyKeys = [TASK_OVERDUE_FIRED_PROPERTY];
+  loadWorkflows().forEach(workflow => {
+    const config = parseWorkflowConfig_(workflow);
+    if (!config) return;
+    const relative = config.trigger === TASK_OVERDUE_TRIGGER || (config.trigger === SCHEDULE_TRIGGER && config.timing && config.timing.relative_to);
+    if (!relative) return;
+    if (options.closed && config.timing && config.timing.include_closed === true) return;
+    propertyKeys.push(SCHEDULE_FIRED_PROPERTY_PREFIX + (workflow.Workflow_ID || workflow.Name));
+  });
+  propertyKeys.forEach(propertyKey => pruneScheduleFiredState_(propertyKey, firedTaskId => firedTaskId !== String(taskId)));
+}
+
+function getScheduleFiredState_(propertyKey) {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(propertyKey) || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Current period key for a recurring schedule, or null if the schedule is not due yet today/this hour
+ */
+function getSchedulePeriodKey_(timing, now) {
+  const timeZone = Session.getScriptTimeZone();
+  const every = String(timing.every).toLowerCase();
+
+  if (every === 'hour') {
+    return Utilities.formatDate(now, timeZone, 'yyyy-MM-dd HH');
+  }
+
+  const dayName = SCHEDULE_DAY_NAMES[parseInt(Utilities.formatDate(now, timeZone, 'u'), 10) % 7];
+  const dayMatches =
+    every === 'day' ||
+    (every === 'weekday' && dayName !== 'saturday' && dayName !== 'sunday') ||
+    (every === 'week' && dayName === 'monday') ||
+    every === dayName;
+  if (!dayMatches) {
+    return null;
+  }
+
+  const currentTime = Utilities.formatDate(now, timeZone, 'HH:mm');
+  if (currentTime < normalizeScheduleTime_(timing.at || SCHEDULE_DEFAULT_AT)) {
+    return null;
+  }
+  return Utilities.formatDate(now, timeZone, 'yyyy-MM-dd');
+}
+
+/**
+ * When a relative schedule fires for an anchor date (null if the anchor is empty or invalid)
+ */
+function getRelativeFireTime_(anchor, timing) {
+  if (!anchor) return null;
+  const fireAt = new Date(anchor);
+  if (isNaN(fireAt.getTime())) return null;
+
+  fireAt.setTime(fireAt.getTime() +
+    (parseFloat(timing.offset_days) || 0) * 24 * 60 * 60 * 1000 +
+    (parseFloat(timing.offset_hours) || 0) * 60 * 60 * 1000);
+
+  if (timing.at) {
+    const parts = normalizeScheduleTime_(timing.at).split(':');
+    fireAt.setHours(parseInt(parts[0], 10), parseInt(parts[1], 10), 0, 0);
+  }
+  return fireAt;
+}
+
+/**
+ * Tasks a scheduled workflow may act on: open tasks, or all tasks with include_closed
+ */
+function getScheduleCandidateTasks_(tasks, timing, trigger) {
+  return tasks.filter(task => {
+    if (!task.Task_ID) return false;
+    const status = normalizeStatus(task.Status);
+    if (trigger === TASK_OVERDUE_TRIGGER) {
+      return status !== TASK_STATUS.CLOSED && status !== TASK_STATUS.ON_HOLD && status !== TASK_STATUS.SOMEDAY;
+    }
+    return timing.include_closed === true || status !== TASK_STATUS.CLOSED;
+  });
+}
+
+function buildScheduleContext_(task, timing, now) {
+  return {
+    taskId: task.Task_ID,
+    task: task,
+    status: task.Status,
+    scheduledAt: now.toISOString(),
+    schedule: timing
+  };
+}
+
+function normalizeScheduleTime_(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  return match ? ('0' + match[1]).slice(-2) + ':' + match[2] : String(value);
+}
+
+/**
+ * Validate the Timing of a time-based workflow
+ * @param {string} trigger - Workflow trigger ("schedule" or "task_overdue"; others are not checked)
+ * @param {object} timing - Parsed Timing column
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+function validateSchedule(trigger, timing) {
+  const errors = [];
+  if (trigger !== SCHEDULE_TRIGGER && trigger !== TASK_OVERDUE_TRIGGER) {
+    return { valid: true, errors: errors };
+  }
+
+  const t = timing || {};
+  if (trigger === SCHEDULE_TRIGGER && !t.every && !t.relative_to) {
+    errors.push('schedule workflows need timing.every (e.g. "weekday") or timing.relative_to (e.g. "Due_Date")');
+  }
+  if (t.every && t.relative_to) {
+    errors.push('use either timing.every or timing.relative_to, not both');
+  }
+  if (t.every) {
+    const every = String(t.every).toLowerCase();
+    if (!['hour', 'day', 'weekday', 'week'].includes(every) && !SCHEDULE_DAY_NAMES.includes(every)) {
+      errors.push(`timing.every must be hour, day, weekday, week or a day name (got "${t.every}")`);
+    }
+  }
+  if (t.at !== undefined) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(t.at).trim());
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+      errors.push(`timing.at must be HH:mm (got "${t.at}")`);
+    }
+  }
+  ['offset_days', 'offset_hours', 'catch_up_hours'].forEach(key => {
+    if (t[key] !== undefined && isNaN(parseFloat(t[key]))) {
+      errors.push(`timing.${key} must be a number`);
+    }
+  });
+  return { valid: errors.length === 0, errors: errors };
+}
+
+// ============================================
+// SEED RULES (run from the Apps Script editor)
+// ============================================
+
+/**
+ * Replace the hard-coded handleSilenceEscalation job with two editable workflows.
+ * Once these exist and are active, handleSilenceEscalation() does nothing.
+ */
+function installSilenceEscalationWorkflows() {
+  const followupHours = CONFIG.ESCALATION_FOLLOWUP_HOURS();
+  const bossAlertHours = CONFIG.ESCALATION_BOSS_ALERT_HOURS();
+
+  const workflows = [
+    {
+      id: 'WF-SILENCE-FOLLOWUP',
+      name: 'Silence follow-up',
+      conditions: { all: [
+        `Status == ${TASK_STATUS.NOT_ACTIVE}`,
+        { field: 'facts.hours_since_last_update', op: '>', value: followupHours },
+        { field: 'facts.hours_since_last_update', op: '<=', value: bossAlertHours },
+        "Interaction_Log not_contains 'Follow-up email sent'"
+      ] },
+      actions: [
+        { type: 'send_followup' },
+        { type: 'log_interaction', params: { message: `Follow-up email sent (no response in ${followupHours}h)` } }
+      ],
+      description: `Follow up with the assignee when an assigned task gets no response for ${followupHours}h`
+    },
+    {
+      id: 'WF-SILENCE-ESCALATION',
+      name: 'Silence escalation',
+      conditions: { all: [
+        `Status == ${TASK_STATUS.NOT_ACTIVE}`,
+        { field: 'facts.hours_since_last_update', op: '>', value: bossAlertHours },
+        "Interaction_Log not_contains 'Escalated to Boss'"
+      ] },
+      actions: [
+        { type: 'send_escalation_email' },
+        { type: 'update_status', params: { status: TASK_STATUS.PENDING_ACTION } },
+        { type: 'log_interaction', params: { message: `Escalated to Boss (no response in ${bossAlertHours}h)` } }
+      ],
+      description: `Escalate when an assigned task gets no response for ${bossAlertHours}h`
+    }
+  ];
+
+  workflows.forEach(wf => {
+    const result = handleSaveWorkflow({
+      workflowId: wf.id,
+      name: wf.name,
+      triggerEvent: SCHEDULE_TRIGGER,
+      conditions: wf.conditions,
+      actions: wf.actions,
+      timing: { every: 'hour' },
+      active: true,
+      description: wf.description
+    });
+    Logger.log(`${result.success ? '✅' : '❌'} ${wf.id}: ${result.success ? result.message : result.error}`);
+  });
+}
+
+/**
+ * True when the silence escalation seed workflows are installed and active
+ */
+function hasSilenceEscalationWorkflows() {
+  return loadWorkflows().some(w => w.Workflow_ID === 'WF-SILENCE-FOLLOWUP' || w.Workflow_ID === 'WF-SILENCE-ESCALATION');
+}
@@ -0,0 +1,282 @@
+/**
+ * Workflow Simulator
+ * Side-effect-free dry runs of workflows (test_workflow)
+ *
+ * simulateWorkflow() evaluates a workflow against a real or sample task and reports which actions
+ * would fire, with resolved parameters and rendered email bodies. replayWorkflow() runs the same
+ * simulation over the last N days of task events to preview a workflow's impact.
+ *
+ * Nothing here sends email, touches Calendar or writes to any sheet: tasks are only read.
+ */
+
+const SIMULATION_MAX_REPLAY_DAYS = 90;
+const SIMULATION_REPLAY_PREVIEW_LIMIT = 10; // Matches that get full previews (emails rendered)
+
+/**
+ * Simulate a workflow for one event
+ * @param {object} workflow - Workflows sheet row, or { triggerEvent, conditions, actions }
+ * @param {object} sampleContext - Event context; { taskId } loads the real task, { task } uses a sample task
+ * @param {object} options - Optional { renderEmails: true }
+ * @returns {object} { workflowId, trigger, conditionsMet, conditionTrace, actions, wouldExecute, error }
+ */
+function simulateWorkflow(workflow, sampleContext = {}, options = {}) {
+  const definition = normalizeWorkflowDefinition_(workflow);
+  if (definition.error) {
+    return { workflowId: definition.workflowId, wouldExecute: false, error: definition.error };
+  }
+
+  const context = buildSimulationContext_(sampleContext);
+  const evaluation = explainConditions(definition.conditions, context);
+  const actions = evaluation.met
+    ? definition.actions.map(action => previewAction_(action, context, options))
+    : [];
+
+  return {
+    workflowId: definition.workflowId,
+    trigger: definition.trigger,
+    taskId: context.taskId || null,
+    conditionsMet: evaluation.met,
+    conditionTrace: evaluation.trace,
+    actions: actions,
+    wouldExecute: evaluation.met && actions.some(action => action.wouldExecute),
+    error: evaluation.error
+  };
+}
+
+/**
+ * Replay a workflow against the last N days of task events
+ * Events come from Tasks_DB (task_created), Conversation_Messages (email_reply), Task_Audit (status, conversation
+ * state, due date and assignee changes) and Workflow_Runs (any other trigger).
+ * Conditions are evaluated against each task's current state, so results are an approximation.
+ * @param {object} workflow - Workflows sheet row, or { triggerEvent, conditions, actions }
+ * @param {number} days - How far back to look (max 90)
+ * @returns {object} { days, trigger, eventsEvaluated, matches, actionCounts, emailsWouldSend, samples }
+ */
+function replayWorkflow(workflow, days = 7) {
+  const definition = normalizeWorkflowDefinition_(workflow);
+  if (definition.error) {
+    return { workflowId: definition.workflowId, error: definition.error };
+  }
+
+  const windowDays = Math.min(Math.max(parseInt(days, 10) || 7, 1), SIMULATION_MAX_REPLAY_DAYS);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const events = collectReplayEvents_(definition.trigger, since);
+
+  const actionCounts = {};
+  const affectedTasks = {};
+  const samples = [];
+  let matches = 0;
+  let emailsWouldSend = 0;
+
+  events.forEach(event => {
+    const renderEmails = samples.length < SIMULATION_REPLAY_PREVIEW_LIMIT;
+    const result = simulateWorkflow(definition.row, event.context, { renderEmails: renderEmails });
+    if (!result.wouldExecute) {
+      return;
+    }
+
+    matches++;
+    affectedTasks[event.context.taskId] = true;
+    result.actions.filter(action => action.wouldExecute).forEach(action => {
+      actionCounts[action.type] = (actionCounts[action.type] || 0) + 1;
+      if (action.sendsEmail) {
+        emailsWouldSend++;
+      }
+    });
+
+    if (renderEmails) {
+      samples.push({ eventTime: event.timestamp, taskId: event.context.taskId, actions: result.actions });
+    }
+  });
+
+  return {
+    workflowId: definition.workflowId,
+    trigger: definition.trigger,
+    days: windowDays,
+    eventsEvaluated: events.length,
+    matches: matches,
+    tasksAffected: Object.keys(affectedTasks).length,
+    actionCounts: actionCounts,
+    emailsWouldSend: emailsWouldSend,
+    samples: samples
+  };
+}
+
+/**
+ * Accept either a Workflows sheet row or the dashboard's { triggerEvent, conditions, actions } shape
+ */
+function normalizeWorkflowDefinition_(workflow) {
+  const input = workflow || {};
+  const isSheetRow = input.Trigger_Event !== undefined || input.Conditions !== undefined || input.Actions !== undefined;
+  const row = isSheetRow ? input : {
+    Workflow_ID: input.workflowId || input.id || 'test',
+    Name: input.name || '',
+    Trigger_Event: input.triggerEvent || input.trigger || '',
+    Conditions: input.conditions || {},
+    Actions: input.actions || [],
+    Timing: input.timing || {}
+  };
+
+  const workflowId = row.Workflow_ID || row.Name || 'test';
+  const config = parseWorkflowConfig_(row);
+  if (!config) {
+    return { workflowId: workflowId, error: 'Workflow conditions or actions are not valid JSON' };
+  }
+  return {
+    workflowId: workflowId,
+    row: row,
+    trigger: config.trigger,
+    conditions: config.conditions,
+    actions: Array.isArray(config.actions) ? config.actions : []
+  };
+}
+
+/**
+ * Fill in the real task when only a taskId is given (read-only)
+ */
+function buildSimulationContext_(sampleContext) {
+  const context = { ...(sampleContext || {}) };
+  if (!context.taskId && context.task) {
+    context.taskId = context.task.Task_ID;
+  }
+  if (context.taskId && !context.task) {
+    context.task = getTask(context.taskId) || null;
+  }
+  if (context.task && context.status === undefined) {
+    context.status = context.task.Status;
+  }
+  return context;
+}
+
+/**
+ * Describe what an action would do, without doing it (previews live in WorkflowActions.js)
+ * @returns {object} { type, wouldExecute, delayHours, params, changes, email, sendsEmail, note, error }
+ */
+function previewAction_(action, context, options = {}) {
+  const delayHours = parseFloat(action.delay_hours || action.delayHours || 0) || 0;
+
+  const preview = {
+    type: action.type || action.action,
+    wouldExecute: false,
+    delayHours: delayHours,
+    params: action.params || action.parameters || {},
+    changes: null,
+    email: null,
+    sendsEmail: false,
+    note: delayHours > 0 ? `Queued to run ${delayHours}h after the event; conditions are re-checked then` : '',
+    error: null
+  };
+
+  try {
+    const resolved = resolveWorkflowAction_(action, context);
+    preview.params = resolved.params;
+    if (resolved.error) {
+      preview.error = resolved.error;
+      return preview;
+    }
+    resolved.definition.preview(resolved.params, resolved.context, preview, options);
+    preview.wouldExecute = true;
+  } catch (error) {
+    preview.wouldExecute = false;
+    preview.error = error.toString();
+  }
+
+  return preview;
+}
+
+/**
+ * Reconstruct trigger events since a date
+ * @returns {Array} [{ timestamp, context }] oldest first
+ */
+function collectReplayEvents_(trigger, since) {
+  const tasks = getSheetData(SHEETS.TASKS_DB);
+  const tasksById = {};
+  tasks.forEach(task => { tasksById[task.Task_ID] = task; });
+  const inWindow = value => value && new Date(value) >= since;
+  const events = [];
+
+  if (trigger === 'task_created') {
+    tasks.filter(task => inWindow(task.Created_Date)).forEach(task => {
+      events.push({
+        timestamp: new Date(task.Created_Date),
+        context: { taskId: task.Task_ID, task: task, status: task.Status }
+      });
+    });
+  } else if (trigger === 'email_reply') {
+    const messagesByTask = getConversationMessagesByTask_();
+    tasks.forEach(task => {
+      (messagesByTask[task.Task_ID] || _parseLegacyConversationHistory_(task))
+        .filter(event => EMPLOYEE_MESSAGE_TYPES.includes(event.type) && inWindow(event.timestamp))
+        .forEach(event => {
+          events.push({
+            timestamp: new Date(event.timestamp),
+            context: {
+              taskId: task.Task_ID,
+              task: task,
+              replyType: (event.metadata && event.metadata.classification) || '',
+              senderEmail: event.senderEmail,
+              messageId: event.messageId,
+              conversationState: task.Conversation_State
+            }
+          });
+        });
+    });
+  } else if (Object.keys(TASK_EVENT_FIELDS).some(field => TASK_EVENT_FIELDS[field] === trigger)) {
+    collectAuditReplayEvents_(trigger, tasksById, inWindow).forEach(event => events.push(event));
+  } else {
+    // Other triggers are only known from past runs of any workflow listening to them
+    const seen = {};
+    getSheetData(SHEETS.WORKFLOW_RUNS)
+      .filter(run => run.Trigger_Event === trigger && run.Task_ID && !run.Job_ID && inWindow(run.Timestamp))
+      .forEach(run => {
+        const key = `${run.Task_ID}|${new Date(run.Timestamp).getTime()}`;
+        if (seen[key] || !tasksById[run.Task_ID]) return;
+        seen[key] = true;
+        const task = tasksById[run.Task_ID];
+        events.push({
+          timestamp: new Date(run.Timestamp),
+          context: { taskId: run.Task_ID, task: task, status: task.Status }
+        });
+      });
+  }
+
+  return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Field-change events rebuilt from Task_Audit, with the from/to values emitTaskChangeEvents_() adds.
+ * The task is today's row with the changed field set to the value it took then.
+ */
+function collectAuditReplayEvents_(trigger, tasksById, inWindow) {
+  const field = Object.keys(TASK_EVENT_FIELDS).find(name => TASK_EVENT_FIELDS[name] === trigger);
+  return getTaskAuditRows_(row => row.Field === field && UNDOABLE_CHANGE_TYPES.includes(row.Change_Type) &&
+      !!tasksById[row.Task_ID] && inWindow(row.Timestamp))
+    .map(row => {
+      const from = formatAuditValue_(row.Old_Value);
+      const to = formatAuditValue_(row.New_Value);
+      const task = { ...tasksById[row.Task_ID], [field]: field === 'Due_Date' && to ? new Date(to) : to };
+      const extra = {};
+      if (trigger === TASK_EVENT.STATUS_CHANGED) {
+        extra.fromStatus = from;
+        extra.toStatus = to;
+      } else if (trigger === TASK_EVENT.CONVERSATION_STATE_CHANGED) {
+        extra.fromState = from;
+        extra.toState = to;
+        extra.conversationState = to;
+      } else if (trigger === TASK_EVENT.ASSIGNEE_CHANGED) {
+        extra.fromAssignee = from;
+        extra.toAssignee = to;
+      }
+      return {
+        timestamp: new Date(row.Timestamp),
+        context: {
+          taskId: row.Task_ID,
+          task: task,
+          status: task.Status,
+          field: field,
+          changes: { [field]: { from: from, to: to } },
+          ...extra
+        }
+      };
+    });
+}
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, dashboardClient, postAction, getAction } = require('./support/fixtures.cjs');
+
+function setup() {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow()] } });
+  return { h, client: dashboardClient(h) };
+}
+
+test('openapi describes every registered action and doGet endpoint', () => {
+  const { h, client } = setup();
+  const postActions = h.call('listApiActions', 'POST');
+  const getActions = h.call('listApiActions', 'GET');
+
+  const source = fs.readFileSync(path.join(__dirname, '..', 'DashboardActions.js'), 'utf8');
+  const served = [...source.matchAll(/if \(action === '(\w+)'\)/g)].map(match => match[1]);
+  assert.deepEqual(served.filter(action => !getActions.includes(action)), []);
+
+  const doc = getAction(h, client, { action: 'openapi' });
+  assert.equal(doc.openapi, '3.1.0');
+  const mapping = doc.paths['/'].post.requestBody.content['application/json'].schema.discriminator.mapping;
+  assert.deepEqual(Object.keys(mapping), postActions);
+
+  const createTask = doc.components.schemas.CreateTaskRequest;
+  assert.deepEqual(createTask.required, ['action']);
+  assert.deepEqual(createTask.anyOf, [{ required: ['data'] }, { required: ['taskName'] }]);
+  assert.deepEqual(createTask.properties.data.required, ['taskName']);
+  assert.deepEqual(doc.components.schemas.UpdateTaskRequest.properties.expectedVersion.type, ['integer', 'string']);
+  assert.equal(doc.components.schemas.DeleteTaskRequest['x-scope'], 'admin');
+  assert.deepEqual(doc.components.schemas.EmployeeConfirmDateRequest['x-roles'], ['employee']);
+  assert.deepEqual(doc.paths['/'].get.parameters[0].schema.enum, getActions);
+
+  const info = getAction(h, client, { action: 'info' });
+  assert.deepEqual(info.availableActions, postActions);
+  assert.ok(['create_task', 'bulk_update_tasks', 'send_message', 'reanalyze_conversation'].every(action => info.availableActions.includes(action)));
+});
+
+test('requests are checked against the registry before the handler runs', () => {
+  const { h, client } = setup();
+
+  const missing = postAction(h, client, { action: 'assign_task', taskId: 'TASK-1', data: {} });
+  assert.deepEqual([missing.success, missing.status, missing.problems], [false, 400, ['data.assigneeEmail is required']]);
+
+  const invalid = postAction(h, client, { action: 'bulk_assign_tasks', taskIds: 'TASK-1', assigneeEmail: ASSIGNEE_EMAIL });
+  assert.deepEqual(invalid.problems, ['taskIds must be a list of strings']);
+
+  assert.deepEqual(postAction(h, client, { action: 'approve_done' }).problems, ['taskId is required']);
+  assert.equal(postAction(h, client, { action: 'make_coffee', taskId: 'TASK-1' }).message, 'Unknown action: make_coffee');
+  assert.equal(h.rows('Task_Audit').length, 0);
+
+  // create_task and update_task also take their fields at the top level, and versions as digit strings
+  assert.equal(postAction(h, client, { action: 'create_task', taskName: 'Board deck' }).success, true);
+  assert.deepEqual(postAction(h, client, { action: 'create_task', data: {} }).problems, ['data.taskName is required']);
+  assert.deepEqual(postAction(h, client, { action: 'create_task' }).problems, ['taskName is required']);
+  assert.equal(postAction(h, client, { action: 'update_task', taskId: 'TASK-1', expectedVersion: '1', taskName: 'Q3 report' }).success, true);
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Q3 report');
+  assert.deepEqual(postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', expectedVersion: 'v2' } }).problems,
+    ['data.expectedVersion must be an integer (or a string of digits)']);
+  assert.equal(postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', expectedVersion: '1', status: 'on_time' } }).status, 409);
+
+  // Aliases run the action they point to
+  const proposed = postAction(h, client, { action: 'negotiate_date', taskId: 'TASK-1', data: {} });
+  assert.deepEqual(proposed.problems, ['data.newDate is required']);
+});
+
+test('roles and scopes come from the registry', () => {
+  const { h, client } = setup();
+  const employee = h.call('createApiClient', 'employee', ['write'], { email: ASSIGNEE_EMAIL, role: 'employee' });
+  const viewer = h.call('createApiClient', 'viewer', ['read'], { role: 'viewer' });
+  const writer = h.call('createApiClient', 'writer', ['write'], { email: 'boss@example.com', role: 'boss' });
+
+  assert.notEqual(postAction(h, employee, { action: 'employee_confirm_date', taskId: 'TASK-1' }).status, 403);
+  assert.equal(postAction(h, employee, { action: 'modify_task', taskId: 'TASK-1', data: { taskName: 'Mine now' } }).status, 403);
+  assert.equal(getAction(h, viewer, { action: 'openapi' }).openapi, '3.1.0');
+  assert.equal(getAction(h, viewer, { action: 'get_workflows' }).status, 403);
+
+  const denied = postAction(h, writer, { action: 'delete_task', taskId: 'TASK-1' });
+  assert.equal(denied.status, 403);
+  assert.match(denied.error, /"admin" scope/);
+  assert.equal(getAction(h, client, { action: 'health' }).status, 'ok');
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Quarterly report');
+});
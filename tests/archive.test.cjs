@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { taskRow, staffRow, hoursAgo, dashboardClient, postAction, getAction } = require('./support/fixtures.cjs');
+
+function taskIds(response) {
+  return response.data.map(task => task.taskId);
+}
+
+test('delete_task moves a task to the trash and restore_task brings it back', () => {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow(), taskRow({ Task_ID: 'TASK-2' })] } });
+  const client = dashboardClient(h);
+  h.call('appendToConversationHistory', 'TASK-1', { type: 'employee_reply', senderEmail: 'asha@example.com', content: 'On it' });
+
+  const deleted = postAction(h, client, { action: 'delete_task', taskId: 'TASK-1' });
+
+  assert.equal(deleted.success, true);
+  assert.deepEqual(h.rows('Tasks_DB').map(task => task.Task_ID), ['TASK-2']);
+  const trashed = h.rows('Tasks_Archive')[0];
+  assert.equal(trashed.Task_ID, 'TASK-1');
+  assert.equal(trashed.Deleted_By, 'boss@example.com');
+  assert.ok(trashed.Deleted_At instanceof Date);
+  assert.deepEqual(taskIds(getAction(h, client, { action: 'get_tasks' })), ['TASK-2']);
+  assert.deepEqual(taskIds(getAction(h, client, { action: 'get_tasks', includeDeleted: 'true' })), ['TASK-2', 'TASK-1']);
+  assert.deepEqual(h.rows('Task_Audit').filter(row => row.Change_Type === 'delete').map(row => row.Field), ['Archived_At', 'Deleted_At', 'Deleted_By']);
+  // The assignee cannot read the trashed task's conversation
+  const employee = h.call('createApiClient', 'employee', ['read'], { email: 'asha@example.com', role: 'employee' });
+  assert.equal(getAction(h, employee, { action: 'get_conversation_state', taskId: 'TASK-1' }).status, 403);
+
+  const restored = postAction(h, client, { action: 'restore_task', taskId: 'TASK-1' });
+
+  assert.equal(restored.success, true);
+  assert.deepEqual(h.rows('Tasks_Archive'), []);
+  const task = h.call('getTask', 'TASK-1');
+  assert.equal(task.Task_Name, 'Quarterly report');
+  assert.equal(task.Version, trashed.Version);
+  assert.match(task.Interaction_Log, /restored from the trash/);
+  assert.equal(h.rows('Conversation_Messages').length, 1);
+  assert.equal(postAction(h, client, { action: 'restore_task', taskId: 'TASK-1' }).success, false);
+});
+
+test('archiveClosedTasks archives long-closed tasks and empties old trash', () => {
+  const h = createHarness({
+    config: { TASK_ARCHIVE_AFTER_DAYS: 30, TASK_TRASH_RETENTION_DAYS: 7 },
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [
+        taskRow({ Task_ID: 'TASK-OLD', Status: 'closed', Last_Updated: hoursAgo(24 * 45) }),
+        taskRow({ Task_ID: 'TASK-RECENT', Status: 'closed', Last_Updated: hoursAgo(24 * 5) }),
+        taskRow({ Task_ID: 'TASK-OPEN', Status: 'on_time', Last_Updated: hoursAgo(24 * 45) })
+      ],
+      Tasks_Archive: [
+        taskRow({ Task_ID: 'TASK-TRASHED', Archived_At: hoursAgo(24 * 10), Deleted_At: hoursAgo(24 * 10) }),
+        taskRow({ Task_ID: 'TASK-JUST-TRASHED', Archived_At: hoursAgo(24), Deleted_At: hoursAgo(24) })
+      ]
+    }
+  });
+  const client = dashboardClient(h);
+
+  const result = h.call('archiveClosedTasks');
+
+  assert.deepEqual(result, { archived: ['TASK-OLD'], purged: ['TASK-TRASHED'] });
+  assert.deepEqual(h.rows('Tasks_DB').map(task => task.Task_ID), ['TASK-RECENT', 'TASK-OPEN']);
+  assert.deepEqual(h.rows('Tasks_Archive').map(task => task.Task_ID), ['TASK-JUST-TRASHED', 'TASK-OLD']);
+
+  assert.deepEqual(taskIds(getAction(h, client, { action: 'get_tasks', includeArchive: 'true' })), ['TASK-RECENT', 'TASK-OPEN', 'TASK-OLD']);
+  const archived = getAction(h, client, { action: 'get_tasks', includeArchive: 'true', status: 'closed' }).data;
+  assert.deepEqual(archived.map(task => [task.taskId, !!task.archivedAt, task.deletedAt]), [['TASK-RECENT', false, ''], ['TASK-OLD', true, '']]);
+});
+
+test('revertTaskToVersion skips the trash and restore entries in a task\'s history', () => {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow({ Status: 'on_time' })] } });
+  const client = dashboardClient(h);
+
+  h.call('updateTask', 'TASK-1', { Task_Name: 'Quarterly report (draft)' });
+  postAction(h, client, { action: 'delete_task', taskId: 'TASK-1' });
+  postAction(h, client, { action: 'restore_task', taskId: 'TASK-1' });
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  const result = h.call('revertTaskToVersion', 'TASK-1', 1);
+
+  assert.equal(result.success, true);
+  assert.deepEqual([result.restored.Task_Name, result.restored.Status], ['Quarterly report', 'on_time']);
+  const task = h.call('getTask', 'TASK-1');
+  assert.equal(task.Task_Name, 'Quarterly report');
+  assert.equal(task.Status, 'on_time');
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { taskRow, staffRow, dashboardClient, postAction, getAction } = require('./support/fixtures.cjs');
+
+function setup(tasks = [taskRow()]) {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: tasks } });
+  return { h, client: dashboardClient(h) };
+}
+
+function auditRows(h) {
+  return h.rows('Task_Audit').map(row => [row.Task_ID, row.Version, row.Field, row.Old_Value, row.New_Value, row.Change_Type]);
+}
+
+test('dashboard writes record each changed field with the caller and request', () => {
+  const { h, client } = setup();
+
+  const result = postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', taskName: 'Q3 report', status: 'on_time' } });
+
+  assert.equal(result.success, true);
+  assert.match(result.requestId, /^REQ-/);
+  assert.deepEqual(auditRows(h), [
+    ['TASK-1', 2, 'Task_Name', 'Quarterly report', 'Q3 report', 'update'],
+    ['TASK-1', 2, 'Status', 'not_active', 'on_time', 'update']
+  ]);
+  const row = h.rows('Task_Audit')[0];
+  assert.deepEqual([row.Actor, row.Source, row.Detail, row.Request_ID], ['boss@example.com', 'dashboard', 'update_task', result.requestId]);
+
+  h.newExecution().call('updateTask', 'TASK-1', { Priority: 'high' });
+  const history = getAction(h, client, { action: 'task_history', taskId: 'TASK-1' });
+  assert.deepEqual(history.data.map(change => [change.version, change.source, change.fields.map(field => field.field)]), [
+    [3, 'system', ['Priority']],
+    [2, 'dashboard', ['Task_Name', 'Status']]
+  ]);
+  assert.equal(getAction(h, client, { action: 'task_history', taskId: 'TASK-1', field: 'Status' }).count, 1);
+});
+
+test('undo_change with a requestId undoes a whole bulk update and can itself be undone', () => {
+  const { h, client } = setup([taskRow(), taskRow({ Task_ID: 'TASK-2', Status: 'slow_progress' })]);
+
+  const bulk = postAction(h, client, { action: 'bulk_update_tasks', taskIds: ['TASK-1', 'TASK-2'], updates: { status: 'on_time' } });
+  assert.equal(bulk.updatedCount, 2);
+
+  const undo = postAction(h, client, { action: 'undo_change', data: { requestId: bulk.requestId } });
+
+  assert.equal(undo.success, true);
+  assert.deepEqual(h.rows('Tasks_DB').map(task => [task.Task_ID, task.Status, task.Version]), [
+    ['TASK-1', 'not_active', 3],
+    ['TASK-2', 'slow_progress', 3]
+  ]);
+  const undoRows = h.rows('Task_Audit').filter(row => row.Change_Type === 'undo');
+  assert.deepEqual(undoRows.map(row => [row.Task_ID, row.New_Value, row.Request_ID]).sort(), [
+    ['TASK-1', 'not_active', undo.requestId],
+    ['TASK-2', 'slow_progress', undo.requestId]
+  ]);
+
+  postAction(h, client, { action: 'undo_change', data: { requestId: undo.requestId } });
+  assert.deepEqual(h.rows('Tasks_DB').map(task => task.Status), ['on_time', 'on_time']);
+});
+
+test('undo refuses to overwrite a field changed since, unless forced', () => {
+  const { h, client } = setup();
+  postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', status: 'on_time' } });
+  const changeId = h.rows('Task_Audit')[0].Change_ID;
+  postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', status: 'slow_progress' } });
+
+  const refused = postAction(h, client, { action: 'undo_change', data: { changeId: changeId } });
+
+  assert.equal(refused.success, false);
+  assert.equal(refused.status, 409);
+  assert.deepEqual(refused.conflicts.map(conflict => [conflict.field, conflict.expected, conflict.current]), [['Status', 'on_time', 'slow_progress']]);
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'slow_progress');
+
+  const forced = postAction(h, client, { action: 'undo_change', data: { changeId: changeId, force: true } });
+  assert.equal(forced.success, true);
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'not_active');
+});
+
+test('revert_task_to puts back every field changed after a version', () => {
+  const { h, client } = setup();
+  postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', status: 'on_time' } });
+  postAction(h, client, { action: 'update_task', data: { taskId: 'TASK-1', taskName: 'Q3 report', status: 'slow_progress' } });
+  h.newExecution().call('updateTask', 'TASK-1', { Priority: 'high' });
+
+  const reverted = postAction(h, client, { action: 'revert_task_to', taskId: 'TASK-1', data: { version: 2 } });
+
+  assert.equal(reverted.success, true);
+  const task = h.rows('Tasks_DB')[0];
+  assert.deepEqual([task.Status, task.Task_Name, task.Priority, task.Version], ['on_time', 'Quarterly report', '', 5]);
+  assert.deepEqual(h.rows('Task_Audit').filter(row => row.Change_Type === 'revert').map(row => row.Field).sort(), ['Priority', 'Status', 'Task_Name']);
+
+  const tooOld = postAction(h, client, { action: 'revert_task_to', taskId: 'TASK-1', data: { version: 0 } });
+  assert.equal(tooOld.success, false);
+  assert.match(tooOld.error, /version of 1 or more/);
+  assert.equal(h.call('revertTaskToVersion', 'TASK-1', 1).success, true);
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'not_active');
+});
+
+test('undo and revert put dates back as Dates, not the ISO text the audit keeps', () => {
+  const { h } = setup([taskRow({ Due_Date: new Date('2026-03-02T09:00:00Z') })]);
+  h.newExecution().call('updateTask', 'TASK-1', { Due_Date: new Date('2026-03-09T09:00:00Z') });
+  const changeId = h.rows('Task_Audit')[0].Change_ID;
+
+  assert.equal(h.newExecution().call('undoTaskChange', { changeId: changeId }).success, true);
+  assert.equal(h.newExecution().run("getTask('TASK-1').Due_Date instanceof Date"), true);
+  assert.equal(h.run("getTask('TASK-1').Due_Date.toISOString()"), '2026-03-02T09:00:00.000Z');
+
+  assert.equal(h.newExecution().call('revertTaskToVersion', 'TASK-1', 2).success, true);
+  assert.equal(h.newExecution().run("getTask('TASK-1').Due_Date instanceof Date"), true);
+  assert.equal(h.run("getTask('TASK-1').Due_Date.toISOString()"), '2026-03-09T09:00:00.000Z');
+});
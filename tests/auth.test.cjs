@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { taskRow, staffRow, dashboardClient, getAction } = require('./support/fixtures.cjs');
+
+test('requests without credentials are rejected even with API_AUTH_DISABLED set', () => {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow()] }, properties: { API_AUTH_DISABLED: 'true' } });
+
+  const anonymous = JSON.parse(h.call('doGet', { parameter: { action: 'get_tasks' } }).getContent());
+
+  assert.match(anonymous.error, /Missing clientId/);
+  assert.equal(h.rows('Error_Log')[0].Function_Name, 'authenticateRequest');
+  assert.equal(getAction(h, dashboardClient(h), { action: 'get_tasks' }).success, true);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, workflowRow, dashboardClient, postAction } = require('./support/fixtures.cjs');
+
+function setup() {
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow(), taskRow({ Task_ID: 'TASK-2', Task_Name: 'Board deck' })],
+      // Would tag any task whose status changes, if its event were emitted
+      Workflows: [workflowRow({ Actions: [{ type: 'update_priority', params: { priority: 'urgent' } }] })]
+    }
+  });
+  return { h, client: dashboardClient(h) };
+}
+
+test('batch runs operations in order, reports each result and shares one requestId', () => {
+  const { h, client } = setup();
+
+  const response = postAction(h, client, {
+    action: 'batch',
+    operations: [
+      { action: 'modify_task', taskId: 'TASK-1', data: { taskName: 'Quarterly report v2' } },
+      { action: 'update_task', taskId: 'TASK-2', data: { status: 'on_time' } }
+    ]
+  });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.map(result => [result.index, result.action, result.success]), [[0, 'modify_task', true], [1, 'update_task', true]]);
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Quarterly report v2');
+  assert.deepEqual([...new Set(h.rows('Task_Audit').map(row => row.Request_ID))], [response.requestId]);
+
+  const undone = postAction(h, client, { action: 'undo_change', data: { requestId: response.requestId } });
+  assert.equal(undone.success, true);
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Quarterly report');
+});
+
+test('a failed operation skips the rest and rollback puts Tasks_DB back', () => {
+  const { h, client } = setup();
+
+  const response = postAction(h, client, {
+    action: 'batch',
+    rollback: true,
+    operations: [
+      { action: 'update_task', taskId: 'TASK-1', data: { status: 'on_time', taskName: 'Renamed' } },
+      { action: 'create_task', data: { taskName: 'Follow-up', assigneeEmail: ASSIGNEE_EMAIL } },
+      { action: 'delete_task', taskId: 'TASK-2' },
+      { action: 'update_task', taskId: 'TASK-1', data: { dueDate: 'someday soon' } },
+      { action: 'modify_task', taskId: 'TASK-1', data: { taskName: 'Never applied' } }
+    ]
+  });
+
+  assert.equal(response.success, false);
+  assert.equal(response.failedIndex, 3);
+  assert.deepEqual(response.results.map(result => [result.success, !!result.skipped]), [[true, false], [true, false], [true, false], [false, false], [false, true]]);
+  assert.equal(response.rolledBack, true);
+  assert.deepEqual(response.rollback.restored, ['TASK-2']);
+  assert.equal(response.rollback.removed.length, 1);
+
+  const tasks = h.rows('Tasks_DB');
+  assert.deepEqual(tasks.map(task => [task.Task_ID, task.Task_Name, task.Status]),
+    [['TASK-1', 'Quarterly report', 'not_active'], ['TASK-2', 'Board deck', 'not_active']]);
+  assert.deepEqual(h.rows('Tasks_Archive').map(task => task.Task_Name), ['Follow-up']);
+  // The rolled-back status change never reached the workflow
+  assert.notEqual(h.call('getTask', 'TASK-1').Priority, 'urgent');
+  assert.deepEqual(h.rows('Workflow_Runs'), []);
+});
+
+test('a rolled-back create_task queues no webhook delivery and runs no task_created workflow', () => {
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow()],
+      Workflows: [workflowRow({ Trigger_Event: 'task_created', Actions: [{ type: 'update_priority', params: { priority: 'urgent' } }] })],
+      Webhooks: [{ Webhook_ID: 'WH-1', Name: 'BI', URL: 'https://hooks.example.com/cos', Secret: 'whsec-test', Events: '*', Active: true, Created_At: new Date() }]
+    }
+  });
+  const client = dashboardClient(h);
+  const deliveries = () => h.rows('Jobs').filter(job => job.Job_Type === 'webhook_delivery');
+  const create = { action: 'create_task', data: { taskName: 'Follow-up', assigneeEmail: ASSIGNEE_EMAIL } };
+
+  const response = postAction(h, client, {
+    action: 'batch',
+    rollback: true,
+    operations: [create, { action: 'update_task', taskId: 'TASK-1', data: { dueDate: 'someday soon' } }]
+  });
+
+  assert.equal(response.rolledBack, true);
+  assert.deepEqual(deliveries(), []);
+  assert.deepEqual(h.rows('Workflow_Runs'), []);
+
+  // The same create outside a failed batch is delivered and runs the workflow
+  assert.equal(postAction(h, client, create).success, true);
+  assert.equal(deliveries().length, 1);
+  assert.equal(h.rows('Workflow_Runs').length, 1);
+});
+
+test('batch checks every operation against role and scope before running any', () => {
+  const { h, client } = setup();
+  const writer = h.call('createApiClient', 'writer', ['write'], { email: 'boss@example.com', role: 'boss' });
+
+  const denied = postAction(h, writer, {
+    action: 'batch',
+    operations: [
+      { action: 'modify_task', taskId: 'TASK-1', data: { taskName: 'Renamed' } },
+      { action: 'delete_task', taskId: 'TASK-2' }
+    ]
+  });
+
+  assert.deepEqual([denied.success, denied.status, denied.failedIndex], [false, 403, 1]);
+  assert.match(denied.error, /admin/);
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Quarterly report');
+
+  assert.equal(postAction(h, client, { action: 'batch', operations: [{ action: 'batch', operations: [] }] }).status, 400);
+  assert.equal(postAction(h, client, { action: 'batch', operations: [] }).status, 400);
+});
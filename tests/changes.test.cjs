@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, hoursAgo, dashboardClient, postAction, getAction } = require('./support/fixtures.cjs');
+
+function setup() {
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow(), taskRow({ Task_ID: 'TASK-2', Task_Name: 'Board deck' })]
+    }
+  });
+  return { h, client: dashboardClient(h) };
+}
+
+function changesSince(h, client, parameters) {
+  return getAction(h, client, { action: 'changes_since', ...parameters });
+}
+
+test('changes_since returns writes from any code path, with tombstones for deleted tasks', () => {
+  const { h, client } = setup();
+  const { changeCursor } = getAction(h, client, { action: 'get_tasks' });
+  assert.equal(changeCursor, '0');
+
+  // A background trigger and a dashboard action
+  h.call('updateTask', 'TASK-1', { Status: 'on_time' });
+  h.newExecution();
+  h.call('updateStaff', ASSIGNEE_EMAIL, { Reliability_Score: 75 });
+  postAction(h, client, { action: 'delete_task', taskId: 'TASK-2' });
+
+  const changes = changesSince(h, client, { cursor: changeCursor });
+
+  assert.equal(changes.success, true);
+  assert.equal(changes.hasMore, false);
+  assert.deepEqual(changes.tasks.map(task => [task.taskId, task.status]), [['TASK-1', 'on_time']]);
+  assert.equal(changes.tasks[0].conversationHistory, undefined);
+  assert.deepEqual(changes.staff.map(staff => [staff.Email, staff.Reliability_Score]), [[ASSIGNEE_EMAIL, 75]]);
+  assert.deepEqual(changes.deleted.map(record => [record.type, record.id]), [['tasks', 'TASK-2']]);
+  assert.deepEqual(changesSince(h, client, { cursor: changes.cursor }).tasks, []);
+
+  postAction(h, client, { action: 'restore_task', taskId: 'TASK-2' });
+  const restored = changesSince(h, client, { cursor: changes.cursor });
+  assert.deepEqual(restored.tasks.map(task => task.taskId), ['TASK-2']);
+  assert.deepEqual(restored.deleted, []);
+
+  const byTime = changesSince(h, client, { since: hoursAgo(1).toISOString(), types: 'staff' });
+  assert.deepEqual([byTime.tasks.length, byTime.staff.length, byTime.deleted.length], [0, 1, 0]);
+});
+
+test('changes_since pages by cursor and asks for a reload once the feed is pruned', () => {
+  const { h, client } = setup();
+  ['on_time', 'slow_progress', 'closed'].forEach(status => h.call('updateTask', 'TASK-1', { Status: status }));
+  h.call('updateTask', 'TASK-2', { Status: 'on_time' });
+
+  const first = changesSince(h, client, { cursor: '0', limit: 2 });
+  assert.equal(first.hasMore, true);
+  assert.deepEqual(first.tasks.map(task => [task.taskId, task.status]), [['TASK-1', 'closed']]);
+  const second = changesSince(h, client, { cursor: first.cursor, limit: 2 });
+  assert.equal(second.hasMore, false);
+  assert.deepEqual(second.tasks.map(task => task.taskId), ['TASK-1', 'TASK-2']);
+
+  assert.equal(changesSince(h, client, {}).status, 400);
+
+  // Age the first two changes past the retention period
+  h.rows('Change_Feed').slice(0, 2).forEach(entry => {
+    h.call('updateRowByValue', 'Change_Feed', 'Sequence', entry.Sequence, { Timestamp: hoursAgo(24 * 20) });
+  });
+  h.call('archiveClosedTasks');
+
+  assert.deepEqual(h.rows('Change_Feed').map(entry => entry.Sequence), [3, 4]);
+  const expired = changesSince(h, client, { cursor: '1' });
+  assert.deepEqual([expired.success, expired.status, expired.resync], [false, 410, true]);
+  assert.deepEqual(changesSince(h, client, { cursor: '2' }).tasks.map(task => task.taskId), ['TASK-1', 'TASK-2']);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, hoursAgo } = require('./support/fixtures.cjs');
+
+function setup(tasks) {
+  return createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: tasks } });
+}
+
+test('a task silent past ESCALATION_FOLLOWUP_HOURS gets one follow-up email', () => {
+  const h = setup([taskRow({ Last_Updated: hoursAgo(30) })]);
+
+  h.call('handleSilenceEscalation');
+  h.newExecution().call('handleSilenceEscalation');
+
+  const saved = h.call('getTask', 'TASK-1');
+  assert.equal(saved.Status, 'not_active');
+  assert.match(saved.Interaction_Log, /Follow-up email sent/);
+  assert.deepEqual(h.fakes.gmail.sent.map(email => email.to), [ASSIGNEE_EMAIL]);
+});
+
+test('a task silent past ESCALATION_BOSS_ALERT_HOURS is escalated once and marked pending_action', () => {
+  const h = setup([taskRow({ Last_Updated: hoursAgo(50) })]);
+
+  h.call('handleSilenceEscalation');
+  h.newExecution().call('handleSilenceEscalation');
+
+  const saved = h.call('getTask', 'TASK-1');
+  assert.equal(saved.Status, 'pending_action');
+  assert.match(saved.Interaction_Log, /Escalated to Boss/);
+  assert.equal(h.fakes.gmail.sent.length, 1);
+});
+
+test('recent, active and differently configured tasks are left alone', () => {
+  const h = setup([
+    taskRow({ Task_ID: 'TASK-RECENT', Last_Updated: hoursAgo(2) }),
+    taskRow({ Task_ID: 'TASK-ACTIVE', Status: 'on_time', Last_Updated: hoursAgo(100) }),
+    taskRow({ Task_ID: 'TASK-SLOW', Last_Updated: hoursAgo(30) })
+  ]);
+  h.setConfig({ ESCALATION_FOLLOWUP_HOURS: 36, ESCALATION_BOSS_ALERT_HOURS: 72 });
+
+  h.call('handleSilenceEscalation');
+
+  assert.equal(h.fakes.gmail.sent.length, 0);
+  assert.deepEqual(h.rows('Tasks_DB').map(task => task.Status), ['not_active', 'on_time', 'not_active']);
+});
+
+test('the hard-coded escalation stands down once the silence workflows are installed', () => {
+  const h = setup([taskRow({ Last_Updated: hoursAgo(50) })]);
+  h.call('installSilenceEscalationWorkflows');
+
+  h.newExecution().call('handleSilenceEscalation');
+
+  assert.equal(h.call('getTask', 'TASK-1').Status, 'not_active');
+  assert.equal(h.fakes.gmail.sent.length, 0);
+  assert.ok(h.rows('Workflows').some(workflow => workflow.Workflow_ID.startsWith('WF-SILENCE-')));
+});
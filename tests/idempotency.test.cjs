@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, dashboardClient, postAction } = require('./support/fixtures.cjs');
+
+function setup() {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow()] } });
+  return { h, client: dashboardClient(h) };
+}
+
+const CREATE = { action: 'create_task', idempotencyKey: 'create-follow-up-1', data: { taskName: 'Follow-up', assigneeEmail: ASSIGNEE_EMAIL } };
+
+test('a retried create_task with the same idempotencyKey returns the first response without a second task', () => {
+  const { h, client } = setup();
+
+  const first = postAction(h, client, CREATE);
+  const retry = postAction(h, client, CREATE);
+
+  assert.equal(first.success, true);
+  assert.equal(first.replayed, undefined);
+  assert.equal(retry.replayed, true);
+  assert.deepEqual([retry.data, retry.requestId], [first.data, first.requestId]);
+  assert.deepEqual(h.rows('Tasks_DB').map(task => task.Task_Name), ['Quarterly report', 'Follow-up']);
+
+  // Keys belong to the client that used them
+  const other = h.call('createApiClient', 'mobile', ['admin'], { email: 'boss@example.com', role: 'boss' });
+  assert.equal(postAction(h, other, CREATE).replayed, undefined);
+  assert.equal(h.rows('Tasks_DB').length, 3);
+});
+
+test('idempotencyKey reuse for another request is rejected, and a request still running is not run twice', () => {
+  const { h, client } = setup();
+  postAction(h, client, CREATE);
+
+  const reused = postAction(h, client, { ...CREATE, data: { taskName: 'Something else' } });
+  assert.deepEqual([reused.success, reused.status], [false, 422]);
+
+  // The first copy of this request has claimed the key but not finished
+  const pending = { action: 'update_task', taskId: 'TASK-1', idempotencyKey: 'rename-1', data: { taskName: 'Renamed' } };
+  h.call('beginIdempotentRequest_', { clientId: client.clientId }, pending);
+  const retry = postAction(h, client, pending);
+  assert.deepEqual([retry.success, retry.status], [false, 409]);
+  assert.equal(h.call('getTask', 'TASK-1').Task_Name, 'Quarterly report');
+
+  assert.equal(postAction(h, client, { ...pending, idempotencyKey: 42 }).status, 400);
+});
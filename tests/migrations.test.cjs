@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, hoursAgo } = require('./support/fixtures.cjs');
+
+// Tasks_DB as it looked before conversations, lifecycle statuses and email thread tracking
+const LEGACY_TASK_COLUMNS = [
+  'Task_ID', 'Task_Name', 'Status', 'Assignee_Name', 'Assignee_Email', 'Due_Date',
+  'Interaction_Log', 'Employee_Reply', 'Created_Date', 'Last_Updated'
+];
+
+function legacySpreadsheet() {
+  const h = createHarness({ setup: false });
+  const threadId = h.fakes.gmail.addThread({
+    subject: 'Task Assignment: Quarterly report',
+    messages: [{ from: 'boss@example.com', to: ASSIGNEE_EMAIL, body: 'Please take this on.' }]
+  });
+  h.fakes.spreadsheet.setValues('Tasks_DB', [
+    LEGACY_TASK_COLUMNS,
+    ['TASK-1', 'Quarterly report', 'Review_Date', 'Asha Rao', ASSIGNEE_EMAIL, hoursAgo(-24 * 7),
+      `Assignment email sent. Thread ID: ${threadId}`, 'Can I have until Friday?', hoursAgo(72), hoursAgo(48)]
+  ]);
+  h.newExecution();
+  return { h, threadId };
+}
+
+function promptNames(h, sheetName) {
+  return h.rows(sheetName).map(row => row.Name);
+}
+
+test('a new spreadsheet starts at the latest schema version with the default prompts', () => {
+  const h = createHarness();
+
+  const status = h.call('getSchemaStatus');
+  assert.equal(status.upToDate, true);
+  assert.equal(status.version, status.latestVersion);
+  assert.deepEqual(status.pending, []);
+  assert.deepEqual(promptNames(h, 'EmailPrompts'), ['classifyReplyType', 'generateAssignmentEmail', 'summarizeReviewRequest']);
+});
+
+test('previewMigrations lists the changes without writing anything', () => {
+  const { h } = legacySpreadsheet();
+  const before = h.fakes.spreadsheet.values('Tasks_DB');
+
+  const report = h.call('previewMigrations');
+
+  assert.equal(report.direction, 'up');
+  assert.deepEqual(report.migrations.map(migration => migration.name), [
+    'create_tables', 'email_thread_tracking', 'conversation_fields', 'conversation_messages', 'lifecycle_statuses', 'default_prompts', 'task_audit', 'tasks_archive', 'change_feed', 'webhooks', 'schedule_fired_state'
+  ]);
+  assert.ok(report.migrations[0].changes.includes('Tasks_DB: add column Version'));
+  assert.ok(report.migrations[0].changes.includes('Create Jobs (12 columns)'));
+  assert.ok(report.migrations[4].changes.some(change => change.includes('Status "Review_Date" → "on_time"')));
+  assert.deepEqual(h.fakes.spreadsheet.values('Tasks_DB'), before);
+  assert.equal(h.fakes.spreadsheet.hasSheet('Jobs'), false);
+  assert.equal(h.call('getSchemaStatus').version, 0);
+});
+
+test('migrateUp brings a legacy spreadsheet to the latest schema and is safe to re-run', () => {
+  const { h, threadId } = legacySpreadsheet();
+  const firedAt = hoursAgo(2).toISOString();
+  Object.assign(h.fakes.properties.script, { 'WF_FIRED_WF_DUE_SOON_TASK-1': firedAt, 'TASK_OVERDUE_TASK-1': firedAt });
+
+  const result = h.call('migrateUp');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.applied, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  const task = h.call('getTask', 'TASK-1');
+  assert.equal(task.Status, 'on_time');
+  assert.equal(task.Previous_Status, 'Review_Date');
+  assert.equal(task.Conversation_State, 'change_requested');
+  assert.equal(task.Primary_Thread_ID, threadId);
+  assert.equal(task.Processed_Message_IDs, '[]');
+  assert.equal(task.Conversation_History, '');
+  assert.equal(JSON.parse(task.Initial_Parameters).taskName, 'Quarterly report');
+  assert.deepEqual(h.rows('Conversation_Messages').map(row => [row.Message_ID, row.Type, row.Content]), [
+    ['legacy_reply_TASK-1', 'employee_reply', 'Can I have until Friday?']
+  ]);
+  assert.equal(h.call('getConfig').BOSS_EMAIL, 'boss@example.com');
+  assert.equal(h.call('getSchemaStatus').upToDate, true);
+  const properties = h.fakes.properties.script;
+  assert.deepEqual(JSON.parse(properties.WF_TASKS_FIRED_WF_DUE_SOON), { 'TASK-1': firedAt });
+  assert.deepEqual(JSON.parse(properties.TASKS_OVERDUE_FIRED), { 'TASK-1': firedAt });
+  assert.deepEqual(Object.keys(properties).filter(key => /^(WF_FIRED|TASK_OVERDUE)_/.test(key)), []);
+
+  const tasksBefore = h.rows('Tasks_DB');
+  h.newExecution();
+  assert.deepEqual(h.call('migrateUp').applied, []);
+  assert.deepEqual(h.rows('Tasks_DB'), tasksBefore);
+  assert.equal(h.rows('Conversation_Messages').length, 1);
+});
+
+test('migrateDown reverts reversible migrations and refuses to cross irreversible ones', () => {
+  const { h } = legacySpreadsheet();
+  h.call('migrateUp');
+  h.call('savePrompt', 'classifyReplyType', 'email', 'Edited by the boss', '');
+
+  const result = h.call('migrateDown', 4);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.reverted, [11, 10, 9, 8, 7, 6, 5]);
+  assert.equal(h.call('getTask', 'TASK-1').Status, 'Review_Date');
+  assert.deepEqual(promptNames(h, 'EmailPrompts'), ['classifyReplyType']);
+  assert.deepEqual(h.call('getSchemaStatus').pending.map(migration => migration.version), [5, 6, 7, 8, 9, 10, 11]);
+
+  const refused = h.call('migrateDown', 0);
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /cannot be undone/);
+  assert.equal(h.call('getSchemaStatus').version, 4);
+  assert.equal(h.call('previewMigrations', 0).migrations[0].error, 'Cannot be undone');
+});
+
+test('triggers do nothing while migrations are pending and log it once', () => {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow({ Last_Updated: hoursAgo(30) })] } });
+  const applied = JSON.parse(h.fakes.properties.script.SCHEMA_MIGRATIONS);
+  h.fakes.properties.script.SCHEMA_MIGRATIONS = JSON.stringify(applied.filter(record => record.version !== 6));
+
+  h.newExecution().call('handleSilenceEscalation');
+  h.newExecution().call('handleSilenceEscalation');
+
+  assert.equal(h.fakes.gmail.sent.length, 0);
+  assert.deepEqual(h.rows('Error_Log').map(row => row.Function_Name), ['handleSilenceEscalation']);
+  assert.match(h.rows('Error_Log')[0].Error_Message, /pending: 6 default_prompts/);
+
+  h.call('migrateUp');
+  h.newExecution().call('handleSilenceEscalation');
+  assert.equal(h.fakes.gmail.sent.length, 1);
+});
+
+test('appending moves a legacy Conversation_History cell once and reads only that task\'s messages', () => {
+  const legacy = [{ id: 'm1', timestamp: hoursAgo(5).toISOString(), type: 'boss_message', content: 'Please start' }];
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow({ Task_ID: 'TASK-1', Conversation_History: JSON.stringify(legacy) }), taskRow({ Task_ID: 'TASK-2' })]
+    }
+  });
+
+  h.call('appendToConversationHistory', 'TASK-2', { messageId: 'm2', type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'Other task' });
+  h.call('appendToConversationHistory', 'TASK-1', { messageId: 'm3', type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'On it' });
+  h.call('appendToConversationHistory', 'TASK-1', { messageId: 'm3', type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'On it' });
+
+  assert.equal(h.call('getTask', 'TASK-1').Conversation_History, '');
+  assert.deepEqual(h.call('getConversationHistory', 'TASK-1').map(message => message.content), ['Please start', 'On it']);
+  assert.deepEqual(h.call('getConversationHistory', 'TASK-2').map(message => message.content), ['Other task']);
+  assert.equal(h.rows('Conversation_Messages').length, 3);
+});
+
+test('a migration step that throws partway leaves earlier batches written and is finished by re-running', () => {
+  const tasks = Array.from({ length: 60 }, (_, index) => taskRow({ Task_ID: `TASK-${index + 1}`, Priority: 'medium' }));
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: tasks } });
+  let sheetAtFailure = null;
+  h.run('globalThis').onFailingStep = () => { sheetAtFailure = h.fakes.spreadsheet.values('Tasks_DB'); };
+  h.run(`
+    let failOnce = true;
+    MIGRATIONS.push({
+      version: 99,
+      name: 'raise_priority',
+      description: 'Raise every task to high priority',
+      planUp: () => {
+        const steps = getSheetData(SHEETS.TASKS_DB).filter(task => task.Priority !== 'high').map(task => taskUpdateStep_(task, { Priority: 'high' }));
+        if (failOnce) {
+          steps.splice(55, 0, { description: 'fail', apply: () => { failOnce = false; onFailingStep(); throw new Error('Exceeded maximum execution time'); } });
+        }
+        return steps;
+      }
+    });
+  `);
+
+  const failed = h.call('migrateUp');
+
+  assert.equal(failed.success, false);
+  assert.equal(failed.failedVersion, 99);
+  const priority = sheetAtFailure[0].indexOf('Priority');
+  assert.equal(sheetAtFailure.slice(1).filter(row => row[priority] === 'high').length, 50);
+  assert.equal(h.rows('Tasks_DB').filter(task => task.Priority === 'high').length, 55);
+  assert.equal(h.rows('Task_Audit').filter(row => row.Source === 'migration').length, 55);
+
+  assert.equal(h.call('migrateUp').success, true);
+  assert.equal(h.rows('Tasks_DB').filter(task => task.Priority === 'high').length, 60);
+  assert.equal(h.call('getSchemaStatus').version, 99);
+});
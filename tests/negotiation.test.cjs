@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { BOSS_EMAIL, ASSIGNEE_EMAIL, taskRow, staffRow, addAssignmentThread, daysFromNow } = require('./support/fixtures.cjs');
+
+const CLASSIFY_PROMPT = /Classify this email reply/;
+const ANALYSIS_PROMPT = /analyzing a conversation between a boss and employee/;
+
+function setup(task = taskRow()) {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [task] } });
+  const threadId = addAssignmentThread(h, task);
+  h.call('updateTask', task.Task_ID, { Primary_Thread_ID: threadId });
+  return { h, task, threadId };
+}
+
+function replyFromAssignee(h, threadId, body) {
+  const messageId = h.fakes.gmail.receive(threadId, { from: `Asha Rao <${ASSIGNEE_EMAIL}>`, body: body });
+  return h.message(messageId);
+}
+
+function analysis(conversationState, extra = {}) {
+  return { conversationState, pendingChanges: [], summary: `State is ${conversationState}`, requiresAction: false, ...extra };
+}
+
+test('an acceptance reply activates the task and thanks the assignee', () => {
+  const { h, task, threadId } = setup();
+  h.fakes.urlFetch.onVertex(CLASSIFY_PROMPT, { type: 'ACCEPTANCE', confidence: 0.95, extracted_date: null });
+  h.fakes.urlFetch.onVertex(ANALYSIS_PROMPT, analysis('active'));
+
+  h.call('processReplyEmail', task.Task_ID, replyFromAssignee(h, threadId, 'Got it, will do.'));
+
+  const saved = h.call('getTask', task.Task_ID);
+  assert.equal(saved.Status, 'on_time');
+  assert.equal(saved.Conversation_State, 'active');
+  assert.equal(saved.Message_Count, 1);
+  assert.deepEqual(h.fakes.gmail.sent.map(email => email.to), [ASSIGNEE_EMAIL]);
+  assert.match(h.fakes.gmail.sent[0].subject, /Quarterly report/);
+});
+
+test('a date change reply stores the proposed date without emailing the boss by default', () => {
+  const { h, task, threadId } = setup();
+  const proposed = '2030-03-14';
+  h.fakes.urlFetch.onVertex(CLASSIFY_PROMPT, { type: 'DATE_CHANGE', confidence: 0.9, extracted_date: proposed });
+  h.fakes.urlFetch.onVertex(ANALYSIS_PROMPT, analysis('change_requested', { requiresAction: true }));
+
+  h.call('processReplyEmail', task.Task_ID, replyFromAssignee(h, threadId, `That deadline is not feasible, I can do it by ${proposed}.`));
+
+  const saved = h.call('getTask', task.Task_ID);
+  assert.equal(saved.Proposed_Date, proposed);
+  assert.equal(saved.Status, 'on_time');
+  assert.equal(saved.Conversation_State, 'change_requested');
+  assert.match(saved.Employee_Reply, /not feasible/);
+  assert.equal(h.fakes.gmail.sent.length, 0);
+});
+
+test('the boss is emailed about date change requests when NOTIFY_BOSS_ON_DATE_CHANGE is on', () => {
+  const { h, task, threadId } = setup();
+  h.setConfig({ NOTIFY_BOSS_ON_DATE_CHANGE: 'true' });
+  h.fakes.urlFetch.onVertex(CLASSIFY_PROMPT, { type: 'DATE_CHANGE', confidence: 0.9, extracted_date: '2030-03-14' });
+  h.fakes.urlFetch.onVertex(/summar/i, 'Asha needs until March 14 because of the audit.');
+  h.fakes.urlFetch.onVertex(ANALYSIS_PROMPT, analysis('change_requested'));
+
+  h.call('processReplyEmail', task.Task_ID, replyFromAssignee(h, threadId, 'Can we move this to 2030-03-14?'));
+
+  const toBoss = h.fakes.gmail.sent.filter(email => email.to === BOSS_EMAIL);
+  assert.equal(toBoss.length, 1);
+  assert.match(toBoss[0].body, /March 14, 2030/);
+});
+
+test('confirming a boss-proposed date applies it and tells the boss', () => {
+  const newDate = daysFromNow(21);
+  const { h, task, threadId } = setup(taskRow({
+    Status: 'on_time',
+    Conversation_State: 'awaiting_confirmation',
+    Pending_Decision: JSON.stringify({ type: 'date_change', awaitingFrom: 'employee', requestedBy: 'boss', proposedValue: newDate.toISOString() })
+  }));
+  h.fakes.urlFetch.onVertex(CLASSIFY_PROMPT, { type: 'ACCEPTANCE', confidence: 0.9, extracted_date: null });
+  h.fakes.urlFetch.onVertex(ANALYSIS_PROMPT, analysis('resolved'));
+
+  h.call('processReplyEmail', task.Task_ID, replyFromAssignee(h, threadId, 'Yes, that works for me.'));
+
+  const saved = h.call('getTask', task.Task_ID);
+  assert.equal(new Date(saved.Due_Date).getTime(), newDate.getTime());
+  assert.equal(saved.Pending_Decision, '');
+  assert.equal(saved.Conversation_State, 'resolved');
+  assert.deepEqual(h.fakes.gmail.sent.map(email => [email.to, email.subject]), [[BOSS_EMAIL, 'Date Change Confirmed: Quarterly report']]);
+});
+
+test('replies from someone other than the assignee are ignored', () => {
+  const { h, task, threadId } = setup();
+  const messageId = h.fakes.gmail.receive(threadId, { from: 'someone@example.com', body: 'I accept' });
+
+  h.call('processReplyEmail', task.Task_ID, h.message(messageId));
+
+  assert.equal(h.call('getTask', task.Task_ID).Status, 'not_active');
+  assert.equal(h.fakes.urlFetch.prompts().length, 0);
+});
+
+test('checkForReplies processes each reply once across trigger runs', () => {
+  const { h, task, threadId } = setup();
+  h.fakes.urlFetch.onVertex(CLASSIFY_PROMPT, { type: 'ACCEPTANCE', confidence: 0.95, extracted_date: null });
+  h.fakes.urlFetch.onVertex(ANALYSIS_PROMPT, analysis('active'));
+  const messageId = h.fakes.gmail.receive(threadId, { from: ASSIGNEE_EMAIL, body: 'Sounds good, on it.' });
+
+  h.call('checkForReplies');
+  const processed = h.call('getTask', task.Task_ID).Processed_Message_IDs;
+  h.newExecution().call('checkForReplies');
+
+  const saved = h.call('getTask', task.Task_ID);
+  assert.equal(saved.Status, 'on_time');
+  assert.ok(JSON.parse(saved.Processed_Message_IDs).includes(messageId));
+  assert.equal(saved.Processed_Message_IDs, processed);
+  assert.equal(h.fakes.urlFetch.prompts().filter(prompt => CLASSIFY_PROMPT.test(prompt)).length, 1);
+  assert.equal(h.rows('Conversation_Messages').filter(row => row.Message_ID === messageId).length, 1);
+});
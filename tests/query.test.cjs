@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, daysFromNow, dashboardClient, getAction } = require('./support/fixtures.cjs');
+
+const RAVI_EMAIL = 'ravi@example.com';
+
+function setup() {
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow(), staffRow({ Name: 'Ravi Kumar', Email: RAVI_EMAIL })],
+      Tasks_DB: [
+        taskRow({ Task_ID: 'TASK-1', Task_Name: 'Quarterly report', Due_Date: daysFromNow(-2), Status: 'on_time', Project_Tag: 'finance' }),
+        taskRow({ Task_ID: 'TASK-2', Task_Name: 'Board deck', Due_Date: daysFromNow(3), Conversation_State: 'change_requested', Project_Tag: 'finance' }),
+        taskRow({ Task_ID: 'TASK-3', Task_Name: 'Hiring plan', Due_Date: daysFromNow(-5), Status: 'closed' }),
+        taskRow({ Task_ID: 'TASK-4', Task_Name: 'Vendor review', Assignee_Name: 'Ravi Kumar', Assignee_Email: RAVI_EMAIL, Due_Date: daysFromNow(1), Context_Hidden: 'Compare the two cloud vendors' }),
+        taskRow({ Task_ID: 'TASK-5', Task_Name: 'Offsite agenda', Due_Date: '' })
+      ]
+    }
+  });
+  return { h, client: dashboardClient(h) };
+}
+
+function query(h, client, parameters) {
+  return getAction(h, client, { action: 'query_tasks', ...parameters });
+}
+
+function ids(response) {
+  return response.data.map(task => task.taskId);
+}
+
+test('query_tasks filters by assignee, project, state, due range, overdue and text', () => {
+  const { h, client } = setup();
+
+  assert.deepEqual(ids(query(h, client, {})), ['TASK-3', 'TASK-1', 'TASK-4', 'TASK-2', 'TASK-5']);
+  assert.deepEqual(ids(query(h, client, { assignee: 'Ravi Kumar' })), ['TASK-4']);
+  assert.deepEqual(ids(query(h, client, { assignee: ASSIGNEE_EMAIL.toUpperCase(), project: 'Finance' })), ['TASK-1', 'TASK-2']);
+  assert.deepEqual(ids(query(h, client, { overdue: 'true' })), ['TASK-1']);
+  assert.deepEqual(ids(query(h, client, { needsAttention: 'true' })), ['TASK-2']);
+  assert.deepEqual(ids(query(h, client, { conversationState: 'active', status: 'not_active,closed' })), ['TASK-3', 'TASK-4', 'TASK-5']);
+  assert.deepEqual(ids(query(h, client, { conversationState: 'Change_Requested', status: 'NOT_ACTIVE' })), ['TASK-2']);
+  assert.deepEqual(ids(query(h, client, { q: 'CLOUD vendor' })), ['TASK-4']);
+
+  const from = h.run(`Utilities.formatDate(new Date(Date.now() - 3 * 86400000), Session.getScriptTimeZone(), 'yyyy-MM-dd')`);
+  const to = h.run(`Utilities.formatDate(new Date(Date.now() + 2 * 86400000), Session.getScriptTimeZone(), 'yyyy-MM-dd')`);
+  assert.deepEqual(ids(query(h, client, { dueFrom: from, dueTo: to })), ['TASK-1', 'TASK-4']);
+
+  const bad = query(h, client, { dueFrom: 'next week', sort: 'priority' });
+  assert.deepEqual([bad.success, bad.status], [false, 400]);
+  assert.match(bad.error, /dueFrom must be a date/);
+});
+
+test('query_tasks pages with a cursor that survives tasks being added between pages', () => {
+  const { h, client } = setup();
+
+  const first = query(h, client, { sort: '-dueDate', limit: 2 });
+  assert.deepEqual(ids(first), ['TASK-2', 'TASK-4']);
+  assert.equal(first.total, 5);
+
+  h.seed('Tasks_DB', [taskRow({ Task_ID: 'TASK-6', Task_Name: 'Due soonest', Due_Date: daysFromNow(10) })]);
+  const second = query(h, client, { sort: '-dueDate', limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(ids(second), ['TASK-1', 'TASK-3']);
+  const last = query(h, client, { sort: '-dueDate', limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(ids(last), ['TASK-5']);
+  assert.equal(last.nextCursor, null);
+
+  const otherSort = query(h, client, { sort: 'taskName', cursor: first.nextCursor });
+  assert.equal(otherSort.status, 400);
+  assert.match(otherSort.error, /different sort/);
+});
+
+test('query_tasks returns only the fields asked for and reads conversations on request', () => {
+  const { h, client } = setup();
+  h.call('appendToConversationHistory', 'TASK-2', { type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'Can we move it?' });
+
+  const defaults = query(h, client, { q: 'board' }).data[0];
+  assert.equal(defaults.taskName, 'Board deck');
+  assert.equal(defaults.conversationHistory, undefined);
+
+  const projected = query(h, client, { q: 'board', fields: 'taskName,conversationHistory' }).data[0];
+  assert.deepEqual(Object.keys(projected), ['taskId', 'taskName', 'conversationHistory']);
+  assert.deepEqual(projected.conversationHistory.map(message => message.content), ['Can we move it?']);
+
+  assert.match(query(h, client, { fields: 'taskName,secret' }).error, /Unknown field\(s\): secret/);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow } = require('./support/fixtures.cjs');
+
+function validationError(fieldErrors) {
+  return error => {
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.equal(error.status, 400);
+    assert.deepEqual({ ...error.fieldErrors }, fieldErrors);
+    return true;
+  };
+}
+
+test('createTask rejects bad fields and unknown columns with field-level errors', () => {
+  const h = createHarness();
+
+  assert.throws(() => h.call('createTask', {
+    Task_Name: 'Quarterly report',
+    Status: 'in_review',
+    Assignee_Email: 'asha',
+    Due_Date: 'next week',
+    AI_Confidence: 3,
+    Created_By: 'Voice'
+  }), validationError({
+    Status: `Expected one of ${Object.values(h.run('TASK_STATUS')).join(', ')}, got "in_review"`,
+    Assignee_Email: 'Expected an email address, got "asha"',
+    Due_Date: 'Expected a date (yyyy-MM-dd), got "next week"',
+    AI_Confidence: 'Must be at most 1',
+    Created_By: 'Unknown field (not a Tasks_DB column)'
+  }));
+  assert.deepEqual(h.rows('Tasks_DB'), []);
+
+  const taskId = h.call('createTask', { Task_Name: 'Quarterly report', Due_Date: '15-01-2027', AI_Confidence: 0 });
+  const task = h.call('getTask', taskId);
+  assert.equal(task.Due_Date, '15-01-2027');
+  assert.equal(task.AI_Confidence, 0);
+  assert.equal(task.Status, 'ai_assist');
+});
+
+test('updateTask rejects a bad write without changing the row and writes 0 values', () => {
+  const h = createHarness({ tables: { Tasks_DB: [taskRow()] } });
+
+  assert.throws(() => h.call('updateTask', 'TASK-1', {
+    Conversation_State: 'thinking',
+    Pending_Changes: '[{',
+    Task_Name: ''
+  }), validationError({
+    Conversation_State: `Expected one of ${Object.values(h.run('CONVERSATION_STATE')).join(', ')}, got "thinking"`,
+    Pending_Changes: 'Expected JSON, got "[{"',
+    Task_Name: 'Required'
+  }));
+  assert.equal(h.rows('Tasks_DB')[0].Version, 1);
+  assert.equal(h.rows('Tasks_DB')[0].Conversation_State, 'active');
+
+  assert.equal(h.call('updateTask', 'TASK-1', { Progress_Percentage: 0, Message_Count: '0' }), true);
+  h.newExecution();
+  const task = h.call('getTask', 'TASK-1');
+  assert.equal(task.Progress_Percentage, 0);
+  assert.equal(task.Version, 2);
+});
+
+test('dashboard task handlers report errors by form field before creating staff', () => {
+  const h = createHarness({ tables: { Tasks_DB: [taskRow()] } });
+
+  const created = h.call('handleCreateTask', { data: { taskName: 'Board deck', assigneeName: 'Ravi', assigneeEmail: 'ravi@', dueDate: 'soon' } });
+  assert.equal(created.success, false);
+  assert.equal(created.status, 400);
+  assert.deepEqual(created.fieldErrors, {
+    assigneeEmail: 'Expected an email address, got "ravi@"',
+    dueDate: 'Expected a date (yyyy-MM-dd), got an invalid date'
+  });
+  assert.deepEqual(h.rows('Staff_DB'), []);
+  assert.equal(h.rows('Tasks_DB').length, 1);
+
+  const updated = h.call('handleUpdateTask', { data: { taskId: 'TASK-1', status: 'done' } });
+  assert.equal(updated.status, 400);
+  assert.deepEqual(Object.keys(updated.fieldErrors), ['status']);
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'not_active');
+
+  const cleared = h.call('handleUpdateTask', { data: { taskId: 'TASK-1', dueDate: '' } });
+  assert.equal(cleared.success, true);
+  assert.equal(h.rows('Tasks_DB')[0].Due_Date, '');
+});
+
+test('createStaff validates the row and addRow writes 0 and false instead of blanks', () => {
+  const h = createHarness({ tables: { Staff_DB: [staffRow()] } });
+
+  const rejected = h.call('handleAddStaff', { data: { name: 'Ravi', email: 'ravi at example.com' } });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.fieldErrors, { email: 'Expected an email address, got "ravi at example.com"' });
+
+  assert.equal(h.call('createStaff', 'Ravi Kumar', 'Ravi@Example.com'), true);
+  const staff = h.rows('Staff_DB').find(row => row.Email === 'ravi@example.com');
+  assert.equal(staff.Active_Task_Count, 0);
+  assert.equal(staff.Reliability_Score, '');
+
+  h.call('logError', 'DATA_ERROR', 'test', 'Something broke');
+  assert.equal(h.rows('Error_Log')[0].Resolved, false);
+  assert.equal(h.call('getStaff', ASSIGNEE_EMAIL).Name, 'Asha Rao');
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { taskRow, staffRow } = require('./support/fixtures.cjs');
+
+function setup() {
+  return createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: [taskRow({ Status: 'on_time' })] } });
+}
+
+// A row of a stored table (header row first) as an object
+function storedRow(values, keyColumn, key) {
+  const headers = values[0];
+  const row = values.slice(1).find(candidate => candidate[headers.indexOf(keyColumn)] === key);
+  return row ? Object.fromEntries(headers.map((header, index) => [header, row[index]])) : undefined;
+}
+
+test('the memory backend serves tasks and Config without touching the spreadsheet', () => {
+  const h = setup();
+  const tables = {};
+  h.run('Object.values(SHEETS)').filter(name => h.fakes.spreadsheet.hasSheet(name)).forEach(name => {
+    tables[name] = h.fakes.spreadsheet.values(name);
+  });
+  const backend = h.call('createMemoryStorageBackend', tables);
+  h.call('useStorageBackend', backend);
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.call('setConfigValue', 'BOSS_NAME', 'Memory Boss');
+  h.call('setConfigValue', 'WORKFLOW_RUN_RETENTION_DAYS', '7');
+
+  assert.equal(h.call('getTask', 'TASK-1').Status, 'slow_progress');
+  assert.equal(h.call('getConfig').BOSS_NAME, 'Memory Boss');
+  assert.equal(h.run('CONFIG.WORKFLOW_RUN_RETENTION_DAYS()'), 7);
+  assert.equal(storedRow(backend.tables.Tasks_DB, 'Task_ID', 'TASK-1').Status, 'slow_progress');
+  assert.equal(storedRow(backend.tables.Config, 'Key', 'WORKFLOW_RUN_RETENTION_DAYS').Value, '7');
+
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'on_time');
+  assert.equal(h.rows('Config').find(row => row.Key === 'BOSS_NAME').Value, 'Test Boss');
+  assert.notEqual(h.rows('Config').find(row => row.Key === 'WORKFLOW_RUN_RETENTION_DAYS').Value, '7');
+});
+
+test('setupDriveStorage moves every table into a Drive JSON file that later runs read and write', () => {
+  const h = setup();
+  const fileId = h.call('setupDriveStorage');
+  assert.equal(h.fakes.properties.script.STORAGE_BACKEND, 'drive_json');
+
+  h.newExecution();
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.call('setConfigValue', 'BOSS_NAME', 'Drive Boss');
+
+  const doc = JSON.parse(h.fakes.drive.content(fileId));
+  assert.equal(storedRow(doc.tables.Tasks_DB, 'Task_ID', 'TASK-1').Status, 'slow_progress');
+  assert.equal(storedRow(doc.tables.Config, 'Key', 'BOSS_NAME').Value, 'Drive Boss');
+  assert.equal(h.rows('Tasks_DB')[0].Status, 'on_time');
+  assert.equal(h.rows('Config').find(row => row.Key === 'BOSS_NAME').Value, 'Test Boss');
+
+  h.newExecution();
+  assert.equal(h.call('getTask', 'TASK-1').Status, 'slow_progress');
+  assert.equal(h.run("getTask('TASK-1').Due_Date instanceof Date"), true);
+  assert.equal(h.call('getConfig').BOSS_NAME, 'Drive Boss');
+});
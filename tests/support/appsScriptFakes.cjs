@@ -0,0 +1,1311 @@
+/**
+ * In-memory fakes for the Apps Script services used by this project
+ *
+ * createAppsScriptFakes() returns { globals, ...handles }. `globals` is installed into the sandbox by
+ * harness.cjs; the handles (spreadsheet, gmail, calendar, drive, urlFetch, properties, cache, locks,
+ * triggers, logs) let tests seed fixtures and inspect what the code did.
+ *
+ * Only the behaviour the project relies on is modelled. Formatting calls (setFontWeight, setBackground,
+ * setColumnWidth, ...) and other unmodelled methods are accepted and ignored, so setup code such as
+ * createAllSheets() runs unchanged.
+ *
+ * `realm.Date` must be the sandbox's Date: values handed to project code are created with it, so
+ * `value instanceof Date` checks in the project keep working.
+ */
+
+const crypto = require('crypto');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function createAppsScriptFakes(options = {}) {
+  const realm = options.realm || { Date: Date };
+  const userEmail = options.userEmail || 'boss@example.com';
+  const timeZone = options.timeZone || 'UTC';
+  const logs = [];
+
+  const logger = {
+    log: (format, ...values) => {
+      let message = typeof format === 'string' ? format : JSON.stringify(format);
+      values.forEach(value => {
+        message = message.replace('%s', String(value));
+      });
+      logs.push(message);
+      if (options.verbose) process.stdout.write(`[Logger] ${message}\n`);
+      return logger;
+    },
+    getLog: () => logs.join('\n'),
+    clear: () => {
+      logs.length = 0;
+    }
+  };
+
+  const spreadsheet = createSpreadsheetFake_(realm, options.spreadsheetId || 'test-spreadsheet');
+  const gmail = createGmailFake_(realm, userEmail);
+  const calendar = createCalendarFake_(realm, userEmail);
+  const drive = createDriveFake_(realm);
+  const urlFetch = createUrlFetchFake_();
+  const properties = createPropertiesFake_(options.properties);
+  const cache = createCacheFake_();
+  const locks = createLockFake_();
+  const triggers = createTriggerFake_();
+  const documents = createDocumentFake_(drive);
+
+  const globals = {
+    Logger: logger,
+    console: {
+      log: (...args) => logger.log(args.join(' ')),
+      info: (...args) => logger.log(args.join(' ')),
+      warn: (...args) => logger.log(args.join(' ')),
+      error: (...args) => logger.log(args.join(' '))
+    },
+    SpreadsheetApp: spreadsheet.app,
+    GmailApp: gmail.app,
+    Gmail: gmail.advanced,
+    CalendarApp: calendar.app,
+    DriveApp: drive.app,
+    DocumentApp: documents.app,
+    UrlFetchApp: urlFetch.app,
+    PropertiesService: properties.app,
+    CacheService: cache.app,
+    LockService: locks.app,
+    ScriptApp: triggers.app,
+    Utilities: createUtilitiesFake_(realm),
+    Session: {
+      getScriptTimeZone: () => timeZone,
+      getActiveUser: () => ({ getEmail: () => userEmail, getName: () => userEmail.split('@')[0] }),
+      getEffectiveUser: () => ({ getEmail: () => userEmail, getName: () => userEmail.split('@')[0] }),
+      getTemporaryActiveUserKey: () => 'test-user-key'
+    },
+    ContentService: createContentServiceFake_()
+  };
+
+  return {
+    globals,
+    realm,
+    logs,
+    spreadsheet,
+    gmail,
+    calendar,
+    drive,
+    urlFetch,
+    properties,
+    cache,
+    locks,
+    triggers,
+    documents
+  };
+}
+
+// ============================================
+// Shared helpers
+// ============================================
+
+/**
+ * Wrap an object so unmodelled methods are chainable no-ops (formatting, protection, ...)
+ */
+function withNoOps_(target) {
+  const proxy = new Proxy(target, {
+    get(object, property) {
+      if (property in object || typeof property === 'symbol') return object[property];
+      if (property === 'then' || property === 'toJSON') return undefined;
+      return () => proxy;
+    }
+  });
+  return proxy;
+}
+
+/**
+ * A chainable object for builders the project only calls for their side effects
+ * (SpreadsheetApp.newDataValidation(), CalendarApp.newRecurrence(), ...)
+ */
+function chainable_(onBuild) {
+  const proxy = new Proxy({}, {
+    get(object, property) {
+      if (typeof property === 'symbol' || property === 'then' || property === 'toJSON') return undefined;
+      if (property === 'build' || property === 'create') return () => (onBuild ? onBuild() : proxy);
+      return () => proxy;
+    }
+  });
+  return proxy;
+}
+
+function isDate_(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+// Copy a value into the sandbox: Dates are recreated with the sandbox's Date
+function toRealmValue_(realm, value) {
+  return isDate_(value) ? new realm.Date(value.getTime()) : value;
+}
+
+// Cells never hold null/undefined, and Dates are stored as copies
+function toCellValue_(value) {
+  if (value === null || value === undefined) return '';
+  return isDate_(value) ? new Date(value.getTime()) : value;
+}
+
+function enumOf_(names) {
+  const values = {};
+  names.forEach(name => {
+    values[name] = name;
+  });
+  return values;
+}
+
+// ============================================
+// SpreadsheetApp
+// ============================================
+
+function createSpreadsheetFake_(realm, spreadsheetId) {
+  const sheets = [];
+  let flushCount = 0;
+
+  const findSheet = name => sheets.find(sheet => sheet.name === name) || null;
+
+  const spreadsheet = withNoOps_({
+    getId: () => spreadsheetId,
+    getName: () => 'Test Spreadsheet',
+    getUrl: () => `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+    getSpreadsheetTimeZone: () => 'UTC',
+    getSheetByName: name => {
+      const sheet = findSheet(name);
+      return sheet ? sheet.api : null;
+    },
+    getSheets: () => sheets.map(sheet => sheet.api),
+    insertSheet: name => {
+      const sheetName = name || `Sheet${sheets.length + 1}`;
+      if (findSheet(sheetName)) {
+        throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+      }
+      const sheet = createSheet_(realm, sheetName, () => spreadsheet);
+      sheets.push(sheet);
+      return sheet.api;
+    },
+    deleteSheet: sheetApi => {
+      const index = sheets.findIndex(sheet => sheet.api === sheetApi);
+      if (index !== -1) sheets.splice(index, 1);
+    }
+  });
+
+  const app = {
+    getActiveSpreadsheet: () => spreadsheet,
+    openById: id => {
+      if (id !== spreadsheetId) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp (${id}).`);
+      return spreadsheet;
+    },
+    flush: () => {
+      flushCount++;
+    },
+    newDataValidation: () => chainable_(),
+    newConditionalFormatRule: () => chainable_(),
+    newRichTextValue: () => chainable_(),
+    BorderStyle: enumOf_(['SOLID', 'DOTTED', 'DASHED', 'SOLID_MEDIUM', 'SOLID_THICK', 'DOUBLE']),
+    WrapStrategy: enumOf_(['WRAP', 'OVERFLOW', 'CLIP'])
+  };
+
+  return {
+    app,
+    api: spreadsheet,
+    get flushCount() {
+      return flushCount;
+    },
+    hasSheet: name => !!findSheet(name),
+    /**
+     * Every cell of a sheet, header row first (Dates copied into the sandbox)
+     */
+    values: name => {
+      const sheet = findSheet(name);
+      if (!sheet) throw new Error(`No sheet named ${name}`);
+      return sheet.read(1, 1, sheet.lastRow(), sheet.lastColumn());
+    },
+    /**
+     * Replace a sheet's contents (creating it if needed), e.g. for fixtures with their own headers
+     */
+    setValues: (name, values) => {
+      let sheet = findSheet(name);
+      if (!sheet) {
+        spreadsheet.insertSheet(name);
+        sheet = findSheet(name);
+      }
+      sheet.rows = values.map(row => row.map(toCellValue_));
+    }
+  };
+}
+
+function createSheet_(realm, name, getParent) {
+  const sheet = {
+    name: name,
+    rows: [],
+    lastRow: () => {
+      for (let i = sheet.rows.length - 1; i >= 0; i--) {
+        if (sheet.rows[i].some(value => value !== '')) return i + 1;
+      }
+      return 0;
+    },
+    lastColumn: () => {
+      let last = 0;
+      sheet.rows.forEach(row => {
+        for (let i = row.length - 1; i >= last; i--) {
+          if (row[i] !== '') {
+            last = i + 1;
+            break;
+          }
+        }
+      });
+      return last;
+    },
+    read: (row, column, numRows, numColumns) => {
+      const values = [];
+      for (let r = 0; r < numRows; r++) {
+        const source = sheet.rows[row - 1 + r] || [];
+        const out = [];
+        for (let c = 0; c < numColumns; c++) {
+          const value = source[column - 1 + c];
+          out.push(value === undefined ? '' : toRealmValue_(realm, value));
+        }
+        values.push(out);
+      }
+      return values;
+    },
+    write: (row, column, values) => {
+      values.forEach((rowValues, r) => {
+        const target = row - 1 + r;
+        while (sheet.rows.length <= target) sheet.rows.push([]);
+        const cells = sheet.rows[target];
+        rowValues.forEach((value, c) => {
+          while (cells.length < column - 1 + c) cells.push('');
+          cells[column - 1 + c] = toCellValue_(value);
+        });
+      });
+    }
+  };
+
+  const range = (row, column, numRows = 1, numColumns = 1) => {
+    if (row < 1 || column < 1) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet.`);
+    }
+    if (numRows < 1 || numColumns < 1) {
+      throw new Error(`The number of rows and columns in the range must be at least 1.`);
+    }
+    const api = withNoOps_({
+      getRow: () => row,
+      getColumn: () => column,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+      getLastRow: () => row + numRows - 1,
+      getLastColumn: () => column + numColumns - 1,
+      getValues: () => sheet.read(row, column, numRows, numColumns),
+      getDisplayValues: () => sheet.read(row, column, numRows, numColumns).map(r => r.map(value => String(value))),
+      getValue: () => sheet.read(row, column, 1, 1)[0][0],
+      setValues: values => {
+        if (values.length !== numRows) {
+          throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${numRows}.`);
+        }
+        values.forEach(rowValues => {
+          if (rowValues.length !== numColumns) {
+            throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${rowValues.length} but the range has ${numColumns}.`);
+          }
+        });
+        sheet.write(row, column, values);
+        return api;
+      },
+      setValue: value => {
+        const values = [];
+        for (let r = 0; r < numRows; r++) values.push(new Array(numColumns).fill(value));
+        sheet.write(row, column, values);
+        return api;
+      },
+      clearContent: () => api.setValue(''),
+      clear: () => api.setValue('')
+    });
+    return api;
+  };
+
+  sheet.api = withNoOps_({
+    getName: () => sheet.name,
+    setName: newName => {
+      sheet.name = newName;
+      return sheet.api;
+    },
+    getParent: () => getParent(),
+    getLastRow: () => sheet.lastRow(),
+    getLastColumn: () => sheet.lastColumn(),
+    getMaxRows: () => Math.max(1000, sheet.rows.length),
+    getMaxColumns: () => Math.max(26, sheet.lastColumn()),
+    getRange: (row, column, numRows, numColumns) => range(row, column, numRows, numColumns),
+    getDataRange: () => range(1, 1, Math.max(1, sheet.lastRow()), Math.max(1, sheet.lastColumn())),
+    appendRow: values => {
+      sheet.write(sheet.lastRow() + 1, 1, [values]);
+      return sheet.api;
+    },
+    deleteRow: row => {
+      sheet.rows.splice(row - 1, 1);
+      return sheet.api;
+    },
+    deleteRows: (row, howMany) => {
+      sheet.rows.splice(row - 1, howMany);
+      return sheet.api;
+    },
+    insertColumnBefore: column => {
+      sheet.rows.forEach(cells => {
+        while (cells.length < column - 1) cells.push('');
+        cells.splice(column - 1, 0, '');
+      });
+      return sheet.api;
+    },
+    insertColumnAfter: column => sheet.api.insertColumnBefore(column + 1),
+    deleteColumn: column => {
+      sheet.rows.forEach(cells => cells.splice(column - 1, 1));
+      return sheet.api;
+    },
+    clear: () => {
+      sheet.rows = [];
+      return sheet.api;
+    },
+    clearContents: () => sheet.api.clear()
+  });
+
+  return sheet;
+}
+
+// ============================================
+// GmailApp and the Gmail advanced service
+// ============================================
+
+function createGmailFake_(realm, userEmail) {
+  const threads = new Map();
+  const messages = new Map();
+  const sent = [];
+  let sequence = 0;
+
+  const addressOf = value => {
+    const match = String(value || '').match(/<([^>]+)>/);
+    return (match ? match[1] : String(value || '')).trim().toLowerCase();
+  };
+
+  const addMessage = (thread, fields) => {
+    const id = fields.id || `msg-${++sequence}`;
+    const message = {
+      id: id,
+      thread: thread,
+      from: fields.from || userEmail,
+      to: fields.to || '',
+      subject: fields.subject || thread.subject,
+      body: fields.body || '',
+      htmlBody: fields.htmlBody || null,
+      date: fields.date ? new Date(fields.date) : new Date(),
+      unread: addressOf(fields.from || userEmail) !== userEmail
+    };
+    message.api = withNoOps_({
+      getId: () => message.id,
+      getThread: () => thread.api,
+      getFrom: () => message.from,
+      getTo: () => message.to,
+      getCc: () => '',
+      getBcc: () => '',
+      getReplyTo: () => message.from,
+      getSubject: () => message.subject,
+      getPlainBody: () => message.body,
+      getBody: () => message.htmlBody || message.body,
+      getDate: () => new realm.Date(message.date.getTime()),
+      getHeader: name => (name.toLowerCase() === 'message-id' ? `<${message.id}@mail.test>` : ''),
+      getAttachments: () => [],
+      isInInbox: () => thread.inInbox(),
+      isUnread: () => message.unread,
+      markRead: () => {
+        message.unread = false;
+        return message.api;
+      }
+    });
+    thread.messages.push(message);
+    messages.set(id, message);
+    return message;
+  };
+
+  const createThread = fields => {
+    const thread = {
+      id: fields.id || `thread-${++sequence}`,
+      subject: fields.subject || '(no subject)',
+      messages: [],
+      inInbox: () => thread.messages.some(message => addressOf(message.from) !== userEmail)
+    };
+    thread.api = withNoOps_({
+      getId: () => thread.id,
+      getFirstMessageSubject: () => thread.subject,
+      getMessages: () => thread.messages.map(message => message.api),
+      getMessageCount: () => thread.messages.length,
+      getLastMessageDate: () => new realm.Date(thread.messages[thread.messages.length - 1].date.getTime()),
+      getPermalink: () => `https://mail.google.com/mail/#inbox/${thread.id}`,
+      isInInbox: () => thread.inInbox(),
+      reply: (body, options = {}) => {
+        const last = thread.messages[thread.messages.length - 1];
+        const message = addMessage(thread, { to: last ? last.from : '', subject: `Re: ${thread.subject}`, body: body, htmlBody: options.htmlBody });
+        sent.push({ to: message.to, subject: message.subject, body: body, options: options, threadId: thread.id, messageId: message.id });
+        return thread.api;
+      }
+    });
+    threads.set(thread.id, thread);
+    (fields.messages || []).forEach(message => addMessage(thread, message));
+    return thread;
+  };
+
+  const matches = (thread, query) => {
+    const tokens = String(query || '').match(/(\w+:"[^"]*"|"[^"]*"|\S+)/g) || [];
+    let requireInbox = false;
+    const checks = [];
+    tokens.forEach(token => {
+      const operator = token.match(/^(\w+):(.*)$/);
+      if (operator && !token.startsWith('"')) {
+        const key = operator[1].toLowerCase();
+        const value = operator[2].replace(/^"|"$/g, '').toLowerCase();
+        if (key === 'in' && value === 'inbox') requireInbox = true;
+        else if (key === 'to') checks.push(message => message.to.toLowerCase().includes(value));
+        else if (key === 'from') checks.push(message => message.from.toLowerCase().includes(value));
+        else if (key === 'subject') checks.push(message => message.subject.toLowerCase().includes(value));
+        else if (key === 'after') checks.push(message => message.date >= parseQueryDate_(value));
+        else if (key === 'before') checks.push(message => message.date < parseQueryDate_(value));
+        return;
+      }
+      const text = token.replace(/^"|"$/g, '').toLowerCase();
+      checks.push(message => `${message.subject}\n${message.body}`.toLowerCase().includes(text));
+    });
+    if (requireInbox && !thread.inInbox()) return false;
+    return thread.messages.some(message => checks.every(check => check(message)));
+  };
+
+  const lastDate = thread => thread.messages.reduce((latest, message) => Math.max(latest, message.date.getTime()), 0);
+
+  const app = {
+    sendEmail: (to, subject, body, options = {}) => {
+      const thread = createThread({ subject: subject });
+      const from = options.name ? `${options.name} <${userEmail}>` : userEmail;
+      const message = addMessage(thread, { from: from, to: to, subject: subject, body: body, htmlBody: options.htmlBody });
+      sent.push({ to: to, subject: subject, body: body, options: options, threadId: thread.id, messageId: message.id });
+      return app;
+    },
+    search: (query, start = 0, max = 500) => {
+      return Array.from(threads.values())
+        .filter(thread => matches(thread, query))
+        .sort((a, b) => lastDate(b) - lastDate(a))
+        .slice(start, start + max)
+        .map(thread => thread.api);
+    },
+    getThreadById: id => (threads.has(id) ? threads.get(id).api : null),
+    getMessageById: id => (messages.has(id) ? messages.get(id).api : null),
+    getInboxThreads: (start = 0, max = 500) => app.search('in:inbox', start, max),
+    getUserLabelByName: () => null,
+    createLabel: () => chainable_()
+  };
+
+  const advanced = {
+    Users: {
+      Messages: {
+        get: (userId, id) => {
+          const message = messages.get(id);
+          if (!message) throw new Error(`API call to gmail.users.messages.get failed with error: Requested entity was not found.`);
+          return {
+            id: message.id,
+            threadId: message.thread.id,
+            payload: {
+              headers: [
+                { name: 'Message-ID', value: `<${message.id}@mail.test>` },
+                { name: 'Subject', value: message.subject },
+                { name: 'From', value: message.from },
+                { name: 'To', value: message.to }
+              ]
+            }
+          };
+        },
+        send: (resource, userId) => {
+          const raw = Buffer.from(String(resource.raw).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+          const separator = raw.indexOf('\n\n');
+          const headers = {};
+          raw.slice(0, separator).split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+          });
+          const body = raw.slice(separator + 2);
+          const thread = resource.threadId && threads.get(resource.threadId) || createThread({ subject: headers.subject });
+          const message = addMessage(thread, { from: headers.from || userEmail, to: headers.to, subject: headers.subject, body: body });
+          sent.push({ to: headers.to, subject: headers.subject, body: body, options: { headers: headers }, threadId: thread.id, messageId: message.id });
+          return { id: message.id, threadId: thread.id, labelIds: ['SENT'] };
+        }
+      }
+    }
+  };
+
+  return {
+    app,
+    advanced,
+    /** Every email sent: { to, subject, body, options, threadId, messageId } */
+    sent,
+    /**
+     * Add a thread, e.g. an assignment email and its replies
+     * @param {object} fields - { id, subject, messages: [{ id, from, to, body, date }] }
+     * @returns {string} Thread ID
+     */
+    addThread: fields => createThread(fields).id,
+    /**
+     * Deliver a message into an existing thread (an employee replying, the boss answering, ...)
+     * @returns {string} Message ID
+     */
+    receive: (threadId, fields) => {
+      const thread = threads.get(threadId);
+      if (!thread) throw new Error(`No thread ${threadId}`);
+      return addMessage(thread, { to: userEmail, subject: `Re: ${thread.subject}`, ...fields }).id;
+    },
+    thread: id => threads.get(id) || null
+  };
+}
+
+// Gmail query dates: yyyy/MM/dd (or yyyy-MM-dd)
+function parseQueryDate_(value) {
+  const parts = value.split(/[/-]/).map(Number);
+  return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+}
+
+// ============================================
+// CalendarApp
+// ============================================
+
+function createCalendarFake_(realm, userEmail) {
+  const calendars = new Map();
+  let sequence = 0;
+
+  const createCalendar = (id, name) => {
+    const events = [];
+    const calendar = { id: id, name: name, events: events };
+
+    const createEvent = (title, start, end, options = {}) => {
+      const event = {
+        id: `event-${++sequence}@calendar.test`,
+        title: title,
+        start: new Date(start),
+        end: new Date(end),
+        description: options.description || '',
+        location: options.location || '',
+        guests: String(options.guests || '').split(',').map(email => email.trim()).filter(Boolean),
+        allDay: !!options.allDay,
+        tags: {}
+      };
+      const guestApi = email => withNoOps_({
+        getEmail: () => email,
+        getName: () => email,
+        getGuestStatus: () => 'INVITED'
+      });
+      event.api = withNoOps_({
+        getId: () => event.id,
+        getTitle: () => event.title,
+        setTitle: value => {
+          event.title = value;
+          return event.api;
+        },
+        getDescription: () => event.description,
+        setDescription: value => {
+          event.description = value;
+          return event.api;
+        },
+        getLocation: () => event.location,
+        setLocation: value => {
+          event.location = value;
+          return event.api;
+        },
+        getStartTime: () => new realm.Date(event.start.getTime()),
+        getEndTime: () => new realm.Date(event.end.getTime()),
+        setTime: (newStart, newEnd) => {
+          event.start = new Date(newStart);
+          event.end = new Date(newEnd);
+          return event.api;
+        },
+        isAllDayEvent: () => event.allDay,
+        getGuestList: () => event.guests.map(guestApi),
+        addGuest: email => {
+          if (!event.guests.includes(email)) event.guests.push(email);
+          return event.api;
+        },
+        removeGuest: email => {
+          event.guests = event.guests.filter(guest => guest !== email);
+          return event.api;
+        },
+        getMyStatus: () => 'OWNER',
+        getCreators: () => [userEmail],
+        getTag: key => (key in event.tags ? event.tags[key] : null),
+        setTag: (key, value) => {
+          event.tags[key] = value;
+          return event.api;
+        },
+        deleteEvent: () => {
+          const index = events.indexOf(event);
+          if (index !== -1) events.splice(index, 1);
+        }
+      });
+      events.push(event);
+      return event.api;
+    };
+
+    calendar.api = withNoOps_({
+      getId: () => calendar.id,
+      getName: () => calendar.name,
+      createEvent: createEvent,
+      createAllDayEvent: (title, date, options = {}) => {
+        const start = new Date(date);
+        return createEvent(title, start, new Date(start.getTime() + MS_PER_DAY), { ...options, allDay: true });
+      },
+      createEventSeries: (title, start, end, recurrence, options) => createEvent(title, start, end, options),
+      getEvents: (start, end) => {
+        return events
+          .filter(event => event.start < new Date(end) && event.end > new Date(start))
+          .sort((a, b) => a.start - b.start)
+          .map(event => event.api);
+      },
+      getEventsForDay: date => {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return calendar.api.getEvents(start, new Date(start.getTime() + MS_PER_DAY));
+      },
+      getEventById: id => {
+        const event = events.find(item => item.id === id);
+        return event ? event.api : null;
+      },
+      getEventSeriesById: id => calendar.api.getEventById(id)
+    });
+    calendars.set(id, calendar);
+    return calendar;
+  };
+
+  const defaultCalendar = createCalendar(userEmail, userEmail);
+
+  const app = {
+    getDefaultCalendar: () => defaultCalendar.api,
+    getCalendarById: id => (calendars.has(id) ? calendars.get(id).api : null),
+    getAllCalendars: () => Array.from(calendars.values()).map(calendar => calendar.api),
+    newRecurrence: () => chainable_(),
+    GuestStatus: enumOf_(['INVITED', 'MAYBE', 'NO', 'OWNER', 'YES']),
+    EventColor: enumOf_(['PALE_BLUE', 'PALE_GREEN', 'MAUVE', 'PALE_RED', 'YELLOW', 'ORANGE', 'CYAN', 'GRAY', 'BLUE', 'GREEN', 'RED']),
+    Weekday: enumOf_(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'])
+  };
+
+  return {
+    app,
+    /** Events on a calendar (default: the user's), as plain objects */
+    events: (calendarId = userEmail) => {
+      const calendar = calendars.get(calendarId);
+      return calendar ? calendar.events.map(event => ({
+        id: event.id,
+        title: event.title,
+        start: event.start,
+        end: event.end,
+        description: event.description,
+        guests: event.guests.slice()
+      })) : [];
+    },
+    addCalendar: (id, name) => createCalendar(id, name || id).id
+  };
+}
+
+// ============================================
+// DriveApp and DocumentApp
+// ============================================
+
+function createDriveFake_(realm) {
+  const files = new Map();
+  const folders = new Map();
+  let sequence = 0;
+
+  const iterator = items => {
+    let index = 0;
+    return {
+      hasNext: () => index < items.length,
+      next: () => {
+        if (index >= items.length) throw new Error('Cannot retrieve the next object: iterator has reached the end.');
+        return items[index++];
+      }
+    };
+  };
+
+  const createFolder = (name, parent) => {
+    const folder = { id: `folder-${++sequence}`, name: name, parent: parent || null };
+    folder.api = withNoOps_({
+      getId: () => folder.id,
+      getName: () => folder.name,
+      getUrl: () => `https://drive.google.com/drive/folders/${folder.id}`,
+      getParents: () => iterator(folder.parent ? [folder.parent.api] : []),
+      getFiles: () => iterator(Array.from(files.values()).filter(file => file.folder === folder && !file.trashed).map(file => file.api)),
+      getFilesByName: name => iterator(Array.from(files.values()).filter(file => file.folder === folder && file.name === name && !file.trashed).map(file => file.api)),
+      getFolders: () => iterator(Array.from(folders.values()).filter(child => child.parent === folder).map(child => child.api)),
+      createFile: (nameOrBlob, content, mimeType) => createFile(nameOrBlob, content, mimeType, folder).api,
+      createFolder: childName => createFolder(childName, folder).api
+    });
+    folders.set(folder.id, folder);
+    return folder;
+  };
+
+  const root = createFolder('My Drive');
+
+  const createFile = (nameOrBlob, content, mimeType, folder) => {
+    const fromBlob = nameOrBlob && typeof nameOrBlob === 'object';
+    const file = {
+      id: `file-${++sequence}`,
+      name: fromBlob ? nameOrBlob.getName() || 'Untitled' : nameOrBlob,
+      bytes: fromBlob ? Buffer.from(nameOrBlob.getBytes().map(byte => byte & 0xff)) : Buffer.from(String(content || ''), 'utf8'),
+      mimeType: fromBlob ? nameOrBlob.getContentType() : mimeType || 'text/plain',
+      folder: folder || root,
+      updated: Date.now(),
+      trashed: false
+    };
+    const touch = () => {
+      // Drive timestamps have millisecond resolution; keep successive saves distinguishable
+      file.updated = Math.max(Date.now(), file.updated + 1);
+    };
+    file.api = withNoOps_({
+      getId: () => file.id,
+      getName: () => file.name,
+      setName: name => {
+        file.name = name;
+        touch();
+        return file.api;
+      },
+      getMimeType: () => file.mimeType,
+      getSize: () => file.bytes.length,
+      getUrl: () => `https://drive.google.com/file/d/${file.id}/view`,
+      getLastUpdated: () => new realm.Date(file.updated),
+      getDateCreated: () => new realm.Date(file.updated),
+      getParents: () => iterator([file.folder.api]),
+      getBlob: () => createBlob_(file.bytes, file.mimeType, file.name),
+      getAs: () => createBlob_(file.bytes, file.mimeType, file.name),
+      setContent: content => {
+        file.bytes = Buffer.from(String(content), 'utf8');
+        touch();
+        return file.api;
+      },
+      setTrashed: trashed => {
+        file.trashed = !!trashed;
+        return file.api;
+      },
+      isTrashed: () => file.trashed,
+      moveTo: target => {
+        file.folder = folders.get(target.getId()) || root;
+        return file.api;
+      }
+    });
+    files.set(file.id, file);
+    return file;
+  };
+
+  const app = {
+    getFileById: id => {
+      const file = files.get(id);
+      if (!file) throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+      return file.api;
+    },
+    getFolderById: id => {
+      const folder = folders.get(id);
+      if (!folder) throw new Error(`No item with the given ID could be found, or you do not have permission to access it. (${id})`);
+      return folder.api;
+    },
+    getRootFolder: () => root.api,
+    createFile: (nameOrBlob, content, mimeType) => createFile(nameOrBlob, content, mimeType, root).api,
+    createFolder: name => createFolder(name, root).api,
+    getFilesByName: name => iterator(Array.from(files.values()).filter(file => file.name === name && !file.trashed).map(file => file.api))
+  };
+
+  return {
+    app,
+    /** @returns {string} Folder ID */
+    addFolder: name => createFolder(name, root).id,
+    /** @returns {string} File ID */
+    addFile: (name, content, mimeType, folderId) => createFile(name, content, mimeType, folderId ? folders.get(folderId) : root).id,
+    /** File contents as text (null if there is no such file) */
+    content: id => (files.has(id) ? files.get(id).bytes.toString('utf8') : null)
+  };
+}
+
+function createDocumentFake_(drive) {
+  const documents = new Map();
+
+  const createDocument = (name, id) => {
+    const paragraphs = [];
+    const paragraph = text => {
+      paragraphs.push(text);
+      return chainable_();
+    };
+    const document = {
+      id: id || drive.addFile(name, '', 'application/vnd.google-apps.document'),
+      name: name,
+      paragraphs: paragraphs
+    };
+    const body = withNoOps_({
+      appendParagraph: paragraph,
+      appendListItem: paragraph,
+      getText: () => paragraphs.join('\n'),
+      setText: text => {
+        paragraphs.length = 0;
+        paragraphs.push(text);
+        return body;
+      },
+      clear: () => {
+        paragraphs.length = 0;
+        return body;
+      }
+    });
+    document.api = withNoOps_({
+      getId: () => document.id,
+      getName: () => document.name,
+      getUrl: () => `https://docs.google.com/document/d/${document.id}/edit`,
+      getBody: () => body,
+      saveAndClose: () => {}
+    });
+    documents.set(document.id, document);
+    return document;
+  };
+
+  return {
+    app: {
+      create: name => createDocument(name).api,
+      openById: id => {
+        const document = documents.get(id) || createDocument('Document', id);
+        return document.api;
+      },
+      ParagraphHeading: enumOf_(['NORMAL', 'HEADING1', 'HEADING2', 'HEADING3', 'HEADING4', 'HEADING5', 'HEADING6', 'TITLE', 'SUBTITLE'])
+    },
+    /** Document text by ID */
+    text: id => (documents.has(id) ? documents.get(id).paragraphs.join('\n') : null)
+  };
+}
+
+// ============================================
+// UrlFetchApp (with Vertex AI stubs)
+// ============================================
+
+function createUrlFetchFake_() {
+  const handlers = [];
+  const requests = [];
+
+  const response = (status, body, headers = {}) => ({
+    getResponseCode: () => status,
+    getContentText: () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    getContent: () => Array.from(Buffer.from(typeof body === 'string' ? body : JSON.stringify(body), 'utf8')),
+    getHeaders: () => headers,
+    getAllHeaders: () => headers,
+    getBlob: () => createBlob_(Buffer.from(typeof body === 'string' ? body : JSON.stringify(body), 'utf8'), headers['Content-Type'] || 'text/plain')
+  });
+
+  const matchesValue = (matcher, value, request) => {
+    if (matcher instanceof RegExp) return matcher.test(value);
+    if (typeof matcher === 'function') return !!matcher(value, request);
+    return String(value).includes(matcher);
+  };
+
+  const fetch = (url, params = {}) => {
+    const request = {
+      url: url,
+      method: String(params.method || 'get').toLowerCase(),
+      headers: params.headers || {},
+      payload: params.payload,
+      contentType: params.contentType
+    };
+    const vertex = url.match(/aiplatform\.googleapis\.com\/.*\/models\/([^:]+):generateContent/);
+    if (vertex) {
+      const payload = typeof params.payload === 'string' ? JSON.parse(params.payload) : params.payload || {};
+      request.model = vertex[1];
+      request.prompt = (payload.contents || []).map(content => (content.parts || []).map(part => part.text || '').join('')).join('\n');
+    }
+    requests.push(request);
+
+    const handler = handlers.find(item => item.vertex === !!vertex && matchesValue(item.matcher, vertex ? request.prompt : url, request));
+    let result;
+    if (!handler) {
+      result = vertex
+        ? { status: 500, body: { error: { code: 500, message: 'No fake Vertex AI response matches this prompt' } } }
+        : { status: 404, body: `No fake response for ${url}` };
+      request.unmatched = true;
+    } else {
+      if (handler.once) handlers.splice(handlers.indexOf(handler), 1);
+      const reply = typeof handler.reply === 'function' ? handler.reply(vertex ? request.prompt : request, request) : handler.reply;
+      if (vertex) {
+        if (reply && typeof reply === 'object' && reply.status) {
+          result = reply;
+        } else {
+          const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+          result = { status: 200, body: { candidates: [{ content: { role: 'model', parts: [{ text: text }] }, finishReason: 'STOP' }] } };
+        }
+      } else {
+        result = reply && typeof reply === 'object' && 'status' in reply ? reply : { status: 200, body: reply };
+      }
+    }
+    request.status = result.status;
+
+    if (result.status >= 400 && !params.muteHttpExceptions) {
+      const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+      throw new Error(`Request failed for ${url} returned code ${result.status}. Truncated server response: ${text.substring(0, 200)}`);
+    }
+    return response(result.status, result.body === undefined ? '' : result.body, result.headers);
+  };
+
+  return {
+    app: {
+      fetch: fetch,
+      fetchAll: list => list.map(item => fetch(item.url, item))
+    },
+    /** Every request made: { url, method, headers, payload, model, prompt, status, unmatched } */
+    requests,
+    /**
+     * Answer Vertex AI generateContent calls whose prompt matches
+     * @param {RegExp|string|Function} matcher - Tested against the prompt text
+     * @param {string|object|Function} reply - Model text (objects are sent as JSON text), a function of
+     *   (prompt, request), or { status, body } for an error response
+     * @param {object} options - { once: true } to answer a single call
+     */
+    onVertex: (matcher, reply, options = {}) => {
+      handlers.push({ vertex: true, matcher: matcher, reply: reply, once: !!options.once });
+    },
+    /**
+     * Answer other requests whose URL matches
+     * @param {string|object|Function} reply - Response body, { status, body, headers }, or a function of (request)
+     */
+    on: (matcher, reply, options = {}) => {
+      handlers.push({ vertex: false, matcher: matcher, reply: reply, once: !!options.once });
+    },
+    /** Vertex AI prompts sent so far */
+    prompts: () => requests.filter(request => request.prompt !== undefined).map(request => request.prompt)
+  };
+}
+
+// ============================================
+// PropertiesService, CacheService, LockService
+// ============================================
+
+function createPropertiesFake_(initial = {}) {
+  const stores = { script: {}, user: {}, document: {} };
+  Object.keys(initial).forEach(key => {
+    stores.script[key] = String(initial[key]);
+  });
+
+  const api = store => ({
+    getProperty: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setProperty: (key, value) => {
+      store[key] = String(value);
+      return api(store);
+    },
+    setProperties: (properties, deleteAllOthers) => {
+      if (deleteAllOthers) Object.keys(store).forEach(key => delete store[key]);
+      Object.keys(properties).forEach(key => {
+        store[key] = String(properties[key]);
+      });
+      return api(store);
+    },
+    getProperties: () => ({ ...store }),
+    getKeys: () => Object.keys(store),
+    deleteProperty: key => {
+      delete store[key];
+      return api(store);
+    },
+    deleteAllProperties: () => {
+      Object.keys(store).forEach(key => delete store[key]);
+      return api(store);
+    }
+  });
+
+  return {
+    app: {
+      getScriptProperties: () => api(stores.script),
+      getUserProperties: () => api(stores.user),
+      getDocumentProperties: () => api(stores.document)
+    },
+    script: stores.script,
+    user: stores.user
+  };
+}
+
+function createCacheFake_() {
+  const stores = { script: new Map(), user: new Map(), document: new Map() };
+
+  const api = store => {
+    const live = key => {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expires <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return entry.value;
+    };
+    const put = (key, value, seconds = 600) => {
+      const text = String(value);
+      if (text.length > 100 * 1024) throw new Error('Argument too large: value');
+      store.set(key, { value: text, expires: Date.now() + Math.min(seconds, 21600) * 1000 });
+    };
+    return {
+      get: live,
+      getAll: keys => {
+        const values = {};
+        keys.forEach(key => {
+          const value = live(key);
+          if (value !== null) values[key] = value;
+        });
+        return values;
+      },
+      put: put,
+      putAll: (values, seconds) => Object.keys(values).forEach(key => put(key, values[key], seconds)),
+      remove: key => {
+        store.delete(key);
+      },
+      removeAll: keys => keys.forEach(key => store.delete(key))
+    };
+  };
+
+  return {
+    app: {
+      getScriptCache: () => api(stores.script),
+      getUserCache: () => api(stores.user),
+      getDocumentCache: () => api(stores.document)
+    },
+    script: stores.script,
+    clear: () => Object.values(stores).forEach(store => store.clear())
+  };
+}
+
+function createLockFake_() {
+  const state = { held: false, busy: false, acquired: 0 };
+
+  const lock = () => ({
+    tryLock: () => {
+      if (state.busy) return false;
+      state.held = true;
+      state.acquired++;
+      return true;
+    },
+    waitLock: timeoutMs => {
+      if (state.busy) throw new Error(`Lock timeout: another process was holding the lock for too long (${timeoutMs}ms).`);
+      state.held = true;
+      state.acquired++;
+    },
+    hasLock: () => state.held,
+    releaseLock: () => {
+      state.held = false;
+    }
+  });
+
+  return {
+    app: {
+      getScriptLock: lock,
+      getUserLock: lock,
+      getDocumentLock: lock
+    },
+    /**
+     * state.busy = true simulates another execution holding the lock;
+     * state.held and state.acquired show what this execution did
+     */
+    state
+  };
+}
+
+// ============================================
+// ScriptApp (triggers), ContentService, Utilities
+// ============================================
+
+function createTriggerFake_() {
+  const triggers = [];
+  let sequence = 0;
+
+  const EventType = enumOf_(['CLOCK', 'ON_OPEN', 'ON_EDIT', 'ON_FORM_SUBMIT', 'ON_CHANGE', 'ON_EVENT_UPDATED']);
+
+  const newTrigger = handlerFunction => {
+    const trigger = { id: `trigger-${++sequence}`, handlerFunction: handlerFunction, eventType: EventType.CLOCK, schedule: {} };
+    const builder = new Proxy({}, {
+      get(object, property) {
+        if (typeof property === 'symbol' || property === 'then' || property === 'toJSON') return undefined;
+        if (property === 'create') {
+          return () => {
+            trigger.api = {
+              getUniqueId: () => trigger.id,
+              getHandlerFunction: () => trigger.handlerFunction,
+              getEventType: () => trigger.eventType,
+              getTriggerSource: () => (trigger.eventType === EventType.CLOCK ? 'CLOCK' : 'SPREADSHEETS')
+            };
+            triggers.push(trigger);
+            return trigger.api;
+          };
+        }
+        return value => {
+          if (property === 'onEdit') trigger.eventType = EventType.ON_EDIT;
+          else if (property === 'onOpen') trigger.eventType = EventType.ON_OPEN;
+          else if (property === 'onChange') trigger.eventType = EventType.ON_CHANGE;
+          else if (property === 'onEventUpdated') trigger.eventType = EventType.ON_EVENT_UPDATED;
+          else if (property !== 'timeBased') trigger.schedule[property] = value === undefined ? true : value;
+          return builder;
+        };
+      }
+    });
+    return builder;
+  };
+
+  return {
+    app: {
+      newTrigger: newTrigger,
+      getProjectTriggers: () => triggers.map(trigger => trigger.api),
+      deleteTrigger: api => {
+        const index = triggers.findIndex(trigger => trigger.api === api || trigger.id === api.getUniqueId());
+        if (index !== -1) triggers.splice(index, 1);
+      },
+      getOAuthToken: () => 'test-oauth-token',
+      getScriptId: () => 'test-script-id',
+      getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/test-deployment/exec' }),
+      EventType: EventType,
+      WeekDay: enumOf_(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'])
+    },
+    /** Installed triggers: { handlerFunction, eventType, schedule } */
+    list: () => triggers.map(trigger => ({ handlerFunction: trigger.handlerFunction, eventType: trigger.eventType, schedule: { ...trigger.schedule } }))
+  };
+}
+
+function createContentServiceFake_() {
+  const MimeType = enumOf_(['JSON', 'TEXT', 'CSV', 'ICAL', 'JAVASCRIPT', 'RSS', 'VCARD', 'ATOM', 'XML']);
+  return {
+    MimeType: MimeType,
+    createTextOutput: (content = '') => {
+      let text = String(content);
+      let mimeType = MimeType.TEXT;
+      const output = {
+        getContent: () => text,
+        setContent: value => {
+          text = String(value);
+          return output;
+        },
+        append: value => {
+          text += String(value);
+          return output;
+        },
+        getMimeType: () => mimeType,
+        setMimeType: value => {
+          mimeType = value;
+          return output;
+        },
+        downloadAsFile: () => output
+      };
+      return output;
+    }
+  };
+}
+
+// Apps Script byte arrays are Java bytes: signed, -128..127
+function toSignedBytes_(buffer) {
+  return Array.from(buffer).map(byte => (byte > 127 ? byte - 256 : byte));
+}
+
+function toBuffer_(value) {
+  if (Array.isArray(value)) return Buffer.from(value.map(byte => byte & 0xff));
+  return Buffer.from(String(value), 'utf8');
+}
+
+function createBlob_(bytes, contentType, name) {
+  let data = Buffer.from(bytes);
+  let type = contentType || 'application/octet-stream';
+  let blobName = name || null;
+  const blob = {
+    getBytes: () => toSignedBytes_(data),
+    getDataAsString: () => data.toString('utf8'),
+    setDataFromString: value => {
+      data = Buffer.from(String(value), 'utf8');
+      return blob;
+    },
+    getContentType: () => type,
+    setContentType: value => {
+      type = value;
+      return blob;
+    },
+    getName: () => blobName,
+    setName: value => {
+      blobName = value;
+      return blob;
+    },
+    copyBlob: () => createBlob_(data, type, blobName),
+    getAs: () => createBlob_(data, type, blobName)
+  };
+  return blob;
+}
+
+function createUtilitiesFake_(realm) {
+  return {
+    Charset: enumOf_(['UTF_8', 'US_ASCII']),
+    DigestAlgorithm: enumOf_(['MD2', 'MD5', 'SHA_1', 'SHA_256', 'SHA_384', 'SHA_512']),
+    formatDate: (date, timeZone, pattern) => formatDate_(date, timeZone, pattern),
+    getUuid: () => crypto.randomUUID(),
+    sleep: () => {},
+    base64Encode: data => toBuffer_(data).toString('base64'),
+    base64EncodeWebSafe: data => toBuffer_(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: text => toSignedBytes_(Buffer.from(String(text), 'base64')),
+    base64DecodeWebSafe: text => toSignedBytes_(Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+    newBlob: (data, contentType, name) => createBlob_(toBuffer_(data), contentType, name),
+    computeDigest: (algorithm, value) => {
+      const name = String(algorithm).replace('SHA_', 'sha').toLowerCase();
+      return toSignedBytes_(crypto.createHash(name).update(toBuffer_(value)).digest());
+    },
+    computeHmacSha256Signature: (value, key) => {
+      return toSignedBytes_(crypto.createHmac('sha256', toBuffer_(key)).update(toBuffer_(value)).digest());
+    },
+    parseDate: (text) => new realm.Date(text)
+  };
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Utilities.formatDate(): the SimpleDateFormat letters this project uses (y M d E u H h m s a z and 'quoted' text)
+ */
+function formatDate_(date, timeZone, pattern) {
+  const time = new Date(date).getTime();
+  if (isNaN(time)) throw new Error('Invalid argument: date');
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  }).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const hour = Number(parts.hour) % 24;
+  const weekday = DAY_NAMES.indexOf(parts.weekday);
+  const pad = (value, width) => String(value).padStart(width, '0');
+
+  return pattern.replace(/'([^']*)'|y+|M+|d+|E+|u+|H+|h+|m+|s+|S+|a+|z+/g, (token, quoted) => {
+    if (quoted !== undefined) return quoted === '' ? "'" : quoted;
+    const width = token.length;
+    switch (token[0]) {
+      case 'y': return width === 2 ? pad(year % 100, 2) : pad(year, width);
+      case 'M':
+        if (width >= 4) return MONTH_NAMES[month - 1];
+        if (width === 3) return MONTH_NAMES[month - 1].substring(0, 3);
+        return pad(month, width);
+      case 'd': return pad(day, width);
+      case 'E': return width >= 4 ? DAY_NAMES[weekday] : DAY_NAMES[weekday].substring(0, 3);
+      case 'u': return String(weekday === 0 ? 7 : weekday);
+      case 'H': return pad(hour, width);
+      case 'h': return pad(hour % 12 === 0 ? 12 : hour % 12, width);
+      case 'm': return pad(Number(parts.minute), width);
+      case 's': return pad(Number(parts.second), width);
+      case 'S': return pad(new Date(time).getUTCMilliseconds(), width);
+      case 'a': return hour < 12 ? 'AM' : 'PM';
+      case 'z': return parts.timeZoneName;
+      default: return token;
+    }
+  });
+}
+
+module.exports = {
+  createAppsScriptFakes,
+  formatDate_
+};
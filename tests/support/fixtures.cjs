@@ -0,0 +1,129 @@
+/**
+ * Fixture rows and helpers shared by the tests
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BOSS_EMAIL = 'boss@example.com';
+const ASSIGNEE_EMAIL = 'asha@example.com';
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS);
+}
+
+function daysFromNow(days) {
+  const date = new Date(Date.now() + days * 24 * HOUR_MS);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * A Tasks_DB row: assigned to Asha, awaiting her first reply, due in a week
+ */
+function taskRow(overrides = {}) {
+  return {
+    Task_ID: 'TASK-1',
+    Task_Name: 'Quarterly report',
+    Status: 'not_active',
+    Assignee_Name: 'Asha Rao',
+    Assignee_Email: ASSIGNEE_EMAIL,
+    Due_Date: daysFromNow(7),
+    Created_Date: hoursAgo(72),
+    Last_Updated: hoursAgo(72),
+    Conversation_State: 'active',
+    Version: 1,
+    ...overrides
+  };
+}
+
+function staffRow(overrides = {}) {
+  return {
+    Name: 'Asha Rao',
+    Email: ASSIGNEE_EMAIL,
+    Role: 'Analyst',
+    Reliability_Score: 80,
+    Active_Task_Count: 1,
+    ...overrides
+  };
+}
+
+/**
+ * The boss's assignment email for a task, as it sits in Gmail
+ * @returns {string} Thread ID
+ */
+function addAssignmentThread(harness, task) {
+  return harness.fakes.gmail.addThread({
+    subject: `Task Assignment: ${task.Task_Name}`,
+    messages: [{
+      from: BOSS_EMAIL,
+      to: task.Assignee_Email,
+      body: `Hi ${task.Assignee_Name},\n\nPlease take on: ${task.Task_Name}\n\nTask ID: ${task.Task_ID}`,
+      date: task.Created_Date
+    }]
+  });
+}
+
+/**
+ * A Workflows row in the format save_workflow writes
+ */
+function workflowRow(overrides = {}) {
+  const row = {
+    Workflow_ID: 'WF-TEST',
+    Name: 'Test workflow',
+    Trigger_Event: 'status_changed',
+    Conditions: {},
+    Actions: [],
+    Timing: {},
+    Active: true,
+    Last_Updated: new Date(),
+    ...overrides
+  };
+  ['Conditions', 'Actions', 'Timing'].forEach(column => {
+    if (typeof row[column] !== 'string') row[column] = JSON.stringify(row[column]);
+  });
+  return row;
+}
+
+/**
+ * An admin API client for the boss, for calling doPost/doGet
+ */
+function dashboardClient(harness) {
+  return harness.call('createApiClient', 'dashboard', ['admin'], { email: BOSS_EMAIL, role: 'boss' });
+}
+
+/**
+ * A dashboard POST in its own script run
+ * @returns {object} The parsed JSON response
+ */
+function postAction(harness, client, body) {
+  harness.newExecution();
+  const output = harness.call('doPost', {
+    parameter: {},
+    postData: { type: 'application/json', contents: JSON.stringify({ clientId: client.clientId, apiKey: client.apiKey, ...body }) }
+  });
+  return JSON.parse(output.getContent());
+}
+
+/**
+ * A dashboard GET in its own script run
+ * @returns {object} The parsed JSON response
+ */
+function getAction(harness, client, parameter) {
+  harness.newExecution();
+  const output = harness.call('doGet', { parameter: { clientId: client.clientId, apiKey: client.apiKey, ...parameter } });
+  return JSON.parse(output.getContent());
+}
+
+module.exports = {
+  BOSS_EMAIL,
+  ASSIGNEE_EMAIL,
+  hoursAgo,
+  daysFromNow,
+  taskRow,
+  staffRow,
+  addAssignmentThread,
+  workflowRow,
+  dashboardClient,
+  postAction,
+  getAction
+};
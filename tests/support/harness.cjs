@@ -0,0 +1,180 @@
+/**
+ * Test harness: runs the project's .js files in a Node sandbox against the fakes in appsScriptFakes.cjs
+ *
+ *   const h = createHarness();                     // fresh spreadsheet, createAllSheets() already run
+ *   h.seed('Tasks_DB', [{ Task_ID: 'T1', Status: 'not_active', ... }]);
+ *   h.fakes.urlFetch.onVertex(/Classify this email reply/, { type: 'ACCEPTANCE', confidence: 0.9 });
+ *   h.call('processReplyEmail', 'T1', message);
+ *   h.rows('Tasks_DB')[0].Status                   // what the code wrote
+ *
+ * Run the tests with `node --test tests/` (Node 18+, no dependencies). HARNESS_VERBOSE=1 echoes Logger output.
+ *
+ * Every .js file in the repository root shares one global scope, as in Apps Script. Each harness (and
+ * each newExecution()) is one script run: per-run state such as the SheetRepository cache starts empty,
+ * while the fakes (spreadsheet, Gmail, caches, properties) carry over like the real services do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createAppsScriptFakes } = require('./appsScriptFakes.cjs');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+// Config values every test run needs (Vertex calls are answered by urlFetch.onVertex)
+const DEFAULT_CONFIG = {
+  VERTEX_AI_PROJECT_ID: 'test-project',
+  BOSS_NAME: 'Test Boss'
+};
+
+function projectFiles_() {
+  return fs.readdirSync(REPO_ROOT).filter(file => file.endsWith('.js')).sort();
+}
+
+// Compile each file once per test process
+const compiledScripts_ = {};
+
+function compileScript_(file) {
+  if (!compiledScripts_[file]) {
+    const source = fs.readFileSync(path.join(REPO_ROOT, file), 'utf8');
+    compiledScripts_[file] = new vm.Script(source, { filename: path.join(REPO_ROOT, file) });
+  }
+  return compiledScripts_[file];
+}
+
+/**
+ * @param {object} options
+ * @param {boolean} options.setup - Run createAllSheets() and write DEFAULT_CONFIG + options.config (default true)
+ * @param {object} options.config - Config sheet values
+ * @param {object} options.tables - { sheetName: [row objects] } appended after setup
+ * @param {object} options.properties - Script Properties
+ * @param {string} options.userEmail - Session user, also the boss (default boss@example.com)
+ * @param {string} options.timeZone - Script time zone (default UTC)
+ * @param {boolean} options.verbose - Echo Logger.log output
+ */
+function createHarness(options = {}) {
+  const realm = { Date: Date };
+  const fakes = createAppsScriptFakes({
+    realm: realm,
+    userEmail: options.userEmail,
+    timeZone: options.timeZone,
+    properties: options.properties,
+    verbose: options.verbose || process.env.HARNESS_VERBOSE === '1'
+  });
+
+  let context = null;
+
+  const harness = {
+    fakes,
+
+    /**
+     * Start a new script run: reload every file into a fresh global scope, keeping the fakes' state
+     */
+    newExecution: () => {
+      context = vm.createContext({ ...fakes.globals });
+      realm.Date = vm.runInContext('Date', context);
+      projectFiles_().forEach(file => compileScript_(file).runInContext(context));
+      return harness;
+    },
+
+    /**
+     * Evaluate code in the project's global scope (for constants like SHEETS and TASK_STATUS)
+     */
+    run: code => toHost_(vm.runInContext(code, context)),
+
+    /**
+     * Call a global function; the result is copied out of the sandbox (so assert.deepStrictEqual works)
+     */
+    call: (name, ...args) => {
+      const fn = context[name];
+      if (typeof fn !== 'function') throw new Error(`${name} is not a global function`);
+      return toHost_(fn(...args.map(arg => toSandbox_(context, arg))));
+    },
+
+    /**
+     * Rows of a sheet as objects keyed by header, read straight from the fake spreadsheet
+     */
+    rows: sheetName => {
+      const values = fakes.spreadsheet.values(sheetName);
+      const headers = values[0] || [];
+      return values.slice(1).map(row => {
+        const object = {};
+        headers.forEach((header, index) => {
+          object[header] = toHost_(row[index]);
+        });
+        return object;
+      });
+    },
+
+    /**
+     * Append fixture rows (objects keyed by header; missing columns are left blank)
+     */
+    seed: (sheetName, rows) => {
+      const values = fakes.spreadsheet.values(sheetName);
+      const headers = values[0];
+      rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+          if (!headers.includes(key)) throw new Error(`${sheetName} has no column ${key}`);
+        });
+        values.push(headers.map(header => (row[header] === undefined ? '' : row[header])));
+      });
+      fakes.spreadsheet.setValues(sheetName, values);
+      harness.call('invalidateSheetCache_', sheetName);
+      return harness;
+    },
+
+    /**
+     * Set Config values through setConfigValue()
+     */
+    setConfig: values => {
+      Object.keys(values).forEach(key => harness.call('setConfigValue', key, String(values[key])));
+      return harness;
+    },
+
+    /**
+     * A Gmail message from the fake inbox, for functions that take one (processReplyEmail, ...)
+     */
+    message: messageId => fakes.globals.GmailApp.getMessageById(messageId)
+  };
+
+  harness.newExecution();
+
+  if (options.setup !== false) {
+    harness.call('createAllSheets');
+    harness.setConfig({ ...DEFAULT_CONFIG, ...(options.config || {}) });
+  }
+  Object.keys(options.tables || {}).forEach(sheetName => harness.seed(sheetName, options.tables[sheetName]));
+
+  return harness;
+}
+
+// Plain copies in the test's realm; values that cannot be cloned (functions, fake API objects) pass through
+function toHost_(value) {
+  if (value === null || typeof value !== 'object') return value;
+  try {
+    return structuredClone(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Dates built by the test become sandbox Dates, so `instanceof Date` holds in project code
+function toSandbox_(context, value) {
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return new (vm.runInContext('Date', context))(value.getTime());
+  }
+  if (Array.isArray(value)) return value.map(item => toSandbox_(context, item));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = toSandbox_(context, value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+module.exports = {
+  createHarness,
+  REPO_ROOT
+};
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createHarness } = require('./support/harness.cjs');
+const { taskRow, staffRow, hoursAgo, dashboardClient, postAction } = require('./support/fixtures.cjs');
+
+const HOOK_URL = 'https://hooks.example.com/cos';
+const SECRET = 'whsec-test';
+
+function webhookRow(overrides = {}) {
+  return {
+    Webhook_ID: 'WH-1',
+    Name: 'Slack bot',
+    URL: HOOK_URL,
+    Secret: SECRET,
+    Events: 'status_changed, conversation_state_changed',
+    Active: true,
+    Created_At: hoursAgo(24),
+    ...overrides
+  };
+}
+
+function setup(webhooks) {
+  return createHarness({
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow({ Status: 'on_time' })],
+      Webhooks: webhooks
+    }
+  });
+}
+
+function hookRequests(h) {
+  return h.fakes.urlFetch.requests.filter(request => request.url === HOOK_URL);
+}
+
+// Make queued jobs due, as if their backoff had passed
+function runJobsNow(h) {
+  h.rows('Jobs').filter(job => job.Status === 'pending').forEach(job => {
+    h.call('updateRowByValue', 'Jobs', 'Job_ID', job.Job_ID, { Run_At: hoursAgo(1) });
+  });
+  h.newExecution().call('runDueJobs');
+}
+
+test('subscribed task events are delivered as signed POSTs through the job queue', () => {
+  const h = setup([webhookRow(), webhookRow({ Webhook_ID: 'WH-2', Events: 'task_created' }), webhookRow({ Webhook_ID: 'WH-3', Active: false, Events: '*' })]);
+  h.fakes.urlFetch.on(HOOK_URL, { ok: true });
+
+  h.call('updateTask', 'TASK-1', { Status: 'closed' });
+  h.call('updateTask', 'TASK-1', { Due_Date: hoursAgo(-240) });
+  assert.equal(hookRequests(h).length, 0);
+  assert.deepEqual(h.rows('Jobs').map(job => job.Job_Type), ['webhook_delivery']);
+
+  h.newExecution().call('runDueJobs');
+
+  const [request] = hookRequests(h);
+  const body = JSON.parse(request.payload);
+  assert.equal(body.event, 'status_changed');
+  assert.deepEqual([body.taskId, body.fromStatus, body.toStatus, body.task.status], ['TASK-1', 'on_time', 'closed', 'closed']);
+  assert.equal(body.task.conversationHistory, undefined);
+  assert.equal(request.headers['X-COS-Delivery'], body.deliveryId);
+  const expected = crypto.createHmac('sha256', SECRET).update(request.headers['X-COS-Timestamp'] + '.' + request.payload).digest('hex');
+  assert.equal(request.headers['X-COS-Signature'], 'sha256=' + expected);
+
+  assert.deepEqual(h.rows('Webhook_Deliveries').map(row => [row.Webhook_ID, row.Event, row.Status, row.Response_Code]),
+    [['WH-1', 'status_changed', 'delivered', 200]]);
+  assert.deepEqual(h.rows('Jobs').map(job => job.Status), ['done']);
+});
+
+test('failed deliveries retry with the same delivery ID; rejected ones stop', () => {
+  const h = setup([webhookRow()]);
+  h.fakes.urlFetch.on(HOOK_URL, { status: 503, body: 'Service unavailable' }, { once: true });
+  h.fakes.urlFetch.on(HOOK_URL, { ok: true }, { once: true });
+  h.fakes.urlFetch.on(HOOK_URL, { status: 410, body: 'Gone' });
+
+  h.call('updateTask', 'TASK-1', { Conversation_State: 'blocker_reported' });
+  h.newExecution().call('runDueJobs');
+  assert.deepEqual(h.rows('Jobs').map(job => [job.Status, job.Attempts]), [['pending', 1]]);
+  runJobsNow(h);
+
+  const deliveries = hookRequests(h).map(request => request.headers['X-COS-Delivery']);
+  assert.equal(deliveries.length, 2);
+  assert.equal(deliveries[0], deliveries[1]);
+  assert.equal(JSON.parse(hookRequests(h)[1].payload).toState, 'blocker_reported');
+  assert.deepEqual(h.rows('Webhook_Deliveries').map(row => [row.Attempt, row.Status, row.Response_Code]),
+    [[1, 'failed', 503], [2, 'delivered', 200]]);
+
+  h.call('updateTask', 'TASK-1', { Status: 'closed' });
+  h.newExecution().call('runDueJobs');
+  assert.deepEqual(h.rows('Jobs').map(job => job.Status), ['done', 'failed']);
+});
+
+test('test_webhook sends a test event now and reports configuration errors', () => {
+  const h = setup([webhookRow(), webhookRow({ Webhook_ID: 'WH-HTTP', URL: 'http://hooks.example.com/cos' })]);
+  const client = dashboardClient(h);
+  h.fakes.urlFetch.on(HOOK_URL, { status: 500, body: 'boom' });
+
+  const result = postAction(h, client, { action: 'test_webhook', webhookId: 'WH-1' });
+
+  assert.deepEqual([result.success, result.responseCode], [false, 500]);
+  assert.match(result.error, /HTTP 500/);
+  assert.equal(JSON.parse(hookRequests(h)[0].payload).event, 'webhook_test');
+  assert.deepEqual(h.rows('Webhook_Deliveries').map(row => row.Event), ['webhook_test']);
+  assert.deepEqual(h.rows('Jobs'), []);
+
+  assert.match(postAction(h, client, { action: 'test_webhook', webhookId: 'WH-HTTP' }).error, /https/);
+  assert.match(postAction(h, client, { action: 'test_webhook', webhookId: 'WH-9' }).error, /not found/);
+});
+
+test('the daily archive run prunes deliveries past WEBHOOK_DELIVERY_RETENTION_DAYS', () => {
+  const delivery = (deliveryId, timestamp) => ({ Delivery_ID: deliveryId, Timestamp: timestamp, Webhook_ID: 'WH-1', Event: 'status_changed', Status: 'delivered' });
+  const h = createHarness({
+    config: { WEBHOOK_DELIVERY_RETENTION_DAYS: 14 },
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow()],
+      Webhook_Deliveries: [delivery('DLV-1', hoursAgo(24 * 20)), delivery('DLV-2', hoursAgo(24 * 15)), delivery('DLV-3', hoursAgo(24))]
+    }
+  });
+
+  h.call('archiveClosedTasks');
+
+  assert.deepEqual(h.rows('Webhook_Deliveries').map(entry => entry.Delivery_ID), ['DLV-3']);
+});
@@ -0,0 +1,252 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness.cjs');
+const { ASSIGNEE_EMAIL, taskRow, staffRow, workflowRow, hoursAgo, dashboardClient, postAction } = require('./support/fixtures.cjs');
+
+const BLOCKED_ALERT = workflowRow({
+  Workflow_ID: 'WF-BLOCKED',
+  Name: 'Nudge blocked tasks',
+  Conditions: { all: [{ field: 'Status', op: '==', value: 'slow_progress' }, 'Priority != low'] },
+  Actions: [
+    { type: 'update_priority', params: { priority: 'high' } },
+    { type: 'send_custom_email', params: { subject: 'Help with {{task.Task_Name}}?', body: 'Hi {{task.Assignee_Name}}, what is blocking you?' } }
+  ]
+});
+
+function setup(workflows, tasks = [taskRow({ Status: 'on_time', Priority: 'medium' })]) {
+  return createHarness({ tables: { Staff_DB: [staffRow()], Tasks_DB: tasks, Workflows: workflows } });
+}
+
+function runStatuses(h) {
+  return h.rows('Workflow_Runs').map(run => [run.Workflow_ID, run.Status]);
+}
+
+test('a status change runs matching workflows and records the run', () => {
+  const h = setup([BLOCKED_ALERT]);
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'high');
+  assert.deepEqual(h.fakes.gmail.sent.map(email => [email.to, email.subject]), [[ASSIGNEE_EMAIL, 'Help with Quarterly report?']]);
+  assert.match(h.fakes.gmail.sent[0].body, /^Hi Asha Rao, what is blocking you\?/);
+  assert.deepEqual(runStatuses(h), [['WF-BLOCKED', 'completed']]);
+});
+
+test('workflows whose conditions do not match are logged as skipped only with WORKFLOW_LOG_SKIPPED_RUNS', () => {
+  const h = setup([BLOCKED_ALERT], [taskRow({ Status: 'on_time', Priority: 'low' })]);
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'low');
+  assert.equal(h.fakes.gmail.sent.length, 0);
+  assert.deepEqual(runStatuses(h), []);
+
+  h.setConfig({ WORKFLOW_LOG_SKIPPED_RUNS: 'true' });
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'on_time' });
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  // Both changes were status_changed events that did not match
+  assert.deepEqual(runStatuses(h), [['WF-BLOCKED', 'skipped'], ['WF-BLOCKED', 'skipped']]);
+});
+
+test('the daily archive run prunes workflow runs past WORKFLOW_RUN_RETENTION_DAYS', () => {
+  const run = (runId, timestamp) => ({ Run_ID: runId, Timestamp: timestamp, Workflow_ID: 'WF-BLOCKED', Status: 'completed' });
+  const h = createHarness({
+    config: { WORKFLOW_RUN_RETENTION_DAYS: 30 },
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow()],
+      Workflow_Runs: [run('RUN-1', hoursAgo(24 * 45)), run('RUN-2', hoursAgo(24 * 31)), run('RUN-3', hoursAgo(24 * 2))]
+    }
+  });
+
+  h.call('archiveClosedTasks');
+
+  assert.deepEqual(h.rows('Workflow_Runs').map(entry => entry.Run_ID), ['RUN-3']);
+});
+
+test('the daily archive run prunes finished jobs past JOB_RETENTION_DAYS, up to the first job that stays', () => {
+  const job = (jobId, status, updatedAt) => ({ Job_ID: jobId, Job_Type: 'workflow_action', Status: status, Run_At: updatedAt, Payload: '{}', Created_At: updatedAt, Updated_At: updatedAt });
+  const h = createHarness({
+    config: { JOB_RETENTION_DAYS: 7 },
+    tables: {
+      Staff_DB: [staffRow()],
+      Tasks_DB: [taskRow()],
+      Jobs: [
+        job('JOB-1', 'done', hoursAgo(24 * 20)),
+        job('JOB-2', 'failed', hoursAgo(24 * 10)),
+        job('JOB-3', 'cancelled', hoursAgo(24 * 2)),
+        job('JOB-4', 'done', hoursAgo(24 * 9))
+      ]
+    }
+  });
+
+  h.call('archiveClosedTasks');
+
+  assert.deepEqual(h.rows('Jobs').map(entry => entry.Job_ID), ['JOB-3', 'JOB-4']);
+});
+
+test('Conversation_History conditions match on message text from Conversation_Messages', () => {
+  const h = setup([workflowRow({
+    Workflow_ID: 'WF-STUCK',
+    Conditions: ["Conversation_History regex 'blocked|stuck'"],
+    Actions: [{ type: 'update_priority', params: { priority: 'urgent' } }]
+  })], [taskRow({ Status: 'on_time' }), taskRow({ Task_ID: 'TASK-2', Status: 'on_time' })]);
+  h.call('appendToConversationHistory', 'TASK-1', { type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'I am stuck on the numbers' });
+  h.call('appendToConversationHistory', 'TASK-2', { type: 'employee_reply', senderEmail: ASSIGNEE_EMAIL, content: 'All good' });
+
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.call('updateTask', 'TASK-2', { Status: 'slow_progress' });
+
+  assert.equal(h.call('getTask', 'TASK-1').Conversation_History, '');
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'urgent');
+  assert.notEqual(h.call('getTask', 'TASK-2').Priority, 'urgent');
+});
+
+test('a second matching change inside the cooldown is blocked', () => {
+  const h = setup([BLOCKED_ALERT]);
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.call('updateTask', 'TASK-1', { Status: 'on_time' });
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  assert.equal(h.fakes.gmail.sent.length, 1);
+  assert.deepEqual(runStatuses(h).filter(([, status]) => status !== 'skipped'), [['WF-BLOCKED', 'completed'], ['WF-BLOCKED', 'blocked']]);
+});
+
+test('delayed actions wait in the job queue and re-check conditions before running', () => {
+  const delayed = workflowRow({
+    Workflow_ID: 'WF-DELAYED',
+    Trigger_Event: 'status_changed',
+    Conditions: { field: 'Status', op: '==', value: 'slow_progress' },
+    Actions: [{ type: 'update_priority', params: { priority: 'urgent' }, delay_hours: 24 }]
+  });
+  const h = setup([delayed], [
+    taskRow({ Task_ID: 'TASK-1', Status: 'on_time' }),
+    taskRow({ Task_ID: 'TASK-2', Status: 'on_time' })
+  ]);
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.call('updateTask', 'TASK-2', { Status: 'slow_progress' });
+  h.call('runDueJobs');
+  assert.deepEqual(h.rows('Jobs').map(job => job.Status), ['pending', 'pending']);
+
+  // A day later TASK-2 has recovered, so only TASK-1's job should act
+  h.call('updateTask', 'TASK-2', { Status: 'on_time' });
+  h.rows('Jobs').forEach(job => h.call('updateRowByValue', 'Jobs', 'Job_ID', job.Job_ID, { Run_At: hoursAgo(1) }));
+  h.newExecution().call('runDueJobs');
+
+  assert.deepEqual(h.rows('Jobs').map(job => job.Status), ['done', 'cancelled']);
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'urgent');
+  assert.notEqual(h.call('getTask', 'TASK-2').Priority, 'urgent');
+});
+
+test('task_overdue fires once per task, kept in one property per workflow and cleared when the task closes', () => {
+  const h = setup([workflowRow({ Trigger_Event: 'task_overdue', Actions: [{ type: 'update_priority', params: { priority: 'urgent' } }] })],
+    [taskRow({ Status: 'on_time', Priority: 'medium', Due_Date: hoursAgo(2) })]);
+  const properties = h.fakes.properties.script;
+
+  h.newExecution().call('runScheduledWorkflows');
+  h.call('updateTask', 'TASK-1', { Priority: 'medium' });
+  h.newExecution().call('runScheduledWorkflows');
+
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'medium');
+  assert.equal(h.rows('Workflow_Runs').length, 1);
+  assert.deepEqual(Object.keys(JSON.parse(properties['WF_TASKS_FIRED_WF-TEST'])), ['TASK-1']);
+  assert.deepEqual(Object.keys(JSON.parse(properties.TASKS_OVERDUE_FIRED)), ['TASK-1']);
+
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'closed' });
+  assert.deepEqual([properties['WF_TASKS_FIRED_WF-TEST'], properties.TASKS_OVERDUE_FIRED], [undefined, undefined]);
+});
+
+test('test_workflow previews actions without sending or writing anything', () => {
+  const h = setup([], [taskRow({ Status: 'slow_progress', Priority: 'medium' })]);
+  const before = h.rows('Tasks_DB');
+
+  const result = h.call('testWorkflow', BLOCKED_ALERT, { taskId: 'TASK-1' });
+
+  assert.equal(result.conditionsMet, true);
+  assert.equal(result.wouldExecute, true);
+  assert.deepEqual(result.actions.map(action => action.type), ['update_priority', 'send_custom_email']);
+  assert.deepEqual(h.rows('Tasks_DB'), before);
+  assert.equal(h.fakes.gmail.sent.length, 0);
+  assert.equal(h.rows('Workflow_Runs').length, 0);
+});
+
+test('replay rebuilds status changes from Task_Audit, with the status each change set', () => {
+  const h = setup([], [taskRow({ Status: 'on_time', Priority: 'medium' }), taskRow({ Task_ID: 'TASK-2', Status: 'on_time', Priority: 'low' })]);
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.newExecution().call('updateTask', 'TASK-2', { Status: 'slow_progress' });
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'on_time' });
+
+  const result = h.newExecution().call('replayWorkflow', BLOCKED_ALERT, 7);
+
+  assert.equal(result.eventsEvaluated, 3);
+  assert.equal(result.matches, 1);
+  assert.deepEqual(result.samples.map(sample => sample.taskId), ['TASK-1']);
+  assert.deepEqual(result.actionCounts, { update_priority: 1, send_custom_email: 1 });
+  assert.equal(h.call('getTask', 'TASK-1').Priority, 'medium');
+  assert.equal(h.fakes.gmail.sent.length, 0);
+});
+
+test('saved workflows with flat { operator } conditions use the same operators as leaves', () => {
+  const h = setup([], [taskRow({ Task_ID: 'TASK-1', Task_Name: 'Quarterly report' }), taskRow({ Task_ID: 'TASK-2', Task_Name: 'Board deck' })]);
+  const client = dashboardClient(h);
+
+  const saved = postAction(h, client, {
+    action: 'save_workflow',
+    name: 'Flag reports',
+    triggerEvent: 'status_changed',
+    conditions: { Task_Name: { operator: 'contains', value: 'REPORT' } },
+    actions: [{ type: 'update_priority', params: { priority: 'urgent' } }],
+    active: true
+  });
+  assert.equal(saved.success, true);
+  const invalid = postAction(h, client, {
+    action: 'save_workflow', name: 'Bad', triggerEvent: 'status_changed', conditions: { Task_Name: { operator: 'regex', value: '(' } }, actions: []
+  });
+  assert.match(invalid.error, /invalid regex/);
+
+  h.newExecution().call('updateTask', 'TASK-1', { Status: 'on_time' });
+  h.newExecution().call('updateTask', 'TASK-2', { Status: 'on_time' });
+
+  assert.deepEqual([h.call('getTask', 'TASK-1').Priority, h.call('getTask', 'TASK-2').Priority], ['urgent', '']);
+});
+
+test('call_webhook posts the event that ran the workflow, now and from the job queue', () => {
+  const url = 'https://hooks.example.com/workflow';
+  const h = setup([workflowRow({
+    Actions: [{ type: 'call_webhook', params: { url: url } }, { type: 'call_webhook', params: { url: url }, delay_hours: 1 }]
+  })]);
+  h.fakes.urlFetch.on(url, { ok: true });
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+  h.rows('Jobs').forEach(job => h.call('updateRowByValue', 'Jobs', 'Job_ID', job.Job_ID, { Run_At: hoursAgo(1) }));
+  h.newExecution().call('runDueJobs');
+
+  const payloads = h.fakes.urlFetch.requests.filter(request => request.url === url).map(request => JSON.parse(request.payload));
+  assert.deepEqual(payloads.map(payload => [payload.event, payload.workflowId, payload.taskId]), [
+    ['status_changed', 'WF-TEST', 'TASK-1'],
+    ['status_changed', 'WF-TEST', 'TASK-1']
+  ]);
+});
+
+test('assign_task takes the assignee name from Staff_DB when the workflow gives only an email', () => {
+  const ravi = 'ravi@example.com';
+  const h = createHarness({
+    tables: {
+      Staff_DB: [staffRow(), staffRow({ Name: 'Ravi Kumar', Email: ravi })],
+      Tasks_DB: [taskRow({ Task_ID: 'TASK-1', Status: 'on_time' }), taskRow({ Task_ID: 'TASK-2', Status: 'on_time' })],
+      Workflows: [workflowRow({ Conditions: ['Status == slow_progress'], Actions: [{ type: 'assign_task', params: { assigneeEmail: ravi } }] })]
+    }
+  });
+
+  h.call('updateTask', 'TASK-1', { Status: 'slow_progress' });
+
+  const task = h.call('getTask', 'TASK-1');
+  assert.deepEqual([task.Assignee_Email, task.Assignee_Name], [ravi, 'Ravi Kumar']);
+
+  // Someone not in Staff_DB keeps the name already on the task
+  h.newExecution().call('executeActions', [{ type: 'assign_task', params: { assigneeEmail: 'new@example.com' } }], { taskId: 'TASK-2' }, 'WF-MANUAL');
+  assert.equal(h.call('getTask', 'TASK-2').Assignee_Name, 'Asha Rao');
+});